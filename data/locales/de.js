@@ -0,0 +1,692 @@
+/**
+ * German Strings and Question Content
+ *
+ * `content` translates the built-in packs section by section, keyed by pack
+ * id and version like year records; a new pack version needs its own entry.
+ * Prompts for the official triplets are shared by every pack that uses them.
+ */
+
+export const de = {
+  code: 'de',
+  name: 'Deutsch',
+  strings: {
+    // Page shell (index.html)
+    'app.description': 'YearCompass - Ein digitales Werkzeug für Jahresrückblick und Jahresplanung',
+    'app.skipLink': 'Zum Hauptinhalt springen',
+    'app.toggleNavigation': 'Navigation ein- oder ausblenden',
+    'app.selectYear': 'Jahr auswählen',
+    'app.progressLabel': 'Fortschritt',
+    'app.sectionNavigation': 'Abschnitte',
+    'app.tools': 'Werkzeuge',
+    'app.search': 'Suchen',
+    'app.checkIn': 'Check-in',
+    'app.compareYears': 'Jahre vergleichen',
+    'app.backup': 'Sichern & Wiederherstellen',
+    'app.settings': 'Einstellungen',
+    'app.loading': 'YearCompass wird geladen...',
+    'app.exportPdf': 'Als PDF exportieren',
+    'common.close': 'Schließen',
+    'common.cancel': 'Abbrechen',
+
+    // Navigation
+    'nav.previous': 'Zurück',
+    'nav.next': 'Weiter',
+    'nav.begin': 'Los geht\'s',
+    'nav.part': 'Teil {number}: {name}',
+    'part.0': 'Einführung',
+    'part.1': 'Das vergangene Jahr',
+    'part.2': 'Das kommende Jahr',
+    'nav.started': 'Begonnen',
+    'nav.private': 'Privat',
+    'nav.hasPrivate': 'Enthält private Antworten',
+    'nav.skipNudge': 'Du kannst jederzeit hierher zurückkehren',
+    'nav.navigatedTo': '{title} geöffnet',
+    'nav.progress': '{percent} % erledigt',
+
+    // Save indicator
+    'save.ready': 'Bereit',
+    'save.saving': 'Wird gespeichert...',
+    'save.saved': 'Gespeichert',
+    'save.unsaved': 'Ungespeicherte Änderungen',
+    'save.failed': 'Speichern fehlgeschlagen –',
+    'save.failedAnnounce': 'Deine Änderungen konnten nicht gespeichert werden',
+    'save.retry': 'erneut versuchen',
+    'save.announce': 'Fortschritt gespeichert',
+    'save.justSaved': 'Gerade gespeichert',
+    'save.momentsAgo': 'Vor wenigen Augenblicken gespeichert',
+    'save.minutesAgo': { one: 'Vor 1 Minute gespeichert', other: 'Vor {count} Minuten gespeichert' },
+    'save.hoursAgo': { one: 'Vor 1 Stunde gespeichert', other: 'Vor {count} Stunden gespeichert' },
+    'save.at': 'Gespeichert am {time}',
+
+    // Years
+    'year.startNew': '+ Neues Jahr beginnen',
+    'year.startTitle': 'Ein neues Jahr beginnen',
+    'year.startWith': 'Beginne deinen YearCompass {year} mit:',
+    'year.pack': 'Fragenpaket',
+    'year.language': 'Sprache',
+    'year.start': 'Beginnen',
+    'year.pastLocked': 'Dieses Jahr ist vorbei. Es ist schreibgeschützt, damit es so bleibt, wie du es geschrieben hast.',
+    'year.editThisYear': 'Dieses Jahr bearbeiten',
+    'year.pastUnlocked': 'Du bearbeitest ein vergangenes Jahr.',
+    'year.lockAgain': 'Wieder sperren',
+    'year.readyToStart': 'Bereit für deinen YearCompass {year}?',
+    'year.letsBegin': 'Los geht\'s',
+    'year.notYet': 'Noch nicht',
+
+    // Sections
+    'section.skip': 'Diesen Schritt überspringen',
+    'section.skipLabel': '{title} überspringen',
+    'focus.previous': '← Vorherige Frage',
+    'focus.next': 'Nächste Frage →',
+    'focus.position': '{current} von {total}',
+    'areas.notes': 'Notizen...',
+    'areas.notesFor': 'Notizen zu {area}',
+    'areas.ratingFor': 'Bewertung für {area}',
+    'areas.ratingValue': '{value} von 10',
+    'areas.lastYearsGoal': 'Ziel vom letzten Jahr',
+    'areas.plannedActions': 'Geplante Schritte',
+    'areas.howDidItGo': 'Wie ist es gelaufen?',
+    'goals.goal': 'Was möchtest du erreichen?',
+    'goals.actions': 'Welche Schritte wirst du unternehmen?',
+    'goals.goalFor': 'Ziel für {area}',
+    'goals.actionsFor': 'Schritte für {area}',
+    'triplets.item': '{prompt} - Punkt {number}',
+
+    // Print, PDF and text documents
+    'document.part1': 'Teil Eins: {name}',
+    'document.part2': 'Teil Zwei: {name}',
+    'document.area': 'Bereich',
+    'document.rating': 'Bewertung',
+    'document.notes': 'Notizen',
+    'document.outcome': 'Ergebnis: {status}',
+    'document.outcomeColumn': 'Ergebnis',
+    'document.checkIns': 'Check-ins',
+    'document.howIsItGoing': 'Wie läuft es?',
+    'document.exportedOn': 'Exportiert am {date}',
+    'document.lastEditedOn': 'Zuletzt bearbeitet am {date}',
+    'document.pageOf': 'Seite {page} von {pages}',
+    'pdf.noData': 'Es gibt noch nichts zu exportieren. Beantworte zuerst ein paar Fragen.',
+    'pdf.privateNote': 'Einige Antworten in diesem Jahr sind als privat markiert. Sie werden weggelassen, außer du nimmst sie dazu.',
+    'pdf.withoutPrivate': 'Ohne private Antworten exportieren',
+    'pdf.includePrivate': 'Private Antworten einschließen',
+
+    // Settings
+    'settings.title': 'Einstellungen',
+    'settings.language': 'Sprache',
+    'settings.languageHelp': 'Jedes Jahr behält die Sprache, in der es begonnen wurde.',
+    'settings.theme': 'Darstellung',
+    'settings.theme.light': 'Hell',
+    'settings.theme.dark': 'Dunkel',
+    'settings.fontSize': 'Schriftgröße',
+    'settings.fontSize.small': 'Klein',
+    'settings.fontSize.medium': 'Mittel',
+    'settings.fontSize.large': 'Groß',
+    'settings.markdownPreview': 'Formatierten Text zeigen',
+    'settings.markdownPreview.onBlur': 'Wenn ich ein Feld verlasse',
+    'settings.markdownPreview.always': 'Immer, außer während ich schreibe',
+    'settings.markdownPreview.manual': 'Nur wenn ich auf Vorschau klicke',
+    'settings.focusMode': 'Fragen auf dem Bildschirm',
+    'settings.focusMode.off': 'Alle Fragen eines Abschnitts',
+    'settings.focusMode.on': 'Eine nach der anderen (Strg+Enter für die nächste, Strg+Umschalt+Enter zurück)',
+
+    // Passphrase lock
+    'lock.title': 'YearCompass ist gesperrt',
+    'lock.prompt': 'Gib deine Passphrase ein, um deine Antworten zu öffnen.',
+    'lock.passphrase': 'Passphrase',
+    'lock.unlock': 'Entsperren',
+    'lock.unlocking': 'Wird entsperrt…',
+    'lock.wrong': 'Diese Passphrase hat nicht funktioniert. Versuch es noch einmal.',
+    'lock.damaged': 'Die Passphrase stimmt, aber deine gespeicherten Antworten ließen sich nicht öffnen. Vielleicht sind sie beschädigt. Lade die Seite neu, um es noch einmal zu versuchen.',
+    'lock.forgot': 'Passphrase vergessen?',
+    'lock.confirmErase': 'Ohne die Passphrase lassen sich deine Antworten nicht wiederherstellen. Alles auf diesem Gerät löschen und neu anfangen?',
+    'lock.legend': 'Sperre mit Passphrase',
+    'lock.unavailable': 'Hier nicht verfügbar. Öffne YearCompass über https (oder von localhost), um deine Antworten mit einer Passphrase zu sperren.',
+    'lock.onHelp': 'An. Deine Antworten sind auf diesem Gerät verschlüsselt, und YearCompass fragt bei jedem Öffnen nach deiner Passphrase.',
+    'lock.current': 'Aktuelle Passphrase',
+    'lock.new': 'Neue Passphrase',
+    'lock.repeatNew': 'Neue Passphrase wiederholen',
+    'lock.change': 'Passphrase ändern',
+    'lock.turnOff': 'Sperre ausschalten',
+    'lock.offHelp': 'Verschlüssle deine Antworten auf diesem Gerät, damit niemand sonst, der diesen Browser nutzt, sie lesen kann.',
+    'lock.repeat': 'Passphrase wiederholen',
+    'lock.forgetWarning': 'Wenn du sie vergisst, lassen sich deine Antworten nicht wiederherstellen. Bewahre eine Sicherung an einem sicheren Ort auf.',
+    'lock.turnOn': 'Sperre einschalten',
+    'lock.tooShort': 'Verwende mindestens {count} Zeichen.',
+    'lock.mismatch': 'Die Passphrasen stimmen nicht überein.',
+    'lock.working': 'Einen Moment…',
+    'lock.currentWrong': 'Deine aktuelle Passphrase ist falsch.',
+    'lock.turnedOn': 'Sperre eingeschaltet. Deine Antworten sind jetzt verschlüsselt.',
+    'lock.changed': 'Passphrase geändert.',
+    'lock.turnedOff': 'Sperre ausgeschaltet. Deine Antworten werden wieder unverschlüsselt gespeichert.',
+    'lock.notSaved': 'Die Änderung konnte noch nicht gespeichert werden. Sie wird bei deiner nächsten Eingabe erneut versucht.',
+
+    // Question packs
+    'packs.legend': 'Fragenpakete',
+    'packs.help': 'Wähle ein Paket, wenn du ein neues Jahr beginnst. Eigene Pakete kannst du aus einer JSON-Datei hinzufügen (das Format steht in SPEC.md).',
+    'packs.add': 'Paket hinzufügen',
+    'packs.name': '{title} (Version {version})',
+    'packs.remove': 'Entfernen',
+    'packs.removeLabel': '{title} entfernen',
+    'packs.notJson': 'Die Datei ist kein gültiges JSON.',
+    'packs.invalid': 'Dieses Fragenpaket kann YearCompass nicht verwenden: {problem}',
+    'packs.problem.notObject': 'Es ist kein Objekt.',
+    'packs.problem.id': '„id“ darf nur Kleinbuchstaben, Ziffern und Bindestriche enthalten.',
+    'packs.problem.version': '„version“ muss eine ganze Zahl ab 1 sein.',
+    'packs.problem.title': '„title“ fehlt.',
+    'packs.problem.description': '„description“ muss reiner Text sein.',
+    'packs.problem.parts': '„parts“ muss Teilnummern reinen Textnamen zuordnen.',
+    'packs.problem.sections': '„sections“ muss eine Liste von Abschnitten sein.',
+    'packs.problem.duplicateSection': 'Abschnitt „{section}“ kommt zweimal vor.',
+    'packs.problem.sectionId': 'Jeder Abschnitt braucht eine „id“ aus Kleinbuchstaben, Ziffern und Bindestrichen.',
+    'packs.problem.sectionPart': 'Abschnitt „{section}“ braucht als „part“ 0, 1 oder 2.',
+    'packs.problem.sectionTitle': 'Abschnitt „{section}“ braucht einen „title“ als reinen Text.',
+    'packs.problem.sectionDescription': 'Abschnitt „{section}“ hat eine „description“, die kein reiner Text ist.',
+    'packs.problem.sectionType': 'Abschnitt „{section}“ hat einen unbekannten „type“.',
+    'packs.problem.sectionContent': 'Abschnitt „{section}“ braucht seinen „content“ als Markdown-Text.',
+    'packs.problem.sectionTriplets': 'Abschnitt „{section}“ braucht „triplets“ mit je einer „id“ und einem „prompt“.',
+    'packs.problem.sectionFields': 'Abschnitt „{section}“ braucht „fields“.',
+    'packs.problem.fieldId': 'Abschnitt „{section}“ hat ein Feld ohne eindeutige „id“.',
+    'packs.problem.fieldType': 'Feld „{field}“ braucht als „type“ text oder textarea.',
+    'packs.problem.fieldPrompt': 'Feld „{field}“ braucht einen „prompt“ als reinen Text.',
+    'packs.problem.fieldRows': 'Feld „{field}“ braucht „rows“ von 1 bis 30.',
+    'packs.problem.fieldMarkdown': 'Feld „{field}“ braucht „markdown“ als true oder false.',
+    'packs.builtInId': '„{id}“ ist die ID eines eingebauten Pakets. Gib deinem Paket eine eigene ID.',
+    'packs.alreadyAdded': '{title} (Version {version}) ist bereits hinzugefügt.',
+    'packs.versionChanged': 'Version {version} von „{id}“ ist bereits mit anderen Fragen hinzugefügt. Erhöhe die Versionsnummer, um die Änderungen hinzuzufügen.',
+    'packs.added': '{title} (Version {version}) hinzugefügt.',
+    'packs.inUse': 'Dieses Paket wird von {years} verwendet.',
+    'packs.removed': 'Paket entfernt.',
+
+    // Answer history, private answers and formatted text
+    'history.toggle': 'Verlauf',
+    'history.label': 'Frühere Fassungen',
+    'history.empty': 'Noch keine früheren Fassungen. Jedes Mal, wenn du diese Antwort zu bearbeiten beginnst, wird eine Fassung aufbewahrt.',
+    'history.restore': 'Wiederherstellen',
+    'privacy.reveal': 'Private Antwort zeigen',
+    'privacy.sectionPrivate': '🔒 Privater Abschnitt',
+    'privacy.makeSectionPrivate': 'Abschnitt privat machen',
+    'privacy.fieldPrivate': '🔒 Privat',
+    'privacy.makePrivate': 'Privat machen',
+    'markdown.edit': 'Bearbeiten',
+    'markdown.preview': 'Vorschau',
+    'markdown.toggle': 'Markdown-Vorschau ein- oder ausblenden',
+
+    // Customizing life areas
+    'areas.customize': 'Lebensbereiche anpassen',
+    'areas.customizeTitle': 'Lebensbereiche anpassen',
+    'areas.customizeHelp': 'Wähle, über welche Bereiche du in diesem Jahr nachdenken willst. Was du zu einem ausgeblendeten Bereich geschrieben hast, bleibt erhalten.',
+    'areas.addLabel': 'Lebensbereich hinzufügen',
+    'areas.addPlaceholder': 'z. B. Ehrenamt',
+    'areas.add': 'Hinzufügen',
+    'areas.show': '{area} zeigen',
+    'areas.labelFor': 'Name für {area}',
+    'areas.remove': 'Entfernen',
+    'areas.removeLabel': '{area} entfernen',
+    'areas.confirmRemove': '„{area}“ entfernen? Was du dazu geschrieben hast, wird nicht mehr angezeigt.',
+
+    // A life area's answers in search results, conflicts and imports ("Familie - Notizen")
+    'answer.rating': 'Bewertung',
+    'answer.notes': 'Notizen',
+    'answer.goalStatus': 'Ziel vom letzten Jahr',
+    'answer.goal': 'Ziel',
+    'answer.actions': 'Schritte',
+
+    // Search
+    'search.placeholder': 'Alle deine Antworten durchsuchen',
+    'search.none': 'Keine Antwort passt.',
+    'search.tooMany': 'Die ersten {shown} von {count} Antworten. Füge ein Wort hinzu, um die Suche einzugrenzen.',
+    'search.count': { one: '{count} Antwort', other: '{count} Antworten' },
+
+    // Changes from other tabs
+    'sync.updated': 'Mit Änderungen aus einem anderen Tab aktualisiert',
+    'sync.title': 'In einem anderen Tab geändert',
+    'sync.help': 'YearCompass ist in einem anderen Tab geöffnet, und das Folgende wurde dort und hier geändert. Wähle, welche Fassung du behalten willst.',
+    'sync.thisTab': 'Dieser Tab',
+    'sync.keepMine': 'Diese Fassung behalten',
+    'sync.otherTab': 'Anderer Tab',
+    'sync.useTheirs': 'Andere Fassung übernehmen',
+    'sync.empty': '(leer)',
+    'sync.removed': '(entfernt)',
+    'sync.areaName': 'Name des Lebensbereichs',
+    'sync.addedArea': 'Hinzugefügter Lebensbereich',
+
+    // Check-ins
+    'checkIn.due': 'Zeit für deinen Check-in im {month} mit deinem YearCompass {year}.',
+    'checkIn.checkIn': 'Check-in starten',
+    'checkIn.later': 'Später',
+    'checkIn.title': 'Check-in: {year}',
+    'checkIn.date': 'Datum des Check-ins',
+    'checkIn.lifeAreas': 'Lebensbereiche',
+    'checkIn.ratingsHint': 'Wo steht jeder Bereich gerade? Die Bewertungen beginnen bei deinem letzten Check-in.',
+    'checkIn.save': 'Check-in speichern',
+    'checkIn.update': 'Check-in aktualisieren',
+    'checkIn.saved': 'Check-in gespeichert',
+    'checkIn.wordOfYear': 'Wort des Jahres',
+    'checkIn.nothingYet': 'Dein Wort des Jahres, die Dinge, die du am meisten erreichen willst, und deine Ziele für die Lebensbereiche erscheinen hier, sobald du sie aufgeschrieben hast.',
+    'checkIn.goals': 'Ziele für die Lebensbereiche',
+    'checkIn.goalsHint': 'Ein, zwei Sätze dazu, wie es mit jedem Ziel läuft.',
+    'checkIn.howIsItGoing': 'Wie läuft es?',
+    'checkIn.actions': 'Schritte:',
+    'checkIn.lastNote': 'Letzter Check-in ({date}): {note}',
+    'checkIn.earlier': 'Frühere Check-ins',
+    'checkIn.ratingCount': { one: '1 Bewertung', other: '{count} Bewertungen' },
+    'checkIn.noteCount': { one: '1 Notiz', other: '{count} Notizen' },
+    'checkIn.delete': 'Löschen',
+    'checkIn.deleteLabel': 'Check-in vom {date} löschen',
+    'checkIn.confirmDelete': 'Check-in vom {date} löschen?',
+    'checkIn.reminders': 'Erinnerungen',
+    'checkIn.remindMe': 'Erinnere mich an Check-ins',
+    'checkIn.frequency.off': 'Nie',
+    'checkIn.frequency.monthly': 'Monatlich',
+    'checkIn.frequency.quarterly': 'Vierteljährlich',
+    'checkIn.anyTime': 'Über Werkzeuge kannst du trotzdem jederzeit einchecken.',
+    'checkIn.dueNow': 'Ein Check-in ist jetzt fällig.',
+    'checkIn.next': 'Nächster Check-in: {date}.',
+    'checkIn.noneLeft': 'In diesem Jahr stehen keine Check-ins mehr an.',
+    'checkIn.remindOnOpen': 'Du wirst erinnert, wenn du YearCompass öffnest.',
+    'checkIn.notifyOn': 'Du bekommst außerdem eine Benachrichtigung, wenn ein Check-in fällig ist.',
+    'checkIn.notifyBlocked': 'Benachrichtigungen sind für diese Seite blockiert, deshalb wirst du erinnert, wenn du YearCompass öffnest.',
+    'checkIn.notifyMe': 'Auch benachrichtigen',
+    'checkIn.notifyTitle': 'Zeit für einen YearCompass-Check-in',
+    'checkIn.notifyBody': 'Schau, wie es mit deinen Zielen für {year} läuft.',
+
+    // Compare years
+    'dashboard.empty': 'Noch keine Bewertungen. Bewerte deine Lebensbereiche unter <strong>Lebensbereiche bewerten</strong>, dann erscheinen sie hier neben allen anderen Jahren, die du bewertet hast.',
+    'dashboard.year': 'Jahr',
+    'dashboard.chartLabel': 'Netzdiagramm der Bewertungen der Lebensbereiche',
+    'dashboard.area': 'Lebensbereich',
+    'dashboard.previous': 'Vorher',
+    'dashboard.change': 'Veränderung',
+    'dashboard.overTime': 'Verlauf',
+    'dashboard.checkIns': 'Check-ins',
+    'dashboard.assessment': 'Bewertung',
+    'dashboard.noRatings': 'keine Bewertungen',
+
+    // Backup & restore
+    'backup.export': 'Exportieren',
+    'backup.exportHelp': 'Lade alle deine Jahre als JSON-Datei herunter. Bewahre sie gut auf - wenn du die Browserdaten löschst, ist alles weg, was hier gespeichert ist.',
+    'backup.encrypted': 'Deine Sperre mit Passphrase ist an, deshalb ist die Sicherung verschlüsselt. Zum Wiederherstellen brauchst du die Passphrase. Markdown- und Textdokumente werden nicht verschlüsselt.',
+    'backup.includePrivate': 'Als privat markierte Antworten einschließen',
+    'backup.privateHelp': 'Private Antworten werden weggelassen, außer du nimmst sie dazu. Eine Datei ohne sie kann sie nicht zurückbringen, also nimm sie dazu, wenn die Datei nur für dich ist.',
+    'backup.download': 'Sicherung herunterladen',
+    'backup.documentHelp': 'Oder lade die Antworten eines Jahres als Dokument für eine Notiz-App, einen Tagebuchordner oder git herunter:',
+    'backup.year': 'Jahr',
+    'backup.markdown': 'Markdown',
+    'backup.plainText': 'Reiner Text',
+    'backup.snapshot': 'Deine Daten wurden am {date} in ein neues Format umgewandelt.',
+    'backup.snapshotDownload': 'Die Kopie von vor der Umwandlung herunterladen',
+    'backup.snapshotRestore': 'Die Kopie von vor der Umwandlung wiederherstellen',
+    'backup.confirmSnapshotRestore': 'Deine Daten durch die Kopie von vor der Umwandlung ersetzen? Was du seitdem geändert hast, geht verloren. Die Kopie wird erst mit der nächsten Version von YearCompass wieder umgewandelt.',
+    'backup.snapshotRestored': 'Die Kopie von vor der Umwandlung wurde wiederhergestellt.',
+    'backup.snapshotRestoreFailed': 'Die Kopie von vor der Umwandlung konnte nicht wiederhergestellt werden.',
+    'backup.restore': 'Wiederherstellen',
+    'backup.restoreHelp': 'Wähle eine Sicherungsdatei oder ein Markdown-Dokument, das wie der Markdown-Download aufgebaut ist, um seine Antworten in ein Jahr zu importieren. Du siehst, was es enthält, bevor sich etwas ändert.',
+    'backup.locked': 'Diese Sicherung ist gesperrt. Gib die Passphrase ein, mit der sie erstellt wurde.',
+    'backup.wrongPassphrase': 'Mit dieser Passphrase lässt sich die Sicherung nicht entsperren.',
+    'backup.noYears': 'Diese Sicherung enthält keine Jahre.',
+    'backup.exists': 'Schon auf diesem Gerät',
+    'backup.noAnswers': 'Noch keine Antworten',
+    'backup.mode': 'Wie soll diese Sicherung wiederhergestellt werden?',
+    'backup.mode.merge': 'Pro Jahr zusammenführen - Jahre aus der Datei ersetzen dieselben Jahre hier, andere Jahre bleiben erhalten',
+    'backup.mode.replace': 'Alles ersetzen - alle Daten auf diesem Gerät werden durch die Datei ersetzt',
+    'backup.restoreButton': 'Sicherung wiederherstellen',
+    'backup.confirmReplace': 'Alle YearCompass-Daten auf diesem Gerät durch diese Sicherung ersetzen?',
+    'backup.importInto': 'Importieren in',
+    'backup.noneFound': 'Es wurden keine Antworten gefunden. Verwende die Abschnittstitel und Fragen als Überschriften, so wie der Markdown-Download.',
+    'backup.found': {
+      one: '1 Antwort gefunden: {added} neu, {conflicts} anders als hier, {same} unverändert.',
+      other: '{count} Antworten gefunden: {added} neu, {conflicts} anders als hier, {same} unverändert.'
+    },
+    'backup.new': 'Neue Antworten',
+    'backup.different': 'Anders als deine jetzigen Antworten',
+    'backup.unchanged': 'Unverändert',
+    'backup.here': 'Hier:',
+    'backup.file': 'Datei:',
+    'backup.unmatched': 'Nicht zugeordnet',
+    'backup.unmatchedHelp': 'Dieser Text steht unter keiner Überschrift, die zu einer Frage passt, deshalb wird er nicht importiert.',
+    'backup.beforeFirstHeading': 'Vor der ersten Überschrift',
+    'backup.replaceConflicts': 'Meine Antworten durch die aus der Datei ersetzen, wo sie sich unterscheiden',
+    'backup.import': 'Antworten importieren',
+    'backup.yearLocked': 'Dieses Jahr ist gesperrt. Entsperre es, bevor du Antworten hinein importierst.',
+    'backup.nothingNew': 'Alles in dieser Datei ist schon hier.',
+    'backup.imported': { one: '1 Antwort importiert.', other: '{count} Antworten importiert.' },
+    'import.notJson': 'Die Datei enthält kein gültiges JSON.',
+    'import.invalid': 'Die importierten Daten sind keine gültigen YearCompass-Daten.',
+    'import.locked': 'Diese Sicherung ist mit einer Passphrase gesperrt.',
+    'import.newerVersion': 'Diese Sicherung wurde mit einer neueren Version von YearCompass erstellt.',
+    'import.upgradeFailed': 'Diese Sicherung konnte nicht in das aktuelle Format umgewandelt werden.',
+    'import.saveFailed': 'Die importierten Daten konnten nicht gespeichert werden. Vielleicht ist der Speicher voll.',
+    'import.done': 'Daten erfolgreich importiert.',
+
+    // Storage errors
+    'errors.unavailableTitle': 'Speicher nicht verfügbar',
+    'errors.unavailable': 'Der Browserspeicher ist nicht verfügbar. Vielleicht ist dein Browser im privaten Modus oder der Speicher ist abgeschaltet. Dein Fortschritt kann nicht gespeichert werden.',
+    'errors.unavailableHelp': 'Dein Browser kann keine Daten speichern. Schalte den privaten Modus aus oder erlaube Cookies.',
+    'errors.fullTitle': 'Speicher voll',
+    'errors.full': 'Der Speicher ist voll. Exportiere deine Daten und lösche alte Einträge, um weiter speichern zu können.',
+    'errors.noSpaceToUpgrade': 'Es ist nicht genug Platz, um deine Daten vor der Umwandlung zu sichern. Exportiere deine Daten und lösche alte Einträge.',
+    'errors.fullHelp': 'Exportiere deine Daten als Sicherung und lösche dann alte Einträge.',
+    'errors.upgradeTitle': 'Umwandlung fehlgeschlagen',
+    'errors.upgradeFailed': 'Deine gespeicherten Daten konnten nicht umgewandelt werden ({reason}). Sie bleiben, wie sie waren.',
+    'errors.upgradeHelp': 'Es ist nichts verloren. Exportiere deine Daten als Sicherung und lade die Seite dann neu, um es noch einmal zu versuchen.',
+    'errors.lockTitle': 'Sperre mit Passphrase',
+    'errors.cantUnlock': 'Deine Antworten sind mit einer Passphrase gesperrt, aber dieser Browser kann sie hier nicht entsperren. Öffne YearCompass über https oder von localhost.',
+    'errors.otherTabLock': 'Die Sperre wurde in einem anderen Tab geändert. Lade diesen Tab neu, damit deine Antworten weiter gespeichert werden.',
+    'errors.lockHelp': 'Änderungen in diesem Tab werden nicht gespeichert.',
+    'errors.versionTitle': 'Andere Version',
+    'errors.newerVersion': 'Deine Daten wurden von einer neueren Version von YearCompass gespeichert. Manche Antworten erscheinen hier vielleicht nicht.',
+    'errors.otherTabVersion': 'YearCompass ist in einem anderen Tab mit einer anderen Version geöffnet. Lade beide Tabs neu, damit deine Änderungen abgeglichen bleiben.',
+    'errors.versionHelp': 'Änderungen in diesem Tab werden nicht gespeichert, damit nichts überschrieben wird, was die andere Version geschrieben hat. Lade die Seite neu, um die neueste Version zu bekommen.',
+    'errors.notAnObject': 'Die gespeicherten Daten sind kein gültiges Objekt. Es wird neu begonnen.',
+    'errors.corrupted': 'Deine gespeicherten Daten scheinen beschädigt zu sein. Es wird mit einem leeren Arbeitsbereich begonnen.',
+    'errors.loadFailed': 'Beim Laden deiner Daten ist ein unerwarteter Fehler aufgetreten.',
+    'errors.saveFailed': 'Dein Fortschritt konnte nicht gespeichert werden. Versuch es noch einmal oder exportiere deine Daten.',
+    'errors.export': 'Daten exportieren',
+    'errors.dismiss': 'Schließen',
+    'errors.startFailedTitle': 'Etwas ist schiefgelaufen',
+    'errors.startFailed': 'YearCompass konnte nicht geladen werden. Bitte lade die Seite neu.',
+    'errors.refresh': 'Seite neu laden'
+  },
+
+  content: {
+    lifeAreas: {
+      'personal-growth': 'Persönliches Wachstum / Selbstfürsorge',
+      career: 'Beruf / Studium',
+      friends: 'Freunde / Gemeinschaft',
+      family: 'Familie',
+      romantic: 'Partnerschaft',
+      fun: 'Spaß / Erholung',
+      'physical-health': 'Körperliche Gesundheit / Fitness',
+      'mental-health': 'Seelische Gesundheit / Spiritualität',
+      finances: 'Finanzen',
+      home: 'Zuhause / Wohnumfeld',
+      creativity: 'Kreativer Ausdruck',
+      other: 'Sonstiges'
+    },
+
+    goalStatuses: {
+      achieved: 'Erreicht',
+      partly: 'Teilweise erreicht',
+      dropped: 'Aufgegeben'
+    },
+
+    triplets: {
+      'love-about-self': 'Drei Dinge, die ich an mir lieben werde',
+      'let-go': 'Drei Dinge, die ich bereit bin loszulassen',
+      achieve: 'Drei Dinge, die ich am meisten erreichen möchte',
+      pillars: 'Drei Menschen, die in schweren Zeiten meine Stützen sein werden',
+      discover: 'Drei Dinge, die ich mich trauen werde zu entdecken',
+      'say-no': 'Drei Dinge, zu denen ich die Kraft haben werde, Nein zu sagen',
+      cozy: 'Drei Dinge, mit denen ich es mir gemütlich machen werde',
+      places: 'Drei Orte, die ich besuchen werde',
+      pamper: 'Drei Dinge, mit denen ich mich regelmäßig verwöhnen werde',
+      morning: 'Drei Dinge, die ich jeden Morgen tun werde',
+      rewards: 'Drei Geschenke, mit denen ich meine Erfolge belohnen werde',
+      connect: 'Drei Wege, wie ich mit meinen Liebsten in Verbindung bleibe'
+    },
+
+    packs: {
+      'yearcompass@1': {
+        title: 'YearCompass',
+        description: 'Das vollständige Heft: das vergangene Jahr abschließen und das nächste planen. Dauert 3-4 Stunden.',
+        sections: {
+          intro: {
+            title: 'Willkommen bei YearCompass',
+            content: `
+              <div class="intro-content">
+                <p class="intro-lead">Willkommen bei <strong>YearCompass</strong>, deinem Begleiter für Jahresrückblick und Jahresplanung.</p>
+                <p>Dies ist eine digitale Version des kostenlosen YearCompass-Hefts von <a href="https://yearcompass.com" target="_blank" rel="noopener">yearcompass.com</a>.</p>
+                <h3>Bevor du beginnst</h3>
+                <ul>
+                  <li><strong>Plane 3-4 Stunden ein</strong> oder verteile es auf mehrere Sitzungen</li>
+                  <li><strong>Dein Fortschritt wird automatisch gespeichert</strong> - du kannst jederzeit aufhören und später weitermachen</li>
+                  <li><strong>Sei ehrlich zu dir selbst</strong> - das hier ist nur für dich</li>
+                  <li><strong>Es gibt keine richtigen Antworten</strong> - schreib auf, was dir in den Sinn kommt</li>
+                </ul>
+                <p>Wenn du bereit bist, klicke auf <strong>Weiter</strong> und beginne mit einer kurzen Vorbereitung.</p>
+              </div>
+            `
+          },
+          preparation: {
+            title: 'Vorbereitung',
+            content: `
+              <div class="preparation-content">
+                <p class="preparation-lead">Bevor du in den Rückblick eintauchst, nimm dir einen Moment, um anzukommen.</p>
+
+                <h3>Schaffe dir deinen Raum</h3>
+                <p>Such dir einen ruhigen Ort, an dem du nicht gestört wirst. Mach es dir bequem. Vielleicht mit einem warmen Getränk.</p>
+
+                <h3>Mach den Kopf frei</h3>
+                <p><strong>Atme dreimal tief durch.</strong></p>
+                <p>Langsam einatmen... halten... und loslassen.</p>
+                <p>Lass die Sorgen des Tages hinter dir. Diese Zeit gehört nur dir.</p>
+
+                <h3>Setze dir eine Absicht</h3>
+                <p>Lass Urteile beiseite. Sei ehrlich zu dir selbst. Denk daran: Hier gibt es keine falschen Antworten.</p>
+                <p>Du schließt gleich ein Kapitel und öffnest ein neues. Geh mit Neugier und Freundlichkeit dir selbst gegenüber heran.</p>
+
+                <p class="preparation-ready">Wenn du bereit bist, klicke auf <strong>Weiter</strong> und beginne mit dem Rückblick auf dein vergangenes Jahr.</p>
+              </div>
+            `
+          },
+          'calendar-review': {
+            title: 'Kalender-Rückblick',
+            description: 'Geh den Kalender des letzten Jahres Woche für Woche durch. Schreib wichtige Ereignisse, Treffen, Meilensteine und bedeutsame Momente auf. Was ist im Januar passiert? Im Februar? Und so weiter...',
+            fields: {
+              'calendar-notes': 'Lass dein Jahr Monat für Monat Revue passieren:'
+            }
+          },
+          'year-in-review': {
+            title: 'Dieses Jahr im Rückblick',
+            description: 'Vervollständige diese Sätze, um über wichtige Momente und Erkenntnisse deines vergangenen Jahres nachzudenken.',
+            fields: {
+              'wisest-decision': 'Die klügste Entscheidung, die ich getroffen habe...',
+              'biggest-lesson': 'Die größte Lektion, die ich gelernt habe...',
+              'biggest-risk': 'Das größte Risiko, das ich eingegangen bin...',
+              'biggest-surprise': 'Die größte Überraschung des Jahres...',
+              'for-others': 'Das Wichtigste, was ich für andere getan habe...',
+              'biggest-completed': 'Das Größte, was ich abgeschlossen habe...'
+            }
+          },
+          highlights: {
+            title: 'Höhepunkte',
+            description: 'Erinnere dich an die großartigsten, eindrücklichsten und freudigsten Momente des vergangenen Jahres.',
+            fields: {
+              'greatest-moments': 'Beschreibe die großartigsten, eindrücklichsten und freudigsten Momente des letzten Jahres:',
+              'moment-feelings': 'Wie hast du dich gefühlt? Wer war dabei? Was hast du gemacht?'
+            }
+          },
+          'accomplishments-challenges': {
+            title: 'Erfolge & Herausforderungen',
+            description: 'Denk darüber nach, was du erreicht hast und was schwierig war.',
+            fields: {
+              'accomplishment-1': 'Mein größter Erfolg #1:',
+              'accomplishment-2': 'Mein größter Erfolg #2:',
+              'accomplishment-3': 'Mein größter Erfolg #3:',
+              'challenge-1': 'Meine größte Herausforderung #1:',
+              'challenge-2': 'Meine größte Herausforderung #2:',
+              'challenge-3': 'Meine größte Herausforderung #3:'
+            }
+          },
+          forgiveness: {
+            title: 'Vergebung',
+            description: 'Gibt es etwas aus dem vergangenen Jahr, das noch vergeben werden muss? Taten oder Worte, mit denen du dich schlecht gefühlt hast?',
+            fields: {
+              'forgiveness-reflection': 'Wem musst du vergeben, oder wen um Vergebung bitten? Was musst du dir selbst vergeben?'
+            }
+          },
+          'letting-go': {
+            title: 'Loslassen',
+            description: 'Was bist du bereit, aus dem vergangenen Jahr loszulassen? Welche Überzeugungen, Gewohnheiten oder Lasten dienen dir nicht mehr?',
+            fields: {
+              'letting-go-reflection': 'Was bist du bereit, aus dem vergangenen Jahr loszulassen?'
+            }
+          },
+          'life-areas-past': {
+            title: 'Lebensbereiche bewerten',
+            description: 'Bewerte deine Zufriedenheit in jedem Lebensbereich im vergangenen Jahr (1 = sehr unzufrieden, 10 = sehr zufrieden). Notiere, was zu deiner Bewertung beigetragen hat.'
+          },
+          'past-year-summary': {
+            title: 'Zusammenfassung des vergangenen Jahres',
+            description: 'Schließe deinen Rückblick auf das vergangene Jahr ab.',
+            fields: {
+              'word-1': 'Wort #1, das dein vergangenes Jahr beschreibt:',
+              'word-2': 'Wort #2, das dein vergangenes Jahr beschreibt:',
+              'word-3': 'Wort #3, das dein vergangenes Jahr beschreibt:',
+              'book-title': 'Wenn ein Buch oder Film über dein vergangenes Jahr gemacht würde, welchen Titel würdest du ihm geben?',
+              'farewell-letter': 'Schreib dem vergangenen Jahr einen Abschiedsbrief. Danke ihm, würdige es und lass es gehen.'
+            }
+          },
+          'dare-to-dream': {
+            title: 'Wage zu träumen',
+            description: 'Schließ die Augen und stell dir das kommende Jahr vor. Wie sieht das ideale Jahr aus? Lass Erwartungen los und trau dich, groß zu träumen.',
+            fields: {
+              dreams: 'Wie sieht das kommende Jahr aus? Warum wird es großartig? Was würde in einer idealen Welt passieren?'
+            }
+          },
+          'magical-triplets': {
+            title: 'Magische Dreier',
+            description: 'Vervollständige jede Dreiergruppe. Denk nicht zu lange nach - schreib auf, was dir einfällt.'
+          },
+          affirmations: {
+            title: 'Bekräftigungen',
+            description: 'Vervollständige diese Sätze, um deine Absichten für das kommende Jahr festzulegen.',
+            fields: {
+              'special-because': 'Dieses Jahr wird für mich besonders, weil...',
+              'advise-myself': 'Dieses Jahr rate ich mir...',
+              'say-yes-when': 'Dieses Jahr sage ich Ja, wenn...',
+              'bravest-when': 'Dieses Jahr bin ich am mutigsten, wenn...',
+              'energy-from': 'Dieses Jahr schöpfe ich die meiste Energie aus...',
+              'not-procrastinate': 'Dieses Jahr schiebe ich nicht länger auf...'
+            }
+          },
+          'word-of-year': {
+            title: 'Wort des Jahres',
+            description: 'Wähle ein einziges Wort, das das kommende Jahr symbolisiert und prägt. Dieses Wort kann dein Anker sein - schau es an, wenn du zusätzliche Energie oder Orientierung brauchst.',
+            fields: {
+              word: 'Mein Wort für das Jahr:',
+              'word-meaning': 'Warum hast du dieses Wort gewählt? Was bedeutet es dir?'
+            }
+          },
+          'secret-wish': {
+            title: 'Geheimer Wunsch',
+            description: 'Lass deinen Gedanken freien Lauf. Was ist dein tiefster, geheimster Wunsch für das kommende Jahr?',
+            fields: {
+              'secret-wish': 'Mein geheimer Wunsch für dieses Jahr:'
+            }
+          },
+          'life-areas-future': {
+            title: 'Ziele für die Lebensbereiche',
+            description: 'Lege für jeden Lebensbereich deine Absichten für das kommende Jahr fest. Was möchtest du erreichen? Welche Schritte wirst du unternehmen?'
+          },
+          commitment: {
+            title: 'Verpflichtung',
+            description: 'Besiegle deine Absichten mit einem Versprechen an dich selbst.',
+            fields: {
+              'commitment-statement': 'Ich verpflichte mich, meine Ziele zu verfolgen und nach meinen Werten zu leben. Ich werde freundlich zu mir sein, wenn ich hinter meinen Erwartungen zurückbleibe, und meine Fortschritte feiern.',
+              signature: 'Dein Name (als Unterschrift):',
+              date: 'Heutiges Datum:'
+            }
+          }
+        }
+      },
+
+      'half-year@1': {
+        title: 'Halbjahres-Rückblick',
+        description: 'Ein kürzerer Rückblick zur Jahresmitte. Dauert etwa eine Stunde.',
+        parts: { 1: 'Die vergangenen sechs Monate', 2: 'Die nächsten sechs Monate' },
+        sections: {
+          intro: {
+            title: 'Halbjahres-Rückblick',
+            content: `
+              <div class="intro-content">
+                <p class="intro-lead">Die Hälfte ist geschafft. Nimm dir eine Stunde, um auf die letzten sechs Monate zurückzublicken und den Kurs für die nächsten sechs anzupassen.</p>
+                <p>Dein Fortschritt wird automatisch gespeichert. Klicke auf <strong>Weiter</strong>, wenn du bereit bist.</p>
+              </div>
+            `
+          },
+          'calendar-review': {
+            title: 'Kalender-Rückblick',
+            description: 'Geh deinen Kalender der letzten sechs Monate durch. Schreib wichtige Ereignisse, Meilensteine und bedeutsame Momente auf.',
+            fields: {
+              'calendar-notes': 'Lass die letzten sechs Monate Revue passieren:'
+            }
+          },
+          highlights: {
+            title: 'Höhepunkte',
+            description: 'Erinnere dich an die schönsten Momente der letzten sechs Monate.',
+            fields: {
+              'greatest-moments': 'Was waren die schönsten Momente der letzten sechs Monate?'
+            }
+          },
+          'accomplishments-challenges': {
+            title: 'Erfolge & Herausforderungen',
+            description: 'Denk darüber nach, was du erreicht hast und was schwierig war.',
+            fields: {
+              'accomplishment-1': 'Mein größter Erfolg:',
+              'challenge-1': 'Meine größte Herausforderung:'
+            }
+          },
+          'life-areas-past': {
+            title: 'Lebensbereiche bewerten',
+            description: 'Bewerte deine Zufriedenheit in jedem Lebensbereich in den letzten sechs Monaten (1 = sehr unzufrieden, 10 = sehr zufrieden).'
+          },
+          'magical-triplets': {
+            title: 'Magische Dreier',
+            description: 'Vervollständige jede Dreiergruppe für den Rest des Jahres.'
+          },
+          'life-areas-future': {
+            title: 'Ziele für die Lebensbereiche',
+            description: 'Sieh dir deine Ziele für jeden Lebensbereich noch einmal an. Was möchtest du bis zum Jahresende erreichen?'
+          },
+          commitment: {
+            title: 'Verpflichtung',
+            description: 'Besiegle deine Absichten mit einem Versprechen an dich selbst.',
+            fields: {
+              'commitment-statement': 'Was werde ich in den nächsten sechs Monaten anders machen?'
+            }
+          }
+        }
+      },
+
+      'quarterly@1': {
+        title: 'Quartals-Rückblick',
+        description: 'Ein schneller Blick zurück und nach vorn am Ende jedes Quartals. Dauert etwa 20 Minuten.',
+        parts: { 1: 'Das vergangene Quartal', 2: 'Das nächste Quartal' },
+        sections: {
+          intro: {
+            title: 'Quartals-Rückblick',
+            content: `
+              <div class="intro-content">
+                <p class="intro-lead">Wieder ein Quartal geschafft. Zwanzig Minuten, um zu sehen, wo du stehst und was als Nächstes kommt.</p>
+                <p>Dein Fortschritt wird automatisch gespeichert. Klicke auf <strong>Weiter</strong>, wenn du bereit bist.</p>
+              </div>
+            `
+          },
+          highlights: {
+            title: 'Höhepunkte',
+            description: 'Was lief gut in diesem Quartal?',
+            fields: {
+              'greatest-moments': 'Was lief gut in diesem Quartal?'
+            }
+          },
+          'accomplishments-challenges': {
+            title: 'Erfolge & Herausforderungen',
+            description: 'Was stand dir im Weg?',
+            fields: {
+              'challenge-1': 'Meine größte Herausforderung in diesem Quartal:'
+            }
+          },
+          'life-areas-past': {
+            title: 'Lebensbereiche bewerten',
+            description: 'Bewerte deine Zufriedenheit in jedem Lebensbereich in diesem Quartal (1 = sehr unzufrieden, 10 = sehr zufrieden).'
+          },
+          'magical-triplets': {
+            title: 'Magische Dreier',
+            description: 'Drei Dinge für die nächsten drei Monate.'
+          }
+        }
+      }
+    }
+  }
+};
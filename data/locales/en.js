@@ -0,0 +1,392 @@
+/**
+ * English Strings
+ * The app's own text; every other bundle falls back to these
+ *
+ * Keys are grouped by where the text shows up. A value can be an object of
+ * plural forms ({ one, other }) picked by the `count` placeholder. Question
+ * content is written in English in data/questions.js and data/packs.js, so
+ * this bundle has no `content` translations.
+ */
+
+export const en = {
+  code: 'en',
+  name: 'English',
+  strings: {
+    // Page shell (index.html)
+    'app.description': 'YearCompass - A digital tool for yearly reflection and planning',
+    'app.skipLink': 'Skip to main content',
+    'app.toggleNavigation': 'Toggle navigation',
+    'app.selectYear': 'Select year',
+    'app.progressLabel': 'Completion progress',
+    'app.sectionNavigation': 'Section navigation',
+    'app.tools': 'Tools',
+    'app.search': 'Search',
+    'app.checkIn': 'Check-in',
+    'app.compareYears': 'Compare Years',
+    'app.backup': 'Backup & Restore',
+    'app.settings': 'Settings',
+    'app.loading': 'Loading YearCompass...',
+    'app.exportPdf': 'Export to PDF',
+    'common.close': 'Close',
+    'common.cancel': 'Cancel',
+
+    // Navigation
+    'nav.previous': 'Previous',
+    'nav.next': 'Next',
+    'nav.begin': 'Begin Your Journey',
+    'nav.part': 'Part {number}: {name}',
+    'part.0': 'Introduction',
+    'part.1': 'The Past Year',
+    'part.2': 'The Year Ahead',
+    'nav.started': 'Started',
+    'nav.private': 'Private',
+    'nav.hasPrivate': 'Has private answers',
+    'nav.skipNudge': 'You can come back to this anytime',
+    'nav.navigatedTo': 'Navigated to {title}',
+    'nav.progress': '{percent}% complete',
+
+    // Save indicator
+    'save.ready': 'Ready',
+    'save.saving': 'Saving...',
+    'save.saved': 'Saved',
+    'save.unsaved': 'Unsaved changes',
+    'save.failed': 'Save failed –',
+    'save.failedAnnounce': 'Your changes could not be saved',
+    'save.retry': 'retry',
+    'save.announce': 'Progress saved',
+    'save.justSaved': 'Just saved',
+    'save.momentsAgo': 'Saved moments ago',
+    'save.minutesAgo': { one: 'Saved 1 minute ago', other: 'Saved {count} minutes ago' },
+    'save.hoursAgo': { one: 'Saved 1 hour ago', other: 'Saved {count} hours ago' },
+    'save.at': 'Saved {time}',
+
+    // Years
+    'year.startNew': '+ Start New Year',
+    'year.startTitle': 'Start a New Year',
+    'year.startWith': 'Start your {year} YearCompass with:',
+    'year.pack': 'Question pack',
+    'year.language': 'Language',
+    'year.start': 'Start',
+    'year.pastLocked': 'This is from a past year. It\'s read-only so it stays as you wrote it.',
+    'year.editThisYear': 'Edit This Year',
+    'year.pastUnlocked': 'You\'re editing a past year.',
+    'year.lockAgain': 'Lock again',
+    'year.readyToStart': 'Ready to start your {year} YearCompass?',
+    'year.letsBegin': 'Let\'s Begin',
+    'year.notYet': 'Not Yet',
+
+    // Sections
+    'section.skip': 'Skip this step',
+    'section.skipLabel': 'Skip {title}',
+    'focus.previous': '← Previous question',
+    'focus.next': 'Next question →',
+    'focus.position': '{current} of {total}',
+    'areas.notes': 'Notes...',
+    'areas.notesFor': 'Notes for {area}',
+    'areas.ratingFor': 'Rating for {area}',
+    'areas.ratingValue': '{value} out of 10',
+    'areas.lastYearsGoal': 'Last year\'s goal',
+    'areas.plannedActions': 'Planned actions',
+    'areas.howDidItGo': 'How did it go?',
+    'goals.goal': 'What do you want to achieve?',
+    'goals.actions': 'What actions will you take?',
+    'goals.goalFor': 'Goal for {area}',
+    'goals.actionsFor': 'Actions for {area}',
+    'triplets.item': '{prompt} - item {number}',
+
+    // Print, PDF and text documents
+    'document.part1': 'Part One: {name}',
+    'document.part2': 'Part Two: {name}',
+    'document.area': 'Area',
+    'document.rating': 'Rating',
+    'document.notes': 'Notes',
+    'document.outcome': 'Outcome: {status}',
+    'document.outcomeColumn': 'Outcome',
+    'document.checkIns': 'Check-ins',
+    'document.howIsItGoing': 'How is it going?',
+    'document.exportedOn': 'Exported on {date}',
+    'document.lastEditedOn': 'Last edited on {date}',
+    'document.pageOf': 'Page {page} of {pages}',
+    'pdf.noData': 'No year data to export. Please fill in some content first.',
+    'pdf.privateNote': 'Some answers in this year are marked private. They\'re left out unless you include them.',
+    'pdf.withoutPrivate': 'Export without private answers',
+    'pdf.includePrivate': 'Include private answers',
+
+    // Settings
+    'settings.title': 'Settings',
+    'settings.language': 'Language',
+    'settings.languageHelp': 'Each year keeps the language it was started in.',
+    'settings.theme': 'Theme',
+    'settings.theme.light': 'Light',
+    'settings.theme.dark': 'Dark',
+    'settings.fontSize': 'Text size',
+    'settings.fontSize.small': 'Small',
+    'settings.fontSize.medium': 'Medium',
+    'settings.fontSize.large': 'Large',
+    'settings.markdownPreview': 'Show formatted text',
+    'settings.markdownPreview.onBlur': 'When I leave a field',
+    'settings.markdownPreview.always': 'Always, except while I\'m editing',
+    'settings.markdownPreview.manual': 'Only when I click Preview',
+    'settings.focusMode': 'Questions on screen',
+    'settings.focusMode.off': 'All questions of a section',
+    'settings.focusMode.on': 'One at a time (Ctrl+Enter for the next, Ctrl+Shift+Enter to go back)',
+
+    // Passphrase lock
+    'lock.title': 'YearCompass is locked',
+    'lock.prompt': 'Enter your passphrase to open your answers.',
+    'lock.passphrase': 'Passphrase',
+    'lock.unlock': 'Unlock',
+    'lock.unlocking': 'Unlocking…',
+    'lock.wrong': 'That passphrase didn\'t work. Try again.',
+    'lock.damaged': 'That\'s the right passphrase, but your saved answers couldn\'t be opened. They may be damaged. Reload the page to try again.',
+    'lock.forgot': 'Forgot your passphrase?',
+    'lock.confirmErase': 'Without the passphrase your answers can\'t be recovered. Erase everything on this device and start over?',
+    'lock.legend': 'Passphrase lock',
+    'lock.unavailable': 'Not available here. Open YearCompass over https (or from localhost) to lock your answers with a passphrase.',
+    'lock.onHelp': 'On. Your answers are encrypted on this device, and YearCompass asks for your passphrase each time it opens.',
+    'lock.current': 'Current passphrase',
+    'lock.new': 'New passphrase',
+    'lock.repeatNew': 'Repeat new passphrase',
+    'lock.change': 'Change passphrase',
+    'lock.turnOff': 'Turn off lock',
+    'lock.offHelp': 'Encrypt your answers on this device so nobody else using this browser can read them.',
+    'lock.repeat': 'Repeat passphrase',
+    'lock.forgetWarning': 'If you forget it, your answers can\'t be recovered. Keep a backup somewhere safe.',
+    'lock.turnOn': 'Turn on lock',
+    'lock.tooShort': 'Use at least {count} characters.',
+    'lock.mismatch': 'The passphrases don\'t match.',
+    'lock.working': 'Working…',
+    'lock.currentWrong': 'Your current passphrase is wrong.',
+    'lock.turnedOn': 'Lock turned on. Your answers are now encrypted.',
+    'lock.changed': 'Passphrase changed.',
+    'lock.turnedOff': 'Lock turned off. Your answers are stored unencrypted again.',
+    'lock.notSaved': 'The change couldn\'t be saved yet. It will be tried again with your next edit.',
+
+    // Question packs
+    'packs.legend': 'Question packs',
+    'packs.help': 'Pick a pack when you start a new year. Add your own from a JSON file (see SPEC.md for the format).',
+    'packs.add': 'Add a pack',
+    'packs.name': '{title} (version {version})',
+    'packs.remove': 'Remove',
+    'packs.removeLabel': 'Remove {title}',
+    'packs.notJson': 'The file is not valid JSON.',
+    'packs.invalid': 'This isn\'t a question pack YearCompass can use: {problem}',
+    'packs.problem.notObject': 'it isn\'t an object.',
+    'packs.problem.id': '"id" must be lowercase letters, digits and dashes.',
+    'packs.problem.version': '"version" must be a whole number from 1.',
+    'packs.problem.title': '"title" is missing.',
+    'packs.problem.description': '"description" must be plain text.',
+    'packs.problem.parts': '"parts" must map part numbers to plain-text names.',
+    'packs.problem.sections': '"sections" must be a list of sections.',
+    'packs.problem.duplicateSection': 'section "{section}" appears twice.',
+    'packs.problem.sectionId': 'every section needs an "id" of lowercase letters, digits and dashes.',
+    'packs.problem.sectionPart': 'section "{section}" needs a "part" of 0, 1 or 2.',
+    'packs.problem.sectionTitle': 'section "{section}" needs a plain-text "title".',
+    'packs.problem.sectionDescription': 'section "{section}" has a "description" that isn\'t plain text.',
+    'packs.problem.sectionType': 'section "{section}" has an unknown "type".',
+    'packs.problem.sectionContent': 'section "{section}" needs its "content" as Markdown text.',
+    'packs.problem.sectionTriplets': 'section "{section}" needs "triplets" with an "id" and "prompt" each.',
+    'packs.problem.sectionFields': 'section "{section}" needs "fields".',
+    'packs.problem.fieldId': 'section "{section}" has a field without a unique "id".',
+    'packs.problem.fieldType': 'field "{field}" needs a "type" of text or textarea.',
+    'packs.problem.fieldPrompt': 'field "{field}" needs a plain-text "prompt".',
+    'packs.problem.fieldRows': 'field "{field}" needs "rows" from 1 to 30.',
+    'packs.problem.fieldMarkdown': 'field "{field}" needs "markdown" as true or false.',
+    'packs.builtInId': '"{id}" is the ID of a built-in pack. Give your pack its own ID.',
+    'packs.alreadyAdded': '{title} (version {version}) is already added.',
+    'packs.versionChanged': 'Version {version} of "{id}" is already added with different questions. Raise the version number to add the changes.',
+    'packs.added': 'Added {title} (version {version}).',
+    'packs.inUse': 'This pack is used by {years}.',
+    'packs.removed': 'Pack removed.',
+
+    // Answer history, private answers and formatted text
+    'history.toggle': 'History',
+    'history.label': 'Earlier versions',
+    'history.empty': 'No earlier versions yet. A version is kept each time you start editing this answer.',
+    'history.restore': 'Restore',
+    'privacy.reveal': 'Show private answer',
+    'privacy.sectionPrivate': '🔒 Private section',
+    'privacy.makeSectionPrivate': 'Make section private',
+    'privacy.fieldPrivate': '🔒 Private',
+    'privacy.makePrivate': 'Make private',
+    'markdown.edit': 'Edit',
+    'markdown.preview': 'Preview',
+    'markdown.toggle': 'Toggle markdown preview',
+
+    // Customizing life areas
+    'areas.customize': 'Customize life areas',
+    'areas.customizeTitle': 'Customize Life Areas',
+    'areas.customizeHelp': 'Choose which areas to reflect on this year. Hiding an area keeps anything you wrote for it.',
+    'areas.addLabel': 'Add a life area',
+    'areas.addPlaceholder': 'e.g. Volunteering',
+    'areas.add': 'Add',
+    'areas.show': 'Show {area}',
+    'areas.labelFor': 'Label for {area}',
+    'areas.remove': 'Remove',
+    'areas.removeLabel': 'Remove {area}',
+    'areas.confirmRemove': 'Remove "{area}"? Anything you wrote for it will no longer be shown.',
+
+    // A life area's answers in search results, conflicts and imports ("Family - notes")
+    'answer.rating': 'rating',
+    'answer.notes': 'notes',
+    'answer.goalStatus': 'last year\'s goal',
+    'answer.goal': 'goal',
+    'answer.actions': 'actions',
+
+    // Search
+    'search.placeholder': 'Search all your answers',
+    'search.none': 'No answers match.',
+    'search.tooMany': 'Showing the first {shown} of {count} answers. Add a word to narrow it down.',
+    'search.count': { one: '{count} answer', other: '{count} answers' },
+
+    // Changes from other tabs
+    'sync.updated': 'Updated with changes from another tab',
+    'sync.title': 'Changed in Another Tab',
+    'sync.help': 'YearCompass is open in another tab, and the things below were changed there and here. Choose which version to keep.',
+    'sync.thisTab': 'This tab',
+    'sync.keepMine': 'Keep this tab\'s',
+    'sync.otherTab': 'Other tab',
+    'sync.useTheirs': 'Use other tab\'s',
+    'sync.empty': '(empty)',
+    'sync.removed': '(removed)',
+    'sync.areaName': 'Life area name',
+    'sync.addedArea': 'Added life area',
+
+    // Check-ins
+    'checkIn.due': 'Time for your {month} check-in with your {year} YearCompass.',
+    'checkIn.checkIn': 'Check In',
+    'checkIn.later': 'Later',
+    'checkIn.title': 'Check-in: {year}',
+    'checkIn.date': 'Check-in date',
+    'checkIn.lifeAreas': 'Life Areas',
+    'checkIn.ratingsHint': 'Where is each area now? Ratings start from your last check-in.',
+    'checkIn.save': 'Save Check-in',
+    'checkIn.update': 'Update Check-in',
+    'checkIn.saved': 'Check-in saved',
+    'checkIn.wordOfYear': 'Word of the Year',
+    'checkIn.nothingYet': 'Your word of the year, the things you want to achieve the most and your life area goals show up here once you\'ve written them.',
+    'checkIn.goals': 'Life Area Goals',
+    'checkIn.goalsHint': 'A line or two on how each goal is going.',
+    'checkIn.howIsItGoing': 'How is it going?',
+    'checkIn.actions': 'Actions:',
+    'checkIn.lastNote': 'Last check-in ({date}): {note}',
+    'checkIn.earlier': 'Earlier Check-ins',
+    'checkIn.ratingCount': { one: '1 rating', other: '{count} ratings' },
+    'checkIn.noteCount': { one: '1 note', other: '{count} notes' },
+    'checkIn.delete': 'Delete',
+    'checkIn.deleteLabel': 'Delete the check-in of {date}',
+    'checkIn.confirmDelete': 'Delete the check-in of {date}?',
+    'checkIn.reminders': 'Reminders',
+    'checkIn.remindMe': 'Remind me to check in',
+    'checkIn.frequency.off': 'Never',
+    'checkIn.frequency.monthly': 'Monthly',
+    'checkIn.frequency.quarterly': 'Quarterly',
+    'checkIn.anyTime': 'You can still check in any time from Tools.',
+    'checkIn.dueNow': 'A check-in is due now.',
+    'checkIn.next': 'Next check-in: {date}.',
+    'checkIn.noneLeft': 'No check-ins left in this year.',
+    'checkIn.remindOnOpen': 'You\'ll be reminded when you open YearCompass.',
+    'checkIn.notifyOn': 'You\'ll also get a notification when a check-in is due.',
+    'checkIn.notifyBlocked': 'Notifications are blocked for this site, so you\'ll be reminded when you open YearCompass.',
+    'checkIn.notifyMe': 'Notify Me Too',
+    'checkIn.notifyTitle': 'Time for a YearCompass check-in',
+    'checkIn.notifyBody': 'See how your {year} goals are going.',
+
+    // Compare years
+    'dashboard.empty': 'No ratings yet. Rate your life areas in the <strong>Life Areas Assessment</strong> and they\'ll show up here, next to every other year you\'ve rated.',
+    'dashboard.year': 'Year',
+    'dashboard.chartLabel': 'Radar chart of life area ratings',
+    'dashboard.area': 'Life area',
+    'dashboard.previous': 'Previous',
+    'dashboard.change': 'Change',
+    'dashboard.overTime': 'Over time',
+    'dashboard.checkIns': 'Check-ins',
+    'dashboard.assessment': 'Assessment',
+    'dashboard.noRatings': 'no ratings',
+
+    // Backup & restore
+    'backup.export': 'Export',
+    'backup.exportHelp': 'Download all your years as a JSON file. Keep it somewhere safe - clearing browser data removes everything stored here.',
+    'backup.encrypted': 'Your passphrase lock is on, so the backup is encrypted. You\'ll need the passphrase to restore it. Markdown and text documents are not encrypted.',
+    'backup.includePrivate': 'Include answers marked private',
+    'backup.privateHelp': 'Private answers are left out unless you include them. A file without them can\'t bring them back, so include them when the file is only for you.',
+    'backup.download': 'Download Backup',
+    'backup.documentHelp': 'Or download one year\'s answers as a document for a notes app, a journal folder or git:',
+    'backup.year': 'Year',
+    'backup.markdown': 'Markdown',
+    'backup.plainText': 'Plain Text',
+    'backup.snapshot': 'Your data was upgraded to a new format on {date}.',
+    'backup.snapshotDownload': 'Download the copy from before the upgrade',
+    'backup.snapshotRestore': 'Restore the copy from before the upgrade',
+    'backup.confirmSnapshotRestore': 'Replace your data with the copy from before the upgrade? Changes made since then will be lost. The copy won\'t be upgraded again until the next version of YearCompass.',
+    'backup.snapshotRestored': 'The copy from before the upgrade was restored.',
+    'backup.snapshotRestoreFailed': 'The copy from before the upgrade could not be restored.',
+    'backup.restore': 'Restore',
+    'backup.restoreHelp': 'Choose a backup file, or a Markdown document laid out like the Markdown download to import its answers into a year. You\'ll see what it contains before anything is changed.',
+    'backup.locked': 'This backup is locked. Enter the passphrase it was made with.',
+    'backup.wrongPassphrase': 'That passphrase didn\'t unlock this backup.',
+    'backup.noYears': 'This backup doesn\'t contain any years.',
+    'backup.exists': 'Already on this device',
+    'backup.noAnswers': 'No answers yet',
+    'backup.mode': 'How should this backup be restored?',
+    'backup.mode.merge': 'Merge per year - years in the file replace the same years here, other years are kept',
+    'backup.mode.replace': 'Replace everything - all data on this device is replaced by the file',
+    'backup.restoreButton': 'Restore Backup',
+    'backup.confirmReplace': 'Replace all YearCompass data on this device with this backup?',
+    'backup.importInto': 'Import into',
+    'backup.noneFound': 'No answers were found. Use the section titles and questions as headings, like the Markdown download does.',
+    'backup.found': {
+      one: '1 answer found: {added} new, {conflicts} different from what\'s here, {same} unchanged.',
+      other: '{count} answers found: {added} new, {conflicts} different from what\'s here, {same} unchanged.'
+    },
+    'backup.new': 'New answers',
+    'backup.different': 'Different from your current answers',
+    'backup.unchanged': 'Unchanged',
+    'backup.here': 'Here:',
+    'backup.file': 'File:',
+    'backup.unmatched': 'Not matched',
+    'backup.unmatchedHelp': 'This text isn\'t under a heading that matches a question, so it won\'t be imported.',
+    'backup.beforeFirstHeading': 'Before the first heading',
+    'backup.replaceConflicts': 'Replace my answers with the file\'s where they differ',
+    'backup.import': 'Import Answers',
+    'backup.yearLocked': 'This year is locked. Unlock it before importing answers into it.',
+    'backup.nothingNew': 'Everything in this file is already here.',
+    'backup.imported': { one: 'Imported 1 answer.', other: 'Imported {count} answers.' },
+    'import.notJson': 'The file is not valid JSON data.',
+    'import.invalid': 'The imported data is not valid YearCompass data.',
+    'import.locked': 'This backup is locked with a passphrase.',
+    'import.newerVersion': 'This backup was made with a newer version of YearCompass.',
+    'import.upgradeFailed': 'This backup could not be upgraded to the current format.',
+    'import.saveFailed': 'Could not save imported data. Storage may be full.',
+    'import.done': 'Data imported successfully.',
+
+    // Storage errors
+    'errors.unavailableTitle': 'Storage Unavailable',
+    'errors.unavailable': 'Browser storage is not available. Your browser may be in private mode or have storage disabled. Your progress cannot be saved.',
+    'errors.unavailableHelp': 'Your browser cannot save data. Try disabling private browsing mode or enabling cookies.',
+    'errors.fullTitle': 'Storage Full',
+    'errors.full': 'Storage is full. Please export your data and clear old entries to continue saving.',
+    'errors.noSpaceToUpgrade': 'There is not enough space to back up your data before upgrading it. Please export your data and clear old entries.',
+    'errors.fullHelp': 'Export your data to create a backup, then try clearing old entries.',
+    'errors.upgradeTitle': 'Upgrade Failed',
+    'errors.upgradeFailed': 'Your saved data could not be upgraded ({reason}). It has been left as it was.',
+    'errors.upgradeHelp': 'Nothing was lost. Export your data to keep a backup, then reload to try again.',
+    'errors.lockTitle': 'Passphrase Lock',
+    'errors.cantUnlock': 'Your answers are locked with a passphrase, but this browser can\'t unlock them here. Open YearCompass over https or from localhost.',
+    'errors.otherTabLock': 'The passphrase lock was changed in another tab. Reload this tab to keep saving your answers.',
+    'errors.lockHelp': 'Changes made in this tab are not being saved.',
+    'errors.versionTitle': 'Different Version',
+    'errors.newerVersion': 'Your data was saved by a newer version of YearCompass. Some answers may not appear here.',
+    'errors.otherTabVersion': 'YearCompass is open in another tab running a different version. Reload both tabs to keep your changes in sync.',
+    'errors.versionHelp': 'Changes made in this tab are not being saved, so nothing the other version wrote is overwritten. Reload the page to get the latest version.',
+    'errors.notAnObject': 'Stored data is not a valid object. Starting fresh.',
+    'errors.corrupted': 'Your saved data appears to be corrupted. Starting with a fresh workspace.',
+    'errors.loadFailed': 'An unexpected error occurred while loading your data.',
+    'errors.saveFailed': 'Failed to save your progress. Please try again or export your data.',
+    'errors.export': 'Export Data',
+    'errors.dismiss': 'Dismiss',
+    'errors.startFailedTitle': 'Something went wrong',
+    'errors.startFailed': 'Failed to load YearCompass. Please refresh the page.',
+    'errors.refresh': 'Refresh Page'
+  }
+};
@@ -0,0 +1,165 @@
+/**
+ * Built-in Question Packs
+ * The booklets a year can be created with
+ *
+ * A pack is { id, version, title, description, parts, sections }, where
+ * sections follow the structure in data/questions.js and parts optionally
+ * renames Part 1 and Part 2. Years store the pack's id and version, so a
+ * version that has shipped must never be edited - add the changed pack again
+ * with the next version number and keep the old one for the years made with it.
+ *
+ * Sections that reuse an official section ID (e.g. 'life-areas-past') share
+ * its answers' meaning, so Compare Years and check-ins work across packs.
+ */
+
+import { sections, magicalTriplets } from './questions.js';
+
+/**
+ * Pack used for new years unless another is picked, and for years that
+ * don't record one
+ */
+export const DEFAULT_PACK = { id: 'yearcompass', version: 1 };
+
+/**
+ * Copy an official section, changing some of its properties
+ * @param {string} id - Section ID
+ * @param {Object} changes - Properties to replace
+ * @returns {Object} Section
+ */
+function officialSection(id, changes = {}) {
+  return { ...sections.find(s => s.id === id), ...changes };
+}
+
+/**
+ * Pick official triplets by ID
+ * @param {Array<string>} ids - Triplet IDs
+ * @returns {Array} Triplets
+ */
+function officialTriplets(ids) {
+  return ids.map(id => magicalTriplets.find(t => t.id === id));
+}
+
+export const builtInPacks = [
+  {
+    id: 'yearcompass',
+    version: 1,
+    title: 'YearCompass',
+    description: 'The full booklet: close the past year and plan the next. Takes 3-4 hours.',
+    sections
+  },
+  {
+    id: 'half-year',
+    version: 1,
+    title: 'Half-Year Review',
+    description: 'A shorter review halfway through the year. Takes about an hour.',
+    parts: { 1: 'The Past Six Months', 2: 'The Next Six Months' },
+    sections: [
+      {
+        id: 'intro',
+        part: 0,
+        title: 'Half-Year Review',
+        type: 'info',
+        skippable: false,
+        content: `
+          <div class="intro-content">
+            <p class="intro-lead">Halfway there. Take an hour to look back at the last six months and adjust course for the next six.</p>
+            <p>Your progress saves automatically. Click <strong>Next</strong> when you're ready.</p>
+          </div>
+        `
+      },
+      officialSection('calendar-review', {
+        description: 'Go through your calendar for the last six months. Write down important events, milestones, and significant moments.',
+        fields: [
+          { id: 'calendar-notes', type: 'textarea', rows: 10, markdown: true, prompt: 'Review the last six months:' }
+        ]
+      }),
+      officialSection('highlights', {
+        description: 'Recall the best moments of the last six months.',
+        fields: [
+          {
+            id: 'greatest-moments',
+            type: 'textarea',
+            prompt: 'What were the best moments of the last six months?',
+            rows: 5,
+            markdown: true
+          }
+        ]
+      }),
+      officialSection('accomplishments-challenges', {
+        description: 'Reflect on what you achieved and what was difficult.',
+        fields: [
+          { id: 'accomplishment-1', type: 'text', prompt: 'My greatest accomplishment:' },
+          { id: 'challenge-1', type: 'text', prompt: 'My biggest challenge:' }
+        ]
+      }),
+      officialSection('life-areas-past', {
+        description: 'Rate your satisfaction in each area of life over the last six months (1 = very dissatisfied, 10 = very satisfied).'
+      }),
+      officialSection('magical-triplets', {
+        description: 'Complete each set of three for the rest of the year.',
+        triplets: officialTriplets(['achieve', 'let-go', 'say-no'])
+      }),
+      officialSection('life-areas-future', {
+        description: 'Look at your goals for each area of life again. What do you want to achieve by the end of the year?'
+      }),
+      officialSection('commitment', {
+        fields: [
+          {
+            id: 'commitment-statement',
+            type: 'textarea',
+            prompt: 'What will I do differently in the next six months?',
+            rows: 4,
+            markdown: true
+          }
+        ]
+      })
+    ]
+  },
+  {
+    id: 'quarterly',
+    version: 1,
+    title: 'Quarterly Review',
+    description: 'A quick look back and ahead at the end of each quarter. Takes about 20 minutes.',
+    parts: { 1: 'The Past Quarter', 2: 'The Next Quarter' },
+    sections: [
+      {
+        id: 'intro',
+        part: 0,
+        title: 'Quarterly Review',
+        type: 'info',
+        skippable: false,
+        content: `
+          <div class="intro-content">
+            <p class="intro-lead">Another quarter done. Twenty minutes to see where you are and what comes next.</p>
+            <p>Your progress saves automatically. Click <strong>Next</strong> when you're ready.</p>
+          </div>
+        `
+      },
+      officialSection('highlights', {
+        description: 'What went well this quarter?',
+        fields: [
+          {
+            id: 'greatest-moments',
+            type: 'textarea',
+            prompt: 'What went well this quarter?',
+            rows: 4,
+            markdown: true
+          }
+        ]
+      }),
+      officialSection('accomplishments-challenges', {
+        description: 'What got in the way?',
+        fields: [
+          { id: 'challenge-1', type: 'text', prompt: 'My biggest challenge this quarter:' }
+        ]
+      }),
+      officialSection('life-areas-past', {
+        description: 'Rate your satisfaction in each area of life this quarter (1 = very dissatisfied, 10 = very satisfied).'
+      }),
+      officialSection('magical-triplets', {
+        description: 'Three things for the next three months.',
+        triplets: officialTriplets(['achieve'])
+      })
+    ]
+  }
+];
@@ -26,6 +26,32 @@ export const lifeAreas = [
   { id: 'other', label: 'Other' }
 ];
 
+/**
+ * Resolve the life areas used by one year
+ * Applies the year's custom labels, hidden areas and user-defined areas.
+ * @param {Object} config - Year's life area settings { labels, hidden, custom }
+ * @param {Object} translatedLabels - Built-in area names in the year's language, by ID (optional)
+ * @returns {Array} Life areas in display order, as { id, label, custom }
+ */
+export function resolveLifeAreas(config = {}, translatedLabels = {}) {
+  const labels = config.labels || {};
+  const hidden = config.hidden || [];
+  const custom = (config.custom || []).map(area => ({ ...area, custom: true }));
+
+  return [...lifeAreas, ...custom]
+    .filter(area => !hidden.includes(area.id))
+    .map(area => ({ ...area, label: labels[area.id]?.trim() || translatedLabels[area.id] || area.label }));
+}
+
+/**
+ * Outcomes for last year's life area goals, picked during the assessment
+ */
+export const goalStatuses = [
+  { id: 'achieved', label: 'Achieved' },
+  { id: 'partly', label: 'Partly achieved' },
+  { id: 'dropped', label: 'Dropped' }
+];
+
 /**
  * Magical triplets for Part 2
  */
@@ -353,6 +379,53 @@ export function getSection(id) {
   return sections.find(s => s.id === id);
 }
 
+/**
+ * Describe a stored answer for display outside its section
+ * @param {string} sectionId - Section ID
+ * @param {string} fieldId - Field ID as stored in answers
+ * @param {Object} lifeAreaConfig - Year's life area settings (optional)
+ * @param {Array} packSections - Sections of the year's question pack (optional)
+ * @param {Object} translatedLabels - Built-in area names in the year's language (optional)
+ * @param {Object} answerLabels - Names for a life area's answers (rating, notes…) in the year's language (optional)
+ * @returns {Object} { sectionTitle: string, label: string }
+ */
+export function describeField(sectionId, fieldId, lifeAreaConfig = {}, packSections = sections, translatedLabels = {}, answerLabels = {}) {
+  const section = packSections.find(s => s.id === sectionId);
+  if (!section) {
+    return { sectionTitle: sectionId, label: fieldId };
+  }
+
+  let label = fieldId;
+
+  if (section.type === 'triplets') {
+    const triplet = section.triplets.find(t => fieldId.startsWith(`${t.id}-`));
+    if (triplet) {
+      label = `${triplet.prompt} (#${fieldId.slice(triplet.id.length + 1)})`;
+    }
+  } else if (section.type === 'life-areas' || section.type === 'life-areas-goals') {
+    const suffixes = {
+      rating: 'rating',
+      notes: 'notes',
+      'goal-status': 'last year\'s goal',
+      goal: 'goal',
+      actions: 'actions',
+      ...answerLabels
+    };
+    const area = resolveLifeAreas({ ...lifeAreaConfig, hidden: [] }, translatedLabels)
+      .find(a => fieldId.startsWith(`${a.id}-`) && suffixes[fieldId.slice(a.id.length + 1)]);
+    if (area) {
+      label = `${area.label} - ${suffixes[fieldId.slice(area.id.length + 1)]}`;
+    }
+  } else {
+    const field = section.fields?.find(f => f.id === fieldId);
+    if (field) {
+      label = field.prompt || field.label || fieldId;
+    }
+  }
+
+  return { sectionTitle: section.title, label };
+}
+
 /**
  * Get all sections for a given part
  * @param {number} part - Part number (0, 1, or 2)
@@ -364,10 +437,12 @@ export function getSectionsByPart(part) {
 
 /**
  * Get total field count for progress calculation
+ * @param {Object} lifeAreaConfig - Year's life area settings (optional)
  * @returns {number} Total number of fillable fields
  */
-export function getTotalFieldCount() {
+export function getTotalFieldCount(lifeAreaConfig = {}) {
   let count = 0;
+  const areaCount = resolveLifeAreas(lifeAreaConfig).length;
 
   sections.forEach(section => {
     if (section.type === 'info') return;
@@ -377,7 +452,7 @@ export function getTotalFieldCount() {
       count += (section.triplets?.length || 0) * 3;
     } else if (section.type === 'life-areas' || section.type === 'life-areas-goals') {
       // Each life area has rating + notes (2 fields) or goal + actions (2 fields)
-      count += (section.fields?.length || 0) * 2;
+      count += areaCount * 2;
     } else {
       count += section.fields?.length || 0;
     }
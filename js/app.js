@@ -3,12 +3,21 @@
  * Initializes all modules and sets up the YearCompass app
  */
 
-import { initStorage, getCurrentYear, setStorageErrorCallback, isLocalStorageAvailable, exportData } from './storage.js';
+import { initStorage, getCurrentYear, setStorageErrorCallback, setUnlockCallback } from './storage.js';
 import { initNavigation } from './navigation.js';
 import { renderSection } from './render.js';
 import { initYearSelector, checkNewYearPrompt } from './year.js';
 import { initSaveIndicator } from './save-indicator.js';
 import { initPdfExport } from './pdf.js';
+import { initBackup, downloadExportData } from './backup.js';
+import { initDashboard } from './dashboard.js';
+import { initSettings } from './settings.js';
+import { initSync } from './sync.js';
+import { showUnlockScreen } from './lock.js';
+import { initOffline } from './offline.js';
+import { initCheckIns } from './check-ins.js';
+import { initSearch } from './search.js';
+import { t } from './i18n.js';
 
 // Track if we've shown a persistent error banner
 let errorBannerShown = false;
@@ -24,19 +33,41 @@ function handleStorageError({ type, message }) {
   switch (type) {
     case 'unavailable':
       showPersistentError(
-        'Storage Unavailable',
+        t('errors.unavailableTitle'),
         message,
-        'Your browser cannot save data. Try disabling private browsing mode or enabling cookies.'
+        t('errors.unavailableHelp')
       );
       break;
     case 'quota':
       showPersistentError(
-        'Storage Full',
+        t('errors.fullTitle'),
         message,
-        'Export your data to create a backup, then try clearing old entries.',
+        t('errors.fullHelp'),
         true // Show export button
       );
       break;
+    case 'migration':
+      showPersistentError(
+        t('errors.upgradeTitle'),
+        message,
+        t('errors.upgradeHelp'),
+        true // Show export button
+      );
+      break;
+    case 'encryption':
+      showPersistentError(
+        t('errors.lockTitle'),
+        message,
+        t('errors.lockHelp')
+      );
+      break;
+    case 'version':
+      showPersistentError(
+        t('errors.versionTitle'),
+        message,
+        t('errors.versionHelp')
+      );
+      break;
     case 'corrupt':
     case 'parse':
       showTemporaryError(message);
@@ -65,8 +96,8 @@ function showPersistentError(title, message, help, showExport = false) {
       <strong>${title}</strong>
       <p>${message}</p>
       <p class="error-help">${help}</p>
-      ${showExport ? `<button class="btn btn-secondary" id="export-data-btn">Export Data</button>` : ''}
-      <button class="btn btn-secondary dismiss-error" aria-label="Dismiss">×</button>
+      ${showExport ? `<button class="btn btn-secondary" id="export-data-btn">${t('errors.export')}</button>` : ''}
+      <button class="btn btn-secondary dismiss-error" aria-label="${t('errors.dismiss')}">×</button>
     </div>
   `;
 
@@ -111,23 +142,6 @@ function showTemporaryError(message) {
   }, 5000);
 }
 
-/**
- * Download data export as JSON file
- */
-function downloadExportData() {
-  const data = exportData();
-  const blob = new Blob([data], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `yearcompass-backup-${new Date().toISOString().split('T')[0]}.json`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
-}
-
 /**
  * Initialize the YearCompass application
  */
@@ -138,8 +152,14 @@ async function init() {
     // Set up storage error handling before initializing
     setStorageErrorCallback(handleStorageError);
 
+    // Ask for the passphrase if the data is locked
+    setUnlockCallback(showUnlockScreen);
+
     // Initialize storage layer
-    const storage = initStorage();
+    await initStorage();
+
+    // Apply theme and font size before anything renders
+    initSettings();
 
     // Initialize year selector (creates first year if needed)
     initYearSelector();
@@ -159,6 +179,21 @@ async function init() {
     // Initialize PDF export
     initPdfExport();
 
+    // Initialize backup & restore
+    initBackup();
+
+    // Initialize year comparison dashboard
+    initDashboard();
+
+    // Initialize search across years
+    initSearch();
+
+    // Pick up edits made in other tabs
+    initSync();
+
+    // Cache the app for launching without a network
+    initOffline();
+
     // Remove loading state
     const mainContent = document.getElementById('main-content');
     const loadingState = mainContent.querySelector('.loading-state');
@@ -176,11 +211,14 @@ async function init() {
       renderSection(section);
     }
 
+    // Ask for a check-in when one is due (after rendering, so the banner stays)
+    initCheckIns();
+
     console.log('YearCompass initialized');
 
   } catch (error) {
     console.error('Failed to initialize YearCompass:', error);
-    showError('Failed to load YearCompass. Please refresh the page.');
+    showError(t('errors.startFailed'));
   }
 }
 
@@ -192,9 +230,9 @@ function showError(message) {
   const mainContent = document.getElementById('main-content');
   mainContent.innerHTML = `
     <div class="error-state">
-      <h2>Something went wrong</h2>
+      <h2>${t('errors.startFailedTitle')}</h2>
       <p>${message}</p>
-      <button class="btn btn-primary" onclick="location.reload()">Refresh Page</button>
+      <button class="btn btn-primary" onclick="location.reload()">${t('errors.refresh')}</button>
     </div>
   `;
 }
@@ -0,0 +1,520 @@
+/**
+ * Backup Module
+ * JSON backup download and restore with a preview before anything is written,
+ * plus Markdown and text documents of one year and importing a Markdown draft
+ */
+
+import {
+  exportData, previewImport, importData, getMigrationSnapshot, restoreMigrationSnapshot,
+  isEncryptionEnabled, isEncryptedBackup, decryptBackup,
+  getAllYears, hasPrivateItems, getCurrentYear, getCurrentSection, loadYear, isYearLocked
+} from './storage.js';
+import { openModal } from './modal.js';
+import { yearToMarkdown, yearToPlainText } from './text-export.js';
+import { planMarkdownImport, applyMarkdownImport } from './markdown-import.js';
+import { renderSection } from './render.js';
+import { updateProgress, updateSidebarIndicators } from './navigation.js';
+import { getYearSections } from './packs.js';
+import { t, formatDate } from './i18n.js';
+
+/**
+ * Initialize backup & restore functionality
+ */
+export function initBackup() {
+  const backupBtn = document.getElementById('backup-restore');
+
+  if (backupBtn) {
+    backupBtn.addEventListener('click', showBackupDialog);
+  }
+}
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string|Blob} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download data export as JSON file
+ * Encrypted with the passphrase while the lock is on.
+ * @param {Object} options - { includePrivate: false } to leave out private answers
+ */
+export async function downloadExportData({ includePrivate = true } = {}) {
+  const date = new Date().toISOString().split('T')[0];
+  downloadFile(await exportData({ includePrivate }), `yearcompass-backup-${date}.json`, 'application/json');
+}
+
+/**
+ * Download one year as a Markdown or plain-text document
+ * @param {string} yearId - Year to write
+ * @param {string} format - 'markdown' or 'text'
+ * @param {Object} options - { includePrivate: boolean }
+ */
+function downloadDocument(yearId, format, { includePrivate }) {
+  const yearData = loadYear(yearId);
+  if (!yearData) return;
+
+  if (format === 'markdown') {
+    downloadFile(yearToMarkdown(yearData, { includePrivate }), `yearcompass-${yearId}.md`, 'text/markdown');
+  } else {
+    downloadFile(yearToPlainText(yearData, { includePrivate }), `yearcompass-${yearId}.txt`, 'text/plain');
+  }
+}
+
+/**
+ * Show the Backup & Restore dialog
+ */
+function showBackupDialog() {
+  const { body } = openModal({ title: t('app.backup'), className: 'backup-modal' });
+  const hasPrivate = getAllYears().some(yearId => hasPrivateItems(yearId));
+
+  body.innerHTML = `
+    <section class="backup-export">
+      <h3>${t('backup.export')}</h3>
+      <p>${t('backup.exportHelp')}</p>
+      ${isEncryptionEnabled() ? `<p class="backup-note">${t('backup.encrypted')}</p>` : ''}
+      ${hasPrivate ? `
+        <label class="backup-private">
+          <input type="checkbox" id="backup-include-private">
+          ${t('backup.includePrivate')}
+        </label>
+        <p class="backup-note">${t('backup.privateHelp')}</p>
+      ` : ''}
+      <button type="button" class="btn btn-primary" id="backup-download">${t('backup.download')}</button>
+      <div class="backup-document">
+        <p>${t('backup.documentHelp')}</p>
+        <div class="backup-document-row">
+          <label for="backup-document-year" class="sr-only">${t('backup.year')}</label>
+          <select id="backup-document-year"></select>
+          <button type="button" class="btn btn-secondary" data-format="markdown">${t('backup.markdown')}</button>
+          <button type="button" class="btn btn-secondary" data-format="text">${t('backup.plainText')}</button>
+        </div>
+      </div>
+    </section>
+    <section class="backup-restore">
+      <h3>${t('backup.restore')}</h3>
+      <p>${t('backup.restoreHelp')}</p>
+      <input type="file" id="backup-file" accept="application/json,.json,text/markdown,.md,.markdown,.txt">
+      <div class="backup-preview" aria-live="polite"></div>
+    </section>
+  `;
+
+  const includePrivateBox = body.querySelector('#backup-include-private');
+
+  body.querySelector('#backup-download').addEventListener('click', () => {
+    downloadExportData({ includePrivate: includePrivateBox ? includePrivateBox.checked : true });
+  });
+
+  const yearSelect = body.querySelector('#backup-document-year');
+  getAllYears().forEach(yearId => {
+    const option = document.createElement('option');
+    option.value = yearId;
+    option.textContent = loadYear(yearId).displayName || yearId;
+    option.selected = yearId === getCurrentYear()?.id;
+    yearSelect.appendChild(option);
+  });
+
+  body.querySelectorAll('.backup-document button[data-format]').forEach(button => {
+    button.disabled = !yearSelect.value;
+    button.addEventListener('click', () => {
+      downloadDocument(yearSelect.value, button.dataset.format, { includePrivate: !!includePrivateBox?.checked });
+    });
+  });
+
+  // Offer the pre-upgrade copy if the data format was ever upgraded
+  const snapshot = getMigrationSnapshot();
+  if (snapshot) {
+    const snapshotEl = document.createElement('p');
+    snapshotEl.className = 'backup-snapshot';
+    snapshotEl.innerHTML = `
+      <span class="backup-snapshot-text"></span>
+      <button type="button" class="btn btn-link backup-snapshot-download">${t('backup.snapshotDownload')}</button>
+      <button type="button" class="btn btn-link backup-snapshot-restore">${t('backup.snapshotRestore')}</button>
+      <span class="backup-message"></span>
+    `;
+    snapshotEl.querySelector('.backup-snapshot-text').textContent = t('backup.snapshot', {
+      date: formatDate(new Date(snapshot.createdAt), { year: 'numeric', month: 'numeric', day: 'numeric' })
+    });
+    snapshotEl.querySelector('.backup-snapshot-download').addEventListener('click', () => {
+      downloadFile(snapshot.data, `yearcompass-before-upgrade-v${snapshot.version}.json`, 'application/json');
+    });
+
+    // Importing the download would run the same upgrade again; this writes it back as it is
+    const restoreSnapshotBtn = snapshotEl.querySelector('.backup-snapshot-restore');
+    restoreSnapshotBtn.addEventListener('click', async () => {
+      if (!confirm(t('backup.confirmSnapshotRestore'))) {
+        return;
+      }
+
+      restoreSnapshotBtn.disabled = true;
+      const result = await restoreMigrationSnapshot();
+      const message = snapshotEl.querySelector('.backup-message');
+      message.textContent = result.message;
+      message.classList.toggle('error', !result.success);
+
+      if (result.success) {
+        location.reload();
+      } else {
+        restoreSnapshotBtn.disabled = false;
+      }
+    });
+    body.querySelector('.backup-export').appendChild(snapshotEl);
+  }
+
+  body.querySelector('#backup-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    const previewEl = body.querySelector('.backup-preview');
+    if (!file) {
+      previewEl.innerHTML = '';
+      return;
+    }
+
+    const text = await file.text();
+    if (/\.(md|markdown|txt)$/i.test(file.name)) {
+      renderMarkdownImportPreview(previewEl, text);
+    } else if (isEncryptedBackup(text)) {
+      renderPassphrasePrompt(previewEl, text);
+    } else {
+      renderImportPreview(previewEl, text);
+    }
+  });
+}
+
+/**
+ * Ask for the passphrase of an encrypted backup, then show its preview
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} text - Encrypted backup file contents
+ */
+function renderPassphrasePrompt(container, text) {
+  container.innerHTML = `
+    <form class="backup-passphrase">
+      <label for="backup-passphrase">${t('backup.locked')}</label>
+      <div class="backup-passphrase-row">
+        <input type="password" id="backup-passphrase" autocomplete="current-password" required>
+        <button type="submit" class="btn btn-secondary">${t('lock.unlock')}</button>
+      </div>
+      <p class="backup-message" role="status"></p>
+    </form>
+  `;
+
+  const form = container.querySelector('form');
+  const message = form.querySelector('.backup-message');
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const button = form.querySelector('button');
+    button.disabled = true;
+    message.classList.remove('error');
+    message.textContent = t('lock.unlocking');
+
+    const plain = await decryptBackup(text, form.querySelector('input').value);
+    button.disabled = false;
+
+    if (plain === null) {
+      message.textContent = t('backup.wrongPassphrase');
+      message.classList.add('error');
+      return;
+    }
+
+    renderImportPreview(container, plain);
+  });
+}
+
+/**
+ * Render the contents of a backup file and the restore options
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} text - Raw backup file contents
+ */
+function renderImportPreview(container, text) {
+  const preview = previewImport(text);
+  container.innerHTML = '';
+
+  if (!preview.success) {
+    container.innerHTML = `<p class="backup-message error"></p>`;
+    container.querySelector('.backup-message').textContent = preview.message;
+    return;
+  }
+
+  if (preview.years.length === 0) {
+    container.innerHTML = `<p class="backup-message">${t('backup.noYears')}</p>`;
+    return;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'backup-year-list';
+
+  preview.years.forEach(year => {
+    const item = document.createElement('li');
+
+    const name = document.createElement('strong');
+    name.textContent = year.displayName;
+    item.appendChild(name);
+
+    if (year.exists) {
+      const badge = document.createElement('span');
+      badge.className = 'backup-badge';
+      badge.textContent = t('backup.exists');
+      item.appendChild(badge);
+    }
+
+    const sectionList = document.createElement('p');
+    sectionList.className = 'backup-sections';
+    sectionList.textContent = year.sections.length > 0
+      ? year.sections.map(sectionId => getSectionTitle(year, sectionId)).join(', ')
+      : t('backup.noAnswers');
+    item.appendChild(sectionList);
+
+    list.appendChild(item);
+  });
+
+  container.appendChild(list);
+
+  const options = document.createElement('fieldset');
+  options.className = 'backup-mode';
+  options.innerHTML = `
+    <legend>${t('backup.mode')}</legend>
+    <label>
+      <input type="radio" name="backup-mode" value="merge" checked>
+      ${t('backup.mode.merge')}
+    </label>
+    <label>
+      <input type="radio" name="backup-mode" value="replace">
+      ${t('backup.mode.replace')}
+    </label>
+  `;
+  container.appendChild(options);
+
+  const restoreBtn = document.createElement('button');
+  restoreBtn.type = 'button';
+  restoreBtn.className = 'btn btn-primary';
+  restoreBtn.textContent = t('backup.restoreButton');
+  container.appendChild(restoreBtn);
+
+  const message = document.createElement('p');
+  message.className = 'backup-message';
+  container.appendChild(message);
+
+  restoreBtn.addEventListener('click', async () => {
+    const mode = options.querySelector('input[name="backup-mode"]:checked').value;
+
+    if (mode === 'replace' && !confirm(t('backup.confirmReplace'))) {
+      return;
+    }
+
+    restoreBtn.disabled = true;
+    const result = await importData(text, mode);
+    restoreBtn.disabled = false;
+    message.textContent = result.message;
+    message.classList.toggle('error', !result.success);
+
+    if (result.success) {
+      // Reload so every module picks up the restored data
+      location.reload();
+    }
+  });
+}
+
+/**
+ * Render what importing a Markdown document would change, and the import button
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} text - Markdown document
+ */
+function renderMarkdownImportPreview(container, text) {
+  container.innerHTML = `
+    <div class="backup-document-row">
+      <label for="backup-import-year">${t('backup.importInto')}</label>
+      <select id="backup-import-year"></select>
+    </div>
+    <div class="import-report"></div>
+  `;
+
+  const yearSelect = container.querySelector('#backup-import-year');
+  const report = container.querySelector('.import-report');
+  const yearIds = getAllYears();
+  const title = planMarkdownImport(text, getCurrentYear()?.id).title?.trim();
+  // The document's own "# YearCompass <year>" title picks the year when it can
+  const titled = yearIds.find(yearId => yearId === title || loadYear(yearId).displayName === title);
+
+  yearIds.forEach(yearId => {
+    const option = document.createElement('option');
+    option.value = yearId;
+    option.textContent = loadYear(yearId).displayName || yearId;
+    option.selected = yearId === (titled || getCurrentYear()?.id);
+    yearSelect.appendChild(option);
+  });
+
+  const renderReport = () => {
+    const yearId = yearSelect.value;
+    const plan = planMarkdownImport(text, yearId);
+    const byStatus = (status) => plan.answers.filter(answer => answer.status === status);
+    const added = byStatus('new');
+    const same = byStatus('same');
+    const conflicts = byStatus('conflict');
+
+    report.innerHTML = '';
+
+    if (plan.answers.length === 0) {
+      report.innerHTML = `<p class="backup-message error">${t('backup.noneFound')}</p>`;
+      appendUnmatched(report, plan.unmatched);
+      return;
+    }
+
+    const summary = document.createElement('p');
+    summary.className = 'import-summary';
+    summary.textContent = t('backup.found', {
+      count: plan.answers.length,
+      added: added.length,
+      conflicts: conflicts.length,
+      same: same.length
+    });
+    report.appendChild(summary);
+
+    appendAnswerList(report, t('backup.new'), added);
+    appendAnswerList(report, t('backup.different'), conflicts, true);
+    appendAnswerList(report, t('backup.unchanged'), same);
+    appendUnmatched(report, plan.unmatched);
+
+    let replaceBox = null;
+    if (conflicts.length > 0) {
+      const replaceLabel = document.createElement('label');
+      replaceLabel.className = 'backup-private';
+      replaceLabel.innerHTML = `<input type="checkbox"> ${t('backup.replaceConflicts')}`;
+      replaceBox = replaceLabel.querySelector('input');
+      report.appendChild(replaceLabel);
+    }
+
+    const importBtn = document.createElement('button');
+    importBtn.type = 'button';
+    importBtn.className = 'btn btn-primary';
+    importBtn.textContent = t('backup.import');
+    report.appendChild(importBtn);
+
+    const message = document.createElement('p');
+    message.className = 'backup-message';
+    message.setAttribute('role', 'status');
+    report.appendChild(message);
+
+    if (isYearLocked(yearId)) {
+      importBtn.disabled = true;
+      message.textContent = t('backup.yearLocked');
+      return;
+    }
+
+    if (added.length === 0 && conflicts.length === 0) {
+      importBtn.disabled = true;
+      message.textContent = t('backup.nothingNew');
+      return;
+    }
+
+    importBtn.addEventListener('click', () => {
+      const saved = applyMarkdownImport(yearId, plan.answers, { replaceConflicts: !!replaceBox?.checked });
+
+      // Show the imported answers without a reload, which could beat the debounced save
+      if (getCurrentYear()?.id === yearId) {
+        renderSection(getCurrentSection());
+        updateProgress();
+        updateSidebarIndicators();
+      }
+
+      renderReport();
+      const done = report.querySelector('.backup-message');
+      done.classList.remove('error');
+      done.textContent = t('backup.imported', { count: saved });
+    });
+  };
+
+  yearSelect.addEventListener('change', renderReport);
+  renderReport();
+}
+
+/**
+ * Add a list of planned answers to the import report
+ * @param {HTMLElement} container - Report element
+ * @param {string} heading - List heading
+ * @param {Array} answers - Planned answers
+ * @param {boolean} showCurrent - Show the current answer next to the file's
+ */
+function appendAnswerList(container, heading, answers, showCurrent = false) {
+  if (answers.length === 0) return;
+
+  const details = document.createElement('details');
+  details.className = 'import-group';
+  details.open = showCurrent;
+  details.innerHTML = `<summary></summary><ul class="import-list"></ul>`;
+  details.querySelector('summary').textContent = `${heading} (${answers.length})`;
+
+  const list = details.querySelector('ul');
+  answers.forEach(answer => {
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <span class="import-field"></span>
+      ${showCurrent ? `<span class="import-value"><em>${t('backup.here')}</em> <span class="import-current"></span></span>` : ''}
+      <span class="import-value">${showCurrent ? `<em>${t('backup.file')}</em> ` : ''}<span class="import-file"></span></span>
+    `;
+    item.querySelector('.import-field').textContent = `${answer.sectionTitle} - ${answer.label}`;
+    item.querySelector('.import-file').textContent = shorten(answer.value);
+    if (showCurrent) {
+      item.querySelector('.import-current').textContent = shorten(answer.current);
+    }
+    list.appendChild(item);
+  });
+
+  container.appendChild(details);
+}
+
+/**
+ * Add the headings that didn't match any question to the import report
+ * @param {HTMLElement} container - Report element
+ * @param {Array} unmatched - [{ heading, excerpt }]
+ */
+function appendUnmatched(container, unmatched) {
+  if (unmatched.length === 0) return;
+
+  const details = document.createElement('details');
+  details.className = 'import-group';
+  details.open = true;
+  details.innerHTML = `<summary></summary><p class="backup-note">${t('backup.unmatchedHelp')}</p><ul class="import-list"></ul>`;
+  details.querySelector('summary').textContent = `${t('backup.unmatched')} (${unmatched.length})`;
+
+  const list = details.querySelector('ul');
+  unmatched.forEach(({ heading, excerpt }) => {
+    const item = document.createElement('li');
+    item.innerHTML = `<span class="import-field"></span><span class="import-value"></span>`;
+    item.querySelector('.import-field').textContent = heading || t('backup.beforeFirstHeading');
+    item.querySelector('.import-value').textContent = excerpt;
+    list.appendChild(item);
+  });
+
+  container.appendChild(details);
+}
+
+/**
+ * Shorten an answer for the import report
+ */
+function shorten(value) {
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text.length > 120 ? `${text.slice(0, 120)}…` : text;
+}
+
+/**
+ * Get a section's display title
+ * @param {Object} year - Year from previewImport(), with its pack
+ * @param {string} sectionId - Section ID
+ * @returns {string} Section title, or the ID for unknown sections
+ */
+function getSectionTitle(year, sectionId) {
+  return getYearSections(year).find(s => s.id === sectionId)?.title || sectionId;
+}
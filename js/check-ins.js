@@ -0,0 +1,567 @@
+/**
+ * Check-ins Module
+ * Brings people back to a finished compass during the year: monthly or
+ * quarterly reminders, and a Check-in view with the word of the year, the
+ * things to achieve most and the life area goals. Each check-in is dated and
+ * holds life area re-ratings and a progress note per goal.
+ */
+
+import {
+  getAllYears, getCurrentYear, loadYear,
+  getCheckInSchedule, saveCheckInSchedule, getCheckIns, saveCheckIn, deleteCheckIn
+} from './storage.js';
+import { magicalTriplets, resolveLifeAreas } from '../data/questions.js';
+import { renderMarkdown } from './markdown.js';
+import { createRatingControl } from './render.js';
+import { openModal } from './modal.js';
+import { announceToScreenReader } from './navigation.js';
+import { t, formatDate, getYearLocale, getLifeAreaLabels } from './i18n.js';
+
+// Months (1-12) of the year ahead that get a check-in
+const SCHEDULE_MONTHS = {
+  monthly: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+  quarterly: [4, 7, 10]
+};
+
+// Periodic Background Sync tag the service worker listens for
+const SYNC_TAG = 'check-in';
+
+/**
+ * Initialize check-in reminders and the Check-in view
+ */
+export function initCheckIns() {
+  document.getElementById('open-check-in')?.addEventListener('click', () => {
+    const yearId = getCurrentYear()?.id;
+    if (yearId) {
+      showCheckInView(yearId);
+    }
+  });
+
+  // Clicking a check-in notification opens the view in this tab...
+  navigator.serviceWorker?.addEventListener('message', (event) => {
+    if (event.data?.type === 'open-check-in' && loadYear(event.data.yearId)) {
+      showCheckInView(event.data.yearId);
+    }
+  });
+
+  // ...or launches the app with ?check-in=<year id>
+  const params = new URLSearchParams(location.search);
+  const requestedYear = params.get('check-in');
+  if (requestedYear !== null) {
+    history.replaceState(null, '', location.pathname + location.hash);
+  }
+
+  if (requestedYear && loadYear(requestedYear)) {
+    showCheckInView(requestedYear);
+  } else {
+    const due = findDueCheckIn();
+    if (due && !sessionStorage.getItem(snoozeKey(due))) {
+      showCheckInBanner(due);
+    }
+  }
+
+  updateReminderWorker();
+}
+
+/**
+ * List the check-in dates of a year's year ahead
+ * @param {string} yearId - Year ID like "2024-2025" (check-ins fall in 2025)
+ * @param {string} frequency - 'monthly', 'quarterly' or 'off'
+ * @returns {Array<string>} Dates as 'YYYY-MM-DD'
+ */
+export function getCheckInDates(yearId, frequency) {
+  const yearAhead = Number(yearId.split('-')[1]);
+  if (!yearAhead || !SCHEDULE_MONTHS[frequency]) return [];
+
+  return SCHEDULE_MONTHS[frequency].map(month => `${yearAhead}-${String(month).padStart(2, '0')}-01`);
+}
+
+/**
+ * Get the check-in that's due for a year, if any
+ * The latest scheduled date that has passed is due until a check-in is saved
+ * on or after it. Dates from a finished year ahead are never due.
+ * @param {string} yearId - Year ID
+ * @param {string} today - Today as 'YYYY-MM-DD'
+ * @returns {string|null} Due date as 'YYYY-MM-DD'
+ */
+function getDueDate(yearId, today = toDateString(new Date())) {
+  const passed = getCheckInSchedule(yearId).dates
+    .filter(date => date <= today && date.slice(0, 4) === today.slice(0, 4));
+  const due = passed[passed.length - 1];
+  if (!due) return null;
+
+  const done = getCheckIns(yearId).some(entry => entry.date >= due);
+  return done ? null : due;
+}
+
+/**
+ * Find a year with a check-in due
+ * @returns {Object|null} { yearId, date }
+ */
+function findDueCheckIn() {
+  for (const yearId of getAllYears()) {
+    const date = getDueDate(yearId);
+    if (date) {
+      return { yearId, date };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the session key that remembers "Later" for a due check-in
+ */
+function snoozeKey({ yearId, date }) {
+  return `yearcompass_checkin_later_${yearId}_${date}`;
+}
+
+/**
+ * Show a banner above the current section asking for a check-in
+ * @param {Object} due - { yearId, date }
+ */
+function showCheckInBanner(due) {
+  const yearData = loadYear(due.yearId);
+
+  const banner = document.createElement('div');
+  banner.className = 'new-year-banner check-in-banner';
+  banner.setAttribute('role', 'note');
+  banner.innerHTML = `
+    <p></p>
+    <div class="banner-actions">
+      <button type="button" class="btn btn-primary" data-action="check-in">${t('checkIn.checkIn')}</button>
+      <button type="button" class="btn btn-secondary" data-action="later">${t('checkIn.later')}</button>
+    </div>
+  `;
+  banner.querySelector('p').textContent =
+    t('checkIn.due', { month: formatMonth(due.date), year: yearData.displayName || due.yearId });
+
+  banner.querySelector('[data-action="check-in"]').addEventListener('click', () => {
+    banner.remove();
+    showCheckInView(due.yearId);
+  });
+
+  banner.querySelector('[data-action="later"]').addEventListener('click', () => {
+    sessionStorage.setItem(snoozeKey(due), 'true');
+    banner.remove();
+  });
+
+  document.getElementById('main-content')?.prepend(banner);
+}
+
+/**
+ * Show the Check-in view for a year
+ * @param {string} yearId - Year ID
+ */
+function showCheckInView(yearId) {
+  const yearData = loadYear(yearId);
+  if (!yearData) return;
+
+  const { body, close } = openModal({
+    title: t('checkIn.title', { year: yearData.displayName || yearId }),
+    className: 'check-in-modal'
+  });
+
+  const answers = (sectionId) => yearData.sections[sectionId]?.answers || {};
+  const word = String(answers('word-of-year').word || '').trim();
+  const wordMeaning = String(answers('word-of-year')['word-meaning'] || '').trim();
+  const achieve = magicalTriplets.find(t => t.id === 'achieve');
+  const achieveItems = [1, 2, 3]
+    .map(number => String(answers('magical-triplets')[`${achieve.id}-${number}`] || '').trim())
+    .filter(Boolean);
+  const areas = resolveLifeAreas(yearData.lifeAreas, getLifeAreaLabels(getYearLocale(yearData)));
+  const goals = areas
+    .map(area => ({
+      area,
+      goal: String(answers('life-areas-future')[`${area.id}-goal`] || '').trim(),
+      actions: String(answers('life-areas-future')[`${area.id}-actions`] || '').trim()
+    }))
+    .filter(({ goal, actions }) => goal || actions);
+
+  const assessment = answers('life-areas-past');
+  const today = toDateString(new Date());
+  let entries = getCheckIns(yearId);
+
+  body.innerHTML = `
+    <div class="check-in-anchors"></div>
+    <form class="check-in-form">
+      <div class="check-in-date-row">
+        <label for="check-in-date">${t('checkIn.date')}</label>
+        <input type="date" id="check-in-date" max="${today}" required>
+      </div>
+      <section class="check-in-ratings">
+        <h3>${t('checkIn.lifeAreas')}</h3>
+        <p class="check-in-hint">${t('checkIn.ratingsHint')}</p>
+      </section>
+      <section class="check-in-goals"></section>
+      <button type="submit" class="btn btn-primary">${t('checkIn.save')}</button>
+    </form>
+    <section class="check-in-journal"></section>
+    <section class="check-in-schedule">
+      <h3>${t('checkIn.reminders')}</h3>
+      <label for="check-in-frequency">${t('checkIn.remindMe')}</label>
+      <select id="check-in-frequency">
+        <option value="off">${t('checkIn.frequency.off')}</option>
+        <option value="monthly">${t('checkIn.frequency.monthly')}</option>
+        <option value="quarterly">${t('checkIn.frequency.quarterly')}</option>
+      </select>
+      <p class="check-in-next check-in-hint"></p>
+      <div class="check-in-notify"></div>
+    </section>
+  `;
+
+  const anchors = body.querySelector('.check-in-anchors');
+
+  if (word) {
+    const wordEl = document.createElement('section');
+    wordEl.innerHTML = `
+      <h3>${t('checkIn.wordOfYear')}</h3>
+      <p class="check-in-word"></p>
+      <div class="check-in-meaning"></div>
+    `;
+    wordEl.querySelector('.check-in-word').textContent = word;
+    wordEl.querySelector('.check-in-meaning').innerHTML = renderMarkdown(wordMeaning);
+    anchors.appendChild(wordEl);
+  }
+
+  if (achieveItems.length > 0) {
+    const achieveEl = document.createElement('section');
+    achieveEl.innerHTML = `<h3></h3><ol class="check-in-achieve"></ol>`;
+    achieveEl.querySelector('h3').textContent = achieve.prompt;
+    achieveItems.forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      achieveEl.querySelector('ol').appendChild(item);
+    });
+    anchors.appendChild(achieveEl);
+  }
+
+  if (!word && achieveItems.length === 0 && goals.length === 0) {
+    anchors.innerHTML = `<p class="check-in-hint">${t('checkIn.nothingYet')}</p>`;
+  }
+
+  const form = body.querySelector('.check-in-form');
+  const dateInput = form.querySelector('#check-in-date');
+
+  const ratingsEl = form.querySelector('.check-in-ratings');
+  areas.forEach(area => {
+    const row = document.createElement('div');
+    row.className = 'check-in-rating';
+    row.innerHTML = `<span class="check-in-rating-label" id="check-in-rating-label-${area.id}"></span>`;
+    row.querySelector('span').textContent = area.label;
+
+    const control = createRatingControl(area, 5, {
+      id: `check-in-rating-${area.id}`,
+      describedBy: `check-in-rating-label-${area.id}`
+    });
+    const input = control.querySelector('input');
+    input.dataset.areaId = area.id;
+    // Only ratings that came from somewhere or were moved are saved
+    input.addEventListener('input', () => {
+      input.dataset.rated = 'true';
+    });
+
+    row.appendChild(control);
+    ratingsEl.appendChild(row);
+  });
+
+  const goalsEl = form.querySelector('.check-in-goals');
+  if (goals.length > 0) {
+    goalsEl.innerHTML = `<h3>${t('checkIn.goals')}</h3><p class="check-in-hint">${t('checkIn.goalsHint')}</p>`;
+  } else {
+    goalsEl.remove();
+  }
+
+  goals.forEach(({ area, goal, actions }) => {
+    const noteId = `check-in-note-${area.id}`;
+    const goalEl = document.createElement('div');
+    goalEl.className = 'check-in-goal';
+    goalEl.innerHTML = `
+      <h4></h4>
+      <div class="check-in-goal-text"></div>
+      <label for="${noteId}">${t('checkIn.howIsItGoing')}</label>
+      <textarea id="${noteId}" rows="2" data-area-id="${area.id}"></textarea>
+      <p class="check-in-last check-in-hint" hidden></p>
+    `;
+    goalEl.querySelector('h4').textContent = area.label;
+    goalEl.querySelector('.check-in-goal-text').innerHTML =
+      renderMarkdown(goal) + (actions ? renderMarkdown(`**${t('checkIn.actions')}** ${actions}`) : '');
+    goalsEl.appendChild(goalEl);
+  });
+
+  // Show the check-in of a date, or start a new one from the one before it
+  const fillForm = (date) => {
+    const entry = entries.find(e => e.date === date);
+    const previous = entries.filter(e => e.date < date).pop();
+
+    form.querySelectorAll('input[type="range"][data-area-id]').forEach(input => {
+      const areaId = input.dataset.areaId;
+      const saved = Number(entry?.ratings?.[areaId] ?? previous?.ratings?.[areaId] ?? assessment[`${areaId}-rating`]);
+      const rated = saved >= 1 && saved <= 10;
+      input.value = rated ? saved : 5;
+      input.dataset.rated = String(rated);
+      input.setAttribute('aria-valuetext', t('areas.ratingValue', { value: input.value }));
+      input.parentElement.querySelector('.rating-value').textContent = input.value;
+    });
+
+    form.querySelectorAll('textarea[data-area-id]').forEach(textarea => {
+      const areaId = textarea.dataset.areaId;
+      textarea.value = entry?.notes[areaId] || '';
+
+      const last = textarea.parentElement.querySelector('.check-in-last');
+      const lastNote = previous?.notes[areaId];
+      last.hidden = !lastNote;
+      last.textContent = lastNote ? t('checkIn.lastNote', { date: formatDay(previous.date), note: lastNote }) : '';
+    });
+
+    form.querySelector('button[type="submit"]').textContent = entry ? t('checkIn.update') : t('checkIn.save');
+  };
+
+  const journalEl = body.querySelector('.check-in-journal');
+  const renderJournal = () => {
+    journalEl.innerHTML = '';
+    if (entries.length === 0) return;
+
+    journalEl.innerHTML = `<h3>${t('checkIn.earlier')}</h3><ul class="check-in-list"></ul>`;
+    const list = journalEl.querySelector('ul');
+
+    [...entries].reverse().forEach(entry => {
+      const item = document.createElement('li');
+      item.innerHTML = `
+        <button type="button" class="btn btn-link" data-action="open"></button>
+        <span class="check-in-hint"></span>
+        <button type="button" class="btn btn-link" data-action="delete">${t('checkIn.delete')}</button>
+      `;
+      const ratingCount = Object.keys(entry.ratings || {}).length;
+      const noteCount = Object.keys(entry.notes).length;
+      item.querySelector('[data-action="open"]').textContent = formatDay(entry.date);
+      item.querySelector('.check-in-hint').textContent =
+        `${t('checkIn.ratingCount', { count: ratingCount })}, ${t('checkIn.noteCount', { count: noteCount })}`;
+      item.querySelector('[data-action="delete"]').setAttribute('aria-label', t('checkIn.deleteLabel', { date: formatDay(entry.date) }));
+
+      item.querySelector('[data-action="open"]').addEventListener('click', () => {
+        dateInput.value = entry.date;
+        fillForm(entry.date);
+        dateInput.focus();
+      });
+
+      item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        if (!confirm(t('checkIn.confirmDelete', { date: formatDay(entry.date) }))) return;
+
+        deleteCheckIn(yearId, entry.id);
+        entries = getCheckIns(yearId);
+        renderJournal();
+        fillForm(dateInput.value);
+        updateReminderWorker();
+      });
+
+      list.appendChild(item);
+    });
+  };
+
+  dateInput.value = today;
+  dateInput.addEventListener('change', () => {
+    if (dateInput.value) {
+      fillForm(dateInput.value);
+    }
+  });
+  fillForm(today);
+  renderJournal();
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const date = dateInput.value || today;
+
+    const ratings = {};
+    form.querySelectorAll('input[type="range"][data-area-id]').forEach(input => {
+      if (input.dataset.rated === 'true') {
+        ratings[input.dataset.areaId] = Number(input.value);
+      }
+    });
+
+    const notes = {};
+    form.querySelectorAll('textarea[data-area-id]').forEach(textarea => {
+      if (textarea.value.trim()) {
+        notes[textarea.dataset.areaId] = textarea.value.trim();
+      }
+    });
+
+    // One check-in per day: saving the same date again updates it
+    saveCheckIn(yearId, {
+      id: entries.find(entry => entry.date === date)?.id || `check-in-${Date.now().toString(36)}`,
+      date,
+      ratings,
+      notes
+    });
+
+    document.querySelectorAll('.check-in-banner').forEach(banner => banner.remove());
+    updateReminderWorker();
+    announceToScreenReader(t('checkIn.saved'));
+    close();
+  });
+
+  renderScheduleControls(body.querySelector('.check-in-schedule'), yearId);
+}
+
+/**
+ * Wire up the reminder frequency select and notification option
+ * @param {HTMLElement} container - Reminders section of the Check-in view
+ * @param {string} yearId - Year ID
+ */
+function renderScheduleControls(container, yearId) {
+  const select = container.querySelector('#check-in-frequency');
+  const nextEl = container.querySelector('.check-in-next');
+  const notifyEl = container.querySelector('.check-in-notify');
+
+  const update = () => {
+    const { frequency, dates } = getCheckInSchedule(yearId);
+    const today = toDateString(new Date());
+    const next = dates.find(date => date > today);
+
+    select.value = frequency;
+    if (frequency === 'off') {
+      nextEl.textContent = t('checkIn.anyTime');
+    } else if (getDueDate(yearId)) {
+      nextEl.textContent = t('checkIn.dueNow');
+    } else if (next) {
+      nextEl.textContent = t('checkIn.next', { date: formatDay(next) });
+    } else {
+      nextEl.textContent = t('checkIn.noneLeft');
+    }
+
+    renderNotifyOption(notifyEl, frequency !== 'off');
+  };
+
+  select.addEventListener('change', () => {
+    saveCheckInSchedule(yearId, {
+      frequency: select.value,
+      dates: getCheckInDates(yearId, select.value)
+    });
+    update();
+    updateReminderWorker();
+  });
+
+  update();
+}
+
+/**
+ * Offer notifications for due check-ins where the browser can show them
+ * while the app is closed (Periodic Background Sync, installed app)
+ * @param {HTMLElement} container - Element to render into
+ * @param {boolean} scheduled - Whether reminders are on
+ */
+async function renderNotifyOption(container, scheduled) {
+  container.innerHTML = '';
+
+  const registration = await getReminderRegistration();
+  if (!scheduled || !registration?.periodicSync || typeof Notification === 'undefined') {
+    if (scheduled) {
+      container.innerHTML = `<p class="check-in-hint">${t('checkIn.remindOnOpen')}</p>`;
+    }
+    return;
+  }
+
+  if (Notification.permission === 'granted') {
+    container.innerHTML = `<p class="check-in-hint">${t('checkIn.notifyOn')}</p>`;
+    return;
+  }
+
+  if (Notification.permission === 'denied') {
+    container.innerHTML = `<p class="check-in-hint">${t('checkIn.notifyBlocked')}</p>`;
+    return;
+  }
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-secondary';
+  button.textContent = t('checkIn.notifyMe');
+  button.addEventListener('click', async () => {
+    await Notification.requestPermission();
+    await updateReminderWorker();
+    renderNotifyOption(container, scheduled);
+  });
+  container.appendChild(button);
+}
+
+/**
+ * Get the service worker registration, if the app has one
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration or null
+ */
+async function getReminderRegistration() {
+  if (!navigator.serviceWorker) return null;
+  return (await navigator.serviceWorker.getRegistration()) || null;
+}
+
+/**
+ * Tell the service worker which check-ins to notify about
+ * It keeps its own copy, since it can't read (possibly encrypted) years.
+ * Only dates, year names and the notification text are shared, never answers.
+ */
+async function updateReminderWorker() {
+  const registration = await getReminderRegistration();
+  if (!registration?.active) return;
+
+  const reminders = getAllYears()
+    .map(yearId => {
+      const displayName = loadYear(yearId).displayName || yearId;
+      return {
+        yearId,
+        displayName,
+        dates: getCheckInSchedule(yearId).dates,
+        lastCheckIn: getCheckIns(yearId).pop()?.date || null,
+        // The worker has no strings of its own
+        title: t('checkIn.notifyTitle'),
+        body: t('checkIn.notifyBody', { year: displayName })
+      };
+    })
+    .filter(reminder => reminder.dates.length > 0);
+
+  registration.active.postMessage({ type: 'check-in-reminders', reminders });
+
+  if (!registration.periodicSync) return;
+
+  try {
+    if (reminders.length > 0 && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+      await registration.periodicSync.register(SYNC_TAG, { minInterval: 12 * 60 * 60 * 1000 });
+    } else {
+      await registration.periodicSync.unregister(SYNC_TAG);
+    }
+  } catch (error) {
+    // Browsers only allow it for installed apps
+    console.warn('Check-in notifications unavailable:', error);
+  }
+}
+
+/**
+ * Format a date as 'YYYY-MM-DD' in local time
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' date in local time
+ */
+function parseDay(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Format a 'YYYY-MM-DD' date for display, e.g. "1 April 2025"
+ */
+function formatDay(dateString) {
+  return formatDate(parseDay(dateString));
+}
+
+/**
+ * Get the month name of a 'YYYY-MM-DD' date, e.g. "April"
+ */
+function formatMonth(dateString) {
+  return formatDate(parseDay(dateString), { month: 'long' });
+}
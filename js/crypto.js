@@ -0,0 +1,123 @@
+/**
+ * Crypto Module
+ * Passphrase-based encryption with WebCrypto (PBKDF2 + AES-GCM)
+ */
+
+// PBKDF2-SHA256 work factor for new passphrases
+export const PBKDF2_ITERATIONS = 600000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Check if WebCrypto is available (it needs a secure context: https or localhost)
+ * @returns {boolean} True if encryption can be used
+ */
+export function isCryptoAvailable() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+/**
+ * Create a random salt for a new passphrase
+ * @returns {string} Base64-encoded salt
+ */
+export function generateSalt() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - User's passphrase
+ * @param {string} salt - Base64-encoded salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} Non-extractable AES key
+ */
+export async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a JSON-compatible value
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<Object>} { iv, data } both base64-encoded
+ */
+export async function encryptJson(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt a value made by encryptJson()
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {Object} payload - { iv, data }
+ * @returns {Promise<*>} The original value
+ * @throws {Error} If the key is wrong or the payload was tampered with
+ */
+export async function decryptJson(key, payload) {
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+    key,
+    fromBase64(payload.data)
+  );
+
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+/**
+ * Check if a stored value is an encrypted payload
+ * @param {*} value - Stored value
+ * @returns {boolean} True if it looks like encryptJson() output
+ */
+export function isEncryptedPayload(value) {
+  return !!value && typeof value === 'object' &&
+    typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  let binary = '';
+  // Chunked to stay under the argument limit for long answers
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -0,0 +1,384 @@
+/**
+ * Dashboard Module
+ * Compares life area ratings across years with a radar chart and delta table,
+ * and follows a year's ratings through its check-ins
+ */
+
+import { getAllYears, loadYear, getCurrentYear } from './storage.js';
+import { lifeAreas, resolveLifeAreas } from '../data/questions.js';
+import { formatYearDisplay } from './year.js';
+import { openModal } from './modal.js';
+import { t, formatDate, getYearLocale, getLifeAreaLabels } from './i18n.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Initialize the year comparison dashboard
+ */
+export function initDashboard() {
+  const dashboardBtn = document.getElementById('compare-years');
+
+  if (dashboardBtn) {
+    dashboardBtn.addEventListener('click', showDashboard);
+  }
+}
+
+/**
+ * Collect life area ratings for every year that has any
+ * @returns {Array} [{ yearId, ratings: { [areaId]: number|null } }] oldest first
+ */
+export function getRatingsByYear() {
+  return [...getAllYears()].sort().map(yearId => {
+    const answers = loadYear(yearId)?.sections['life-areas-past']?.answers || {};
+    const ratings = {};
+
+    lifeAreas.forEach(area => {
+      const value = Number(answers[`${area.id}-rating`]);
+      ratings[area.id] = value >= 1 && value <= 10 ? value : null;
+    });
+
+    return { yearId, ratings };
+  }).filter(entry => Object.values(entry.ratings).some(value => value !== null));
+}
+
+/**
+ * Show the dashboard dialog
+ */
+function showDashboard() {
+  const { body } = openModal({ title: t('app.compareYears'), className: 'dashboard-modal' });
+  const history = getRatingsByYear();
+
+  if (history.length === 0) {
+    body.innerHTML = `
+      <p class="dashboard-empty">${t('dashboard.empty')}</p>
+    `;
+    return;
+  }
+
+  // Default to the active year if it has ratings, otherwise the latest one
+  const currentId = getCurrentYear()?.id;
+  const initialId = history.some(entry => entry.yearId === currentId)
+    ? currentId
+    : history[history.length - 1].yearId;
+
+  body.innerHTML = `
+    <label class="dashboard-year">
+      ${t('dashboard.year')}
+      <select class="year-selector"></select>
+    </label>
+    <div class="dashboard-content"></div>
+  `;
+
+  const select = body.querySelector('select');
+  [...history].reverse().forEach(entry => {
+    const option = document.createElement('option');
+    option.value = entry.yearId;
+    option.textContent = formatYearDisplay(entry.yearId);
+    select.appendChild(option);
+  });
+  select.value = initialId;
+
+  const content = body.querySelector('.dashboard-content');
+  const render = () => renderComparison(content, history, select.value);
+
+  select.addEventListener('change', render);
+  render();
+}
+
+/**
+ * Render the radar chart and delta table for a year
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array} history - Ratings from getRatingsByYear()
+ * @param {string} yearId - Selected year
+ */
+function renderComparison(container, history, yearId) {
+  const index = history.findIndex(entry => entry.yearId === yearId);
+  const selected = history[index];
+  const previous = index > 0 ? history[index - 1] : null;
+
+  // The standard 12 areas, labelled the way the selected year names them
+  const selectedYear = loadYear(yearId);
+  const areas = resolveLifeAreas(
+    { labels: selectedYear?.lifeAreas?.labels },
+    getLifeAreaLabels(getYearLocale(selectedYear))
+  );
+
+  container.innerHTML = '';
+
+  const chart = document.createElement('figure');
+  chart.className = 'radar-chart';
+  chart.appendChild(createRadarChart(areas, selected.ratings, previous?.ratings));
+
+  const legend = document.createElement('figcaption');
+  legend.className = 'radar-legend';
+  legend.innerHTML = `<span class="legend-current"></span>`;
+  legend.querySelector('.legend-current').textContent = formatYearDisplay(selected.yearId);
+  if (previous) {
+    const prevLegend = document.createElement('span');
+    prevLegend.className = 'legend-previous';
+    prevLegend.textContent = formatYearDisplay(previous.yearId);
+    legend.appendChild(prevLegend);
+  }
+  chart.appendChild(legend);
+
+  container.appendChild(chart);
+  container.appendChild(createDeltaTable(areas, history, selected, previous));
+
+  const checkIns = (loadYear(yearId)?.checkIns || [])
+    .filter(entry => Object.keys(entry.ratings || {}).length > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (checkIns.length > 0) {
+    container.appendChild(createCheckInTable(areas, selected, checkIns));
+  }
+}
+
+/**
+ * Build the radar chart SVG
+ * @param {Array} areas - Life areas to plot
+ * @param {Object} ratings - Ratings for the selected year
+ * @param {Object|undefined} previousRatings - Ratings for the previous year
+ * @returns {SVGElement} Chart element
+ */
+function createRadarChart(areas, ratings, previousRatings) {
+  const size = 500;
+  const center = size / 2;
+  const radius = 150;
+  const step = (Math.PI * 2) / areas.length;
+
+  const point = (i, value) => {
+    const angle = i * step - Math.PI / 2;
+    const r = (value / 10) * radius;
+    return [center + r * Math.cos(angle), center + r * Math.sin(angle)];
+  };
+
+  const svg = svgElement('svg', {
+    viewBox: `0 0 ${size} ${size}`,
+    role: 'img',
+    'aria-label': t('dashboard.chartLabel')
+  });
+
+  // Grid rings at 2, 4, 6, 8 and 10
+  for (let ring = 2; ring <= 10; ring += 2) {
+    const points = areas.map((_, i) => point(i, ring).join(',')).join(' ');
+    svg.appendChild(svgElement('polygon', { points, class: 'radar-grid' }));
+  }
+
+  // Spokes and labels
+  areas.forEach((area, i) => {
+    const [x, y] = point(i, 10);
+    svg.appendChild(svgElement('line', { x1: center, y1: center, x2: x, y2: y, class: 'radar-spoke' }));
+
+    const [lx, ly] = point(i, 11.2);
+    const anchor = Math.abs(lx - center) < 1 ? 'middle' : (lx > center ? 'start' : 'end');
+    const label = svgElement('text', { x: lx, y: ly, 'text-anchor': anchor, 'dominant-baseline': 'middle', class: 'radar-label' });
+    label.textContent = shortLabel(area.label);
+    svg.appendChild(label);
+  });
+
+  if (previousRatings) {
+    svg.appendChild(createRadarShape(areas, previousRatings, point, 'radar-previous'));
+  }
+  svg.appendChild(createRadarShape(areas, ratings, point, 'radar-current'));
+
+  return svg;
+}
+
+/**
+ * Build the filled shape for one year's ratings
+ * Missing ratings are drawn at the center.
+ */
+function createRadarShape(areas, ratings, point, className) {
+  const points = areas.map((area, i) => point(i, ratings[area.id] || 0).join(',')).join(' ');
+  return svgElement('polygon', { points, class: className });
+}
+
+/**
+ * Build the delta table with a trend line per area
+ * @param {Array} areas - Life areas to list
+ * @param {Array} history - Ratings from getRatingsByYear()
+ * @param {Object} selected - Selected year entry
+ * @param {Object|null} previous - Previous year entry
+ * @returns {HTMLTableElement} Table element
+ */
+function createDeltaTable(areas, history, selected, previous) {
+  const table = document.createElement('table');
+  table.className = 'delta-table';
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th scope="col">${t('dashboard.area')}</th>
+        <th scope="col">${previous ? escapeHtml(formatYearDisplay(previous.yearId)) : t('dashboard.previous')}</th>
+        <th scope="col">${escapeHtml(formatYearDisplay(selected.yearId))}</th>
+        <th scope="col">${t('dashboard.change')}</th>
+        <th scope="col">${t('dashboard.overTime')}</th>
+      </tr>
+    </thead>
+    <tbody></tbody>
+  `;
+
+  const tbody = table.querySelector('tbody');
+
+  areas.forEach(area => {
+    const current = selected.ratings[area.id];
+    const before = previous?.ratings[area.id] ?? null;
+    const delta = current !== null && before !== null ? current - before : null;
+
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <th scope="row">${escapeHtml(area.label)}</th>
+      <td>${before ?? '–'}</td>
+      <td>${current ?? '–'}</td>
+      <td class="delta ${delta > 0 ? 'up' : delta < 0 ? 'down' : ''}">${formatDelta(delta)}</td>
+      <td class="trend"></td>
+    `;
+    row.querySelector('.trend').appendChild(
+      createSparkline(history.map(entry => entry.ratings[area.id]), area.label)
+    );
+
+    tbody.appendChild(row);
+  });
+
+  return table;
+}
+
+/**
+ * Build the table of re-ratings from the year's check-ins
+ * Starts from the assessment rating, so the row reads as the year so far.
+ * @param {Array} areas - Life areas to list
+ * @param {Object} selected - Selected year entry
+ * @param {Array} checkIns - Check-ins with ratings, oldest first
+ * @returns {HTMLElement} Section holding the table
+ */
+function createCheckInTable(areas, selected, checkIns) {
+  const section = document.createElement('section');
+  section.className = 'dashboard-check-ins';
+  section.innerHTML = `
+    <h3>${t('dashboard.checkIns')}</h3>
+    <table class="delta-table">
+      <thead>
+        <tr>
+          <th scope="col">${t('dashboard.area')}</th>
+          <th scope="col">${t('dashboard.assessment')}</th>
+          ${checkIns.map(entry => `<th scope="col">${escapeHtml(formatDay(entry.date))}</th>`).join('')}
+          <th scope="col">${t('dashboard.change')}</th>
+          <th scope="col">${t('dashboard.overTime')}</th>
+        </tr>
+      </thead>
+      <tbody></tbody>
+    </table>
+  `;
+
+  const tbody = section.querySelector('tbody');
+
+  areas.forEach(area => {
+    const values = [
+      selected.ratings[area.id],
+      ...checkIns.map(entry => Number(entry.ratings[area.id]) || null)
+    ];
+    const known = values.filter(value => value !== null);
+    const delta = known.length > 1 ? known[known.length - 1] - known[0] : null;
+
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <th scope="row">${escapeHtml(area.label)}</th>
+      ${values.map(value => `<td>${value ?? '–'}</td>`).join('')}
+      <td class="delta ${delta > 0 ? 'up' : delta < 0 ? 'down' : ''}">${formatDelta(delta)}</td>
+      <td class="trend"></td>
+    `;
+    row.querySelector('.trend').appendChild(createSparkline(values, area.label));
+
+    tbody.appendChild(row);
+  });
+
+  return section;
+}
+
+/**
+ * Build a small line chart of one area's ratings over all years
+ * @param {Array<number|null>} values - Ratings oldest first
+ * @param {string} label - Area label for screen readers
+ * @returns {SVGElement} Sparkline element
+ */
+function createSparkline(values, label) {
+  const width = 80;
+  const height = 24;
+  const rated = values
+    .map((value, i) => ({ value, i }))
+    .filter(entry => entry.value !== null);
+
+  const svg = svgElement('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    width,
+    height,
+    role: 'img',
+    'aria-label': `${label}: ${rated.map(entry => entry.value).join(', ') || t('dashboard.noRatings')}`
+  });
+
+  const x = i => values.length > 1 ? 4 + (i / (values.length - 1)) * (width - 8) : width / 2;
+  const y = value => height - 3 - ((value - 1) / 9) * (height - 6);
+
+  if (rated.length > 1) {
+    const points = rated.map(entry => `${x(entry.i)},${y(entry.value)}`).join(' ');
+    svg.appendChild(svgElement('polyline', { points, class: 'sparkline' }));
+  }
+
+  rated.forEach(entry => {
+    svg.appendChild(svgElement('circle', { cx: x(entry.i), cy: y(entry.value), r: 2, class: 'sparkline-dot' }));
+  });
+
+  return svg;
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - SVG tag name
+ * @param {Object} attrs - Attributes to set
+ * @returns {SVGElement} The element
+ */
+function svgElement(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  return el;
+}
+
+/**
+ * Shorten a life area label for the chart ("Career / Studies" → "Career")
+ * @param {string} label - Full label
+ * @returns {string} Short label
+ */
+function shortLabel(label) {
+  return label.split(' / ')[0];
+}
+
+/**
+ * Format a rating change with its sign
+ * @param {number|null} delta - Change in rating
+ * @returns {string} Formatted change
+ */
+function formatDelta(delta) {
+  if (delta === null) return '–';
+  if (delta > 0) return `+${delta}`;
+  if (delta < 0) return `−${Math.abs(delta)}`;
+  return '0';
+}
+
+/**
+ * Format a check-in date (YYYY-MM-DD) as e.g. "Apr 1"
+ * @param {string} date - Date string
+ * @returns {string} Short date
+ */
+function formatDay(date) {
+  return formatDate(new Date(`${date}T00:00`), { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
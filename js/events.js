@@ -0,0 +1,47 @@
+/**
+ * Events Module
+ * Lets storage tell the rest of the app what happened to the data, without
+ * importing any of it
+ *
+ * storage.js emits; views subscribe with on() in their init functions.
+ *
+ *   answer-changed  { yearId, sectionId, fieldId, value }  An answer was edited (written shortly after)
+ *   saving          {}                                     A write of pending changes started
+ *   saved           {}                                     Pending changes were written to storage
+ *   save-failed     { error }                              A write failed (error is null when storage
+ *                                                          can't be written at all); changes stay pending
+ *   year-switched   { yearId }                             Another year became the current one
+ */
+
+const listeners = new Map();
+
+/**
+ * Subscribe to an event
+ * @param {string} event - Event name
+ * @param {Function} listener - Called with the event's detail
+ * @returns {Function} Call to unsubscribe
+ */
+export function on(event, listener) {
+  if (!listeners.has(event)) {
+    listeners.set(event, new Set());
+  }
+  listeners.get(event).add(listener);
+
+  return () => listeners.get(event).delete(listener);
+}
+
+/**
+ * Tell every subscriber about an event
+ * A listener that throws is logged and doesn't stop the others.
+ * @param {string} event - Event name
+ * @param {Object} detail - What happened (see the list above)
+ */
+export function emit(event, detail = {}) {
+  [...(listeners.get(event) || [])].forEach(listener => {
+    try {
+      listener(detail);
+    } catch (error) {
+      console.error(`Error in ${event} listener:`, error);
+    }
+  });
+}
@@ -0,0 +1,373 @@
+/**
+ * History Module
+ * Keeps earlier versions of written answers in IndexedDB and lets users restore them
+ *
+ * A version is recorded when an editing session starts (the text as it was
+ * before the first keystroke), when it ends, and before an edit that removes
+ * most of the text, so an accidentally cleared answer can always be brought
+ * back. The current text lives in storage as usual. While a passphrase lock is
+ * on, versions are encrypted with it too.
+ */
+
+import { getCurrentYear, sealValue, openValue } from './storage.js';
+import { togglePreview } from './markdown.js';
+import { isIndexedDBAvailable, openDatabase, requestToPromise, transactionDone } from './idb.js';
+import { t, getLocale, formatDate } from './i18n.js';
+
+const DB_NAME = 'yearcompass_history';
+const DB_VERSION = 1;
+const STORE = 'revisions';
+
+// Versions kept per field; the oldest are dropped first
+const MAX_REVISIONS_PER_FIELD = 25;
+
+// An edit that leaves less than this share of the text keeps the text from before it
+const MAJOR_REMOVAL_RATIO = 0.5;
+
+let dbPromise = null;
+
+/**
+ * Open the history database (once)
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+function getDatabase() {
+  if (!dbPromise) {
+    if (!isIndexedDBAvailable()) {
+      dbPromise = Promise.resolve(null);
+    } else {
+      dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('field', 'field');
+      }).catch(error => {
+        console.warn('Answer history unavailable:', error);
+        return null;
+      });
+    }
+  }
+  return dbPromise;
+}
+
+/**
+ * Build the index key for a field
+ */
+function fieldKey(yearId, sectionId, fieldId) {
+  return `${yearId}/${sectionId}/${fieldId}`;
+}
+
+/**
+ * Get stored versions of a field
+ * @param {string} yearId - Year ID
+ * @param {string} sectionId - Section ID
+ * @param {string} fieldId - Field ID
+ * @returns {Promise<Array>} [{ id, value, savedAt }] newest first
+ */
+export async function getRevisions(yearId, sectionId, fieldId) {
+  const db = await getDatabase();
+  if (!db) return [];
+
+  const tx = db.transaction(STORE, 'readonly');
+  const stored = await requestToPromise(
+    tx.objectStore(STORE).index('field').getAll(fieldKey(yearId, sectionId, fieldId))
+  );
+
+  return (await openRevisions(stored)).sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Decrypt stored versions, leaving out any that can't be read
+ * @param {Array} stored - Records as stored
+ * @returns {Promise<Array>} Records with plain values
+ */
+async function openRevisions(stored) {
+  const revisions = [];
+  for (const revision of stored) {
+    try {
+      revisions.push({ ...revision, value: await openValue(revision.value) });
+    } catch (error) {
+      // Encrypted with a passphrase that's no longer in use
+    }
+  }
+  return revisions;
+}
+
+/**
+ * Re-encrypt every stored version around a passphrase change
+ * Versions are read with the current key, `changeKey` runs, then they're
+ * written back with the new one (or as plain text if the lock was turned off).
+ * @param {Function} changeKey - Async function that changes the passphrase
+ * @returns {Promise<*>} Whatever changeKey resolves to
+ */
+export async function reencryptRevisions(changeKey) {
+  const db = await getDatabase();
+  if (!db) return changeKey();
+
+  const readTx = db.transaction(STORE, 'readonly');
+  const revisions = await openRevisions(await requestToPromise(readTx.objectStore(STORE).getAll()));
+
+  const result = await changeKey();
+
+  const sealed = [];
+  for (const revision of revisions) {
+    sealed.push({ ...revision, value: await sealValue(revision.value) });
+  }
+
+  try {
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    // Anything unreadable is dropped rather than left behind
+    store.clear();
+    sealed.forEach(revision => store.put(revision));
+    await transactionDone(tx);
+  } catch (error) {
+    console.warn('Could not re-encrypt answer history:', error);
+  }
+
+  return result;
+}
+
+/**
+ * Record a version of a field
+ * Empty values and repeats of the latest version are skipped.
+ * @param {string} yearId - Year ID
+ * @param {string} sectionId - Section ID
+ * @param {string} fieldId - Field ID
+ * @param {string} value - Text to keep
+ * @returns {Promise<boolean>} True if a version was added
+ */
+export async function recordRevision(yearId, sectionId, fieldId, value) {
+  if (!value || !value.trim()) return false;
+
+  const db = await getDatabase();
+  if (!db) return false;
+
+  try {
+    const revisions = await getRevisions(yearId, sectionId, fieldId);
+    if (revisions[0]?.value === value) return false;
+
+    const sealed = await sealValue(value);
+
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+
+    store.add({
+      field: fieldKey(yearId, sectionId, fieldId),
+      value: sealed,
+      savedAt: new Date().toISOString()
+    });
+
+    // Drop the oldest versions beyond the limit (one slot goes to the new one)
+    revisions.slice(MAX_REVISIONS_PER_FIELD - 1).forEach(old => store.delete(old.id));
+
+    await transactionDone(tx);
+    return true;
+  } catch (error) {
+    console.warn('Could not record answer history:', error);
+    return false;
+  }
+}
+
+/**
+ * Add a "History" button to a textarea
+ * @param {HTMLTextAreaElement} textarea - Answer textarea (with data-field-id)
+ */
+export function attachHistory(textarea) {
+  if (textarea.dataset.historySetup) return;
+  textarea.dataset.historySetup = 'true';
+
+  const record = (value) => {
+    const field = getFieldContext(textarea);
+    if (field) {
+      recordRevision(field.yearId, field.sectionId, field.fieldId, value);
+    }
+  };
+
+  // The text as it was before this editing session, and before the latest edit
+  let sessionStart = null;
+  let previous = textarea.value;
+
+  textarea.addEventListener('focus', () => {
+    sessionStart = textarea.value;
+    previous = textarea.value;
+  });
+
+  textarea.addEventListener('input', () => {
+    if (sessionStart !== null) {
+      record(sessionStart);
+      sessionStart = null;
+    } else if (textarea.value.length < previous.length * MAJOR_REMOVAL_RATIO) {
+      // Selecting everything and typing over it, or clearing the field
+      record(previous);
+    }
+    previous = textarea.value;
+  });
+
+  textarea.addEventListener('blur', () => {
+    // Text written in this session, even if it's cleared next time
+    if (sessionStart === null) {
+      record(textarea.value);
+    }
+    sessionStart = null;
+  });
+
+  const container = document.createElement('div');
+  container.className = 'field-history';
+  // A control, so in the app's language rather than the year's
+  container.lang = getLocale();
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-link history-toggle';
+  button.textContent = t('history.toggle');
+  button.setAttribute('aria-expanded', 'false');
+  button.addEventListener('click', () => {
+    const open = container.querySelector('.history-popover');
+    if (open) {
+      closePopover(container);
+    } else {
+      showPopover(container, textarea);
+    }
+  });
+
+  container.appendChild(button);
+
+  // Place after the markdown wrapper if there is one
+  const anchor = textarea.closest('.markdown-wrapper') || textarea;
+  anchor.after(container);
+}
+
+/**
+ * Work out which answer a textarea holds
+ * @param {HTMLTextAreaElement} textarea - Answer textarea
+ * @returns {Object|null} { yearId, sectionId, fieldId }
+ */
+function getFieldContext(textarea) {
+  const yearId = getCurrentYear()?.id;
+  const sectionId = textarea.closest('.section')?.dataset.sectionId;
+  const fieldId = textarea.dataset.fieldId;
+
+  if (!yearId || !sectionId || !fieldId) return null;
+  return { yearId, sectionId, fieldId };
+}
+
+/**
+ * Show the list of earlier versions below the History button
+ * @param {HTMLElement} container - The .field-history element
+ * @param {HTMLTextAreaElement} textarea - Answer textarea
+ */
+async function showPopover(container, textarea) {
+  const field = getFieldContext(textarea);
+  if (!field) return;
+
+  const button = container.querySelector('.history-toggle');
+  const popover = document.createElement('div');
+  popover.className = 'history-popover';
+  popover.setAttribute('role', 'dialog');
+  popover.setAttribute('aria-label', t('history.label'));
+  container.appendChild(popover);
+  button.setAttribute('aria-expanded', 'true');
+
+  const onKeydown = (e) => {
+    if (e.key === 'Escape') {
+      closePopover(container);
+      button.focus();
+    }
+  };
+  const onOutsideClick = (e) => {
+    if (!container.contains(e.target)) {
+      closePopover(container);
+    }
+  };
+  popover.addEventListener('keydown', onKeydown);
+  document.addEventListener('click', onOutsideClick);
+  popover.cleanup = () => document.removeEventListener('click', onOutsideClick);
+
+  const revisions = (await getRevisions(field.yearId, field.sectionId, field.fieldId))
+    .filter(revision => revision.value !== textarea.value);
+
+  // Closed while loading
+  if (!popover.isConnected) return;
+
+  if (revisions.length === 0) {
+    popover.innerHTML = `<p class="history-empty">${t('history.empty')}</p>`;
+    return;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'history-list';
+
+  revisions.forEach(revision => {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    item.innerHTML = `
+      <time class="history-time"></time>
+      <p class="history-value"></p>
+      <button type="button" class="btn btn-secondary history-restore">${t('history.restore')}</button>
+    `;
+
+    const time = item.querySelector('time');
+    time.dateTime = revision.savedAt;
+    time.textContent = formatTime(new Date(revision.savedAt));
+    item.querySelector('.history-value').textContent = revision.value;
+
+    const restore = item.querySelector('.history-restore');
+    // Locked years can still be browsed, just not changed
+    restore.disabled = textarea.readOnly;
+    restore.addEventListener('click', async () => {
+      await restoreRevision(textarea, field, revision.value);
+      closePopover(container);
+    });
+
+    list.appendChild(item);
+  });
+
+  popover.appendChild(list);
+  popover.querySelector('button')?.focus();
+}
+
+/**
+ * Close the history popover, if open
+ * @param {HTMLElement} container - The .field-history element
+ */
+function closePopover(container) {
+  const popover = container.querySelector('.history-popover');
+  if (!popover) return;
+
+  popover.cleanup?.();
+  popover.remove();
+  container.querySelector('.history-toggle').setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Put an earlier version back into the textarea and save it
+ * @param {HTMLTextAreaElement} textarea - Answer textarea
+ * @param {Object} field - { yearId, sectionId, fieldId }
+ * @param {string} value - Version to restore
+ */
+async function restoreRevision(textarea, field, value) {
+  // Keep what's being replaced, so a restore can be undone the same way
+  await recordRevision(field.yearId, field.sectionId, field.fieldId, textarea.value);
+
+  textarea.value = value;
+  // Saves through the field's normal auto-save listener
+  textarea.dispatchEvent(new Event('input', { bubbles: true }));
+
+  const preview = textarea.closest('.markdown-wrapper')?.querySelector('.markdown-preview');
+  if (preview && preview.style.display !== 'none') {
+    togglePreview(textarea, true);
+  }
+}
+
+/**
+ * Format when a version was saved
+ * @param {Date} date - Save time
+ * @returns {string} Formatted time
+ */
+function formatTime(date) {
+  return formatDate(date, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
@@ -0,0 +1,230 @@
+/**
+ * Localization Module
+ * Looks up translated strings and formats dates for a language
+ *
+ * Bundles live in data/locales/: `strings` holds the app's own text by key,
+ * `content` translates the built-in question packs, life areas and goal
+ * outcomes. Anything missing from a bundle falls back to English.
+ *
+ * Two languages are in play at once: the app's controls follow the language
+ * picked in Settings, while a year's questions and everything printed or
+ * exported from it follow the language the year was started in.
+ */
+
+import { en } from '../data/locales/en.js';
+import { de } from '../data/locales/de.js';
+
+/**
+ * Language used when no other is known, and the source of the question content
+ */
+export const DEFAULT_LOCALE = 'en';
+
+const bundles = { en, de };
+
+let currentLocale = DEFAULT_LOCALE;
+
+// Translated packs are built once per pack version and language
+const localizedPacks = new Map();
+
+/**
+ * Get the languages the app is available in
+ * @returns {Array} [{ code, name }], name in its own language
+ */
+export function getLocales() {
+  return Object.values(bundles).map(({ code, name }) => ({ code, name }));
+}
+
+/**
+ * Check if a language has a bundle
+ * @param {string} code - Language code
+ * @returns {boolean} True if the app can show this language
+ */
+export function isSupportedLocale(code) {
+  return Object.hasOwn(bundles, code);
+}
+
+/**
+ * Pick the browser's preferred language, if there's a bundle for it
+ * @returns {string} Language code
+ */
+export function getBrowserLocale() {
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  const match = preferred
+    .map(tag => String(tag || '').split('-')[0].toLowerCase())
+    .find(isSupportedLocale);
+  return match || DEFAULT_LOCALE;
+}
+
+/**
+ * Get the language of the app's controls
+ * @returns {string} Language code
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Set the language of the app's controls
+ * Callers re-render what's on screen; this only changes later lookups.
+ * @param {string} code - Language code (unknown codes fall back to English)
+ */
+export function setLocale(code) {
+  currentLocale = isSupportedLocale(code) ? code : DEFAULT_LOCALE;
+  document.documentElement.lang = currentLocale;
+}
+
+/**
+ * Get the language a year was written in
+ * @param {Object|null} yearData - Year data
+ * @returns {string} Language code, English if the year's isn't available
+ */
+export function getYearLocale(yearData) {
+  return isSupportedLocale(yearData?.locale) ? yearData.locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Translate a string
+ * Placeholders like {count} are filled from params. A string with plural
+ * forms ({ one, other, ... }) is picked with params.count.
+ * @param {string} key - String key, e.g. 'save.saved'
+ * @param {Object} params - Values for placeholders (optional)
+ * @param {string} locale - Language to use (defaults to the app's)
+ * @returns {string} Translated string, or the key if no bundle has it
+ */
+export function t(key, params = {}, locale = currentLocale) {
+  let value = bundles[locale]?.strings[key] ?? bundles[DEFAULT_LOCALE].strings[key];
+  if (value === undefined) {
+    console.warn(`Missing string: ${key}`);
+    return key;
+  }
+
+  if (typeof value === 'object') {
+    const form = new Intl.PluralRules(locale).select(params.count);
+    value = value[form] ?? value.other;
+  }
+
+  return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Format a date
+ * @param {Date} date - Date to format
+ * @param {Object} options - Intl.DateTimeFormat options (defaults to e.g. "March 3, 2025")
+ * @param {string} locale - Language to use (defaults to the app's)
+ * @returns {string} Formatted date
+ */
+export function formatDate(date, options = { year: 'numeric', month: 'long', day: 'numeric' }, locale = currentLocale) {
+  return new Intl.DateTimeFormat(locale, options).format(date);
+}
+
+/**
+ * Get a language's names for the built-in life areas
+ * @param {string} locale - Language code
+ * @returns {Object} Labels by life area ID (empty for English)
+ */
+export function getLifeAreaLabels(locale) {
+  return bundles[locale]?.content?.lifeAreas || {};
+}
+
+/**
+ * Get a language's names for the answers of a life area, as used by describeField()
+ * @param {string} locale - Language code
+ * @returns {Object} Names by field suffix (rating, notes, goal-status, goal, actions)
+ */
+export function getAnswerLabels(locale) {
+  return {
+    rating: t('answer.rating', {}, locale),
+    notes: t('answer.notes', {}, locale),
+    'goal-status': t('answer.goalStatus', {}, locale),
+    goal: t('answer.goal', {}, locale),
+    actions: t('answer.actions', {}, locale)
+  };
+}
+
+/**
+ * Get the outcomes for last year's goals in a language
+ * @param {Array} goalStatuses - Outcomes from data/questions.js
+ * @param {string} locale - Language code
+ * @returns {Array} Outcomes with translated labels
+ */
+export function localizeGoalStatuses(goalStatuses, locale) {
+  const labels = bundles[locale]?.content?.goalStatuses || {};
+  return goalStatuses.map(status => ({ ...status, label: labels[status.id] || status.label }));
+}
+
+/**
+ * Translate a question pack
+ * Bundles translate a pack version as a whole, keyed "id@version"; packs
+ * without a translation (e.g. added from a file) are returned as they are.
+ * @param {Object} pack - Question pack
+ * @param {string} locale - Language code
+ * @returns {Object} Pack in that language
+ */
+export function localizePack(pack, locale) {
+  const translation = bundles[locale]?.content?.packs?.[`${pack.id}@${pack.version}`];
+  if (!translation) return pack;
+
+  const key = `${pack.id}@${pack.version}/${locale}`;
+  if (!localizedPacks.has(key)) {
+    const triplets = bundles[locale].content.triplets || {};
+
+    localizedPacks.set(key, {
+      ...pack,
+      title: translation.title || pack.title,
+      description: translation.description || pack.description,
+      parts: { ...pack.parts, ...translation.parts },
+      sections: pack.sections.map(section => localizeSection(section, translation.sections?.[section.id] || {}, triplets))
+    });
+  }
+  return localizedPacks.get(key);
+}
+
+/**
+ * Translate one section of a pack
+ * @param {Object} section - Section definition
+ * @param {Object} translation - { title, description, content, fields: { id: prompt }, triplets: { id: prompt } }
+ * @param {Object} triplets - The language's prompts for the official triplets
+ * @returns {Object} Translated section
+ */
+function localizeSection(section, translation, triplets) {
+  const localized = {
+    ...section,
+    title: translation.title || section.title,
+    description: translation.description || section.description,
+    content: translation.content || section.content
+  };
+
+  if (section.fields) {
+    localized.fields = section.fields.map(field => ({
+      ...field,
+      prompt: translation.fields?.[field.id] || field.prompt
+    }));
+  }
+
+  if (section.triplets) {
+    localized.triplets = section.triplets.map(triplet => ({
+      ...triplet,
+      prompt: translation.triplets?.[triplet.id] || triplets[triplet.id] || triplet.prompt
+    }));
+  }
+
+  return localized;
+}
+
+/**
+ * Translate the static text of the page shell
+ * Elements name their string with data-i18n (text) or
+ * data-i18n-<attribute> (e.g. data-i18n-aria-label).
+ * @param {HTMLElement} root - Element to translate within
+ */
+export function translatePage(root = document) {
+  root.querySelectorAll('*').forEach(el => {
+    [...el.attributes].forEach(({ name, value }) => {
+      if (name === 'data-i18n') {
+        el.textContent = t(value);
+      } else if (name.startsWith('data-i18n-')) {
+        el.setAttribute(name.slice('data-i18n-'.length), t(value));
+      }
+    });
+  });
+}
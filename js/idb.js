@@ -0,0 +1,62 @@
+/**
+ * IndexedDB Module
+ * Small promise wrappers around the IndexedDB API
+ */
+
+/**
+ * Check if IndexedDB is available
+ * @returns {boolean} True if IndexedDB can be used
+ */
+export function isIndexedDBAvailable() {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch (e) {
+    // Some browsers throw on access when storage is blocked
+    return false;
+  }
+}
+
+/**
+ * Open a database, creating or upgrading it as needed
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Called with (db, oldVersion, transaction) on upgrade
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+export function openDatabase(name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+
+    request.onupgradeneeded = (event) => {
+      upgrade(request.result, event.oldVersion, request.transaction);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`Database "${name}" is blocked by another tab`));
+  });
+}
+
+/**
+ * Wait for a request to finish
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} The request's result
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - Transaction to wait for
+ * @returns {Promise<void>} Resolves on commit, rejects on error or abort
+ */
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
@@ -0,0 +1,182 @@
+/**
+ * Life Areas Module
+ * Per-year customization of life areas: the "Other" label, hidden areas and custom areas
+ */
+
+import { lifeAreas } from '../data/questions.js';
+import { getLifeAreaConfig, saveLifeAreaConfig, loadYear } from './storage.js';
+import { renderSection } from './render.js';
+import { openModal } from './modal.js';
+import { t, getLocale, getYearLocale, getLifeAreaLabels } from './i18n.js';
+
+/**
+ * Create the "Customize life areas" button for a life areas section
+ * @param {string} yearId - Year being edited
+ * @param {string} sectionId - Section to re-render after changes
+ * @returns {HTMLElement} Button container
+ */
+export function createLifeAreasCustomizer(yearId, sectionId) {
+  const container = document.createElement('div');
+  container.className = 'life-areas-customize';
+  container.lang = getLocale();
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-link';
+  button.textContent = t('areas.customize');
+  button.addEventListener('click', () => showCustomizeDialog(yearId, sectionId));
+
+  container.appendChild(button);
+  return container;
+}
+
+/**
+ * Show the customization dialog
+ * Changes are saved as they're made and apply to both life areas sections.
+ * @param {string} yearId - Year being edited
+ * @param {string} sectionId - Section to re-render when the dialog closes
+ */
+function showCustomizeDialog(yearId, sectionId) {
+  const { dialog, body } = openModal({ title: t('areas.customizeTitle'), className: 'life-areas-modal' });
+
+  // Built-in areas are named in the year's language, like in its sections
+  const labels = getLifeAreaLabels(getYearLocale(loadYear(yearId)));
+  const builtIn = lifeAreas.map(area => ({ ...area, label: labels[area.id] || area.label }));
+
+  dialog.addEventListener('close', () => renderSection(sectionId));
+
+  const render = () => {
+    const config = getLifeAreaConfig(yearId);
+    body.innerHTML = `
+      <p class="life-areas-help">${t('areas.customizeHelp')}</p>
+      <ul class="life-areas-list"></ul>
+      <form class="life-areas-add">
+        <label for="new-life-area">${t('areas.addLabel')}</label>
+        <div class="life-areas-add-row">
+          <input type="text" id="new-life-area" placeholder="${t('areas.addPlaceholder')}" required>
+          <button type="submit" class="btn btn-secondary">${t('areas.add')}</button>
+        </div>
+      </form>
+    `;
+
+    const list = body.querySelector('.life-areas-list');
+    [...builtIn, ...config.custom].forEach(area => {
+      list.appendChild(createAreaRow(yearId, area, config, render));
+    });
+
+    body.querySelector('.life-areas-add').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = body.querySelector('#new-life-area');
+      const label = input.value.trim();
+      if (!label) return;
+
+      const latest = getLifeAreaConfig(yearId);
+      latest.custom.push({ id: createAreaId(label, latest), label });
+      saveLifeAreaConfig(yearId, latest);
+      render();
+      body.querySelector('#new-life-area').focus();
+    });
+  };
+
+  render();
+}
+
+/**
+ * Create the row for one life area in the dialog
+ * @param {string} yearId - Year being edited
+ * @param {Object} area - Built-in or custom life area
+ * @param {Object} config - Current life area settings
+ * @param {Function} rerender - Re-render the dialog after structural changes
+ * @returns {HTMLLIElement} Row element
+ */
+function createAreaRow(yearId, area, config, rerender) {
+  const isCustom = config.custom.some(c => c.id === area.id);
+  const editable = isCustom || area.id === 'other';
+
+  const row = document.createElement('li');
+  row.className = 'life-areas-row';
+
+  const visible = document.createElement('input');
+  visible.type = 'checkbox';
+  visible.checked = !config.hidden.includes(area.id);
+  visible.setAttribute('aria-label', t('areas.show', { area: area.label }));
+  visible.addEventListener('change', () => {
+    const latest = getLifeAreaConfig(yearId);
+    latest.hidden = visible.checked
+      ? latest.hidden.filter(id => id !== area.id)
+      : [...latest.hidden, area.id];
+    saveLifeAreaConfig(yearId, latest);
+  });
+  row.appendChild(visible);
+
+  if (editable) {
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.value = isCustom ? area.label : (config.labels[area.id] || '');
+    labelInput.placeholder = area.label;
+    labelInput.setAttribute('aria-label', t('areas.labelFor', { area: area.label }));
+    labelInput.addEventListener('input', () => {
+      const latest = getLifeAreaConfig(yearId);
+      const value = labelInput.value.trim();
+
+      if (isCustom) {
+        // Keep the old label rather than saving an empty one
+        if (!value) return;
+        latest.custom = latest.custom.map(c => c.id === area.id ? { ...c, label: value } : c);
+      } else if (value) {
+        latest.labels[area.id] = value;
+      } else {
+        delete latest.labels[area.id];
+      }
+
+      saveLifeAreaConfig(yearId, latest);
+    });
+    row.appendChild(labelInput);
+  } else {
+    const name = document.createElement('span');
+    name.className = 'life-areas-name';
+    name.textContent = area.label;
+    row.appendChild(name);
+  }
+
+  if (isCustom) {
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-link';
+    remove.textContent = t('areas.remove');
+    remove.setAttribute('aria-label', t('areas.removeLabel', { area: area.label }));
+    remove.addEventListener('click', () => {
+      if (!confirm(t('areas.confirmRemove', { area: area.label }))) return;
+
+      const latest = getLifeAreaConfig(yearId);
+      latest.custom = latest.custom.filter(c => c.id !== area.id);
+      latest.hidden = latest.hidden.filter(id => id !== area.id);
+      saveLifeAreaConfig(yearId, latest);
+      rerender();
+    });
+    row.appendChild(remove);
+  }
+
+  return row;
+}
+
+/**
+ * Create a stable ID for a custom life area
+ * Based on the label, so the same area links up with last year's goals.
+ * @param {string} label - Area label
+ * @param {Object} config - Current life area settings
+ * @returns {string} Unique area ID
+ */
+function createAreaId(label, config) {
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+    || Date.now().toString(36);
+  const taken = new Set([...lifeAreas, ...config.custom].map(area => area.id));
+
+  let id = `custom-${slug}`;
+  let suffix = 2;
+  while (taken.has(id)) {
+    id = `custom-${slug}-${suffix++}`;
+  }
+
+  return id;
+}
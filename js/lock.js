@@ -0,0 +1,170 @@
+/**
+ * Lock Module
+ * Unlock screen for passphrase-locked data and the passphrase settings
+ */
+
+import { isEncryptionEnabled, verifyPassphrase, setPassphrase } from './storage.js';
+import { isCryptoAvailable } from './crypto.js';
+import { reencryptRevisions } from './history.js';
+import { applySettings } from './settings.js';
+import { t } from './i18n.js';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Show the unlock screen over the page
+ * Used as the storage unlock callback; stays up until the data is unlocked or erased.
+ * @param {Object} request - { settings, unlock(passphrase) → { success, message }, erase() } from storage
+ */
+export function showUnlockScreen({ settings, unlock, erase }) {
+  // Settings aren't encrypted, so the screen can use the user's theme
+  applySettings(settings);
+
+  const screen = document.createElement('div');
+  screen.className = 'lock-screen';
+  screen.setAttribute('role', 'dialog');
+  screen.setAttribute('aria-modal', 'true');
+  screen.setAttribute('aria-labelledby', 'lock-title');
+  screen.innerHTML = `
+    <form class="lock-form">
+      <h1 id="lock-title" class="lock-title">${t('lock.title')}</h1>
+      <p>${t('lock.prompt')}</p>
+      <label for="unlock-passphrase" class="sr-only">${t('lock.passphrase')}</label>
+      <input type="password" id="unlock-passphrase" autocomplete="current-password" required>
+      <button type="submit" class="btn btn-primary">${t('lock.unlock')}</button>
+      <p class="lock-message" role="status"></p>
+      <button type="button" class="btn btn-link lock-forgot">${t('lock.forgot')}</button>
+    </form>
+  `;
+
+  document.body.appendChild(screen);
+
+  const form = screen.querySelector('form');
+  const input = form.querySelector('input');
+  const submit = form.querySelector('button[type="submit"]');
+  const message = form.querySelector('.lock-message');
+  input.focus();
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    submit.disabled = true;
+    message.classList.remove('error');
+    message.textContent = t('lock.unlocking');
+
+    const result = await unlock(input.value);
+
+    if (result.success) {
+      screen.remove();
+      return;
+    }
+
+    submit.disabled = false;
+    message.textContent = result.message;
+    message.classList.add('error');
+    input.select();
+  });
+
+  form.querySelector('.lock-forgot').addEventListener('click', () => {
+    if (!confirm(t('lock.confirmErase'))) {
+      return;
+    }
+    screen.remove();
+    erase();
+  });
+}
+
+/**
+ * Create the passphrase lock group for the settings dialog
+ * @returns {HTMLFieldSetElement} Fieldset element
+ */
+export function createLockSettings() {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'settings-group lock-settings';
+  renderLockSettings(fieldset);
+  return fieldset;
+}
+
+/**
+ * Render the lock settings for the current state
+ * @param {HTMLFieldSetElement} fieldset - Group to render into
+ */
+function renderLockSettings(fieldset) {
+  if (!isCryptoAvailable()) {
+    fieldset.innerHTML = `
+      <legend>${t('lock.legend')}</legend>
+      <p class="lock-help">${t('lock.unavailable')}</p>
+    `;
+    return;
+  }
+
+  const enabled = isEncryptionEnabled();
+
+  fieldset.innerHTML = enabled ? `
+    <legend>${t('lock.legend')}</legend>
+    <p class="lock-help">${t('lock.onHelp')}</p>
+    <label>${t('lock.current')} <input type="password" data-lock="current" autocomplete="current-password"></label>
+    <label>${t('lock.new')} <input type="password" data-lock="new" autocomplete="new-password"></label>
+    <label>${t('lock.repeatNew')} <input type="password" data-lock="repeat" autocomplete="new-password"></label>
+    <div class="lock-actions">
+      <button type="button" class="btn btn-secondary" data-action="change">${t('lock.change')}</button>
+      <button type="button" class="btn btn-link" data-action="off">${t('lock.turnOff')}</button>
+    </div>
+    <p class="lock-message" role="status"></p>
+  ` : `
+    <legend>${t('lock.legend')}</legend>
+    <p class="lock-help">${t('lock.offHelp')}</p>
+    <label>${t('lock.passphrase')} <input type="password" data-lock="new" autocomplete="new-password"></label>
+    <label>${t('lock.repeat')} <input type="password" data-lock="repeat" autocomplete="new-password"></label>
+    <p class="lock-help">${t('lock.forgetWarning')}</p>
+    <div class="lock-actions">
+      <button type="button" class="btn btn-secondary" data-action="on">${t('lock.turnOn')}</button>
+    </div>
+    <p class="lock-message" role="status"></p>
+  `;
+
+  const value = (name) => fieldset.querySelector(`[data-lock="${name}"]`)?.value || '';
+  const message = fieldset.querySelector('.lock-message');
+
+  const showMessage = (text, isError = false) => {
+    message.textContent = text;
+    message.classList.toggle('error', isError);
+  };
+
+  fieldset.querySelectorAll('button[data-action]').forEach(button => {
+    button.addEventListener('click', async () => {
+      const action = button.dataset.action;
+
+      if (action !== 'off') {
+        if (value('new').length < MIN_PASSPHRASE_LENGTH) {
+          showMessage(t('lock.tooShort', { count: MIN_PASSPHRASE_LENGTH }), true);
+          return;
+        }
+        if (value('new') !== value('repeat')) {
+          showMessage(t('lock.mismatch'), true);
+          return;
+        }
+      }
+
+      fieldset.querySelectorAll('button, input').forEach(el => { el.disabled = true; });
+      showMessage(t('lock.working'));
+
+      if (enabled && !(await verifyPassphrase(value('current')))) {
+        fieldset.querySelectorAll('button, input').forEach(el => { el.disabled = false; });
+        showMessage(t('lock.currentWrong'), true);
+        return;
+      }
+
+      const saved = await reencryptRevisions(() => setPassphrase(action === 'off' ? null : value('new')));
+
+      renderLockSettings(fieldset);
+      const done = {
+        on: t('lock.turnedOn'),
+        change: t('lock.changed'),
+        off: t('lock.turnedOff')
+      };
+      fieldset.querySelector('.lock-message').textContent = saved
+        ? done[action]
+        : t('lock.notSaved');
+    });
+  });
+}
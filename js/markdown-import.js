@@ -0,0 +1,351 @@
+/**
+ * Markdown Import Module
+ * Reads answers back from a Markdown document laid out like the Markdown export
+ *
+ * Headings are matched by text rather than exact level, so drafts don't have to
+ * be exact: section titles, field prompts, triplet prompts, life areas and the
+ * goal prompts are recognised case-insensitively and without trailing
+ * punctuation. Everything under a recognised prompt is the answer, including
+ * smaller headings, up to the next heading of the same or a larger size. A
+ * section with a single question can skip the prompt heading, and a prompt
+ * outside its section's heading is still found. Life area
+ * ratings and notes are read from the assessment table. Headings are expected
+ * in the year's language, as the export writes them.
+ */
+
+import { goalStatuses, resolveLifeAreas, describeField } from '../data/questions.js';
+import { loadYear, saveAnswer } from './storage.js';
+import { getPartTitle, getGoalPrompts } from './text-export.js';
+import { getYearPack } from './packs.js';
+import { t, getYearLocale, getLifeAreaLabels, getAnswerLabels, localizeGoalStatuses } from './i18n.js';
+
+/**
+ * Work out what importing a Markdown document into a year would change
+ * Nothing is saved; pass the result to applyMarkdownImport().
+ * @param {string} text - Markdown document
+ * @param {string} yearId - Year to import into
+ * @returns {Object} {
+ *   title: string|null (the document's "# YearCompass ..." year, if any),
+ *   answers: [{ sectionId, fieldId, sectionTitle, label, value, current, status: 'new'|'same'|'conflict' }],
+ *   unmatched: [{ heading, excerpt }]
+ * }
+ */
+export function planMarkdownImport(text, yearId) {
+  const yearData = loadYear(yearId);
+  const pack = getYearPack(yearData);
+  const locale = getYearLocale(yearData);
+  const parsed = parseMarkdown(text, pack, yearData?.lifeAreas || {}, locale);
+
+  const answers = parsed.answers.map(({ sectionId, fieldId, value }) => {
+    const current = String(yearData?.sections[sectionId]?.answers?.[fieldId] ?? '');
+    let status = 'conflict';
+    if (current.trim() === value.trim()) {
+      status = 'same';
+    } else if (!current.trim()) {
+      status = 'new';
+    }
+
+    return {
+      sectionId,
+      fieldId,
+      ...describeField(sectionId, fieldId, yearData?.lifeAreas, pack.sections, getLifeAreaLabels(locale), getAnswerLabels(locale)),
+      value,
+      current,
+      status
+    };
+  });
+
+  return { title: parsed.title, answers, unmatched: parsed.unmatched };
+}
+
+/**
+ * Save planned answers
+ * @param {string} yearId - Year to import into
+ * @param {Array} answers - Answers from planMarkdownImport()
+ * @param {Object} options - { replaceConflicts: boolean } to overwrite answers that differ
+ * @returns {number} Number of answers saved
+ */
+export function applyMarkdownImport(yearId, answers, { replaceConflicts = false } = {}) {
+  let saved = 0;
+
+  answers.forEach(answer => {
+    if (answer.status === 'same') return;
+    if (answer.status === 'conflict' && !replaceConflicts) return;
+
+    if (saveAnswer(yearId, answer.sectionId, answer.fieldId, answer.value)) {
+      saved++;
+    }
+  });
+
+  return saved;
+}
+
+/**
+ * Split a document into answers by its headings
+ * @param {string} text - Markdown document
+ * @param {Object} pack - Year's question pack
+ * @param {Object} lifeAreaConfig - Year's life area settings
+ * @param {string} locale - Year's language
+ * @returns {Object} { title, answers: [{ sectionId, fieldId, value }], unmatched: [{ heading, excerpt }] }
+ */
+function parseMarkdown(text, pack, lifeAreaConfig, locale) {
+  // Hidden areas can still hold answers
+  const areas = resolveLifeAreas({ ...lifeAreaConfig, hidden: [] }, getLifeAreaLabels(locale));
+  const { sections } = pack;
+  const partTitles = [1, 2].map(part => normalize(getPartTitle(pack, part, locale)));
+  const goalPrompts = getGoalPrompts(locale);
+  const result = { title: null, answers: [], unmatched: [] };
+
+  let section = null;
+  let area = null;
+  let heading = null;
+  let target = null;
+  let targetLevel = 0;
+  let buffer = [];
+  let inFence = false;
+
+  // A field mentioned twice keeps the later answer
+  const addAnswer = (answer) => {
+    result.answers = result.answers.filter(a => a.sectionId !== answer.sectionId || a.fieldId !== answer.fieldId);
+    result.answers.push(answer);
+  };
+
+  // Hand the lines collected since the last heading to whatever they belong to
+  const flush = () => {
+    const content = trimBlankLines(buffer);
+    buffer = [];
+    if (content.length === 0) return;
+
+    if (target?.type === 'field') {
+      addAnswer({ sectionId: section.id, fieldId: target.fieldId, value: content.join('\n') });
+    } else if (target?.type === 'triplet') {
+      readTriplet(content, section.id, target.triplet, addAnswer, result);
+    } else if (section?.type === 'life-areas') {
+      readLifeAreasTable(content, section.id, areas, heading, addAnswer, result, locale);
+    } else {
+      result.unmatched.push({ heading, excerpt: excerpt(content) });
+    }
+  };
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+
+    const match = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!match) {
+      buffer.push(line);
+      return;
+    }
+
+    const level = match[1].length;
+    const title = match[2];
+    const key = normalize(title);
+
+    const matchedSection = level <= 3 && sections.find(s => s.type !== 'info' && normalize(s.title) === key);
+    const isPart = level <= 3 && partTitles.includes(key);
+    const isTitle = level === 1 && /^yearcompass\b/i.test(title);
+    let field = !matchedSection && !isPart && !isTitle && section
+      ? findTarget(section, area, areas, goalPrompts, key)
+      : null;
+
+    // Drafts may skip section headings: try every section's prompts (but not
+    // life area names, which are too likely to be ordinary headings)
+    const otherSection = !field && !matchedSection && !isPart && !isTitle
+      ? sections.find(s => s.type !== 'info' && s.type !== 'life-areas-goals' && findTarget(s, null, areas, goalPrompts, key))
+      : null;
+    if (otherSection) {
+      field = findTarget(otherSection, null, areas, goalPrompts, key);
+    }
+
+    // A smaller unknown heading inside an answer is part of the answer
+    if (!matchedSection && !isPart && !isTitle && !field && target && level > targetLevel) {
+      buffer.push(line);
+      return;
+    }
+
+    flush();
+    heading = title;
+    target = null;
+    targetLevel = level;
+
+    if (matchedSection) {
+      section = matchedSection;
+      area = null;
+      const onlyField = !matchedSection.type && matchedSection.fields?.length === 1 ? matchedSection.fields[0] : null;
+      if (onlyField) {
+        target = { type: 'field', fieldId: onlyField.id };
+      }
+    } else if (isPart || isTitle) {
+      section = null;
+      area = null;
+      if (isTitle) {
+        result.title = title.replace(/^yearcompass\s*/i, '');
+      }
+    } else if (otherSection) {
+      section = otherSection;
+      area = null;
+      target = field;
+    } else if (field?.type === 'area') {
+      area = field.area;
+    } else if (field) {
+      target = field;
+    }
+  });
+
+  flush();
+  return result;
+}
+
+/**
+ * Find what a heading refers to within the current section
+ * @param {Object} section - Current section
+ * @param {Object|null} area - Current life area (goals section)
+ * @param {Array} areas - All life areas of the year
+ * @param {Object} goalPrompts - { goal, actions } prompts in the year's language
+ * @param {string} key - Normalized heading text
+ * @returns {Object|null} { type: 'field', fieldId } | { type: 'triplet', triplet } | { type: 'area', area }
+ */
+function findTarget(section, area, areas, goalPrompts, key) {
+  switch (section.type) {
+    case 'triplets': {
+      const triplet = section.triplets.find(t => normalize(t.prompt) === key);
+      return triplet ? { type: 'triplet', triplet } : null;
+    }
+    case 'life-areas-goals': {
+      const matchedArea = areas.find(a => normalize(a.label) === key);
+      if (matchedArea) return { type: 'area', area: matchedArea };
+
+      const kind = Object.keys(goalPrompts).find(k => normalize(goalPrompts[k]) === key);
+      return kind && area ? { type: 'field', fieldId: `${area.id}-${kind}` } : null;
+    }
+    case 'life-areas':
+      return null;
+    default: {
+      const field = (section.fields || []).find(f => normalize(f.prompt || f.id) === key);
+      return field ? { type: 'field', fieldId: field.id } : null;
+    }
+  }
+}
+
+/**
+ * Read a triplet's numbered (or bulleted) list
+ */
+function readTriplet(lines, sectionId, triplet, addAnswer, result) {
+  let next = 1;
+  const leftover = [];
+
+  lines.forEach(line => {
+    const item = line.match(/^\s*(?:(\d+)[.)]|[-*+])\s+(.*)$/);
+    if (!item || !item[2].trim()) {
+      if (line.trim()) leftover.push(line);
+      return;
+    }
+
+    const number = item[1] ? Number(item[1]) : next;
+    next = number + 1;
+    if (number >= 1 && number <= 3) {
+      addAnswer({ sectionId, fieldId: `${triplet.id}-${number}`, value: item[2].trim() });
+    } else {
+      leftover.push(line);
+    }
+  });
+
+  if (leftover.length > 0) {
+    result.unmatched.push({ heading: triplet.prompt, excerpt: excerpt(leftover) });
+  }
+}
+
+/**
+ * Read the life areas table: | Area | Rating | Notes | Outcome |
+ */
+function readLifeAreasTable(lines, sectionId, areas, heading, addAnswer, result, locale) {
+  const rows = lines
+    .filter(line => line.trim().startsWith('|'))
+    .map(splitTableRow);
+  const leftover = lines.filter(line => line.trim() && !line.trim().startsWith('|'));
+
+  const header = rows.shift()?.map(normalize) || [];
+  const column = (name) => header.indexOf(normalize(name));
+  const statusColumn = column(t('document.outcomeColumn', {}, locale));
+  const columns = {
+    area: column(t('document.area', {}, locale)),
+    rating: column(t('document.rating', {}, locale)),
+    notes: column(t('document.notes', {}, locale)),
+    // Documents exported before the column was renamed call it "Last year's goal"
+    status: statusColumn === -1 ? column(t('areas.lastYearsGoal', {}, locale)) : statusColumn
+  };
+  const statuses = localizeGoalStatuses(goalStatuses, locale);
+
+  rows.forEach(cells => {
+    // The separator row
+    if (cells.every(cell => /^:?-+:?$/.test(cell))) return;
+
+    const area = areas.find(a => normalize(a.label) === normalize(cells[columns.area] || ''));
+    if (!area || columns.area === -1) {
+      leftover.push(`| ${cells.join(' | ')} |`);
+      return;
+    }
+
+    const rating = (cells[columns.rating] || '').match(/^(\d+)\s*(?:\/\s*10)?$/);
+    if (rating && Number(rating[1]) >= 1 && Number(rating[1]) <= 10) {
+      addAnswer({ sectionId, fieldId: `${area.id}-rating`, value: rating[1] });
+    }
+
+    const notes = cells[columns.notes];
+    if (notes) {
+      addAnswer({ sectionId, fieldId: `${area.id}-notes`, value: notes.replace(/<br\s*\/?>/gi, '\n') });
+    }
+
+    const status = statuses.find(s => normalize(s.label) === normalize(cells[columns.status] || ''));
+    if (status) {
+      addAnswer({ sectionId, fieldId: `${area.id}-goal-status`, value: status.id });
+    }
+  });
+
+  if (leftover.length > 0) {
+    result.unmatched.push({ heading, excerpt: excerpt(leftover) });
+  }
+}
+
+/**
+ * Split a Markdown table row into cells, honouring escaped pipes
+ */
+function splitTableRow(line) {
+  return line.trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Compare headings loosely: case, spacing, curly quotes and trailing ":" or "..." don't matter
+ */
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[‘’]/g, '\'')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s:.…]+$/, '')
+    .trim();
+}
+
+/**
+ * Drop blank lines at the start and end
+ */
+function trimBlankLines(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && !lines[start].trim()) start++;
+  while (end > start && !lines[end - 1].trim()) end--;
+  return lines.slice(start, end);
+}
+
+/**
+ * Shorten skipped content for the report
+ */
+function excerpt(lines) {
+  const text = lines.join(' ').replace(/\s+/g, ' ').trim();
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+}
@@ -7,6 +7,9 @@
 // Note: marked.js will be loaded as a global from lib/marked.min.js
 // For module usage, we check if it's available
 
+import { getSettings } from './storage.js';
+import { t, getLocale } from './i18n.js';
+
 /**
  * Render markdown text to HTML
  * @param {string} text - Markdown text to render
@@ -110,7 +113,7 @@ export function togglePreview(textarea, showPreview) {
       textarea.style.display = 'none';
       preview.style.display = 'block';
       if (toggleBtn) {
-        toggleBtn.textContent = 'Edit';
+        toggleBtn.textContent = t('markdown.edit');
         toggleBtn.setAttribute('aria-pressed', 'true');
       }
     }
@@ -120,7 +123,7 @@ export function togglePreview(textarea, showPreview) {
       preview.style.display = 'none';
     }
     if (toggleBtn) {
-      toggleBtn.textContent = 'Preview';
+      toggleBtn.textContent = t('markdown.preview');
       toggleBtn.setAttribute('aria-pressed', 'false');
     }
     // Focus the textarea when switching to edit
@@ -132,6 +135,10 @@ export function togglePreview(textarea, showPreview) {
 
 /**
  * Set up markdown support for a textarea
+ * Follows the markdownPreview setting:
+ * - "onBlur": preview after leaving the field
+ * - "always": like onBlur, but fields with content also start in preview
+ * - "manual": only the toggle button switches modes
  * @param {HTMLTextAreaElement} textarea - The textarea element
  */
 export function setupMarkdownTextarea(textarea) {
@@ -143,6 +150,8 @@ export function setupMarkdownTextarea(textarea) {
   // Mark as set up
   textarea.dataset.markdownSetup = 'true';
 
+  const previewMode = getSettings().markdownPreview;
+
   // Create wrapper
   const wrapper = document.createElement('div');
   wrapper.className = 'markdown-wrapper';
@@ -151,9 +160,10 @@ export function setupMarkdownTextarea(textarea) {
   const toggle = document.createElement('button');
   toggle.type = 'button';
   toggle.className = 'markdown-toggle btn btn-secondary';
-  toggle.textContent = 'Preview';
+  toggle.lang = getLocale();
+  toggle.textContent = t('markdown.preview');
   toggle.setAttribute('aria-pressed', 'false');
-  toggle.setAttribute('aria-label', 'Toggle markdown preview');
+  toggle.setAttribute('aria-label', t('markdown.toggle'));
 
   // Create preview container
   const preview = document.createElement('div');
@@ -173,21 +183,28 @@ export function setupMarkdownTextarea(textarea) {
   });
 
   // Preview on blur (if content exists)
-  textarea.addEventListener('blur', () => {
-    if (textarea.value.trim()) {
-      // Small delay to allow click on toggle button
-      setTimeout(() => {
-        if (document.activeElement !== toggle) {
-          togglePreview(textarea, true);
-        }
-      }, 150);
-    }
-  });
+  if (previewMode !== 'manual') {
+    textarea.addEventListener('blur', () => {
+      if (textarea.value.trim()) {
+        // Small delay to allow click on toggle button
+        setTimeout(() => {
+          if (document.activeElement !== toggle) {
+            togglePreview(textarea, true);
+          }
+        }, 150);
+      }
+    });
+  }
 
   // Edit on focus (click on preview)
   preview.addEventListener('click', () => {
     togglePreview(textarea, false);
   });
+
+  // Start in preview for fields that already have content
+  if (previewMode === 'always' && textarea.value.trim()) {
+    togglePreview(textarea, true);
+  }
 }
 
 /**
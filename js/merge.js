@@ -0,0 +1,282 @@
+/**
+ * Merge Module
+ * Three-way merge of stored data written by another tab
+ *
+ * `base` is the data this tab last read from or wrote to storage, `mine` is
+ * this tab's in-memory data and `theirs` is what another tab just wrote.
+ * Answers merge field by field: whichever side changed a field since `base`
+ * wins, and a field changed differently on both sides is a conflict (this
+ * tab's value is kept until the user decides). Check-ins merge entry by entry,
+ * private flags flag by flag, and life area names, hidden areas and added
+ * areas one area at a time, with the same rules.
+ */
+
+// Year keys merged piece by piece rather than as one value
+const PIECEWISE_KEYS = ['checkIns', 'privacy', 'lifeAreas'];
+
+/**
+ * Merge another tab's data into this tab's data
+ * @param {Object|null} base - Data as last synced with storage
+ * @param {Object} mine - This tab's data
+ * @param {Object} theirs - Data written by another tab
+ * @returns {Object} {
+ *   data: Object,        // merged data
+ *   updated: Array,      // answers taken from theirs: { yearId, sectionId, fieldId, value }
+ *   conflicts: Array,    // { type: 'answer', yearId, sectionId, fieldId, mine, theirs },
+ *                        // { type: 'check-in' | 'area-label' | 'custom-area', yearId, id, mine, theirs }
+ *                        // (mine or theirs is undefined where that side removed it)
+ *   changedYears: Array, // year IDs whose settings (not answers) changed in theirs
+ *   ahead: boolean       // true if mine has changes theirs doesn't
+ * }
+ */
+export function mergeData(base, mine, theirs) {
+  const result = { updated: [], conflicts: [], changedYears: [], ahead: false };
+
+  const data = {
+    ...mine,
+    // Each tab keeps its own active year
+    currentYear: mine.currentYear,
+    settings: mergeRecord(base?.settings || {}, mine.settings || {}, theirs.settings || {}, result),
+    years: {}
+  };
+
+  // Added question packs never change, so both tabs' packs are kept
+  if (mine.packs || theirs.packs) {
+    data.packs = { ...theirs.packs, ...mine.packs };
+    if (Object.keys(mine.packs || {}).some(key => !theirs.packs?.[key])) {
+      result.ahead = true;
+    }
+  }
+
+  const yearIds = new Set([...Object.keys(mine.years || {}), ...Object.keys(theirs.years || {})]);
+
+  yearIds.forEach(yearId => {
+    const baseYear = base?.years?.[yearId];
+    const myYear = mine.years?.[yearId];
+    const theirYear = theirs.years?.[yearId];
+
+    if (!theirYear) {
+      // Never drop a year because another tab doesn't have it
+      data.years[yearId] = myYear;
+      if (!baseYear) result.ahead = true;
+      return;
+    }
+
+    if (!myYear) {
+      data.years[yearId] = theirYear;
+      result.changedYears.push(yearId);
+      return;
+    }
+
+    data.years[yearId] = mergeYear(yearId, baseYear, myYear, theirYear, result);
+  });
+
+  return { data, ...result, changedYears: [...new Set(result.changedYears)] };
+}
+
+/**
+ * Merge one year
+ */
+function mergeYear(yearId, baseYear, myYear, theirYear, result) {
+  const merged = {};
+  const keys = new Set([...Object.keys(myYear), ...Object.keys(theirYear)]);
+
+  keys.forEach(key => {
+    if (key === 'sections' || PIECEWISE_KEYS.includes(key)) return;
+
+    if (key === 'lastModified') {
+      merged.lastModified = [myYear.lastModified, theirYear.lastModified].filter(Boolean).sort().pop();
+      return;
+    }
+
+    const baseValue = baseYear?.[key];
+    const myValue = myYear[key];
+    const theirValue = theirYear[key];
+
+    if (isEqual(myValue, theirValue) || !isEqual(myValue, baseValue)) {
+      merged[key] = myValue;
+      // The section someone is looking at isn't a change worth writing back
+      if (!isEqual(myValue, theirValue) && key !== 'currentSection') {
+        result.ahead = true;
+      }
+    } else {
+      merged[key] = theirValue;
+      if (key !== 'currentSection') {
+        result.changedYears.push(yearId);
+      }
+    }
+  });
+
+  merged.sections = {};
+  const mySections = myYear.sections || {};
+  const theirSections = theirYear.sections || {};
+  const sectionIds = new Set([...Object.keys(mySections), ...Object.keys(theirSections)]);
+
+  sectionIds.forEach(sectionId => {
+    const mySection = mySections[sectionId] || { completed: false, answers: {} };
+    const theirSection = theirSections[sectionId] || { completed: false, answers: {} };
+    const baseAnswers = baseYear?.sections?.[sectionId]?.answers || {};
+
+    const answers = {};
+    const fieldIds = new Set([
+      ...Object.keys(mySection.answers || {}),
+      ...Object.keys(theirSection.answers || {})
+    ]);
+
+    fieldIds.forEach(fieldId => {
+      const baseValue = baseAnswers[fieldId] ?? '';
+      const myValue = mySection.answers?.[fieldId] ?? '';
+      const theirValue = theirSection.answers?.[fieldId] ?? '';
+
+      if (myValue === theirValue) {
+        answers[fieldId] = myValue;
+      } else if (myValue === baseValue) {
+        answers[fieldId] = theirValue;
+        result.updated.push({ yearId, sectionId, fieldId, value: theirValue });
+      } else if (theirValue === baseValue) {
+        answers[fieldId] = myValue;
+        result.ahead = true;
+      } else {
+        answers[fieldId] = myValue;
+        result.ahead = true;
+        result.conflicts.push({ type: 'answer', yearId, sectionId, fieldId, mine: myValue, theirs: theirValue });
+      }
+    });
+
+    merged.sections[sectionId] = { ...theirSection, ...mySection, answers };
+  });
+
+  const clash = (type) => (id, mine, theirs) => {
+    result.conflicts.push({ type, yearId, id, mine, theirs });
+  };
+  const merge = (base, mine, theirs, onClash) => mergeEntries(base, mine, theirs, yearId, result, onClash);
+
+  if (myYear.checkIns || theirYear.checkIns) {
+    const checkIns = Object.values(merge(
+      byId(baseYear?.checkIns), byId(myYear.checkIns), byId(theirYear.checkIns), clash('check-in')
+    ));
+    if (checkIns.length > 0) {
+      merged.checkIns = checkIns;
+    }
+  }
+
+  if (myYear.privacy || theirYear.privacy) {
+    merged.privacy = mergePrivacy(baseYear?.privacy, myYear.privacy, theirYear.privacy, merge);
+  }
+
+  if (myYear.lifeAreas || theirYear.lifeAreas) {
+    const [base, mine, theirs] = [baseYear, myYear, theirYear].map(year => year?.lifeAreas || {});
+    merged.lifeAreas = {
+      labels: merge(base.labels || {}, mine.labels || {}, theirs.labels || {}, clash('area-label')),
+      hidden: Object.keys(merge(asFlags(base.hidden), asFlags(mine.hidden), asFlags(theirs.hidden))),
+      custom: Object.values(merge(byId(base.custom), byId(mine.custom), byId(theirs.custom), clash('custom-area')))
+    };
+  }
+
+  return merged;
+}
+
+/**
+ * Merge a year's private flags one section or answer at a time
+ * @param {Object|undefined} base - Flags as last synced
+ * @param {Object|undefined} mine - This tab's flags
+ * @param {Object|undefined} theirs - The other tab's flags
+ * @param {Function} merge - mergeEntries() for this year
+ * @returns {Object} { sections: Array, fields: { sectionId: Array } }
+ */
+function mergePrivacy(base, mine, theirs, merge) {
+  const fieldFlags = (privacy) => asFlags(Object.entries(privacy?.fields || {})
+    .flatMap(([sectionId, fieldIds]) => fieldIds.map(fieldId => `${sectionId}/${fieldId}`)));
+
+  const sections = Object.keys(merge(asFlags(base?.sections), asFlags(mine?.sections), asFlags(theirs?.sections)));
+  const fields = {};
+  Object.keys(merge(fieldFlags(base), fieldFlags(mine), fieldFlags(theirs))).forEach(key => {
+    const [sectionId, fieldId] = key.split('/');
+    fields[sectionId] = [...(fields[sectionId] || []), fieldId];
+  });
+
+  return { sections, fields };
+}
+
+/**
+ * Three-way merge of keyed entries; a missing key is a removed entry
+ * Whichever side changed an entry since `base` wins. An entry changed
+ * differently on both sides keeps this tab's version and is passed to
+ * `onClash` (flags can't clash: both sides can only flip them the same way).
+ * @param {Object} base - Entries as last synced
+ * @param {Object} mine - This tab's entries
+ * @param {Object} theirs - The other tab's entries
+ * @param {string} yearId - Year the entries belong to
+ * @param {Object} result - Merge result to record changes in
+ * @param {Function} onClash - Called with (key, mine, theirs) (optional)
+ * @returns {Object} Merged entries, this tab's first
+ */
+function mergeEntries(base, mine, theirs, yearId, result, onClash = () => {}) {
+  const merged = {};
+  const keys = new Set([...Object.keys(mine), ...Object.keys(theirs), ...Object.keys(base)]);
+
+  keys.forEach(key => {
+    const [baseValue, myValue, theirValue] = [base[key], mine[key], theirs[key]];
+    let value = myValue;
+
+    if (isEqual(myValue, theirValue)) {
+      // Nothing to do
+    } else if (isEqual(myValue, baseValue)) {
+      value = theirValue;
+      result.changedYears.push(yearId);
+    } else {
+      result.ahead = true;
+      if (!isEqual(theirValue, baseValue)) {
+        onClash(key, myValue, theirValue);
+      }
+    }
+
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Key a list of entries by their ID
+ */
+function byId(entries = []) {
+  return Object.fromEntries(entries.map(entry => [entry.id, entry]));
+}
+
+/**
+ * Turn a list of IDs into flags ({ id: true })
+ */
+function asFlags(ids = []) {
+  return Object.fromEntries(ids.map(id => [id, true]));
+}
+
+/**
+ * Merge a flat record (e.g. settings) key by key; this tab wins if both changed
+ */
+function mergeRecord(base, mine, theirs, result) {
+  const merged = {};
+  const keys = new Set([...Object.keys(mine), ...Object.keys(theirs)]);
+
+  keys.forEach(key => {
+    if (isEqual(mine[key], base[key]) && key in theirs) {
+      merged[key] = theirs[key];
+    } else {
+      merged[key] = mine[key];
+      if (!isEqual(mine[key], theirs[key])) {
+        result.ahead = true;
+      }
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Compare two JSON-compatible values
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,105 @@
+/**
+ * Migrations Module
+ * Ordered upgrade steps for stored YearCompass data
+ *
+ * Each step upgrades data from `version` to `version + 1`. Steps that have
+ * shipped must never be edited - add a new step instead. Renaming a field ID
+ * in data/questions.js needs a step that moves the old answers to the new ID.
+ */
+
+/**
+ * Migration steps in version order
+ * @type {Array<{ version: number, description: string, migrate: Function }>}
+ */
+export const migrations = [
+  {
+    version: 1,
+    description: 'Record the question pack of each year',
+    migrate(data) {
+      // Every year before packs existed used the official booklet
+      Object.values(data.years || {}).forEach(year => {
+        if (year && typeof year === 'object' && !year.pack) {
+          year.pack = { id: 'yearcompass', version: 1 };
+        }
+      });
+      return data;
+    }
+  },
+  {
+    version: 2,
+    description: 'Record the language of each year',
+    migrate(data) {
+      // Every year before translations existed was written in English
+      Object.values(data.years || {}).forEach(year => {
+        if (year && typeof year === 'object' && !year.locale) {
+          year.locale = 'en';
+        }
+      });
+      return data;
+    }
+  }
+];
+
+/**
+ * Version written by this build of the app
+ */
+export const CURRENT_VERSION = migrations.length + 1;
+
+/**
+ * Get the schema version of a data blob (unversioned data is version 1)
+ * @param {Object} data - Stored data
+ * @returns {number} Schema version
+ */
+export function getDataVersion(data) {
+  return typeof data?.version === 'number' ? data.version : 1;
+}
+
+/**
+ * Check if data needs to be upgraded
+ * @param {Object} data - Stored data
+ * @returns {boolean} True if data is older than the current version
+ */
+export function needsMigration(data) {
+  return getDataVersion(data) < CURRENT_VERSION;
+}
+
+/**
+ * Run every migration step between the data's version and the current version
+ * Steps run on a copy, so the original is untouched if any step fails.
+ * @param {Object} data - Stored data
+ * @returns {Object} { success: boolean, data: Object, fromVersion: number, error: Error|null }
+ */
+export function migrateData(data) {
+  const fromVersion = getDataVersion(data);
+
+  if (fromVersion > CURRENT_VERSION) {
+    return {
+      success: false,
+      data,
+      fromVersion,
+      error: new Error(`data is from a newer version of YearCompass (v${fromVersion})`)
+    };
+  }
+
+  let migrated = JSON.parse(JSON.stringify(data));
+
+  for (const step of migrations) {
+    if (step.version < fromVersion) continue;
+
+    try {
+      migrated = step.migrate(migrated) || migrated;
+    } catch (error) {
+      console.error(`Migration to v${step.version + 1} failed:`, error);
+      return {
+        success: false,
+        data,
+        fromVersion,
+        error: new Error(`step "${step.description}" failed: ${error.message}`)
+      };
+    }
+
+    migrated.version = step.version + 1;
+  }
+
+  return { success: true, data: migrated, fromVersion, error: null };
+}
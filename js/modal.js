@@ -0,0 +1,52 @@
+/**
+ * Modal Module
+ * Shared dialog shell for panels that sit on top of the current section
+ */
+
+import { t } from './i18n.js';
+
+let modalCount = 0;
+
+/**
+ * Open a modal dialog
+ * @param {Object} options - { title: string, className: string }
+ * @returns {Object} { dialog: HTMLDialogElement, body: HTMLElement, close: Function }
+ */
+export function openModal({ title, className = '' }) {
+  modalCount++;
+  const titleId = `modal-title-${modalCount}`;
+
+  const dialog = document.createElement('dialog');
+  dialog.className = `modal ${className}`.trim();
+  dialog.setAttribute('aria-labelledby', titleId);
+  dialog.innerHTML = `
+    <header class="modal-header">
+      <h2 class="modal-title" id="${titleId}"></h2>
+      <button type="button" class="btn btn-link modal-close" aria-label="${t('common.close')}">×</button>
+    </header>
+    <div class="modal-body"></div>
+  `;
+  dialog.querySelector('.modal-title').textContent = title;
+
+  const body = dialog.querySelector('.modal-body');
+  const close = () => dialog.close();
+
+  dialog.querySelector('.modal-close').addEventListener('click', close);
+
+  // Close when clicking the backdrop
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) {
+      close();
+    }
+  });
+
+  // Remove from the DOM once closed (Escape key included)
+  dialog.addEventListener('close', () => {
+    dialog.remove();
+  });
+
+  document.body.appendChild(dialog);
+  dialog.showModal();
+
+  return { dialog, body, close };
+}
@@ -1,11 +1,17 @@
 /**
  * Navigation Module
  * Handles sidebar navigation, progress tracking, and section transitions
+ *
+ * Progress and the sidebar follow storage's answer-changed event; switching
+ * years (year-switched) shows the new year's sidebar and section.
  */
 
-import { sections } from '../data/questions.js';
-import { getCurrentYear, saveCurrentSection, getCurrentSection, isSectionStarted } from './storage.js';
+import { resolveLifeAreas } from '../data/questions.js';
+import { getCurrentYear, saveCurrentSection, getCurrentSection, isSectionStarted, getPrivacy } from './storage.js';
 import { renderSection } from './render.js';
+import { getYearPack, getYearSections, getPartName } from './packs.js';
+import { on } from './events.js';
+import { t, getYearLocale } from './i18n.js';
 
 let currentSectionIndex = 0;
 
@@ -25,13 +31,35 @@ export function announceToScreenReader(message) {
   }
 }
 
+/**
+ * Get the sections of the active year's question pack
+ * @returns {Array} Sections in order
+ */
+function getSections() {
+  return getYearSections(getCurrentYear());
+}
+
 /**
  * Initialize navigation
  */
 export function initNavigation() {
-  renderSidebar();
   setupNavigationListeners();
   setupHashNavigation();
+
+  on('answer-changed', () => {
+    updateProgress();
+    updateSidebarIndicators();
+  });
+  on('year-switched', showCurrentYear);
+
+  showCurrentYear();
+}
+
+/**
+ * Show the current year's sidebar and progress, and open its section
+ */
+function showCurrentYear() {
+  renderSidebar();
   updateProgress();
 
   // Navigate to initial section (from URL hash, storage, or default)
@@ -39,6 +67,14 @@ export function initNavigation() {
   navigateToSection(initialSection, false); // Don't show nudge on initial load
 }
 
+/**
+ * Render the sidebar and the current section again, e.g. in a newly picked language
+ */
+export function refreshNavigation() {
+  renderSidebar();
+  navigateToSection(getCurrentSection(), false);
+}
+
 /**
  * Get the initial section to display
  * Priority: URL hash > stored currentSection > 'intro'
@@ -46,13 +82,13 @@ export function initNavigation() {
 function getInitialSection() {
   // Check URL hash first
   const hash = window.location.hash.slice(1);
-  if (hash && sections.find(s => s.id === hash)) {
+  if (hash && getSections().find(s => s.id === hash)) {
     return hash;
   }
 
   // Check stored currentSection
   const stored = getCurrentSection();
-  if (stored && sections.find(s => s.id === stored)) {
+  if (stored && getSections().find(s => s.id === stored)) {
     return stored;
   }
 
@@ -69,15 +105,19 @@ function renderSidebar() {
 
   navList.innerHTML = '';
 
-  // Group sections by part
+  // Group sections by part, named in the year's language like its sections
+  const yearData = getCurrentYear();
+  const pack = getYearPack(yearData);
+  const locale = getYearLocale(yearData);
+  navList.lang = locale;
   const parts = [
-    { id: 0, title: 'Introduction' },
-    { id: 1, title: 'Part 1: The Past Year' },
-    { id: 2, title: 'Part 2: The Year Ahead' }
+    { id: 0, title: getPartName(pack, 0, locale) },
+    { id: 1, title: t('nav.part', { number: 1, name: getPartName(pack, 1, locale) }, locale) },
+    { id: 2, title: t('nav.part', { number: 2, name: getPartName(pack, 2, locale) }, locale) }
   ];
 
   parts.forEach(part => {
-    const partSections = sections.filter(s => s.part === part.id);
+    const partSections = pack.sections.filter(s => s.part === part.id);
     if (partSections.length === 0) return;
 
     // Part header
@@ -97,7 +137,7 @@ function renderSidebar() {
       const isStarted = section.type !== 'info' && isSectionStarted(section.id);
       button.innerHTML = `
         <span class="nav-item-title">${section.title}</span>
-        ${isStarted ? '<span class="nav-item-check" aria-label="Started">✓</span>' : ''}
+        ${isStarted ? `<span class="nav-item-check" aria-label="${t('nav.started')}">✓</span>` : ''}
       `;
 
       li.appendChild(button);
@@ -111,6 +151,9 @@ function renderSidebar() {
  */
 export function updateSidebarIndicators() {
   const navButtons = document.querySelectorAll('#sidebar-nav button');
+  const yearId = getCurrentYear()?.id;
+  const privacy = yearId ? getPrivacy(yearId) : { sections: [], fields: {} };
+  const sections = getSections();
 
   navButtons.forEach(btn => {
     const sectionId = btn.dataset.sectionId;
@@ -125,12 +168,26 @@ export function updateSidebarIndicators() {
     if (isStarted && !existingCheck) {
       const check = document.createElement('span');
       check.className = 'nav-item-check';
-      check.setAttribute('aria-label', 'Started');
+      check.setAttribute('aria-label', t('nav.started'));
       check.textContent = '✓';
       btn.appendChild(check);
     } else if (!isStarted && existingCheck) {
       existingCheck.remove();
     }
+
+    // Mark sections that are private or hold private answers
+    btn.querySelector('.nav-item-private')?.remove();
+    const label = privacy.sections.includes(sectionId)
+      ? t('nav.private')
+      : privacy.fields[sectionId] ? t('nav.hasPrivate') : null;
+    if (label) {
+      const marker = document.createElement('span');
+      marker.className = 'nav-item-private';
+      marker.setAttribute('aria-label', label);
+      marker.title = label;
+      marker.textContent = '🔒';
+      btn.insertBefore(marker, btn.querySelector('.nav-item-check'));
+    }
   });
 }
 
@@ -186,8 +243,8 @@ function setupHashNavigation() {
   // Handle back/forward browser navigation
   window.addEventListener('hashchange', () => {
     const hash = window.location.hash.slice(1);
-    if (hash && sections.find(s => s.id === hash)) {
-      const sectionIndex = sections.findIndex(s => s.id === hash);
+    const sectionIndex = getSections().findIndex(s => s.id === hash);
+    if (hash && sectionIndex !== -1) {
       if (sectionIndex !== currentSectionIndex) {
         navigateToSection(hash, false);
       }
@@ -199,8 +256,10 @@ function setupHashNavigation() {
  * Navigate to a specific section
  * @param {string} sectionId - Section ID to navigate to
  * @param {boolean} showNudge - Whether to show nudge for skipping incomplete section
+ * @param {boolean} focusTitle - Whether to focus the section title; false when the caller focuses something in it
  */
-export function navigateToSection(sectionId, showNudge = true) {
+export function navigateToSection(sectionId, showNudge = true, focusTitle = true) {
+  const sections = getSections();
   const sectionIndex = sections.findIndex(s => s.id === sectionId);
   if (sectionIndex === -1) return;
 
@@ -261,7 +320,9 @@ export function navigateToSection(sectionId, showNudge = true) {
 
   // Announce section change to screen readers
   const section = sections[sectionIndex];
-  announceToScreenReader(`Navigated to ${section.title}`);
+  announceToScreenReader(t('nav.navigatedTo', { title: section.title }));
+
+  if (!focusTitle) return;
 
   // Focus on section title for keyboard users (after a brief delay for render)
   setTimeout(() => {
@@ -288,7 +349,7 @@ function showSkipNudge() {
   }
 
   // Show the nudge
-  nudge.textContent = 'You can come back to this anytime';
+  nudge.textContent = t('nav.skipNudge');
   nudge.classList.add('visible');
 
   // Hide after a few seconds
@@ -302,7 +363,7 @@ function showSkipNudge() {
  */
 function navigatePrevious() {
   if (currentSectionIndex > 0) {
-    navigateToSection(sections[currentSectionIndex - 1].id, false);
+    navigateToSection(getSections()[currentSectionIndex - 1].id, false);
   }
 }
 
@@ -310,6 +371,7 @@ function navigatePrevious() {
  * Navigate to the next section
  */
 function navigateNext() {
+  const sections = getSections();
   if (currentSectionIndex < sections.length - 1) {
     navigateToSection(sections[currentSectionIndex + 1].id);
   }
@@ -327,14 +389,15 @@ function updateNavigationButtons() {
   }
 
   if (nextBtn) {
+    const sections = getSections();
     nextBtn.disabled = currentSectionIndex === sections.length - 1;
 
     // Customize button text for intro section
     const currentSection = sections[currentSectionIndex];
     if (currentSection?.id === 'intro') {
-      nextBtn.textContent = 'Begin Your Journey';
+      nextBtn.textContent = t('nav.begin');
     } else {
-      nextBtn.textContent = 'Next';
+      nextBtn.textContent = t('nav.next');
     }
   }
 }
@@ -351,8 +414,9 @@ export function updateProgress() {
 
   let totalFields = 0;
   let filledFields = 0;
+  const areas = resolveLifeAreas(yearData.lifeAreas);
 
-  sections.forEach(section => {
+  getYearSections(yearData).forEach(section => {
     if (section.type === 'info') return;
 
     const sectionData = yearData.sections[section.id];
@@ -372,11 +436,10 @@ export function updateProgress() {
         });
       }
     } else if (section.type === 'life-areas') {
-      const areaCount = section.fields?.length || 0;
-      totalFields += areaCount * 2; // rating + notes
+      totalFields += areas.length * 2; // rating + notes
 
       if (sectionData?.answers) {
-        section.fields?.forEach(field => {
+        areas.forEach(field => {
           // Rating always has a default value, so check if notes are filled
           if (sectionData.answers[`${field.id}-notes`]?.trim()) {
             filledFields += 2; // Count both as filled if notes present
@@ -384,11 +447,10 @@ export function updateProgress() {
         });
       }
     } else if (section.type === 'life-areas-goals') {
-      const areaCount = section.fields?.length || 0;
-      totalFields += areaCount * 2; // goal + actions
+      totalFields += areas.length * 2; // goal + actions
 
       if (sectionData?.answers) {
-        section.fields?.forEach(field => {
+        areas.forEach(field => {
           if (sectionData.answers[`${field.id}-goal`]?.trim()) {
             filledFields++;
           }
@@ -429,7 +491,7 @@ function setProgressDisplay(percent) {
   }
 
   if (progressText) {
-    progressText.textContent = `${percent}% complete`;
+    progressText.textContent = t('nav.progress', { percent });
   }
 
   if (progressBar) {
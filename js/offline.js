@@ -0,0 +1,19 @@
+/**
+ * Offline Module
+ * Registers the service worker that lets the app launch without a network
+ */
+
+/**
+ * Register the service worker
+ * Skipped where service workers aren't available, e.g. when index.html is
+ * opened straight from disk; the app then works as before, online only.
+ */
+export function initOffline() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+    return;
+  }
+
+  navigator.serviceWorker.register('sw.js').catch(error => {
+    console.warn('Offline support unavailable:', error);
+  });
+}
@@ -0,0 +1,339 @@
+/**
+ * Question Packs Module
+ * Registry of the booklets a year can be created with, and the Settings group
+ * for adding packs from JSON files
+ *
+ * Built-in packs come from data/packs.js; packs added from a file are kept
+ * with the rest of the data (storage.js), so backups carry them. Each year
+ * records the id and version of its pack, and everything that walks the
+ * sections (sidebar, renderer, progress, print, exports) uses that pack, in
+ * the year's language.
+ */
+
+import { builtInPacks, DEFAULT_PACK } from '../data/packs.js';
+import {
+  getAllYears,
+  loadYear,
+  getCustomPacks,
+  saveCustomPack,
+  deleteCustomPack
+} from './storage.js';
+import { renderMarkdown } from './markdown.js';
+import { t, getLocale, getYearLocale, localizePack } from './i18n.js';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const SECTION_TYPES = ['info', 'life-areas', 'life-areas-goals', 'triplets'];
+const FIELD_TYPES = ['text', 'textarea'];
+
+// Added packs never change once installed, so each is prepared once
+const preparedPacks = new Map();
+
+/**
+ * Get every pack that new years can use, newest version of each
+ * @returns {Array} Packs, built-in first
+ */
+export function getPacks() {
+  const latest = new Map();
+
+  getAllPackVersions().forEach(pack => {
+    if (!latest.has(pack.id) || latest.get(pack.id).version < pack.version) {
+      latest.set(pack.id, pack);
+    }
+  });
+
+  return [...latest.values()];
+}
+
+/**
+ * Get one version of a pack
+ * @param {string} id - Pack ID
+ * @param {number} version - Pack version
+ * @returns {Object|null} Pack, or null if it isn't available here
+ */
+export function getPack(id, version) {
+  return getAllPackVersions().find(pack => pack.id === id && pack.version === version) || null;
+}
+
+/**
+ * Get the pack a year was created with, in the year's language
+ * Falls back to the newest version of the same pack, then the default pack,
+ * e.g. for a backup of a year whose added pack isn't on this device.
+ * @param {Object|null} yearData - Year data
+ * @returns {Object} Pack
+ */
+export function getYearPack(yearData) {
+  const { id, version } = yearData?.pack || DEFAULT_PACK;
+
+  const pack = getPack(id, version) ||
+    getPacks().find(p => p.id === id) ||
+    getPack(DEFAULT_PACK.id, DEFAULT_PACK.version);
+
+  return localizePack(pack, getYearLocale(yearData));
+}
+
+/**
+ * Get the sections of a year's pack
+ * @param {Object|null} yearData - Year data
+ * @returns {Array} Sections in order
+ */
+export function getYearSections(yearData) {
+  return getYearPack(yearData).sections;
+}
+
+/**
+ * Get the name of a part of a pack, e.g. "The Past Year"
+ * @param {Object} pack - Pack
+ * @param {number} part - Part number (0, 1 or 2)
+ * @param {string} locale - Language for parts the pack doesn't rename
+ * @returns {string} Part name
+ */
+export function getPartName(pack, part, locale) {
+  return pack.parts?.[part] || t(`part.${part}`, {}, locale);
+}
+
+/**
+ * Add a pack from a JSON file
+ * @param {string} jsonString - Pack file contents
+ * @returns {Object} { success: boolean, message: string }
+ */
+export function installPack(jsonString) {
+  let pack;
+  try {
+    pack = JSON.parse(jsonString);
+  } catch (error) {
+    return { success: false, message: t('packs.notJson') };
+  }
+
+  const problem = validatePack(pack);
+  if (problem) {
+    return { success: false, message: t('packs.invalid', { problem }) };
+  }
+
+  if (builtInPacks.some(builtIn => builtIn.id === pack.id)) {
+    return { success: false, message: t('packs.builtInId', { id: pack.id }) };
+  }
+
+  const installed = getCustomPacks().find(p => p.id === pack.id && p.version === pack.version);
+  if (installed) {
+    // Years depend on an installed version staying as it is
+    return JSON.stringify(installed) === JSON.stringify(pack)
+      ? { success: true, message: t('packs.alreadyAdded', { title: pack.title, version: pack.version }) }
+      : { success: false, message: t('packs.versionChanged', { id: pack.id, version: pack.version }) };
+  }
+
+  saveCustomPack(pack);
+  return { success: true, message: t('packs.added', { title: pack.title, version: pack.version }) };
+}
+
+/**
+ * Remove an added pack that no year uses
+ * @param {string} id - Pack ID
+ * @param {number} version - Pack version
+ * @returns {Object} { success: boolean, message: string }
+ */
+export function removePack(id, version) {
+  const usedBy = getAllYears().filter(yearId => {
+    const pack = loadYear(yearId)?.pack;
+    return pack?.id === id && pack?.version === version;
+  });
+
+  if (usedBy.length > 0) {
+    return { success: false, message: t('packs.inUse', { years: usedBy.join(', ') }) };
+  }
+
+  deleteCustomPack(id, version);
+  return { success: true, message: t('packs.removed') };
+}
+
+/**
+ * Create the question packs group for the Settings panel
+ * @returns {HTMLFieldSetElement} Fieldset element
+ */
+export function createPackSettings() {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'settings-group pack-settings';
+  renderPackSettings(fieldset);
+  return fieldset;
+}
+
+/**
+ * Render the list of packs and the file picker
+ * @param {HTMLFieldSetElement} fieldset - Group to render into
+ * @param {Object|null} message - { text, isError } to show after an action
+ */
+function renderPackSettings(fieldset, message = null) {
+  fieldset.innerHTML = `
+    <legend>${t('packs.legend')}</legend>
+    <p class="pack-help">${t('packs.help')}</p>
+    <ul class="pack-list"></ul>
+    <label class="pack-file">${t('packs.add')} <input type="file" accept="application/json,.json"></label>
+    <p class="pack-message" role="status"></p>
+  `;
+
+  const list = fieldset.querySelector('.pack-list');
+  const builtInIds = builtInPacks.map(pack => pack.id);
+
+  // Every added version is listed, so old ones can be removed once unused
+  const packs = [
+    ...getPacks().filter(pack => builtInIds.includes(pack.id)).map(pack => localizePack(pack, getLocale())),
+    ...getCustomPacks().map(preparePack)
+  ];
+
+  packs.forEach(pack => {
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <div class="pack-info">
+        <span class="pack-title"></span>
+        <span class="pack-description"></span>
+      </div>
+    `;
+    item.querySelector('.pack-title').textContent = t('packs.name', { title: pack.title, version: pack.version });
+    item.querySelector('.pack-description').textContent = pack.description || '';
+
+    if (!builtInIds.includes(pack.id)) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-link';
+      remove.textContent = t('packs.remove');
+      remove.setAttribute('aria-label', t('packs.removeLabel', { title: pack.title }));
+      remove.addEventListener('click', () => {
+        const result = removePack(pack.id, pack.version);
+        renderPackSettings(fieldset, { text: result.message, isError: !result.success });
+      });
+      item.appendChild(remove);
+    }
+
+    list.appendChild(item);
+  });
+
+  const messageEl = fieldset.querySelector('.pack-message');
+  if (message) {
+    messageEl.textContent = message.text;
+    messageEl.classList.toggle('error', message.isError);
+  }
+
+  fieldset.querySelector('input[type="file"]').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const result = installPack(await file.text());
+    renderPackSettings(fieldset, { text: result.message, isError: !result.success });
+  });
+}
+
+/**
+ * Every version of every pack: built-in, then added
+ * @returns {Array} Packs
+ */
+function getAllPackVersions() {
+  return [...builtInPacks, ...getCustomPacks().map(preparePack)];
+}
+
+/**
+ * Turn an added pack into the shape the app renders
+ * Info sections are written in Markdown in pack files; they're rendered (and
+ * sanitized) here, since built-in info sections hold HTML.
+ * @param {Object} pack - Pack as stored
+ * @returns {Object} Pack ready to use
+ */
+function preparePack(pack) {
+  const key = `${pack.id}@${pack.version}`;
+  if (!preparedPacks.has(key)) {
+    preparedPacks.set(key, {
+      ...pack,
+      sections: pack.sections.map(section => section.type === 'info'
+        ? { ...section, content: renderMarkdown(section.content || '') }
+        : section)
+    });
+  }
+  return preparedPacks.get(key);
+}
+
+/**
+ * Check a pack from a file
+ * Titles, descriptions and prompts are shown as HTML in places, so they must
+ * be plain text.
+ * @param {*} pack - Parsed pack file
+ * @returns {string|null} What's wrong, in the app's language, or null if it's usable
+ */
+export function validatePack(pack) {
+  if (!pack || typeof pack !== 'object') return t('packs.problem.notObject');
+  if (typeof pack.id !== 'string' || !ID_PATTERN.test(pack.id)) return t('packs.problem.id');
+  if (!Number.isInteger(pack.version) || pack.version < 1) return t('packs.problem.version');
+  if (!isPlainText(pack.title) || !pack.title.trim()) return t('packs.problem.title');
+  if (pack.description !== undefined && !isPlainText(pack.description)) return t('packs.problem.description');
+  if (pack.parts !== undefined && (typeof pack.parts !== 'object' || !Object.values(pack.parts).every(isPlainText))) {
+    return t('packs.problem.parts');
+  }
+  if (!Array.isArray(pack.sections) || pack.sections.length === 0) return t('packs.problem.sections');
+
+  const sectionIds = new Set();
+  for (const section of pack.sections) {
+    const problem = validateSection(section);
+    if (problem) return problem;
+    if (sectionIds.has(section.id)) return t('packs.problem.duplicateSection', { section: section.id });
+    sectionIds.add(section.id);
+  }
+
+  return null;
+}
+
+/**
+ * Check one section of a pack file
+ * @param {*} section - Section from the file
+ * @returns {string|null} What's wrong, in the app's language, or null if it's usable
+ */
+function validateSection(section) {
+  if (!section || typeof section.id !== 'string' || !ID_PATTERN.test(section.id)) {
+    return t('packs.problem.sectionId');
+  }
+
+  const params = { section: section.id };
+  if (![0, 1, 2].includes(section.part)) return t('packs.problem.sectionPart', params);
+  if (!isPlainText(section.title) || !section.title.trim()) return t('packs.problem.sectionTitle', params);
+  if (section.description !== undefined && !isPlainText(section.description)) return t('packs.problem.sectionDescription', params);
+  if (section.type !== undefined && !SECTION_TYPES.includes(section.type)) return t('packs.problem.sectionType', params);
+
+  if (section.type === 'info') {
+    return section.content === undefined || typeof section.content === 'string'
+      ? null
+      : t('packs.problem.sectionContent', params);
+  }
+
+  if (section.type === 'triplets') {
+    const valid = Array.isArray(section.triplets) && section.triplets.length > 0 &&
+      section.triplets.every(triplet => typeof triplet?.id === 'string' && ID_PATTERN.test(triplet.id) && isPlainText(triplet.prompt));
+    return valid ? null : t('packs.problem.sectionTriplets', params);
+  }
+
+  if (section.type === 'life-areas' || section.type === 'life-areas-goals') {
+    // The year's life areas supply the questions
+    return null;
+  }
+
+  const fieldIds = new Set();
+  if (!Array.isArray(section.fields) || section.fields.length === 0) return t('packs.problem.sectionFields', params);
+  for (const field of section.fields) {
+    if (typeof field?.id !== 'string' || !ID_PATTERN.test(field.id) || fieldIds.has(field.id)) {
+      return t('packs.problem.fieldId', params);
+    }
+    if (!FIELD_TYPES.includes(field.type)) return t('packs.problem.fieldType', { field: field.id });
+    if (!isPlainText(field.prompt)) return t('packs.problem.fieldPrompt', { field: field.id });
+    if (field.rows !== undefined && (!Number.isInteger(field.rows) || field.rows < 1 || field.rows > 30)) {
+      return t('packs.problem.fieldRows', { field: field.id });
+    }
+    if (field.markdown !== undefined && typeof field.markdown !== 'boolean') return t('packs.problem.fieldMarkdown', { field: field.id });
+    fieldIds.add(field.id);
+  }
+
+  return null;
+}
+
+/**
+ * Check a string has no markup
+ * @param {*} text - Value to check
+ * @returns {boolean} True for strings without < or >
+ */
+function isPlainText(text) {
+  return typeof text === 'string' && !/[<>]/.test(text);
+}
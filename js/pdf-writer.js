@@ -0,0 +1,532 @@
+/**
+ * PDF Writer Module
+ * Minimal PDF file writer: wrapped text in the standard Helvetica and Courier
+ * fonts, rules, rating bars and automatic pages
+ *
+ * Nothing is embedded and nothing time- or random-based is written, so the same
+ * content always produces the same bytes. The standard fonts only cover the
+ * Windows-1252 character set; other characters are approximated or shown as "?".
+ */
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+const FOOTER_SIZE = 8;
+
+const FONTS = {
+  regular: { name: 'F1', baseFont: 'Helvetica' },
+  bold: { name: 'F2', baseFont: 'Helvetica-Bold' },
+  italic: { name: 'F3', baseFont: 'Helvetica-Oblique' },
+  boldItalic: { name: 'F4', baseFont: 'Helvetica-BoldOblique' },
+  mono: { name: 'F5', baseFont: 'Courier' }
+};
+
+// Glyph widths (1/1000 em) of ASCII 32-126, from the Adobe font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters in Windows-1252 outside Latin-1, with their byte and (Helvetica) width
+const WIN_ANSI_EXTRAS = {
+  '€': [0x80, 556], '‚': [0x82, 222], 'ƒ': [0x83, 556], '„': [0x84, 333],
+  '…': [0x85, 1000], '†': [0x86, 556], '‡': [0x87, 556], 'ˆ': [0x88, 333],
+  '‰': [0x89, 1000], 'Š': [0x8A, 667], '‹': [0x8B, 333], 'Œ': [0x8C, 1000],
+  'Ž': [0x8E, 611], '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333],
+  '”': [0x94, 333], '•': [0x95, 350], '–': [0x96, 556], '—': [0x97, 1000],
+  '˜': [0x98, 333], '™': [0x99, 1000], 'š': [0x9A, 500], '›': [0x9B, 333],
+  'œ': [0x9C, 944], 'ž': [0x9E, 500], 'Ÿ': [0x9F, 667]
+};
+
+// Common characters the standard fonts lack
+const SUBSTITUTES = {
+  '→': '->', '←': '<-', '↔': '<->', '⇒': '=>', '≤': '<=', '≥': '>=',
+  '≠': '!=', '✓': 'v', '✔': 'v', '✗': 'x', '✘': 'x', '−': '-', '‐': '-',
+  '‑': '-', '′': '\'', '″': '"', '\u2002': ' ', '\u2003': ' ', '\u2009': ' ', '\u202F': ' '
+};
+
+const COLORS = {
+  text: '#3D3D3D',
+  muted: '#6B6B6B',
+  accent: '#5B8A72',
+  border: '#CCCCCC',
+  track: '#E8E4DF'
+};
+
+/**
+ * Create a PDF document
+ * Content flows top to bottom; call toBytes() when done.
+ * @param {Object} options - { title: string, pageLabel: Function } for the document info and page
+ *   footers; pageLabel(page, pages) returns the footer's page number text
+ * @returns {Object} Writer with text(), rule(), bar(), space(), pageBreak() and toBytes()
+ */
+export function createPdfWriter({ title = '', pageLabel = (page, pages) => `Page ${page} of ${pages}` } = {}) {
+  const contentWidth = PAGE_WIDTH - MARGIN * 2;
+  const bottom = PAGE_HEIGHT - MARGIN;
+  const pages = [];
+
+  // Distance from the top of the current page
+  let y = 0;
+  let ops = null;
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = MARGIN;
+  };
+
+  const ensureSpace = (height) => {
+    if (!ops || (y + height > bottom && y > MARGIN)) {
+      newPage();
+    }
+  };
+
+  return {
+    /**
+     * Write a block of wrapped text
+     * @param {string|Array} content - Text, or runs of { text, style } ('regular', 'bold', 'italic', 'boldItalic', 'mono')
+     * @param {Object} options - { size, style, color, align, indent, lineHeight, spaceBefore, spaceAfter,
+     *   keepWithNext (points that must fit below), marker (text hung left of the first line), leftRule }
+     */
+    text(content, options = {}) {
+      const {
+        size = 10,
+        style = 'regular',
+        color = COLORS.text,
+        align = 'left',
+        indent = 0,
+        lineHeight = 1.4,
+        spaceBefore = 0,
+        spaceAfter = 0,
+        keepWithNext = 0,
+        marker = null,
+        leftRule = false
+      } = options;
+
+      const runs = typeof content === 'string' ? [{ text: content, style }] : content;
+      const lines = wrapRuns(runs, size, contentWidth - indent);
+      if (lines.length === 0) return;
+
+      const leading = size * lineHeight;
+      const x = MARGIN + indent;
+
+      ensureSpace(spaceBefore + leading + keepWithNext);
+      y += spaceBefore;
+
+      lines.forEach((line, index) => {
+        ensureSpace(leading + (index === lines.length - 1 ? keepWithNext : 0));
+
+        // Baseline sits a little above the bottom of the line box
+        const baseline = y + size * 0.8 + (leading - size) / 2;
+        const offset = align === 'center' ? (contentWidth - indent - line.width) / 2 : 0;
+
+        if (leftRule) {
+          ops.push(strokeLine(x - 8, y, x - 8, y + leading, 1.5, COLORS.border));
+        }
+        if (marker && index === 0) {
+          ops.push(showText(toWinAnsi(marker), FONTS.regular.name, size, x - 14, baseline, color));
+        }
+
+        let cursor = x + offset;
+        line.pieces.forEach(piece => {
+          ops.push(showText(piece.encoded, FONTS[piece.style].name, size, cursor, baseline, color));
+          cursor += piece.width;
+        });
+
+        y += leading;
+      });
+
+      y += spaceAfter;
+    },
+
+    /**
+     * Draw a horizontal line across the content width
+     * @param {Object} options - { weight, color, indent, spaceBefore, spaceAfter }
+     */
+    rule({ weight = 0.75, color = COLORS.border, indent = 0, spaceBefore = 2, spaceAfter = 6 } = {}) {
+      ensureSpace(spaceBefore + weight);
+      y += spaceBefore;
+      ops.push(strokeLine(MARGIN + indent, y, PAGE_WIDTH - MARGIN, y, weight, color));
+      y += weight + spaceAfter;
+    },
+
+    /**
+     * Draw a rating bar with its value, e.g. "7 / 10"
+     * @param {number} value - Rating
+     * @param {number} max - Highest possible rating
+     * @param {Object} options - { label, indent, spaceAfter }
+     */
+    bar(value, max, { label = '', indent = 0, spaceAfter = 6 } = {}) {
+      const height = 8;
+      const lineBox = 14;
+      const labelText = label ? `${label} ` : '';
+      const labelWidth = measure(toWinAnsi(labelText), 'regular', 10);
+      const trackWidth = 180;
+      const x = MARGIN + indent;
+
+      ensureSpace(lineBox);
+      const top = y + (lineBox - height) / 2;
+      const baseline = y + lineBox * 0.75;
+      const filled = trackWidth * Math.max(0, Math.min(value / max, 1));
+
+      if (labelText) {
+        ops.push(showText(toWinAnsi(labelText), FONTS.regular.name, 10, x, baseline, COLORS.text));
+      }
+      ops.push(fillRect(x + labelWidth, top, trackWidth, height, COLORS.track));
+      if (filled > 0) {
+        ops.push(fillRect(x + labelWidth, top, filled, height, COLORS.accent));
+      }
+      ops.push(showText(toWinAnsi(`${value} / ${max}`), FONTS.bold.name, 10, x + labelWidth + trackWidth + 8, baseline, COLORS.text));
+
+      y += lineBox + spaceAfter;
+    },
+
+    /**
+     * Add vertical space (ignored at the top of a page)
+     * @param {number} points - Space to add
+     */
+    space(points) {
+      if (!ops || y === MARGIN) return;
+      y = Math.min(y + points, bottom);
+    },
+
+    /**
+     * Start a new page, unless the current one is still empty
+     */
+    pageBreak() {
+      if (ops && y > MARGIN) {
+        newPage();
+      }
+    },
+
+    /**
+     * Serialize the document
+     * @returns {Uint8Array} PDF file bytes
+     */
+    toBytes() {
+      if (pages.length === 0) newPage();
+      return serialize(pages, title, pageLabel);
+    }
+  };
+}
+
+/**
+ * Build the PDF file from page content
+ * @param {Array<Array<string>>} pages - Content stream operators per page
+ * @param {string} title - Document title
+ * @param {Function} pageLabel - (page, pages) => footer page number text
+ * @returns {Uint8Array} File bytes
+ */
+function serialize(pages, title, pageLabel) {
+  // Object 1 is the catalog, 2 the page tree; fonts and pages follow
+  const objects = [null, null];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const fontRefs = Object.values(FONTS).map(font => {
+    const id = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`);
+    return `/${font.name} ${id} 0 R`;
+  }).join(' ');
+
+  const pageIds = pages.map((pageOps, index) => {
+    const footer = showText(
+      toWinAnsi(`${title ? `${title}  ·  ` : ''}${pageLabel(index + 1, pages.length)}`),
+      FONTS.regular.name, FOOTER_SIZE, MARGIN, PAGE_HEIGHT - MARGIN / 2, COLORS.muted
+    );
+    const stream = [...pageOps, footer].join('\n');
+    const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << ${fontRefs} >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[0] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = add(`<< /Title ${toTextString(title)} /Producer (YearCompass) >>`);
+
+  // The comment line with high bytes marks the file as binary
+  let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = objects.map((body, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => {
+    output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  // Every character is a single byte (0-255)
+  const bytes = new Uint8Array(output.length);
+  for (let i = 0; i < output.length; i++) {
+    bytes[i] = output.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Break runs of text into lines that fit a width
+ * Lines only break at spaces (or inside words too long for a line) and at "\n".
+ * @param {Array} runs - [{ text, style }]
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Available width in points
+ * @returns {Array} Lines of { pieces: [{ encoded, style, width }], width }
+ */
+function wrapRuns(runs, size, maxWidth) {
+  // Words are lists of pieces so styles can change mid-word ("**bold**,")
+  const items = [];
+  let word = null;
+
+  runs.forEach(run => {
+    const style = FONTS[run.style] ? run.style : 'regular';
+    toWinAnsi(run.text || '').split(/(\n| +)/).forEach(part => {
+      if (!part) return;
+      if (part === '\n' || part[0] === ' ') {
+        word = null;
+        items.push(part === '\n' ? { newline: true } : { space: true, style });
+        return;
+      }
+      if (!word) {
+        word = [];
+        items.push({ word });
+      }
+      word.push({ encoded: part, style, width: measure(part, style, size) });
+    });
+  });
+
+  const lines = [];
+  let line = { pieces: [], width: 0 };
+  let pendingSpace = null;
+
+  const pushLine = () => {
+    lines.push(mergePieces(line));
+    line = { pieces: [], width: 0 };
+    pendingSpace = null;
+  };
+
+  const append = (pieces) => {
+    if (pendingSpace && line.pieces.length > 0) {
+      line.pieces.push(pendingSpace);
+      line.width += pendingSpace.width;
+    }
+    pendingSpace = null;
+    pieces.forEach(piece => {
+      line.pieces.push(piece);
+      line.width += piece.width;
+    });
+  };
+
+  items.forEach(item => {
+    if (item.newline) {
+      pushLine();
+      return;
+    }
+    if (item.space) {
+      pendingSpace = { encoded: ' ', style: item.style, width: measure(' ', item.style, size) };
+      return;
+    }
+
+    const width = item.word.reduce((sum, piece) => sum + piece.width, 0);
+    const spaceWidth = pendingSpace && line.pieces.length > 0 ? pendingSpace.width : 0;
+
+    if (line.width + spaceWidth + width <= maxWidth) {
+      append(item.word);
+    } else if (width <= maxWidth) {
+      pushLine();
+      append(item.word);
+    } else {
+      // Longer than a whole line: split it character by character
+      if (line.pieces.length > 0) pushLine();
+      item.word.forEach(piece => {
+        [...piece.encoded].forEach(char => {
+          const charWidth = measure(char, piece.style, size);
+          if (line.width + charWidth > maxWidth && line.pieces.length > 0) pushLine();
+          append([{ encoded: char, style: piece.style, width: charWidth }]);
+        });
+      });
+    }
+  });
+
+  if (line.pieces.length > 0 || lines.length > 0) pushLine();
+
+  // Trailing blank lines add nothing
+  while (lines.length > 0 && lines[lines.length - 1].pieces.length === 0) {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Join neighbouring pieces of a line that share a style
+ */
+function mergePieces(line) {
+  const pieces = [];
+  line.pieces.forEach(piece => {
+    const last = pieces[pieces.length - 1];
+    if (last && last.style === piece.style) {
+      last.encoded += piece.encoded;
+      last.width += piece.width;
+    } else {
+      pieces.push({ ...piece });
+    }
+  });
+  return { pieces, width: line.width };
+}
+
+/**
+ * Measure encoded text
+ * @param {string} encoded - Windows-1252 text (one character per byte)
+ * @param {string} style - Font style key
+ * @param {number} size - Font size
+ * @returns {number} Width in points
+ */
+function measure(encoded, style, size) {
+  if (style === 'mono') return encoded.length * 0.6 * size;
+
+  const widths = style === 'bold' || style === 'boldItalic' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of encoded) {
+    total += charWidth(char, widths);
+  }
+  return (total / 1000) * size;
+}
+
+/**
+ * Width of one encoded character
+ */
+function charWidth(char, widths) {
+  const code = char.charCodeAt(0);
+  if (code >= 32 && code <= 126) return widths[code - 32];
+
+  const extra = Object.values(WIN_ANSI_EXTRAS).find(([byte]) => byte === code);
+  if (extra) return extra[1];
+
+  // Accented Latin-1 letters are about as wide as the plain letter
+  const base = char.normalize('NFD').charCodeAt(0);
+  return base >= 32 && base <= 126 ? widths[base - 32] : 556;
+}
+
+/**
+ * Convert text to Windows-1252, one character per byte
+ * @param {string} text - Any text
+ * @returns {string} Encoded text
+ */
+function toWinAnsi(text) {
+  let encoded = '';
+  for (const char of text.normalize('NFC')) {
+    const code = char.codePointAt(0);
+
+    if (char === '\n') {
+      encoded += char;
+    } else if (char === '\t') {
+      encoded += ' ';
+    } else if (code < 32 || code === 127 || (code >= 0x80 && code < 0xA0)) {
+      // Control characters
+    } else if (code < 0x100) {
+      encoded += char;
+    } else if (WIN_ANSI_EXTRAS[char]) {
+      encoded += String.fromCharCode(WIN_ANSI_EXTRAS[char][0]);
+    } else if (SUBSTITUTES[char] !== undefined) {
+      encoded += SUBSTITUTES[char];
+    } else if (/[\u200B-\u200D\uFE0E\uFE0F]|\p{Extended_Pictographic}/u.test(char)) {
+      // Emoji, zero-width joiners and emoji style selectors have no equivalent
+    } else {
+      const base = char.normalize('NFD').charCodeAt(0);
+      encoded += base < 0x100 ? String.fromCharCode(base) : '?';
+    }
+  }
+  return encoded;
+}
+
+/**
+ * Content stream operators that draw a line of text
+ * @param {string} encoded - Windows-1252 text
+ * @param {string} font - Font resource name
+ * @param {number} size - Font size
+ * @param {number} x - Left edge
+ * @param {number} baseline - Baseline, measured from the top of the page
+ * @param {string} color - Hex color
+ * @returns {string} Operators
+ */
+function showText(encoded, font, size, x, baseline, color) {
+  return `BT ${toRgb(color)} rg /${font} ${num(size)} Tf ${num(x)} ${num(PAGE_HEIGHT - baseline)} Td (${escapeString(encoded)}) Tj ET`;
+}
+
+/**
+ * Content stream operators that draw a straight line (top-based coordinates)
+ */
+function strokeLine(x1, y1, x2, y2, weight, color) {
+  return `${toRgb(color)} RG ${num(weight)} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`;
+}
+
+/**
+ * Content stream operators that fill a rectangle (top-based coordinates)
+ */
+function fillRect(x, top, width, height, color) {
+  return `${toRgb(color)} rg ${num(x)} ${num(PAGE_HEIGHT - top - height)} ${num(width)} ${num(height)} re f`;
+}
+
+/**
+ * Escape a PDF literal string; bytes above 126 are written as octal so the stream stays ASCII
+ */
+function escapeString(encoded) {
+  let escaped = '';
+  for (const char of encoded) {
+    const code = char.charCodeAt(0);
+    if (char === '(' || char === ')' || char === '\\') {
+      escaped += `\\${char}`;
+    } else if (code > 126) {
+      escaped += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      escaped += char;
+    }
+  }
+  return escaped;
+}
+
+/**
+ * Encode text for the document info (UTF-16 with byte order mark)
+ */
+function toTextString(text) {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+  }
+  return `<${hex}>`;
+}
+
+/**
+ * Convert a hex color to PDF color components
+ */
+function toRgb(hex) {
+  return [1, 3, 5]
+    .map(i => num(parseInt(hex.slice(i, i + 2), 16) / 255))
+    .join(' ');
+}
+
+/**
+ * Format a number for a content stream
+ */
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
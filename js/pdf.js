@@ -1,11 +1,20 @@
 /**
  * PDF Export Module
- * Prepares and renders all content for browser print dialog
+ * Lays out a year's answers and writes them as a PDF file, and prepares the
+ * same content for the browser's print dialog
+ *
+ * The printout is in the year's language; the export dialog in the app's.
  */
 
-import { getCurrentYear } from './storage.js';
-import { sections, lifeAreas, magicalTriplets } from '../data/questions.js';
+import { getCurrentYear, getPreviousYear, hasPrivateItems, withoutPrivateAnswers } from './storage.js';
+import { goalStatuses, resolveLifeAreas } from '../data/questions.js';
 import { renderMarkdown } from './markdown.js';
+import { openModal } from './modal.js';
+import { createPdfWriter } from './pdf-writer.js';
+import { downloadFile } from './backup.js';
+import { getYearPack } from './packs.js';
+import { getPartTitle } from './text-export.js';
+import { t, formatDate, getYearLocale, getLifeAreaLabels, localizeGoalStatuses } from './i18n.js';
 
 /**
  * Initialize PDF export functionality
@@ -16,40 +25,316 @@ export function initPdfExport() {
   if (exportBtn) {
     exportBtn.addEventListener('click', exportToPdf);
   }
+
+  // Printing from the browser menu gets the same layout (without private answers)
+  window.addEventListener('beforeprint', () => {
+    const yearData = getCurrentYear();
+    if (!yearData || document.getElementById('print-container')) return;
+
+    document.body.appendChild(createPrintContainer(yearData));
+    document.body.classList.add('printing');
+  });
+
+  window.addEventListener('afterprint', () => {
+    restoreAfterPrint(document.getElementById('print-container'));
+  });
 }
 
 /**
- * Export the current compass to PDF via browser print
+ * Export the current compass as a PDF file download
+ * If anything is marked private, the user chooses whether to include it first.
  */
 export function exportToPdf() {
   const yearData = getCurrentYear();
   if (!yearData) {
-    alert('No year data to export. Please fill in some content first.');
+    alert(t('pdf.noData'));
     return;
   }
 
-  // Create print container with all content
-  const printContainer = createPrintContainer(yearData);
-  document.body.appendChild(printContainer);
+  if (hasPrivateItems(yearData.id)) {
+    showExportOptions(yearData);
+  } else {
+    downloadPdf(yearData, { includePrivate: false });
+  }
+}
 
-  // Add print class to body
-  document.body.classList.add('printing');
+/**
+ * Ask whether private answers should be exported
+ * @param {Object} yearData - Year to export
+ */
+function showExportOptions(yearData) {
+  const { body, close } = openModal({ title: t('app.exportPdf'), className: 'print-options-modal' });
+
+  body.innerHTML = `
+    <p>${t('pdf.privateNote')}</p>
+    <div class="print-options-actions">
+      <button type="button" class="btn btn-primary" data-include-private="false">${t('pdf.withoutPrivate')}</button>
+      <button type="button" class="btn btn-secondary" data-include-private="true">${t('pdf.includePrivate')}</button>
+    </div>
+  `;
 
-  // Trigger browser print dialog
-  window.print();
+  body.querySelectorAll('button[data-include-private]').forEach(button => {
+    button.addEventListener('click', () => {
+      close();
+      downloadPdf(yearData, { includePrivate: button.dataset.includePrivate === 'true' });
+    });
+  });
+}
 
-  // Restore after print
-  window.addEventListener('afterprint', () => {
-    restoreAfterPrint(printContainer);
-  }, { once: true });
+/**
+ * Write a year as a PDF file and download it
+ * @param {Object} yearData - Year to export
+ * @param {Object} options - { includePrivate: boolean }
+ */
+function downloadPdf(yearData, { includePrivate }) {
+  const title = `YearCompass ${yearData.displayName || yearData.id}`;
+  const locale = getYearLocale(yearData);
+  const writer = createPdfWriter({
+    title,
+    pageLabel: (page, pages) => t('document.pageOf', { page, pages }, locale)
+  });
+
+  writePdfContent(writer, yearData, { includePrivate });
+
+  downloadFile(
+    new Blob([writer.toBytes()], { type: 'application/pdf' }),
+    `yearcompass-${yearData.id}.pdf`,
+    'application/pdf'
+  );
+}
+
+/**
+ * Lay out a year in a PDF writer
+ * Walks the print container, so the file has the same structure as the printout.
+ * @param {Object} writer - Writer from createPdfWriter()
+ * @param {Object} yearData - Year to write
+ * @param {Object} options - { includePrivate: boolean }
+ */
+export function writePdfContent(writer, yearData, { includePrivate = false } = {}) {
+  const container = createPrintContainer(yearData, { includePrivate });
+
+  // The same answers always make the same file, so date it by the last edit
+  const locale = getYearLocale(yearData);
+  const edited = new Date(yearData.lastModified || yearData.createdAt);
+  container.querySelector('.print-date').textContent = t('document.lastEditedOn', { date: formatDate(edited, undefined, locale) }, locale);
+
+  writeBlock(writer, container, {});
+}
+
+/**
+ * Write the children of a print container element
+ * @param {Object} writer - PDF writer
+ * @param {HTMLElement} parent - Element whose children to write
+ * @param {Object} options - { indent, leftRule } for nested content
+ */
+function writeBlock(writer, parent, options) {
+  [...parent.children].forEach(el => {
+    const { classList } = el;
+
+    if (classList.contains('print-header')) {
+      writer.text(el.querySelector('h1').textContent, { size: 24, align: 'center', spaceAfter: 4 });
+      writer.text(el.querySelector('.print-date').textContent, { size: 10, color: '#666666', align: 'center' });
+      writer.rule({ weight: 2, color: '#333333', spaceAfter: 24 });
+    } else if (classList.contains('print-part-header')) {
+      // Each part starts a page, except right after the title
+      if (!el.previousElementSibling?.classList.contains('print-header')) {
+        writer.pageBreak();
+      }
+      writer.rule({ weight: 2, color: '#333333' });
+      writer.text(el.textContent, { size: 20, style: 'bold', align: 'center' });
+      writer.rule({ weight: 2, color: '#333333', spaceAfter: 16 });
+    } else if (classList.contains('section-title')) {
+      writer.text(el.textContent, { size: 16, style: 'bold', keepWithNext: 60 });
+      writer.rule({ color: '#999999' });
+    } else if (classList.contains('section-description')) {
+      writer.text(el.textContent, { ...options, size: 10, style: 'italic', color: '#666666', spaceAfter: 10 });
+    } else if (el.tagName === 'H4') {
+      writer.text(el.textContent, { ...options, size: 12, style: 'bold', spaceBefore: 4, keepWithNext: 40 });
+      writer.rule({ color: '#DDDDDD', indent: options.indent || 0 });
+    } else if (classList.contains('field-prompt')) {
+      writer.text(el.textContent, { ...options, style: 'boldItalic', spaceAfter: 2, keepWithNext: 20 });
+    } else if (classList.contains('rating-control')) {
+      writer.bar(Number(el.textContent.trim()), 10, { label: el.dataset.label, indent: options.indent || 0 });
+    } else if (classList.contains('goal-outcome')) {
+      writer.text(el.textContent, { ...options, style: 'italic', spaceAfter: 6 });
+    } else if (classList.contains('previous-goal')) {
+      writeBlock(writer, el, { indent: (options.indent || 0) + 10, leftRule: true });
+      writer.space(4);
+    } else if (classList.contains('markdown-preview')) {
+      writeMarkdown(writer, el, options);
+      writer.space(6);
+    } else if (el.tagName === 'OL' || el.tagName === 'UL') {
+      writeList(writer, el, options);
+    } else {
+      writeBlock(writer, el, options);
+      if (classList.contains('section')) {
+        writer.space(18);
+      } else if (classList.contains('life-area') || classList.contains('life-area-goal') || classList.contains('triplet-group')) {
+        writer.space(10);
+      }
+    }
+  });
+}
+
+/**
+ * Write rendered markdown (or plain text) as paragraphs, headings and lists
+ * @param {Object} writer - PDF writer
+ * @param {HTMLElement} el - Element holding the rendered answer
+ * @param {Object} options - { indent, leftRule }
+ */
+function writeMarkdown(writer, el, options) {
+  // Plain answers keep their line breaks as typed
+  if (el.children.length === 0) {
+    writer.text(el.textContent, { ...options, spaceAfter: 4 });
+    return;
+  }
+
+  let inline = [];
+  const flushInline = () => {
+    if (inline.some(run => run.text.trim())) {
+      writer.text(inline, { ...options, spaceAfter: 4 });
+    }
+    inline = [];
+  };
+
+  [...el.childNodes].forEach(node => {
+    const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName : null;
+
+    if (!tag || !isBlockTag(tag)) {
+      collectRuns(node, 'regular', inline);
+      return;
+    }
+
+    flushInline();
+
+    if (/^H[1-6]$/.test(tag)) {
+      const size = [14, 13, 12, 11, 10, 10][Number(tag[1]) - 1];
+      writer.text(collectRuns(node, 'bold', []), { ...options, size, spaceBefore: 4, spaceAfter: 2, keepWithNext: 20 });
+    } else if (tag === 'UL' || tag === 'OL') {
+      writeList(writer, node, options);
+    } else if (tag === 'BLOCKQUOTE') {
+      writeMarkdown(writer, node, { indent: (options.indent || 0) + 12, leftRule: true });
+    } else if (tag === 'PRE') {
+      writer.text(node.textContent.replace(/\n$/, ''), { ...options, style: 'mono', size: 9, spaceAfter: 4 });
+    } else if (tag === 'HR') {
+      writer.rule({ indent: options.indent || 0 });
+    } else if (tag === 'TABLE') {
+      node.querySelectorAll('tr').forEach(row => {
+        const cells = [...row.children].map(cell => cell.textContent.trim());
+        writer.text(cells.join('  |  '), { ...options, style: row.closest('thead') ? 'bold' : 'regular' });
+      });
+      writer.space(4);
+    } else if (tag === 'P') {
+      writer.text(collectRuns(node, 'regular', []), { ...options, spaceAfter: 4 });
+    } else {
+      writeMarkdown(writer, node, options);
+    }
+  });
+
+  flushInline();
+}
+
+/**
+ * Write a list with bullets or numbers
+ * @param {Object} writer - PDF writer
+ * @param {HTMLElement} list - <ul> or <ol>
+ * @param {Object} options - { indent, leftRule }
+ */
+function writeList(writer, list, options) {
+  const indent = (options.indent || 0) + 16;
+  const start = Number(list.getAttribute('start')) || 1;
+
+  [...list.children].forEach((item, index) => {
+    const marker = list.tagName === 'OL' ? `${start + index}.` : '•';
+    const runs = [];
+    const nested = [];
+
+    [...item.childNodes].forEach(node => {
+      const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName : null;
+      if (tag === 'UL' || tag === 'OL') {
+        nested.push(node);
+      } else if (tag === 'P') {
+        // Loose lists wrap each item in a paragraph
+        if (runs.length > 0) runs.push({ text: '\n', style: 'regular' });
+        collectRuns(node, 'regular', runs);
+      } else {
+        collectRuns(node, 'regular', runs);
+      }
+    });
+
+    writer.text(runs, { ...options, indent, marker, spaceAfter: 2 });
+    nested.forEach(child => writeList(writer, child, { ...options, indent }));
+  });
+
+  writer.space(4);
+}
+
+/**
+ * Block-level tags in rendered markdown
+ */
+function isBlockTag(tag) {
+  return ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'BLOCKQUOTE', 'PRE', 'HR', 'TABLE', 'DIV'].includes(tag);
+}
+
+/**
+ * Turn inline markup into styled text runs
+ * @param {Node} node - Node to read
+ * @param {string} style - Style inherited from the parent
+ * @param {Array} runs - Runs to append to
+ * @returns {Array} The runs
+ */
+function collectRuns(node, style, runs) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    // Rendered HTML: whitespace collapses as it would on screen
+    const text = node.textContent.replace(/\s+/g, ' ');
+    if (text) runs.push({ text, style });
+    return runs;
+  }
+
+  if (node.nodeType !== Node.ELEMENT_NODE) return runs;
+
+  const tag = node.tagName;
+  if (tag === 'BR') {
+    runs.push({ text: '\n', style });
+    return runs;
+  }
+  if (tag === 'IMG') {
+    runs.push({ text: node.getAttribute('alt') || '', style });
+    return runs;
+  }
+  if (tag === 'INPUT' && node.type === 'checkbox') {
+    runs.push({ text: node.checked ? '[x] ' : '[ ] ', style });
+    return runs;
+  }
+
+  let childStyle = style;
+  if (tag === 'STRONG' || tag === 'B') {
+    childStyle = style === 'italic' || style === 'boldItalic' ? 'boldItalic' : 'bold';
+  } else if (tag === 'EM' || tag === 'I') {
+    childStyle = style === 'bold' || style === 'boldItalic' ? 'boldItalic' : 'italic';
+  } else if (tag === 'CODE') {
+    childStyle = 'mono';
+  }
+
+  node.childNodes.forEach(child => collectRuns(child, childStyle, runs));
+  return runs;
 }
 
 /**
  * Create the print container with all sections rendered
  * @param {Object} yearData - Current year data from storage
+ * @param {Object} options - { includePrivate: boolean } to print private sections and answers
  * @returns {HTMLElement} The print container element
  */
-function createPrintContainer(yearData) {
+function createPrintContainer(yearData, { includePrivate = false } = {}) {
+  let previousYear = getPreviousYear(yearData.id);
+
+  // Private answers are removed before anything is rendered
+  if (!includePrivate) {
+    yearData = withoutPrivateAnswers(yearData);
+    previousYear = previousYear && withoutPrivateAnswers(previousYear);
+  }
+
   const container = document.createElement('div');
   container.id = 'print-container';
   container.className = 'print-container';
@@ -59,15 +344,17 @@ function createPrintContainer(yearData) {
 
   // Track current part for part headers
   let currentPart = null;
+  const pack = getYearPack(yearData);
+  const locale = getYearLocale(yearData);
 
   // Render each section (skip info sections)
-  sections.forEach(section => {
+  pack.sections.forEach(section => {
     if (section.type === 'info') return;
 
     // Add part header when part changes
     if (section.part !== currentPart && section.part > 0) {
       currentPart = section.part;
-      container.appendChild(createPartHeader(currentPart));
+      container.appendChild(createPartHeader(pack, currentPart, locale));
     }
 
     // Get section data
@@ -77,9 +364,21 @@ function createPrintContainer(yearData) {
     if (!hasContent(sectionData.answers)) return;
 
     // Render the section
-    container.appendChild(renderPrintSection(section, sectionData.answers));
+    container.appendChild(renderPrintSection(section, sectionData.answers, yearData, previousYear));
   });
 
+  const checkIns = (yearData.checkIns || []).slice().sort((a, b) => a.date.localeCompare(b.date));
+  if (checkIns.length > 0) {
+    const header = document.createElement('div');
+    header.className = 'print-part-header';
+    header.textContent = t('document.checkIns', {}, locale);
+    container.appendChild(header);
+
+    checkIns.forEach(checkIn => {
+      container.appendChild(renderCheckInPrint(checkIn, yearData));
+    });
+  }
+
   return container;
 }
 
@@ -92,12 +391,14 @@ function createPrintHeader(yearData) {
   const header = document.createElement('header');
   header.className = 'print-header';
 
+  const locale = getYearLocale(yearData);
+
   const title = document.createElement('h1');
   title.textContent = `YearCompass ${yearData.displayName || yearData.id}`;
 
   const date = document.createElement('div');
   date.className = 'print-date';
-  date.textContent = `Exported on ${formatDate(new Date())}`;
+  date.textContent = t('document.exportedOn', { date: formatDate(new Date(), undefined, locale) }, locale);
 
   header.appendChild(title);
   header.appendChild(date);
@@ -107,18 +408,15 @@ function createPrintHeader(yearData) {
 
 /**
  * Create a part header
+ * @param {Object} pack - Year's question pack
  * @param {number} part - Part number (1 or 2)
+ * @param {string} locale - Year's language
  * @returns {HTMLElement} Part header element
  */
-function createPartHeader(part) {
+function createPartHeader(pack, part, locale) {
   const header = document.createElement('div');
   header.className = 'print-part-header';
-
-  if (part === 1) {
-    header.textContent = 'Part One: The Past Year';
-  } else if (part === 2) {
-    header.textContent = 'Part Two: The Year Ahead';
-  }
+  header.textContent = getPartTitle(pack, part, locale);
 
   return header;
 }
@@ -127,9 +425,11 @@ function createPartHeader(part) {
  * Render a section for print
  * @param {Object} section - Section definition from questions.js
  * @param {Object} answers - User's answers for this section
+ * @param {Object} yearData - Year the answers belong to
+ * @param {Object|null} previousYear - Year before, for last year's goals
  * @returns {HTMLElement} Section element
  */
-function renderPrintSection(section, answers) {
+function renderPrintSection(section, answers, yearData, previousYear) {
   const sectionEl = document.createElement('div');
   sectionEl.className = 'section';
   sectionEl.dataset.part = section.part;
@@ -145,13 +445,13 @@ function renderPrintSection(section, answers) {
   // Render content based on section type
   switch (section.type) {
     case 'life-areas':
-      renderLifeAreasPrint(sectionEl, answers);
+      renderLifeAreasPrint(sectionEl, answers, yearData, previousYear);
       break;
     case 'life-areas-goals':
-      renderLifeAreasGoalsPrint(sectionEl, answers);
+      renderLifeAreasGoalsPrint(sectionEl, answers, yearData);
       break;
     case 'triplets':
-      renderTripletsPrint(sectionEl, answers);
+      renderTripletsPrint(sectionEl, section, answers);
       break;
     default:
       renderStandardPrint(sectionEl, section, answers);
@@ -196,20 +496,33 @@ function renderStandardPrint(container, section, answers) {
 
 /**
  * Render life areas section for print
+ * Includes last year's goal for an area when its outcome was marked.
  */
-function renderLifeAreasPrint(container, answers) {
-  lifeAreas.forEach(area => {
+function renderLifeAreasPrint(container, answers, yearData, previousYear) {
+  const previousGoals = previousYear?.sections['life-areas-future']?.answers || {};
+  const locale = getYearLocale(yearData);
+  const statuses = localizeGoalStatuses(goalStatuses, locale);
+
+  resolveLifeAreas(yearData.lifeAreas, getLifeAreaLabels(locale)).forEach(area => {
     const rating = answers[`${area.id}-rating`];
     const notes = answers[`${area.id}-notes`];
+    const status = statuses.find(s => s.id === answers[`${area.id}-goal-status`]);
+    const previousGoal = previousGoals[`${area.id}-goal`];
 
-    if (!rating && !notes) return;
+    if (!rating && !notes && !status) return;
 
     const areaEl = document.createElement('div');
     areaEl.className = 'life-area';
 
     areaEl.innerHTML = `
       <h4>${escapeHtml(area.label)}</h4>
-      ${rating ? `<div class="rating-control"><span class="rating-value">${rating}</span></div>` : ''}
+      ${status ? `
+        <div class="previous-goal">
+          ${previousGoal ? `<span class="field-prompt">${t('areas.lastYearsGoal', {}, locale)}</span><div class="markdown-preview">${renderMarkdown(previousGoal)}</div>` : ''}
+          <p class="goal-outcome">${t('document.outcome', { status: escapeHtml(status.label) }, locale)}</p>
+        </div>
+      ` : ''}
+      ${rating ? createRatingPrint(rating, locale) : ''}
       ${notes ? `<div class="markdown-preview">${renderMarkdown(notes)}</div>` : ''}
     `;
 
@@ -220,8 +533,10 @@ function renderLifeAreasPrint(container, answers) {
 /**
  * Render life areas goals section for print
  */
-function renderLifeAreasGoalsPrint(container, answers) {
-  lifeAreas.forEach(area => {
+function renderLifeAreasGoalsPrint(container, answers, yearData) {
+  const locale = getYearLocale(yearData);
+
+  resolveLifeAreas(yearData.lifeAreas, getLifeAreaLabels(locale)).forEach(area => {
     const goal = answers[`${area.id}-goal`];
     const actions = answers[`${area.id}-actions`];
 
@@ -235,7 +550,7 @@ function renderLifeAreasGoalsPrint(container, answers) {
     if (goal) {
       content += `
         <div class="goal-field">
-          <label class="field-prompt">What do you want to achieve?</label>
+          <label class="field-prompt">${t('goals.goal', {}, locale)}</label>
           <div class="markdown-preview">${renderMarkdown(goal)}</div>
         </div>
       `;
@@ -244,7 +559,7 @@ function renderLifeAreasGoalsPrint(container, answers) {
     if (actions) {
       content += `
         <div class="actions-field">
-          <label class="field-prompt">What actions will you take?</label>
+          <label class="field-prompt">${t('goals.actions', {}, locale)}</label>
           <div class="markdown-preview">${renderMarkdown(actions)}</div>
         </div>
       `;
@@ -258,8 +573,8 @@ function renderLifeAreasGoalsPrint(container, answers) {
 /**
  * Render triplets section for print
  */
-function renderTripletsPrint(container, answers) {
-  magicalTriplets.forEach(triplet => {
+function renderTripletsPrint(container, section, answers) {
+  section.triplets.forEach(triplet => {
     const items = [];
     for (let i = 1; i <= 3; i++) {
       const value = answers[`${triplet.id}-${i}`];
@@ -284,6 +599,42 @@ function renderTripletsPrint(container, answers) {
   });
 }
 
+/**
+ * Render a check-in for print: each life area's rating and goal note
+ * @param {Object} checkIn - { date, ratings, notes }
+ * @param {Object} yearData - Year the check-in belongs to
+ * @returns {HTMLElement} Section element
+ */
+function renderCheckInPrint(checkIn, yearData) {
+  const sectionEl = document.createElement('div');
+  sectionEl.className = 'section';
+
+  const locale = getYearLocale(yearData);
+  const header = document.createElement('header');
+  header.innerHTML = `<h3 class="section-title">${escapeHtml(formatDate(new Date(`${checkIn.date}T00:00`), undefined, locale))}</h3>`;
+  sectionEl.appendChild(header);
+
+  resolveLifeAreas(yearData.lifeAreas, getLifeAreaLabels(locale)).forEach(area => {
+    const rating = checkIn.ratings?.[area.id];
+    const note = checkIn.notes[area.id];
+
+    if (!rating && !note) return;
+
+    const areaEl = document.createElement('div');
+    areaEl.className = 'life-area';
+
+    areaEl.innerHTML = `
+      <h4>${escapeHtml(area.label)}</h4>
+      ${rating ? createRatingPrint(rating, locale) : ''}
+      ${note ? `<span class="field-prompt">${t('document.howIsItGoing', {}, locale)}</span><div class="markdown-preview">${escapeHtml(note)}</div>` : ''}
+    `;
+
+    sectionEl.appendChild(areaEl);
+  });
+
+  return sectionEl;
+}
+
 /**
  * Check if answers object has any content
  * @param {Object} answers - Answers object
@@ -297,16 +648,14 @@ function hasContent(answers) {
 }
 
 /**
- * Format a date for display
- * @param {Date} date - Date to format
- * @returns {string} Formatted date string
+ * Create the markup for a printed rating
+ * The PDF writer labels the bar with data-label.
+ * @param {number|string} rating - Rating from 1 to 10
+ * @param {string} locale - Year's language
+ * @returns {string} HTML
  */
-function formatDate(date) {
-  return date.toLocaleDateString('en-US', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
+function createRatingPrint(rating, locale) {
+  return `<div class="rating-control" data-label="${t('document.rating', {}, locale)}"><span class="rating-value">${escapeHtml(String(rating))}</span></div>`;
 }
 
 /**
@@ -323,7 +672,7 @@ function escapeHtml(text) {
 
 /**
  * Restore the document after printing
- * @param {HTMLElement} printContainer - The container to remove
+ * @param {HTMLElement|null} printContainer - The container to remove
  */
 function restoreAfterPrint(printContainer) {
   // Remove print container
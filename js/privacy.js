@@ -0,0 +1,141 @@
+/**
+ * Privacy Module
+ * Sections and answers marked private: kept out of print and shared exports,
+ * and blurred on screen until revealed
+ */
+
+import { getCurrentYear, getPrivacy, setSectionPrivate, setFieldsPrivate } from './storage.js';
+import { updateSidebarIndicators } from './navigation.js';
+import { t, getLocale } from './i18n.js';
+
+/**
+ * Add private toggles to a rendered section and blur what's private
+ * @param {HTMLElement} container - Section container (with data-section-id)
+ */
+export function applyPrivacy(container) {
+  const yearId = getCurrentYear()?.id;
+  const sectionId = container.dataset.sectionId;
+  if (!yearId || !sectionId) return;
+
+  const sectionToggle = createToggle('section-privacy-toggle', () => {
+    const isPrivate = getPrivacy(yearId).sections.includes(sectionId);
+    setSectionPrivate(yearId, sectionId, !isPrivate);
+    updatePrivacyState(container, yearId);
+    updateSidebarIndicators();
+  });
+  container.querySelector('header')?.appendChild(sectionToggle);
+
+  container.querySelectorAll('.field').forEach(fieldEl => {
+    const fieldIds = getFieldIds(fieldEl);
+    if (fieldIds.length === 0) return;
+
+    const controls = document.createElement('div');
+    controls.className = 'field-privacy';
+    controls.lang = getLocale();
+
+    const reveal = document.createElement('button');
+    reveal.type = 'button';
+    reveal.className = 'btn btn-link privacy-reveal';
+    reveal.textContent = t('privacy.reveal');
+    reveal.addEventListener('click', () => revealField(fieldEl));
+
+    const toggle = createToggle('field-privacy-toggle', () => {
+      const isPrivate = isFieldPrivate(getPrivacy(yearId), sectionId, fieldIds);
+      setFieldsPrivate(yearId, sectionId, fieldIds, !isPrivate);
+      fieldEl.classList.remove('is-revealed');
+      updatePrivacyState(container, yearId);
+      updateSidebarIndicators();
+    });
+
+    controls.appendChild(reveal);
+    controls.appendChild(toggle);
+    fieldEl.insertBefore(controls, fieldEl.firstChild);
+
+    // Tabbing into a blurred answer means the user wants to see it
+    fieldEl.addEventListener('focusin', (e) => {
+      if (!controls.contains(e.target)) {
+        revealField(fieldEl);
+      }
+    });
+  });
+
+  updatePrivacyState(container, yearId);
+}
+
+/**
+ * Create a private/public toggle button
+ * @param {string} className - Extra class for the button
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button (labelled by updatePrivacyState)
+ */
+function createToggle(className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `btn btn-link privacy-toggle ${className}`;
+  // A control, so in the app's language rather than the year's
+  button.lang = getLocale();
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Sync the toggles and blur with the stored flags
+ * @param {HTMLElement} container - Section container
+ * @param {string} yearId - Year being shown
+ */
+function updatePrivacyState(container, yearId) {
+  const sectionId = container.dataset.sectionId;
+  const privacy = getPrivacy(yearId);
+  const sectionPrivate = privacy.sections.includes(sectionId);
+
+  container.classList.toggle('is-private', sectionPrivate);
+
+  const sectionToggle = container.querySelector('.section-privacy-toggle');
+  if (sectionToggle) {
+    sectionToggle.textContent = sectionPrivate ? t('privacy.sectionPrivate') : t('privacy.makeSectionPrivate');
+    sectionToggle.setAttribute('aria-pressed', String(sectionPrivate));
+  }
+
+  container.querySelectorAll('.field').forEach(fieldEl => {
+    const toggle = fieldEl.querySelector('.field-privacy-toggle');
+    if (!toggle) return;
+
+    const fieldPrivate = isFieldPrivate(privacy, sectionId, getFieldIds(fieldEl));
+    fieldEl.classList.toggle('is-private', sectionPrivate || fieldPrivate);
+
+    toggle.textContent = fieldPrivate ? t('privacy.fieldPrivate') : t('privacy.makePrivate');
+    toggle.setAttribute('aria-pressed', String(fieldPrivate));
+    // The section-wide flag already covers every answer
+    toggle.hidden = sectionPrivate;
+  });
+}
+
+/**
+ * Show a blurred answer until the section is rendered again
+ * @param {HTMLElement} fieldEl - Field container
+ */
+function revealField(fieldEl) {
+  fieldEl.classList.add('is-revealed');
+}
+
+/**
+ * Get the answer IDs a field container holds
+ * @param {HTMLElement} fieldEl - Field container
+ * @returns {Array<string>} Field IDs (a life area has a rating and notes)
+ */
+function getFieldIds(fieldEl) {
+  const ids = [...fieldEl.querySelectorAll('[data-field-id]')].map(input => input.dataset.fieldId);
+  return [...new Set(ids)];
+}
+
+/**
+ * Check if every answer of a field container is marked private
+ * @param {Object} privacy - Flags from getPrivacy()
+ * @param {string} sectionId - Section ID
+ * @param {Array<string>} fieldIds - Field IDs
+ * @returns {boolean} True if the field is private
+ */
+function isFieldPrivate(privacy, sectionId, fieldIds) {
+  const privateIds = privacy.fields[sectionId] || [];
+  return fieldIds.every(id => privateIds.includes(id));
+}
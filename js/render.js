@@ -1,16 +1,32 @@
 /**
  * Render Module
  * Dynamically generates section UI from questions data
+ *
+ * Questions and the labels around answers are in the year's language;
+ * controls like the skip button are in the app's.
+ *
+ * With the focusMode setting on, a section shows one field at a time; see
+ * applyFocusMode().
  */
 
-import { sections } from '../data/questions.js';
-import { getCurrentYear, saveAnswer } from './storage.js';
-import { updateProgress, updateSidebarIndicators, navigateToSection } from './navigation.js';
-import { initMarkdownSupport } from './markdown.js';
-import { showSaving, showSaved } from './save-indicator.js';
+import { goalStatuses, resolveLifeAreas } from '../data/questions.js';
+import { getCurrentYear, getPreviousYear, saveAnswer, isYearLocked, getSettings } from './storage.js';
+import { navigateToSection } from './navigation.js';
+import { initMarkdownSupport, togglePreview, renderMarkdown } from './markdown.js';
+import { createPastYearBanner } from './year.js';
+import { createLifeAreasCustomizer } from './life-areas.js';
+import { attachHistory } from './history.js';
+import { applyPrivacy } from './privacy.js';
+import { getYearSections } from './packs.js';
+import { t, getLocale, getYearLocale, getLifeAreaLabels, localizeGoalStatuses } from './i18n.js';
+
+// Field shown in focus mode; kept while the same section is re-rendered.
+// A negative index counts from the end (coming back from the next section).
+let focusPosition = { sectionId: null, index: 0 };
 
 /**
  * Escape HTML characters to prevent XSS and broken markup
+ * Quotes are escaped too, since answers and prompts go into attribute values.
  * @param {string} text - Text to escape
  * @returns {string} Escaped text
  */
@@ -18,7 +34,7 @@ function escapeHtml(text) {
   if (!text) return '';
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 /**
@@ -26,7 +42,7 @@ function escapeHtml(text) {
  * @param {string} sectionId - Section ID to render
  */
 export function renderSection(sectionId) {
-  const section = sections.find(s => s.id === sectionId);
+  const section = getYearSections(getCurrentYear()).find(s => s.id === sectionId);
   if (!section) {
     console.error(`Section not found: ${sectionId}`);
     return;
@@ -37,6 +53,7 @@ export function renderSection(sectionId) {
 
   const yearData = getCurrentYear();
   const sectionData = yearData?.sections[sectionId] || { answers: {} };
+  const locale = getYearLocale(yearData);
 
   // Clear and render
   mainContent.innerHTML = '';
@@ -45,6 +62,7 @@ export function renderSection(sectionId) {
   container.className = 'section';
   container.dataset.part = section.part;
   container.dataset.sectionId = section.id;
+  container.lang = locale;
 
   // Section header
   const header = document.createElement('header');
@@ -59,23 +77,200 @@ export function renderSection(sectionId) {
     case 'info':
       renderInfoSection(container, section);
       break;
-    case 'life-areas':
-      renderLifeAreasSection(container, section, sectionData.answers);
+    case 'life-areas': {
+      // Goals set in last year's compass, to reflect on alongside each rating
+      const previousGoals = yearData
+        ? getPreviousYear(yearData.id)?.sections['life-areas-future']?.answers || {}
+        : {};
+      addLifeAreasCustomizer(container, yearData, section);
+      renderLifeAreasSection(container, resolveLifeAreas(yearData?.lifeAreas, getLifeAreaLabels(locale)), sectionData.answers, previousGoals, locale);
       break;
+    }
     case 'life-areas-goals':
-      renderLifeAreasGoalsSection(container, section, sectionData.answers);
+      addLifeAreasCustomizer(container, yearData, section);
+      renderLifeAreasGoalsSection(container, resolveLifeAreas(yearData?.lifeAreas, getLifeAreaLabels(locale)), sectionData.answers, locale);
       break;
     case 'triplets':
-      renderTripletsSection(container, section, sectionData.answers);
+      renderTripletsSection(container, section, sectionData.answers, locale);
       break;
     default:
       renderStandardSection(container, section, sectionData.answers);
   }
 
+  // Past years get a banner and stay read-only unless unlocked
+  if (yearData && section.type !== 'info') {
+    const banner = createPastYearBanner(yearData.id, () => renderSection(section.id));
+    if (banner) {
+      container.insertBefore(banner, header.nextSibling);
+    }
+  }
+
   mainContent.appendChild(container);
 
   // Initialize markdown support for any markdown-enabled textareas
   initMarkdownSupport(container);
+
+  // Earlier versions of written answers
+  container.querySelectorAll('textarea[data-field-id]').forEach(attachHistory);
+
+  // Private toggles, and blur over anything already private
+  if (yearData && section.type !== 'info') {
+    applyPrivacy(container);
+  }
+
+  if (yearData && isYearLocked(yearData.id)) {
+    lockSection(container);
+  }
+
+  if (getSettings().focusMode === 'on') {
+    applyFocusMode(container, section);
+  }
+}
+
+/**
+ * Show one field of a rendered section at a time, with a large writing area
+ * Ctrl/Cmd+Enter moves to the next field and Ctrl/Cmd+Shift+Enter back; past
+ * the first or last field it goes on to the neighbouring section.
+ * @param {HTMLElement} container - Section container
+ * @param {Object} section - Section definition
+ */
+function applyFocusMode(container, section) {
+  container.classList.add('focus-mode');
+
+  if (focusPosition.sectionId !== section.id) {
+    focusPosition = { sectionId: section.id, index: 0 };
+  }
+
+  container.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || !(e.ctrlKey || e.metaKey)) return;
+    e.preventDefault();
+    moveFocus(container, section, e.shiftKey ? -1 : 1);
+  });
+
+  const fields = getFocusFields(container);
+  if (fields.length === 0) return;
+
+  const sections = getYearSections(getCurrentYear());
+  const sectionIndex = sections.findIndex(s => s.id === section.id);
+
+  const bar = document.createElement('div');
+  bar.className = 'focus-bar';
+  bar.lang = getLocale();
+  bar.innerHTML = `
+    <button type="button" class="btn btn-link" data-step="-1" aria-keyshortcuts="Control+Shift+Enter">${t('focus.previous')}</button>
+    <span class="focus-position" aria-live="polite"></span>
+    <button type="button" class="btn btn-link" data-step="1" aria-keyshortcuts="Control+Enter">${t('focus.next')}</button>
+  `;
+  bar.querySelectorAll('button').forEach(button => {
+    button.addEventListener('click', () => moveFocus(container, section, Number(button.dataset.step)));
+  });
+  container.appendChild(bar);
+
+  // Whether there's a section to go on to before the first and after the last field
+  bar.dataset.first = sectionIndex === 0;
+  bar.dataset.last = sectionIndex === sections.length - 1;
+
+  const index = focusPosition.index < 0 ? fields.length + focusPosition.index : focusPosition.index;
+  showFocusField(container, Math.min(Math.max(index, 0), fields.length - 1), false);
+}
+
+/**
+ * Get the fields focus mode steps through
+ * @param {HTMLElement} container - Section container
+ * @returns {Array<HTMLElement>} Field elements, in order
+ */
+function getFocusFields(container) {
+  return [...container.querySelectorAll(':scope > .field')];
+}
+
+/**
+ * Show one field in focus mode and hide the others
+ * @param {HTMLElement} container - Section container
+ * @param {number} index - Field to show
+ * @param {boolean} moveFocus - Whether to put the cursor in it
+ */
+function showFocusField(container, index, moveFocus) {
+  const fields = getFocusFields(container);
+  focusPosition.index = index;
+
+  fields.forEach((field, i) => {
+    field.hidden = i !== index;
+  });
+
+  const bar = container.querySelector('.focus-bar');
+  bar.querySelector('.focus-position').textContent = t('focus.position', { current: index + 1, total: fields.length });
+  bar.querySelector('[data-step="-1"]').disabled = index === 0 && bar.dataset.first === 'true';
+  bar.querySelector('[data-step="1"]').disabled = index === fields.length - 1 && bar.dataset.last === 'true';
+
+  if (!moveFocus) return;
+
+  const input = fields[index].querySelector('textarea') || fields[index].querySelector('input');
+  if (input?.style.display === 'none' && !input.readOnly) {
+    // Markdown shown as preview; switching to edit focuses it
+    togglePreview(input, false);
+  } else {
+    input?.focus();
+  }
+}
+
+/**
+ * Move to the next or previous field in focus mode
+ * Past either end of the section, hands off to navigateToSection().
+ * @param {HTMLElement} container - Section container
+ * @param {Object} section - Section definition
+ * @param {number} step - 1 for next, -1 for previous
+ */
+function moveFocus(container, section, step) {
+  const index = focusPosition.index + step;
+  if (index >= 0 && index < getFocusFields(container).length) {
+    showFocusField(container, index, true);
+    return;
+  }
+
+  const sections = getYearSections(getCurrentYear());
+  const neighbour = sections[sections.findIndex(s => s.id === section.id) + step];
+  if (!neighbour) return;
+
+  // Going back lands on the previous section's last field
+  focusPosition = { sectionId: neighbour.id, index: step < 0 ? -1 : 0 };
+  navigateToSection(neighbour.id, step > 0);
+}
+
+/**
+ * Show the field holding an input, if the section is in focus mode
+ * For code that jumps to an answer (e.g. search results).
+ * @param {string} fieldId - The input's data-field-id
+ */
+export function revealField(fieldId) {
+  const container = document.querySelector('#main-content .section.focus-mode');
+  const input = container?.querySelector(`[data-field-id="${fieldId}"]`);
+  if (!input) return;
+
+  const index = getFocusFields(container).findIndex(field => field.contains(input));
+  if (index !== -1) {
+    showFocusField(container, index, false);
+  }
+}
+
+/**
+ * Make every input in a rendered section read-only
+ * @param {HTMLElement} container - Section container
+ */
+function lockSection(container) {
+  container.classList.add('is-locked');
+
+  container.querySelectorAll('input, textarea').forEach(input => {
+    if (input.type === 'range' || input.type === 'radio') {
+      input.disabled = true;
+    } else {
+      input.readOnly = true;
+    }
+  });
+
+  // Show markdown fields rendered, since they can't be edited anyway
+  container.querySelectorAll('textarea[data-markdown-setup]').forEach(textarea => {
+    togglePreview(textarea, true);
+  });
 }
 
 /**
@@ -96,10 +291,12 @@ function renderInfoSection(container, section) {
 
     const skipBtn = document.createElement('button');
     skipBtn.className = 'btn btn-link skip-btn';
-    skipBtn.textContent = 'Skip this step';
-    skipBtn.setAttribute('aria-label', `Skip ${section.title}`);
+    skipBtn.lang = getLocale();
+    skipBtn.textContent = t('section.skip');
+    skipBtn.setAttribute('aria-label', t('section.skipLabel', { title: section.title }));
     skipBtn.addEventListener('click', () => {
       // Find next section and navigate to it
+      const sections = getYearSections(getCurrentYear());
       const currentIndex = sections.findIndex(s => s.id === section.id);
       if (currentIndex < sections.length - 1) {
         navigateToSection(sections[currentIndex + 1].id, false);
@@ -124,12 +321,20 @@ function renderStandardSection(container, section, answers = {}) {
 }
 
 /**
- * Render a life areas section with ratings
+ * Add the "Customize life areas" control to an editable year's life areas section
  */
-function renderLifeAreasSection(container, section, answers = {}) {
-  const fields = section.fields || [];
+function addLifeAreasCustomizer(container, yearData, section) {
+  if (!yearData || isYearLocked(yearData.id)) return;
+  container.appendChild(createLifeAreasCustomizer(yearData.id, section.id));
+}
 
-  fields.forEach(field => {
+/**
+ * Render a life areas section with ratings
+ * @param {Array} areas - The year's life areas from resolveLifeAreas()
+ * @param {string} locale - Year's language
+ */
+function renderLifeAreasSection(container, areas, answers = {}, previousGoals = {}, locale) {
+  areas.forEach(field => {
     const fieldEl = document.createElement('div');
     fieldEl.className = 'life-area field';
 
@@ -138,26 +343,25 @@ function renderLifeAreasSection(container, section, answers = {}) {
 
     fieldEl.innerHTML = `
       <h4 id="${field.id}-heading">${escapeHtml(field.label)}</h4>
-      <div class="rating-control">
-        <input type="range"
-               id="${field.id}-rating"
-               data-field-id="${field.id}-rating"
-               min="1" max="10"
-               value="${ratingValue}"
-               aria-label="Rating for ${escapeHtml(field.label)}"
-               aria-valuetext="${ratingValue} out of 10"
-               aria-describedby="${field.id}-heading">
-        <span class="rating-value" aria-hidden="true">${ratingValue}</span>
-      </div>
       <textarea
         id="${field.id}-notes"
         data-field-id="${field.id}-notes"
-        placeholder="Notes..."
+        placeholder="${escapeHtml(t('areas.notes', {}, locale))}"
         rows="2"
-        aria-label="Notes for ${escapeHtml(field.label)}"
+        aria-label="${escapeHtml(t('areas.notesFor', { area: field.label }, locale))}"
       >${escapeHtml(notesValue)}</textarea>
     `;
 
+    fieldEl.insertBefore(
+      createRatingControl(field, ratingValue, { fieldId: `${field.id}-rating`, describedBy: `${field.id}-heading`, locale }),
+      fieldEl.querySelector('textarea')
+    );
+
+    const previousGoal = createPreviousGoal(field, answers, previousGoals, locale);
+    if (previousGoal) {
+      fieldEl.insertBefore(previousGoal, fieldEl.querySelector('.rating-control'));
+    }
+
     // Set up auto-save listeners
     setupFieldListeners(fieldEl);
 
@@ -166,12 +370,89 @@ function renderLifeAreasSection(container, section, answers = {}) {
 }
 
 /**
- * Render a life areas goals section (for year ahead planning)
+ * Create a 1-10 rating slider with its value display
+ * @param {Object} area - Life area { id, label }
+ * @param {number|string} value - Current rating
+ * @param {Object} options - { id, fieldId (for auto-save), describedBy, locale (defaults to the app's) }
+ * @returns {HTMLElement} Rating control element
  */
-function renderLifeAreasGoalsSection(container, section, answers = {}) {
-  const fields = section.fields || [];
+export function createRatingControl(area, value, { id = `${area.id}-rating`, fieldId = null, describedBy = null, locale = getLocale() } = {}) {
+  const control = document.createElement('div');
+  control.className = 'rating-control';
+  control.innerHTML = `
+    <input type="range"
+           id="${id}"
+           ${fieldId ? `data-field-id="${fieldId}"` : ''}
+           min="1" max="10"
+           value="${value}"
+           aria-label="${escapeHtml(t('areas.ratingFor', { area: area.label }, locale))}"
+           aria-valuetext="${t('areas.ratingValue', { value }, locale)}"
+           ${describedBy ? `aria-describedby="${describedBy}"` : ''}>
+    <span class="rating-value" aria-hidden="true">${value}</span>
+  `;
 
-  fields.forEach(field => {
+  const input = control.querySelector('input');
+  input.addEventListener('input', () => {
+    control.querySelector('.rating-value').textContent = input.value;
+    // Update aria-valuetext for screen readers
+    input.setAttribute('aria-valuetext', t('areas.ratingValue', { value: input.value }, locale));
+  });
+
+  return control;
+}
+
+/**
+ * Create the block showing last year's goal for a life area, with an outcome picker
+ * @param {Object} field - Life area field definition
+ * @param {Object} answers - This year's answers for the section
+ * @param {Object} previousGoals - Last year's life-areas-future answers
+ * @param {string} locale - Year's language
+ * @returns {HTMLElement|null} Goal element, or null if no goal was set
+ */
+function createPreviousGoal(field, answers, previousGoals, locale) {
+  const goal = previousGoals[`${field.id}-goal`] || '';
+  const actions = previousGoals[`${field.id}-actions`] || '';
+  if (!goal.trim() && !actions.trim()) return null;
+
+  const statusId = `${field.id}-goal-status`;
+  const currentStatus = answers[statusId] || '';
+
+  const goalEl = document.createElement('div');
+  goalEl.className = 'previous-goal';
+  goalEl.innerHTML = `
+    ${goal.trim() ? `
+      <p class="previous-goal-label">${t('areas.lastYearsGoal', {}, locale)}</p>
+      <div class="previous-goal-text">${renderMarkdown(goal)}</div>
+    ` : ''}
+    ${actions.trim() ? `
+      <p class="previous-goal-label">${t('areas.plannedActions', {}, locale)}</p>
+      <div class="previous-goal-text">${renderMarkdown(actions)}</div>
+    ` : ''}
+    <fieldset class="goal-status">
+      <legend>${t('areas.howDidItGo', {}, locale)}</legend>
+      ${localizeGoalStatuses(goalStatuses, locale).map(status => `
+        <label>
+          <input type="radio"
+                 name="${statusId}"
+                 data-field-id="${statusId}"
+                 value="${status.id}"
+                 ${status.id === currentStatus ? 'checked' : ''}>
+          ${escapeHtml(status.label)}
+        </label>
+      `).join('')}
+    </fieldset>
+  `;
+
+  return goalEl;
+}
+
+/**
+ * Render a life areas goals section (for year ahead planning)
+ * @param {Array} areas - The year's life areas from resolveLifeAreas()
+ * @param {string} locale - Year's language
+ */
+function renderLifeAreasGoalsSection(container, areas, answers = {}, locale) {
+  areas.forEach(field => {
     const fieldEl = document.createElement('div');
     fieldEl.className = 'life-area-goal field';
 
@@ -181,21 +462,21 @@ function renderLifeAreasGoalsSection(container, section, answers = {}) {
     fieldEl.innerHTML = `
       <h4>${escapeHtml(field.label)}</h4>
       <div class="goal-field">
-        <label for="${field.id}-goal" class="field-prompt">What do you want to achieve?</label>
+        <label for="${field.id}-goal" class="field-prompt">${t('goals.goal', {}, locale)}</label>
         <textarea
           id="${field.id}-goal"
           data-field-id="${field.id}-goal"
           rows="2"
-          aria-label="Goal for ${escapeHtml(field.label)}"
+          aria-label="${escapeHtml(t('goals.goalFor', { area: field.label }, locale))}"
         >${escapeHtml(goalValue)}</textarea>
       </div>
       <div class="actions-field">
-        <label for="${field.id}-actions" class="field-prompt">What actions will you take?</label>
+        <label for="${field.id}-actions" class="field-prompt">${t('goals.actions', {}, locale)}</label>
         <textarea
           id="${field.id}-actions"
           data-field-id="${field.id}-actions"
           rows="2"
-          aria-label="Actions for ${escapeHtml(field.label)}"
+          aria-label="${escapeHtml(t('goals.actionsFor', { area: field.label }, locale))}"
         >${escapeHtml(actionsValue)}</textarea>
       </div>
     `;
@@ -210,7 +491,7 @@ function renderLifeAreasGoalsSection(container, section, answers = {}) {
 /**
  * Render a triplets section
  */
-function renderTripletsSection(container, section, answers = {}) {
+function renderTripletsSection(container, section, answers = {}, locale) {
   const triplets = section.triplets || [];
 
   triplets.forEach(triplet => {
@@ -229,7 +510,7 @@ function renderTripletsSection(container, section, answers = {}) {
       input.dataset.fieldId = fieldId;
       input.value = value;
       input.placeholder = `${i}.`;
-      input.setAttribute('aria-label', `${triplet.prompt} - item ${i}`);
+      input.setAttribute('aria-label', t('triplets.item', { prompt: triplet.prompt, number: i }, locale));
 
       groupEl.appendChild(input);
     }
@@ -309,32 +590,11 @@ function setupFieldListeners(container) {
       const sectionId = sectionEl?.dataset.sectionId;
       const fieldId = input.dataset.fieldId;
 
+      // The save indicator, progress and sidebar follow storage's answer-changed event
       if (sectionId && fieldId) {
         saveAnswer(yearData.id, sectionId, fieldId, input.value);
-        showSaving();
-
-        // Update save status after debounce
-        setTimeout(() => {
-          showSaved();
-        }, 400);
-
-        // Update progress and sidebar indicators
-        updateProgress();
-        updateSidebarIndicators();
       }
     });
-
-    // Update rating display for range inputs
-    if (input.type === 'range') {
-      input.addEventListener('input', (e) => {
-        const display = input.parentElement.querySelector('.rating-value');
-        if (display) {
-          display.textContent = e.target.value;
-        }
-        // Update aria-valuetext for screen readers
-        input.setAttribute('aria-valuetext', `${e.target.value} out of 10`);
-      });
-    }
   });
 }
 
@@ -1,61 +1,133 @@
 /**
  * Save Indicator Module
  * Shows save status and last-saved timestamp
+ *
+ * Follows storage's events: "Unsaved changes" once an answer changes,
+ * "Saving..." while the write runs, then "Saved" or "Save failed" with a
+ * retry button, depending on how the write went. Warns before the page is
+ * closed while changes are still waiting to be written.
  */
 
 import { announceToScreenReader } from './navigation.js';
+import { on } from './events.js';
+import { hasPendingChanges, saveNow } from './storage.js';
+import { t, formatDate } from './i18n.js';
 
 let lastSaveTime = null;
 let updateInterval = null;
 
+// 'idle' (timestamp or "Ready"), 'unsaved', 'saving', 'saved' or 'failed'
+let state = 'idle';
+
+const STATE_CLASSES = ['unsaved', 'saving', 'saved', 'failed'];
+
 /**
- * Show "Saving..." indicator
+ * Switch the status to a new state
+ * @param {string} newState - State to show
+ * @param {string} text - Status text
  */
-export function showSaving() {
+function setState(newState, text) {
+  state = newState;
+
   const statusEl = document.getElementById('save-status');
   if (statusEl) {
-    statusEl.textContent = 'Saving...';
-    statusEl.classList.add('saving');
-    statusEl.classList.remove('saved');
+    statusEl.textContent = text;
+    statusEl.classList.remove(...STATE_CLASSES);
+    if (STATE_CLASSES.includes(newState)) {
+      statusEl.classList.add(newState);
+    }
+  }
+
+  const retryBtn = document.getElementById('save-retry');
+  if (retryBtn) {
+    retryBtn.hidden = newState !== 'failed';
   }
 }
 
 /**
- * Show "Saved" confirmation and update timestamp
+ * Show that there are edits waiting for the next write
  */
-export function showSaved() {
-  lastSaveTime = new Date();
+function showUnsaved() {
+  setState('unsaved', t('save.unsaved'));
+}
 
-  const statusEl = document.getElementById('save-status');
-  if (statusEl) {
-    statusEl.textContent = 'Saved';
-    statusEl.classList.remove('saving');
-    statusEl.classList.add('saved');
+/**
+ * Show "Saving..." while edits are being written
+ * Writes of settings or the current year alone aren't shown.
+ */
+function showSaving() {
+  if (state !== 'unsaved' && state !== 'failed') return;
 
-    // Announce to screen readers
-    announceToScreenReader('Progress saved');
+  setState('saving', t('save.saving'));
+}
 
-    // After brief confirmation, show timestamp
-    setTimeout(() => {
-      updateTimestamp();
-    }, 1500);
+/**
+ * Show "Saved" confirmation and update timestamp
+ * Edits made while the write ran are still pending, so those keep the
+ * status at "Unsaved changes" until their own write lands.
+ */
+function showSaved() {
+  if (state === 'idle' || state === 'saved') return;
+
+  if (hasPendingChanges()) {
+    showUnsaved();
+    return;
   }
 
+  lastSaveTime = new Date();
+  setState('saved', t('save.saved'));
+
+  // Announce to screen readers
+  announceToScreenReader(t('save.announce'));
+
+  // After brief confirmation, show timestamp
+  setTimeout(() => {
+    updateTimestamp();
+  }, 1500);
+
   // Start updating timestamp periodically
   startTimestampUpdates();
 }
 
+/**
+ * Show that the last write failed, with a button to try again
+ * storage.js keeps the changes; the next edit or a retry writes them.
+ */
+function showSaveFailed() {
+  if (state !== 'failed') {
+    announceToScreenReader(t('save.failedAnnounce'));
+  }
+  setState('failed', t('save.failed'));
+}
+
+/**
+ * Write the pending changes again after a failure
+ */
+function retrySave() {
+  setState('saving', t('save.saving'));
+  saveNow();
+}
+
+/**
+ * Ask before leaving while changes haven't been written
+ * @param {BeforeUnloadEvent} event - The beforeunload event
+ */
+function handleBeforeUnload(event) {
+  if (!hasPendingChanges()) return;
+
+  // Start the write now in case the user stays; the prompt can't wait for it
+  saveNow();
+  event.preventDefault();
+  event.returnValue = '';
+}
+
 /**
  * Update the timestamp display
  */
 function updateTimestamp() {
-  if (!lastSaveTime) return;
+  if (!lastSaveTime || (state !== 'idle' && state !== 'saved')) return;
 
-  const statusEl = document.getElementById('save-status');
-  if (statusEl && !statusEl.classList.contains('saving')) {
-    statusEl.textContent = formatRelativeTime(lastSaveTime);
-    statusEl.classList.remove('saved');
-  }
+  setState('idle', formatRelativeTime(lastSaveTime));
 }
 
 /**
@@ -71,20 +143,16 @@ function formatRelativeTime(date) {
   const diffHour = Math.floor(diffMin / 60);
 
   if (diffSec < 10) {
-    return 'Just saved';
+    return t('save.justSaved');
   } else if (diffSec < 60) {
-    return 'Saved moments ago';
-  } else if (diffMin === 1) {
-    return 'Saved 1 minute ago';
+    return t('save.momentsAgo');
   } else if (diffMin < 60) {
-    return `Saved ${diffMin} minutes ago`;
-  } else if (diffHour === 1) {
-    return 'Saved 1 hour ago';
+    return t('save.minutesAgo', { count: diffMin });
   } else if (diffHour < 24) {
-    return `Saved ${diffHour} hours ago`;
+    return t('save.hoursAgo', { count: diffHour });
   } else {
     // Format as absolute time for older saves
-    return `Saved ${formatTime(date)}`;
+    return t('save.at', { time: formatTime(date) });
   }
 }
 
@@ -100,7 +168,7 @@ function formatTime(date) {
     hour: 'numeric',
     minute: '2-digit'
   };
-  return date.toLocaleDateString('en-US', options);
+  return formatDate(date, options);
 }
 
 /**
@@ -121,14 +189,41 @@ function startTimestampUpdates() {
  * @param {string} lastModified - ISO timestamp of last modification
  */
 export function initSaveIndicator(lastModified) {
+  on('answer-changed', showUnsaved);
+  on('saving', showSaving);
+  on('saved', showSaved);
+  on('save-failed', showSaveFailed);
+
+  document.getElementById('save-retry')?.addEventListener('click', retrySave);
+  window.addEventListener('beforeunload', handleBeforeUnload);
+
   if (lastModified) {
     lastSaveTime = new Date(lastModified);
     updateTimestamp();
     startTimestampUpdates();
   } else {
-    const statusEl = document.getElementById('save-status');
-    if (statusEl) {
-      statusEl.textContent = 'Ready';
-    }
+    refreshSaveStatus();
+  }
+}
+
+/**
+ * Show the current status again, e.g. in a newly picked language
+ */
+export function refreshSaveStatus() {
+  const statusEl = document.getElementById('save-status');
+  if (!statusEl) return;
+
+  if (state === 'unsaved') {
+    statusEl.textContent = t('save.unsaved');
+  } else if (state === 'saving') {
+    statusEl.textContent = t('save.saving');
+  } else if (state === 'saved') {
+    statusEl.textContent = t('save.saved');
+  } else if (state === 'failed') {
+    statusEl.textContent = t('save.failed');
+  } else if (lastSaveTime) {
+    statusEl.textContent = formatRelativeTime(lastSaveTime);
+  } else {
+    statusEl.textContent = t('save.ready');
   }
 }
@@ -0,0 +1,266 @@
+/**
+ * Search Module
+ * Finds answers across every year and section, and jumps to the one picked
+ */
+
+import { describeField } from '../data/questions.js';
+import { getAllYears, loadYear, getCurrentYear } from './storage.js';
+import { switchToYear, populateYearSelector, formatYearDisplay } from './year.js';
+import { navigateToSection, announceToScreenReader } from './navigation.js';
+import { revealField } from './render.js';
+import { openModal } from './modal.js';
+import { getYearSections } from './packs.js';
+import { t, getYearLocale, getLifeAreaLabels, getAnswerLabels } from './i18n.js';
+
+// Enough to scan by eye; a longer query narrows it down
+const MAX_RESULTS = 100;
+
+// Characters of context shown on each side of the first match
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Initialize search
+ */
+export function initSearch() {
+  const searchBtn = document.getElementById('open-search');
+
+  if (searchBtn) {
+    searchBtn.addEventListener('click', showSearch);
+  }
+}
+
+/**
+ * Find answers containing every word of a query
+ * Each answer is matched together with its prompt, so "fear goal" finds a
+ * goal that mentions fear.
+ * @param {string} query - Words to look for (case-insensitive)
+ * @returns {Array} [{ yearId, sectionId, fieldId, sectionTitle, label, value, terms }]
+ *   newest year first, then in section order
+ */
+export function searchAnswers(query) {
+  const terms = getTerms(query);
+  if (terms.length === 0) return [];
+
+  return buildIndex().filter(entry => {
+    const haystack = `${entry.label}\n${entry.value}`.toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  }).map(entry => ({ ...entry, terms }));
+}
+
+/**
+ * Collect every written answer with its section and prompt
+ * Built on each search so it never goes stale; it's a few hundred strings.
+ * @returns {Array} [{ yearId, sectionId, fieldId, sectionTitle, label, value }]
+ */
+function buildIndex() {
+  const index = [];
+
+  [...getAllYears()].sort().reverse().forEach(yearId => {
+    const yearData = loadYear(yearId);
+    if (!yearData) return;
+
+    const sections = getYearSections(yearData);
+    const locale = getYearLocale(yearData);
+    sections.forEach(section => {
+      const answers = yearData.sections[section.id]?.answers || {};
+
+      Object.entries(answers).forEach(([fieldId, value]) => {
+        // Ratings and goal outcomes are choices, not writing
+        if (typeof value !== 'string' || !value.trim() || /-(rating|goal-status)$/.test(fieldId)) return;
+
+        index.push({
+          yearId,
+          sectionId: section.id,
+          fieldId,
+          ...describeField(section.id, fieldId, yearData.lifeAreas, sections, getLifeAreaLabels(locale), getAnswerLabels(locale)),
+          value
+        });
+      });
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Show the search dialog
+ */
+function showSearch() {
+  const { body, close } = openModal({ title: t('app.search'), className: 'search-modal' });
+
+  body.innerHTML = `
+    <input type="search" id="search-input" class="search-input"
+           placeholder="${t('search.placeholder')}" aria-label="${t('search.placeholder')}"
+           autocomplete="off">
+    <p class="search-summary" role="status"></p>
+    <div class="search-results"></div>
+  `;
+
+  const input = body.querySelector('#search-input');
+  const summary = body.querySelector('.search-summary');
+  const results = body.querySelector('.search-results');
+
+  input.addEventListener('input', () => {
+    const matches = input.value.trim() ? searchAnswers(input.value) : [];
+    renderResults(results, matches.slice(0, MAX_RESULTS), (match) => {
+      close();
+      openResult(match);
+    });
+
+    if (!input.value.trim()) {
+      summary.textContent = '';
+    } else if (matches.length === 0) {
+      summary.textContent = t('search.none');
+    } else if (matches.length > MAX_RESULTS) {
+      summary.textContent = t('search.tooMany', { shown: MAX_RESULTS, count: matches.length });
+    } else {
+      summary.textContent = t('search.count', { count: matches.length });
+    }
+  });
+
+  input.focus();
+}
+
+/**
+ * Render matches grouped by year, then by section
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array} matches - Results from searchAnswers()
+ * @param {Function} onOpen - Called with the match that was clicked
+ */
+function renderResults(container, matches, onOpen) {
+  container.innerHTML = '';
+
+  let yearEl = null;
+  let list = null;
+
+  matches.forEach(match => {
+    if (yearEl?.dataset.yearId !== match.yearId) {
+      yearEl = document.createElement('section');
+      yearEl.className = 'search-year';
+      yearEl.dataset.yearId = match.yearId;
+      yearEl.innerHTML = `<h3></h3>`;
+      yearEl.querySelector('h3').textContent = formatYearDisplay(match.yearId);
+      container.appendChild(yearEl);
+      list = null;
+    }
+
+    if (list?.dataset.sectionId !== match.sectionId) {
+      // Titles and prompts are in the year's language
+      const locale = getYearLocale(loadYear(match.yearId));
+      const heading = document.createElement('h4');
+      heading.lang = locale;
+      heading.textContent = match.sectionTitle;
+      list = document.createElement('ul');
+      list.className = 'search-list';
+      list.lang = locale;
+      list.dataset.sectionId = match.sectionId;
+      yearEl.appendChild(heading);
+      yearEl.appendChild(list);
+    }
+
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'search-result';
+    button.innerHTML = `<span class="search-prompt"></span><span class="search-snippet"></span>`;
+    appendHighlighted(button.querySelector('.search-prompt'), match.label, match.terms);
+    appendHighlighted(button.querySelector('.search-snippet'), createSnippet(match.value, match.terms), match.terms);
+    button.addEventListener('click', () => onOpen(match));
+
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Go to a match: switch year if needed, open its section and focus the answer
+ * @param {Object} match - Result from searchAnswers()
+ */
+function openResult({ yearId, sectionId, fieldId, sectionTitle }) {
+  if (getCurrentYear()?.id !== yearId) {
+    switchToYear(yearId);
+    populateYearSelector();
+  }
+
+  // The answer gets the focus instead of the section title
+  navigateToSection(sectionId, false, false);
+  revealField(fieldId);
+
+  const field = document.querySelector(`#main-content [data-field-id="${fieldId}"]`);
+  if (field) {
+    field.scrollIntoView({ block: 'center' });
+    field.focus({ preventScroll: true });
+  }
+
+  announceToScreenReader(`${sectionTitle}, ${formatYearDisplay(yearId)}`);
+}
+
+/**
+ * Cut a stretch of text around the first match
+ * @param {string} text - Full answer
+ * @param {Array<string>} terms - Lowercase search words
+ * @returns {string} Snippet with "…" where text was cut
+ */
+function createSnippet(text, terms) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+  const positions = terms.map(term => lower.indexOf(term)).filter(pos => pos !== -1);
+
+  // Only the prompt matched: show the start of the answer
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  let start = Math.max(0, first - SNIPPET_CONTEXT);
+  let end = Math.min(flat.length, first + SNIPPET_CONTEXT * 2);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = flat.indexOf(' ', start);
+    start = space !== -1 && space < first ? space + 1 : start;
+  }
+  if (end < flat.length) {
+    const space = flat.lastIndexOf(' ', end);
+    end = space > first ? space : end;
+  }
+
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Fill an element with text, wrapping each search word in <mark>
+ * @param {HTMLElement} el - Element to fill
+ * @param {string} text - Text to show
+ * @param {Array<string>} terms - Lowercase search words
+ */
+function appendHighlighted(el, text, terms) {
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+
+  text.split(pattern).forEach((part, i) => {
+    // split() with a capture group puts the matches at odd indexes
+    if (i % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      el.appendChild(mark);
+    } else if (part) {
+      el.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+/**
+ * Split a query into lowercase words
+ * @param {string} query - Search query
+ * @returns {Array<string>} Words, longest first so highlights prefer them
+ */
+function getTerms(query) {
+  return [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))]
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
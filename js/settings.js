@@ -0,0 +1,148 @@
+/**
+ * Settings Module
+ * Settings panel and applying language, theme, font size, markdown preview
+ * mode and focus mode (the passphrase lock group comes from lock.js, question
+ * packs from packs.js)
+ */
+
+import { getSettings, saveSettings, getCurrentSection } from './storage.js';
+import { renderSection } from './render.js';
+import { refreshNavigation } from './navigation.js';
+import { populateYearSelector } from './year.js';
+import { refreshSaveStatus } from './save-indicator.js';
+import { openModal } from './modal.js';
+import { createLockSettings } from './lock.js';
+import { createPackSettings } from './packs.js';
+import { t, getLocale, setLocale, getLocales, getBrowserLocale, translatePage } from './i18n.js';
+
+/**
+ * Available choices for each setting (labels are looked up as settings.<name>.<value>)
+ */
+const SETTING_OPTIONS = {
+  theme: ['light', 'dark'],
+  fontSize: ['small', 'medium', 'large'],
+  markdownPreview: ['onBlur', 'always', 'manual'],
+  focusMode: ['off', 'on']
+};
+
+/**
+ * Initialize settings: apply stored values and set up the panel button
+ */
+export function initSettings() {
+  applySettings(getSettings());
+
+  const settingsBtn = document.getElementById('open-settings');
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', showSettingsDialog);
+  }
+}
+
+/**
+ * Apply language, theme and font size to the document
+ * css/variables.css switches custom properties on these attributes. Without
+ * a chosen language the browser's is used.
+ * @param {Object} settings - Settings object
+ */
+export function applySettings(settings) {
+  const root = document.documentElement;
+  root.dataset.theme = settings.theme || 'light';
+  root.dataset.fontSize = settings.fontSize || 'medium';
+
+  setLocale(settings.locale || getBrowserLocale());
+  translatePage();
+}
+
+/**
+ * Show the settings dialog
+ */
+function showSettingsDialog() {
+  const { body, close } = openModal({ title: t('settings.title'), className: 'settings-modal' });
+  const settings = getSettings();
+
+  body.appendChild(createLanguageGroup());
+  body.appendChild(createSettingGroup('theme', settings.theme));
+  body.appendChild(createSettingGroup('fontSize', settings.fontSize));
+  body.appendChild(createSettingGroup('markdownPreview', settings.markdownPreview));
+  body.appendChild(createSettingGroup('focusMode', settings.focusMode || 'off'));
+  body.appendChild(createLockSettings());
+  body.appendChild(createPackSettings());
+
+  body.addEventListener('change', (e) => {
+    const name = e.target.name;
+    if (name !== 'locale' && !SETTING_OPTIONS[name]) return;
+
+    saveSettings({ [name]: e.target.value });
+    applySettings(getSettings());
+
+    if (name === 'locale') {
+      // Everything on screen was built in the old language
+      refreshNavigation();
+      populateYearSelector();
+      refreshSaveStatus();
+      close();
+      showSettingsDialog();
+    } else if (name === 'markdownPreview' || name === 'focusMode') {
+      // Both are read when a section is rendered
+      renderSection(getCurrentSection());
+    }
+  });
+}
+
+/**
+ * Create the language group, each language named in itself
+ * @returns {HTMLFieldSetElement} Fieldset element
+ */
+function createLanguageGroup() {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'settings-group';
+  fieldset.innerHTML = `
+    <legend>${t('settings.language')}</legend>
+    <p class="settings-help">${t('settings.languageHelp')}</p>
+  `;
+
+  getLocales().forEach(({ code, name }) => {
+    const label = document.createElement('label');
+    label.lang = code;
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'locale';
+    input.value = code;
+    input.checked = code === getLocale();
+
+    label.appendChild(input);
+    label.append(` ${name}`);
+    fieldset.appendChild(label);
+  });
+
+  return fieldset;
+}
+
+/**
+ * Create a radio group for one setting
+ * @param {string} name - Setting key
+ * @param {string} currentValue - Currently stored value
+ * @returns {HTMLFieldSetElement} Fieldset element
+ */
+function createSettingGroup(name, currentValue) {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'settings-group';
+
+  const legendEl = document.createElement('legend');
+  legendEl.textContent = t(`settings.${name}`);
+  fieldset.appendChild(legendEl);
+
+  SETTING_OPTIONS[name].forEach(value => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = name;
+    input.value = value;
+    input.checked = value === currentValue;
+
+    label.appendChild(input);
+    label.append(` ${t(`settings.${name}.${value}`)}`);
+    fieldset.appendChild(label);
+  });
+
+  return fieldset;
+}
@@ -0,0 +1,322 @@
+/**
+ * Storage Adapters Module
+ * Backends that persist YearCompass data: IndexedDB (preferred) and localStorage (fallback)
+ *
+ * Every adapter has the same shape:
+ *   name                        'indexeddb' or 'localStorage'
+ *   load()                      → Promise<Object|null> the whole data object, or null if nothing is stored
+ *   write(data, changes)        → Promise<void> persist data; `changes` says which records changed
+ *   hasExternalChanges()        → Promise<boolean> true if another tab wrote since our last load/write
+ *   needsFullWrite()            → boolean true if the loaded data isn't fully stored by this adapter yet
+ *   watch(callback)             call `callback` when another tab writes
+ *   getUsage()                  → Promise<{ used, total, percentage }>
+ *
+ * `changes` is { all: boolean, meta: boolean, years: Set<yearId>, sections: Map<key, [yearId, sectionId]> }.
+ * `all` means anything may have changed (imports, repairs, first save).
+ */
+
+import { isIndexedDBAvailable, openDatabase, requestToPromise, transactionDone } from './idb.js';
+
+// localStorage key the whole data object has always been stored under
+export const LEGACY_STORAGE_KEY = 'yearcompass_data';
+
+const DB_NAME = 'yearcompass';
+const DB_VERSION = 1;
+const CHANNEL_NAME = 'yearcompass_sync';
+
+// Most browsers allow ~5MB of localStorage
+const LOCAL_STORAGE_LIMIT = 5 * 1024 * 1024;
+
+/**
+ * Create an empty change set
+ * @returns {Object} Change set with nothing marked
+ */
+export function createChangeSet() {
+  return { all: false, meta: false, years: new Set(), sections: new Map() };
+}
+
+/**
+ * Open the best available storage adapter
+ * @returns {Promise<Object|null>} IndexedDB adapter, localStorage adapter, or null if neither works
+ */
+export async function openStorageAdapter() {
+  if (isIndexedDBAvailable()) {
+    try {
+      return await createIndexedDBAdapter();
+    } catch (error) {
+      console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+
+  if (isLocalStorageAvailable()) {
+    return createLocalStorageAdapter();
+  }
+
+  return null;
+}
+
+/**
+ * Check if localStorage is available and working
+ * @returns {boolean} True if localStorage is available
+ */
+export function isLocalStorageAvailable() {
+  try {
+    const testKey = '__yearcompass_test__';
+    localStorage.setItem(testKey, 'test');
+    const result = localStorage.getItem(testKey);
+    localStorage.removeItem(testKey);
+    return result === 'test';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * localStorage adapter: the whole data object as one JSON string
+ * @returns {Object} Adapter
+ */
+function createLocalStorageAdapter() {
+  // JSON this tab last read or wrote
+  let lastJson = null;
+
+  return {
+    name: 'localStorage',
+
+    async load() {
+      lastJson = localStorage.getItem(LEGACY_STORAGE_KEY);
+      return lastJson ? JSON.parse(lastJson) : null;
+    },
+
+    async write(data) {
+      const json = JSON.stringify(data);
+      localStorage.setItem(LEGACY_STORAGE_KEY, json);
+      lastJson = json;
+    },
+
+    async hasExternalChanges() {
+      const current = localStorage.getItem(LEGACY_STORAGE_KEY);
+      return current !== null && current !== lastJson;
+    },
+
+    needsFullWrite() {
+      return false;
+    },
+
+    watch(callback) {
+      window.addEventListener('storage', (event) => {
+        if (event.key === LEGACY_STORAGE_KEY && event.newValue && event.newValue !== lastJson) {
+          callback();
+        }
+      });
+    },
+
+    async getUsage() {
+      const used = new Blob([localStorage.getItem(LEGACY_STORAGE_KEY) || '']).size;
+      return {
+        used,
+        total: LOCAL_STORAGE_LIMIT,
+        percentage: Math.round((used / LOCAL_STORAGE_LIMIT) * 100)
+      };
+    }
+  };
+}
+
+/**
+ * IndexedDB adapter: one record per year and per section
+ *
+ * Stores:
+ *   meta      'app' → { version, currentYear, settings, encryption? }, 'stamp' → ID of the last write
+ *   years     year fields except sections, keyed by id
+ *   sections  { yearId, sectionId, completed, answers }, keyed by [yearId, sectionId]
+ *
+ * @returns {Promise<Object>} Adapter
+ */
+async function createIndexedDBAdapter() {
+  const db = await openDatabase(DB_NAME, DB_VERSION, (database) => {
+    database.createObjectStore('meta');
+    database.createObjectStore('years', { keyPath: 'id' });
+    database.createObjectStore('sections', { keyPath: ['yearId', 'sectionId'] });
+  });
+
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  // Stamp of the last write this tab read or made
+  let lastStamp = null;
+
+  // True while the data still only exists under the old localStorage key
+  let loadedFromLegacy = false;
+
+  return {
+    name: 'indexeddb',
+
+    async load() {
+      const tx = db.transaction(['meta', 'years', 'sections'], 'readonly');
+      const [app, stamp, years, sections] = await Promise.all([
+        requestToPromise(tx.objectStore('meta').get('app')),
+        requestToPromise(tx.objectStore('meta').get('stamp')),
+        requestToPromise(tx.objectStore('years').getAll()),
+        requestToPromise(tx.objectStore('sections').getAll())
+      ]);
+
+      lastStamp = stamp ?? null;
+
+      if (!app) {
+        // First run with IndexedDB: pick up data saved by earlier versions
+        const legacy = readLegacyData();
+        loadedFromLegacy = legacy !== null;
+        return legacy;
+      }
+
+      return joinRecords(app, years, sections);
+    },
+
+    async write(data, changes) {
+      const tx = db.transaction(['meta', 'years', 'sections'], 'readwrite');
+      const meta = tx.objectStore('meta');
+      const yearStore = tx.objectStore('years');
+      const sectionStore = tx.objectStore('sections');
+
+      if (changes.all || loadedFromLegacy) {
+        yearStore.clear();
+        sectionStore.clear();
+        meta.put(getAppRecord(data), 'app');
+        Object.keys(data.years).forEach(yearId => {
+          yearStore.put(getYearRecord(data.years[yearId]));
+          Object.keys(data.years[yearId].sections).forEach(sectionId => {
+            sectionStore.put(getSectionRecord(data, yearId, sectionId));
+          });
+        });
+      } else {
+        if (changes.meta) {
+          meta.put(getAppRecord(data), 'app');
+        }
+
+        changes.years.forEach(yearId => {
+          if (data.years[yearId]) {
+            yearStore.put(getYearRecord(data.years[yearId]));
+          } else {
+            yearStore.delete(yearId);
+          }
+        });
+
+        changes.sections.forEach(([yearId, sectionId]) => {
+          if (data.years[yearId]?.sections[sectionId]) {
+            sectionStore.put(getSectionRecord(data, yearId, sectionId));
+          } else {
+            sectionStore.delete([yearId, sectionId]);
+          }
+        });
+      }
+
+      const stamp = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+      meta.put(stamp, 'stamp');
+
+      await transactionDone(tx);
+      lastStamp = stamp;
+
+      if (loadedFromLegacy) {
+        loadedFromLegacy = false;
+        // The data is safely in IndexedDB now
+        try {
+          localStorage.removeItem(LEGACY_STORAGE_KEY);
+        } catch (error) {
+          // Leaving the old copy behind is harmless
+        }
+      }
+
+      channel?.postMessage({ type: 'saved', stamp });
+    },
+
+    async hasExternalChanges() {
+      const tx = db.transaction('meta', 'readonly');
+      const stamp = await requestToPromise(tx.objectStore('meta').get('stamp'));
+      return (stamp ?? null) !== lastStamp;
+    },
+
+    needsFullWrite() {
+      return loadedFromLegacy;
+    },
+
+    watch(callback) {
+      if (!channel) return;
+      channel.addEventListener('message', (event) => {
+        if (event.data?.stamp !== lastStamp) {
+          callback();
+        }
+      });
+    },
+
+    async getUsage() {
+      const estimate = await navigator.storage?.estimate?.();
+      const used = estimate?.usage || 0;
+      const total = estimate?.quota || 0;
+      return {
+        used,
+        total,
+        percentage: total ? Math.round((used / total) * 100) : 0
+      };
+    }
+  };
+}
+
+/**
+ * Read data saved under the old localStorage key
+ * @returns {Object|null} Parsed data, or null if there is none
+ * @throws {SyntaxError} If the stored JSON is corrupt
+ */
+function readLegacyData() {
+  let json = null;
+  try {
+    json = localStorage.getItem(LEGACY_STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Build the app-wide meta record (everything but the years)
+ */
+function getAppRecord(data) {
+  const { years, ...record } = data;
+  return record;
+}
+
+/**
+ * Build a year record (everything but its sections)
+ */
+function getYearRecord(year) {
+  const { sections, ...record } = year;
+  return record;
+}
+
+/**
+ * Build a section record
+ */
+function getSectionRecord(data, yearId, sectionId) {
+  return { ...data.years[yearId].sections[sectionId], yearId, sectionId };
+}
+
+/**
+ * Put stored records back together into the data object
+ * @param {Object} app - Meta record
+ * @param {Array} years - Year records
+ * @param {Array} sections - Section records
+ * @returns {Object} Data object
+ */
+function joinRecords(app, years, sections) {
+  const data = { ...app, years: {} };
+
+  years.forEach(year => {
+    data.years[year.id] = { ...year, sections: {} };
+  });
+
+  sections.forEach(({ yearId, sectionId, ...section }) => {
+    // Sections of a year that's gone are left out
+    if (data.years[yearId]) {
+      data.years[yearId].sections[sectionId] = section;
+    }
+  });
+
+  return data;
+}
@@ -1,17 +1,70 @@
 /**
  * Storage Module
- * Handles localStorage persistence for YearCompass data
+ * Handles persistence for YearCompass data through a storage adapter
+ * (IndexedDB, or localStorage where IndexedDB isn't available)
+ *
+ * All reads come from an in-memory copy; changes are marked per record
+ * (app settings, year, section) and only those records are written.
+ * Edits, writes and year switches are announced through events.js, so
+ * this module never touches the page.
  */
 
-const STORAGE_KEY = 'yearcompass_data';
-const DATA_VERSION = 1;
+import { CURRENT_VERSION, getDataVersion, needsMigration, migrateData } from './migrations.js';
+import { DEFAULT_PACK } from '../data/packs.js';
+import { validatePack } from './packs.js';
+import { t, DEFAULT_LOCALE } from './i18n.js';
+import { mergeData } from './merge.js';
+import { openStorageAdapter, createChangeSet } from './storage-adapters.js';
+import { emit } from './events.js';
+import {
+  isCryptoAvailable, generateSalt, deriveKey, encryptJson, decryptJson, isEncryptedPayload, PBKDF2_ITERATIONS
+} from './crypto.js';
+
+const SNAPSHOT_KEY = 'yearcompass_premigration';
+// Data version of the build that restored the snapshot; upgrades wait for a newer build
+const ROLLBACK_KEY = 'yearcompass_rollback';
+const DATA_VERSION = CURRENT_VERSION;
+
+// Encrypted with the passphrase key so a wrong passphrase can be detected
+const PASSPHRASE_CHECK = 'yearcompass';
+
+// Storage backend from openStorageAdapter()
+let adapter = null;
 
 // In-memory cache of storage data
 let storageData = null;
 
+// Copy of the data as this tab last read from or wrote to storage (base for merging other tabs' writes)
+let syncedData = null;
+
+// Records changed since the last write
+let pendingChanges = createChangeSet();
+
+// True while a write is with the backend
+let writing = false;
+
+// Storage work in progress, so writes and merges never overlap
+let queue = Promise.resolve();
+
+// AES key while a passphrase lock is on (null when data is stored as plain JSON)
+let encryptionKey = null;
+
+// Encrypted form of the data as it's stored, updated record by record
+let encodedData = null;
+
+// Set when the stored data can't safely be written back: another tab changed the
+// passphrase lock, or a newer version of the app wrote it. Writes stop until reload
+let writesStopped = false;
+
 // Error callback for notifying UI of storage issues
 let onStorageError = null;
 
+// Sync callback for notifying UI of changes made in another tab
+let onExternalChange = null;
+
+// Callback that asks the user for their passphrase
+let onUnlockRequest = null;
+
 /**
  * Set the error callback for storage errors
  * @param {Function} callback - Function to call on storage errors
@@ -20,9 +73,26 @@ export function setStorageErrorCallback(callback) {
   onStorageError = callback;
 }
 
+/**
+ * Set the callback for changes merged in from another tab
+ * @param {Function} callback - Called with the merge result from mergeData()
+ */
+export function setExternalChangeCallback(callback) {
+  onExternalChange = callback;
+}
+
+/**
+ * Set the callback that shows the unlock screen for passphrase-locked data
+ * Called with { settings, unlock(passphrase) → Promise<{ success, message }>, erase() }
+ * @param {Function} callback - Function that asks for the passphrase
+ */
+export function setUnlockCallback(callback) {
+  onUnlockRequest = callback;
+}
+
 /**
  * Report a storage error to the UI
- * @param {string} type - Error type ('unavailable', 'quota', 'corrupt', 'parse')
+ * @param {string} type - Error type ('unavailable', 'quota', 'corrupt', 'parse', 'migration')
  * @param {string} message - User-friendly message
  * @param {Error} originalError - Original error object (optional)
  */
@@ -34,19 +104,12 @@ function reportStorageError(type, message, originalError = null) {
 }
 
 /**
- * Check if localStorage is available and working
- * @returns {boolean} True if localStorage is available
+ * Deep-copy JSON-compatible data
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
  */
-export function isLocalStorageAvailable() {
-  try {
-    const testKey = '__yearcompass_test__';
-    localStorage.setItem(testKey, 'test');
-    const result = localStorage.getItem(testKey);
-    localStorage.removeItem(testKey);
-    return result === 'test';
-  } catch (error) {
-    return false;
-  }
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
 }
 
 /**
@@ -59,7 +122,8 @@ function getDefaultData() {
     settings: {
       theme: 'light',
       fontSize: 'medium',
-      markdownPreview: 'onBlur'
+      markdownPreview: 'onBlur',
+      focusMode: 'off'
     },
     years: {}
   };
@@ -67,15 +131,16 @@ function getDefaultData() {
 
 /**
  * Validate the structure of stored data
+ * Repairs happen in place on the given object.
  * @param {Object} data - Data to validate
  * @returns {Object} Object with { valid: boolean, repaired: boolean, data: Object }
  */
-function validateAndRepairData(data) {
+export function validateAndRepairData(data) {
   let repaired = false;
 
   // Must be an object
   if (!data || typeof data !== 'object') {
-    reportStorageError('corrupt', 'Stored data is not a valid object. Starting fresh.');
+    reportStorageError('corrupt', t('errors.notAnObject'));
     return { valid: false, repaired: false, data: getDefaultData() };
   }
 
@@ -95,6 +160,23 @@ function validateAndRepairData(data) {
     repaired = true;
   }
 
+  if (data.packs !== undefined && (!data.packs || typeof data.packs !== 'object')) {
+    delete data.packs;
+    repaired = true;
+  }
+
+  // Added packs also arrive in backups and from other tabs, not just through
+  // installPack(); their titles and prompts are put into the page as HTML
+  for (const [key, pack] of Object.entries(data.packs || {})) {
+    if (validatePack(pack) || key !== `${pack.id}@${pack.version}`) {
+      delete data.packs[key];
+      repaired = true;
+    }
+  }
+  if (data.packs && Object.keys(data.packs).length === 0) {
+    delete data.packs;
+  }
+
   // Validate currentYear points to existing year
   if (data.currentYear && !data.years[data.currentYear]) {
     const yearIds = Object.keys(data.years);
@@ -121,6 +203,38 @@ function validateAndRepairData(data) {
       year.sections = {};
       repaired = true;
     }
+    if (!isValidPackRef(year.pack)) {
+      year.pack = { ...DEFAULT_PACK };
+      repaired = true;
+    }
+    if (typeof year.locale !== 'string') {
+      year.locale = DEFAULT_LOCALE;
+      repaired = true;
+    }
+    if (year.privacy !== undefined && !isValidPrivacy(year.privacy)) {
+      delete year.privacy;
+      repaired = true;
+    }
+    if (year.checkInSchedule !== undefined && !isValidCheckInSchedule(year.checkInSchedule)) {
+      delete year.checkInSchedule;
+      repaired = true;
+    }
+    if (year.checkIns !== undefined && !Array.isArray(year.checkIns)) {
+      delete year.checkIns;
+      repaired = true;
+    } else if (year.checkIns) {
+      const entries = year.checkIns.filter(isValidCheckIn);
+      if (entries.length !== year.checkIns.length) {
+        year.checkIns = entries;
+        repaired = true;
+      }
+    }
+    if (year.lifeAreas !== undefined && (!year.lifeAreas || typeof year.lifeAreas !== 'object')) {
+      delete year.lifeAreas;
+      repaired = true;
+    } else if (year.lifeAreas && repairLifeAreas(year.lifeAreas)) {
+      repaired = true;
+    }
 
     // Validate each section
     for (const sectionId of Object.keys(year.sections)) {
@@ -135,155 +249,975 @@ function validateAndRepairData(data) {
     }
   }
 
-  if (repaired) {
-    console.warn('Data structure was repaired during validation');
+  if (repaired) {
+    console.warn('Data structure was repaired during validation');
+  }
+
+  return { valid: true, repaired, data };
+}
+
+/**
+ * Check the shape of a year's private flags
+ * @param {*} privacy - Stored privacy value
+ * @returns {boolean} True if it's { sections: Array, fields: { sectionId: Array } }
+ */
+function isValidPrivacy(privacy) {
+  return !!privacy && typeof privacy === 'object' &&
+    Array.isArray(privacy.sections) &&
+    !!privacy.fields && typeof privacy.fields === 'object' &&
+    Object.values(privacy.fields).every(Array.isArray);
+}
+
+/**
+ * Check the shape of a year's question pack reference
+ * @param {*} pack - Stored pack value
+ * @returns {boolean} True if it's { id: string, version: number }
+ */
+function isValidPackRef(pack) {
+  return !!pack && typeof pack === 'object' &&
+    typeof pack.id === 'string' && Number.isInteger(pack.version);
+}
+
+/**
+ * Check the shape of a year's check-in schedule
+ * @param {*} schedule - Stored schedule value
+ * @returns {boolean} True if it's { frequency: string, dates: Array<string> }
+ */
+function isValidCheckInSchedule(schedule) {
+  return !!schedule && typeof schedule === 'object' &&
+    typeof schedule.frequency === 'string' &&
+    Array.isArray(schedule.dates) && schedule.dates.every(date => typeof date === 'string');
+}
+
+/**
+ * Check the shape of a check-in entry
+ * @param {*} entry - Stored entry
+ * @returns {boolean} True if it's { id: string, date: string, notes: Object, ratings?: Object }
+ */
+function isValidCheckIn(entry) {
+  return !!entry && typeof entry === 'object' &&
+    typeof entry.id === 'string' && typeof entry.date === 'string' &&
+    !!entry.notes && typeof entry.notes === 'object' &&
+    (entry.ratings === undefined || (!!entry.ratings && typeof entry.ratings === 'object'));
+}
+
+/**
+ * Drop the parts of a year's life area settings that don't have the expected shape
+ * Repairs happen in place on the given object.
+ * @param {Object} config - Stored { labels: Object, hidden: Array<string>, custom: Array<{id, label}> }
+ * @returns {boolean} True if anything was dropped
+ */
+function repairLifeAreas(config) {
+  let repaired = false;
+
+  if (config.labels !== undefined && (!config.labels || typeof config.labels !== 'object' || Array.isArray(config.labels))) {
+    delete config.labels;
+    repaired = true;
+  } else if (config.labels) {
+    for (const [areaId, label] of Object.entries(config.labels)) {
+      if (typeof label !== 'string') {
+        delete config.labels[areaId];
+        repaired = true;
+      }
+    }
+  }
+
+  if (config.hidden !== undefined && !Array.isArray(config.hidden)) {
+    delete config.hidden;
+    repaired = true;
+  } else if (config.hidden) {
+    const hidden = config.hidden.filter(areaId => typeof areaId === 'string');
+    if (hidden.length !== config.hidden.length) {
+      config.hidden = hidden;
+      repaired = true;
+    }
+  }
+
+  if (config.custom !== undefined && !Array.isArray(config.custom)) {
+    delete config.custom;
+    repaired = true;
+  } else if (config.custom) {
+    const custom = config.custom.filter(area =>
+      !!area && typeof area === 'object' && typeof area.id === 'string' && typeof area.label === 'string');
+    if (custom.length !== config.custom.length) {
+      config.custom = custom;
+      repaired = true;
+    }
+  }
+
+  return repaired;
+}
+
+/**
+ * Upgrade loaded data to the current version
+ * A snapshot of the original is kept first; if any step fails the original
+ * data is used unchanged and the stored copy is left at its old version.
+ * @param {Object} data - Data as loaded from storage (decrypted)
+ * @param {Object} stored - Data exactly as stored, kept as the snapshot
+ * @returns {Object} { data: Object, migrated: boolean, failed: boolean }
+ */
+function upgradeStoredData(data, stored = data) {
+  if (getDataVersion(data) > DATA_VERSION) {
+    // Writing it back in the older format would lose what the newer version added
+    writesStopped = true;
+    reportStorageError(
+      'version',
+      t('errors.newerVersion')
+    );
+    return { data, migrated: false };
+  }
+
+  if (!needsMigration(data)) {
+    return { data, migrated: false };
+  }
+
+  if (isUpgradeRolledBack()) {
+    // Keep the old version number so the next build still upgrades it
+    data.version = getDataVersion(data);
+    return { data, migrated: false };
+  }
+
+  const fromVersion = getDataVersion(data);
+
+  try {
+    localStorage.setItem(SNAPSHOT_KEY, JSON.stringify({
+      version: fromVersion,
+      createdAt: new Date().toISOString(),
+      data: JSON.stringify(stored)
+    }));
+  } catch (error) {
+    reportStorageError(
+      'quota',
+      t('errors.noSpaceToUpgrade'),
+      error
+    );
+    return { data, migrated: false, failed: true };
+  }
+
+  const result = migrateData(data);
+  if (!result.success) {
+    reportStorageError(
+      'migration',
+      t('errors.upgradeFailed', { reason: result.error.message }),
+      result.error
+    );
+    return { data, migrated: false, failed: true };
+  }
+
+  return { data: result.data, migrated: true };
+}
+
+/**
+ * Get details of the snapshot taken before the last data upgrade
+ * @returns {Object|null} { version: number, createdAt: string, data: string } or null if none
+ */
+export function getMigrationSnapshot() {
+  try {
+    const stored = localStorage.getItem(SNAPSHOT_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether the pre-upgrade snapshot was restored with this build
+ * @returns {boolean} True if stored data should be left at its old version
+ */
+function isUpgradeRolledBack() {
+  try {
+    return localStorage.getItem(ROLLBACK_KEY) === String(DATA_VERSION);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Write the pre-upgrade snapshot back as the stored data. It isn't upgraded again
+ * until a build with a newer data version, so a broken step can be rolled back.
+ * Nothing more is written afterwards; the page must be reloaded
+ * @returns {Promise<Object>} { success: boolean, message: string }
+ */
+export async function restoreMigrationSnapshot() {
+  const snapshot = getMigrationSnapshot();
+  if (!snapshot || !adapter || writesStopped) {
+    return { success: false, message: t('backup.snapshotRestoreFailed') };
+  }
+
+  try {
+    const stored = JSON.parse(snapshot.data);
+    localStorage.setItem(ROLLBACK_KEY, String(DATA_VERSION));
+    await enqueue(async () => {
+      // Pending edits belong to the upgraded data
+      writesStopped = true;
+      await adapter.write(stored, { ...createChangeSet(), all: true });
+    });
+  } catch (error) {
+    writesStopped = false;
+    console.error('Could not restore the pre-upgrade snapshot:', error);
+    return { success: false, message: t('backup.snapshotRestoreFailed') };
+  }
+
+  return { success: true, message: t('backup.snapshotRestored') };
+}
+
+/**
+ * Initialize storage - pick a backend, then load existing data or create new
+ * @returns {Promise<Object>} The storage data object
+ */
+export async function initStorage() {
+  adapter = await openStorageAdapter();
+  encryptionKey = null;
+  encodedData = null;
+  writesStopped = false;
+
+  if (!adapter) {
+    reportStorageError(
+      'unavailable',
+      t('errors.unavailable')
+    );
+    // Use default data but it won't persist
+    storageData = getDefaultData();
+    return storageData;
+  }
+
+  try {
+    let loaded;
+    try {
+      loaded = await adapter.load();
+    } catch (loadError) {
+      if (!(loadError instanceof SyntaxError)) throw loadError;
+      reportStorageError(
+        'parse',
+        t('errors.corrupted'),
+        loadError
+      );
+      loaded = null;
+    }
+
+    const stored = loaded;
+    if (loaded?.encryption) {
+      if (!isCryptoAvailable()) {
+        reportStorageError(
+          'encryption',
+          t('errors.cantUnlock')
+        );
+        // Never overwrite the locked data with an empty workspace
+        adapter = null;
+        storageData = getDefaultData();
+        return storageData;
+      }
+      loaded = await requestUnlock(loaded);
+    }
+
+    if (loaded) {
+      // Upgrade older data, then validate and repair it
+      const { data: upgraded, migrated, failed } = upgradeStoredData(loaded, stored);
+      const { repaired, data } = validateAndRepairData(upgraded);
+      storageData = data;
+      syncedData = clone(data);
+
+      // Data that couldn't be upgraded is left as it was stored
+      if ((repaired && !failed) || migrated || adapter.needsFullWrite()) {
+        // Save upgraded, repaired or moved data
+        pendingChanges.all = true;
+        await saveToStorage();
+      }
+    } else {
+      storageData = getDefaultData();
+      pendingChanges.all = true;
+      await saveToStorage();
+    }
+  } catch (error) {
+    reportStorageError('unknown', t('errors.loadFailed'), error);
+    storageData = getDefaultData();
+  }
+
+  // Merge edits made in other tabs of the app
+  adapter.watch(() => enqueue(async () => {
+    const result = await mergeExternalChanges();
+
+    // Write back only if this tab has edits the other tab doesn't
+    if (result?.ahead) {
+      debouncedSave();
+    }
+  }));
+
+  return storageData;
+}
+
+/**
+ * Ask the user for their passphrase and decrypt the stored data
+ * Waits until the data is unlocked, or the user chooses to erase it.
+ * @param {Object} stored - Encrypted data as loaded
+ * @returns {Promise<Object|null>} Decrypted data, or null to start over
+ */
+function requestUnlock(stored) {
+  return new Promise((resolve, reject) => {
+    if (!onUnlockRequest) {
+      reject(new Error('Data is locked and there is no unlock screen'));
+      return;
+    }
+
+    onUnlockRequest({
+      settings: stored.settings || getDefaultData().settings,
+      unlock: async (passphrase) => {
+        const key = await getKeyForPassphrase(stored.encryption, passphrase);
+        if (!key) return { success: false, message: t('lock.wrong') };
+
+        let data;
+        try {
+          data = await decryptData(key, stored);
+        } catch (error) {
+          // The passphrase is right, but a record is damaged or half-written
+          console.error('Could not decrypt stored data:', error);
+          return { success: false, message: t('lock.damaged') };
+        }
+
+        encryptionKey = key;
+        encodedData = clone(stored);
+        resolve(data);
+        return { success: true, message: '' };
+      },
+      erase: () => resolve(null)
+    });
+  });
+}
+
+/**
+ * Derive the key for a passphrase and check it against the stored check value
+ * @param {Object} encryption - { salt, iterations, check }
+ * @param {string} passphrase - Passphrase to try
+ * @returns {Promise<CryptoKey|null>} Key, or null if the passphrase is wrong
+ */
+async function getKeyForPassphrase(encryption, passphrase) {
+  try {
+    const key = await deriveKey(passphrase, encryption.salt, encryption.iterations);
+    return (await decryptJson(key, encryption.check)) === PASSPHRASE_CHECK ? key : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encrypt every year and section of the data
+ * Settings, the current year and year IDs stay readable so the app can start.
+ * @param {CryptoKey} key - AES key
+ * @param {Object} data - Plain data
+ * @returns {Promise<Object>} Data with { id, encrypted, sections: { id: { encrypted } } } years
+ */
+async function encryptData(key, data) {
+  const { years, ...app } = data;
+  const encoded = { ...clone(app), years: {} };
+
+  for (const [yearId, year] of Object.entries(years)) {
+    const { sections = {}, ...fields } = year;
+    encoded.years[yearId] = { id: yearId, encrypted: await encryptJson(key, fields), sections: {} };
+
+    for (const [sectionId, section] of Object.entries(sections)) {
+      encoded.years[yearId].sections[sectionId] = { encrypted: await encryptJson(key, section) };
+    }
+  }
+
+  return encoded;
+}
+
+/**
+ * Decrypt data made by encryptData()
+ * Records that aren't encrypted are passed through.
+ * @param {CryptoKey} key - AES key
+ * @param {Object} stored - Encrypted data
+ * @returns {Promise<Object>} Plain data
+ * @throws {Error} If a record can't be decrypted with the key
+ */
+async function decryptData(key, stored) {
+  const { years = {}, ...app } = stored;
+  const data = { ...clone(app), years: {} };
+
+  for (const [yearId, year] of Object.entries(years)) {
+    const { sections = {}, encrypted, ...plain } = year || {};
+    const fields = isEncryptedPayload(encrypted) ? await decryptJson(key, encrypted) : plain;
+
+    data.years[yearId] = { ...fields, sections: {} };
+
+    for (const [sectionId, section] of Object.entries(sections)) {
+      data.years[yearId].sections[sectionId] = isEncryptedPayload(section?.encrypted)
+        ? await decryptJson(key, section.encrypted)
+        : section;
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Bring the encrypted copy up to date with records about to be written
+ * @param {Object} written - Result of snapshotChanges()
+ * @returns {Promise<Object>} Encrypted data to hand to the adapter
+ */
+async function encodeWritten(written) {
+  if (written.all || !encodedData) {
+    encodedData = await encryptData(encryptionKey, written.all || clone(storageData));
+    return encodedData;
+  }
+
+  if (written.meta) {
+    encodedData = { ...written.meta, years: encodedData.years };
+  }
+
+  for (const [yearId, fields] of written.years) {
+    if (fields) {
+      encodedData.years[yearId] = {
+        id: yearId,
+        encrypted: await encryptJson(encryptionKey, fields),
+        sections: encodedData.years[yearId]?.sections || {}
+      };
+    } else {
+      delete encodedData.years[yearId];
+    }
+  }
+
+  for (const [yearId, sectionId, section] of written.sections) {
+    const year = encodedData.years[yearId];
+    if (!year) continue;
+    if (section) {
+      year.sections[sectionId] = { encrypted: await encryptJson(encryptionKey, section) };
+    } else {
+      delete year.sections[sectionId];
+    }
+  }
+
+  return encodedData;
+}
+
+/**
+ * Note that part of the data changed and needs writing
+ * @param {string|null} yearId - Changed year, or null for app-wide data (settings, current year)
+ * @param {string|null} sectionId - Changed section of that year
+ */
+function markChanged(yearId = null, sectionId = null) {
+  if (!yearId) {
+    pendingChanges.meta = true;
+  } else if (!sectionId) {
+    pendingChanges.years.add(yearId);
+  } else {
+    pendingChanges.sections.set(`${yearId}/${sectionId}`, [yearId, sectionId]);
+  }
+}
+
+/**
+ * Check if a change set has anything to write
+ * @param {Object} changes - Change set
+ * @returns {boolean} True if any record is marked
+ */
+function hasChanges(changes) {
+  return changes.all || changes.meta || changes.years.size > 0 || changes.sections.size > 0;
+}
+
+/**
+ * Run storage work one task at a time, in order
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} The task's result
+ */
+function enqueue(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Write pending changes to the storage backend
+ * @returns {Promise<boolean>} True if save succeeded
+ */
+function saveToStorage() {
+  return enqueue(writePendingChanges);
+}
+
+/**
+ * Write pending changes (run through the queue)
+ * @returns {Promise<boolean>} True if save succeeded
+ */
+async function writePendingChanges() {
+  if (!adapter || writesStopped) {
+    emit('save-failed', { error: null });
+    return false;
+  }
+
+  try {
+    // Another tab may have written since we last synced; merge before overwriting it
+    if (await adapter.hasExternalChanges()) {
+      await mergeExternalChanges();
+    }
+  } catch (error) {
+    console.warn('Could not check for changes from other tabs:', error);
+  }
+
+  const changes = pendingChanges;
+  pendingChanges = createChangeSet();
+
+  if (!hasChanges(changes)) {
+    return true;
+  }
+
+  // Copy what's being written now; edits made while it's written stay pending
+  const written = snapshotChanges(changes);
+
+  emit('saving');
+  writing = true;
+  try {
+    await adapter.write(encryptionKey ? await encodeWritten(written) : storageData, changes);
+    applySnapshot(written);
+    writing = false;
+    emit('saved');
+    return true;
+  } catch (error) {
+    writing = false;
+
+    // Keep the changes so the next save tries them again
+    pendingChanges.all = pendingChanges.all || changes.all;
+    pendingChanges.meta = pendingChanges.meta || changes.meta;
+    changes.years.forEach(yearId => pendingChanges.years.add(yearId));
+    changes.sections.forEach((value, key) => pendingChanges.sections.set(key, value));
+
+    // Check if it's a quota exceeded error
+    if (error?.name === 'QuotaExceededError' ||
+        error?.code === 22 ||
+        error?.code === 1014 ||
+        (error?.name === 'NS_ERROR_DOM_QUOTA_REACHED')) {
+      reportStorageError(
+        'quota',
+        t('errors.full'),
+        error
+      );
+    } else {
+      reportStorageError(
+        'save',
+        t('errors.saveFailed'),
+        error
+      );
+    }
+    emit('save-failed', { error });
+    return false;
+  }
+}
+
+/**
+ * Copy the records a change set covers, as they are right now
+ * @param {Object} changes - Change set
+ * @returns {Object} Copies to apply to syncedData once written
+ */
+function snapshotChanges(changes) {
+  if (changes.all) {
+    return { all: clone(storageData) };
+  }
+
+  const { years, ...app } = storageData;
+
+  return {
+    meta: changes.meta ? clone(app) : null,
+    years: [...changes.years].map(yearId => {
+      const year = years[yearId];
+      if (!year) return [yearId, null];
+      const { sections, ...fields } = year;
+      return [yearId, clone(fields)];
+    }),
+    sections: [...changes.sections.values()].map(([yearId, sectionId]) => [
+      yearId,
+      sectionId,
+      years[yearId]?.sections[sectionId] ? clone(years[yearId].sections[sectionId]) : null
+    ])
+  };
+}
+
+/**
+ * Record written copies as the data last synced with storage
+ * @param {Object} written - Result of snapshotChanges()
+ */
+function applySnapshot(written) {
+  if (written.all) {
+    syncedData = written.all;
+    return;
+  }
+
+  if (!syncedData) {
+    syncedData = { years: {} };
+  }
+
+  if (written.meta) {
+    syncedData = { ...syncedData, ...written.meta };
+  }
+
+  written.years.forEach(([yearId, fields]) => {
+    if (fields) {
+      syncedData.years[yearId] = { ...fields, sections: syncedData.years[yearId]?.sections || {} };
+    } else {
+      delete syncedData.years[yearId];
+    }
+  });
+
+  written.sections.forEach(([yearId, sectionId, section]) => {
+    const year = syncedData.years[yearId];
+    if (!year) return;
+    if (section) {
+      year.sections[sectionId] = section;
+    } else {
+      delete year.sections[sectionId];
+    }
+  });
+}
+
+/**
+ * Mark every record that differs between two data objects
+ * @param {Object} from - Data as stored
+ * @param {Object} to - Data to store
+ */
+function markDifferences(from, to) {
+  const { years: fromYears, ...fromApp } = from;
+  const { years: toYears, ...toApp } = to;
+
+  if (JSON.stringify(fromApp) !== JSON.stringify(toApp)) {
+    markChanged();
+  }
+
+  new Set([...Object.keys(fromYears), ...Object.keys(toYears)]).forEach(yearId => {
+    const { sections: fromSections = {}, ...fromFields } = fromYears[yearId] || {};
+    const { sections: toSections = {}, ...toFields } = toYears[yearId] || {};
+
+    if (JSON.stringify(fromFields) !== JSON.stringify(toFields)) {
+      markChanged(yearId);
+    }
+
+    new Set([...Object.keys(fromSections), ...Object.keys(toSections)]).forEach(sectionId => {
+      if (JSON.stringify(fromSections[sectionId]) !== JSON.stringify(toSections[sectionId])) {
+        markChanged(yearId, sectionId);
+      }
+    });
+  });
+}
+
+/**
+ * Merge data written by another tab into the in-memory data
+ * @returns {Promise<Object|null>} Merge result from mergeData(), or null if it couldn't be merged
+ */
+async function mergeExternalChanges() {
+  let theirs;
+  try {
+    theirs = await adapter.load();
+  } catch (error) {
+    return null;
+  }
+
+  if (!theirs) {
+    return null;
+  }
+
+  if (getDataVersion(theirs) !== getDataVersion(storageData)) {
+    writesStopped = true;
+    reportStorageError(
+      'version',
+      t('errors.otherTabVersion')
+    );
+    return null;
+  }
+
+  const stored = theirs;
+  try {
+    if (theirs.encryption?.salt !== storageData.encryption?.salt) {
+      throw new Error('Passphrase lock changed');
+    }
+    if (encryptionKey) {
+      theirs = await decryptData(encryptionKey, theirs);
+    }
+  } catch (error) {
+    writesStopped = true;
+    reportStorageError(
+      'encryption',
+      t('errors.otherTabLock'),
+      error
+    );
+    return null;
+  }
+
+  if (encryptionKey) {
+    encodedData = clone(stored);
+  }
+
+  const { data: repaired } = validateAndRepairData(theirs);
+  const result = mergeData(syncedData, storageData, repaired);
+  storageData = result.data;
+  syncedData = clone(repaired);
+
+  if (result.ahead) {
+    // Make sure the next write includes everything the other tab lacks
+    markDifferences(syncedData, storageData);
   }
 
-  return { valid: true, repaired, data };
+  if (onExternalChange && (result.updated.length > 0 || result.conflicts.length > 0 || result.changedYears.length > 0)) {
+    onExternalChange(result);
+  }
+
+  return result;
 }
 
 /**
- * Initialize storage - load existing data or create new
- * @returns {Object} The storage data object
- * @throws {Error} If localStorage is unavailable
+ * Get the current storage usage in bytes
+ * @returns {Promise<Object>} { used: number, total: number, percentage: number }
  */
-export function initStorage() {
-  // Check localStorage availability first
-  if (!isLocalStorageAvailable()) {
-    reportStorageError(
-      'unavailable',
-      'Local storage is not available. Your browser may be in private mode or have storage disabled. Your progress cannot be saved.'
-    );
-    // Return default data but it won't persist
-    storageData = getDefaultData();
-    return storageData;
-  }
-
+export async function getStorageUsage() {
   try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored) {
-      let parsed;
-      try {
-        parsed = JSON.parse(stored);
-      } catch (parseError) {
-        reportStorageError(
-          'parse',
-          'Your saved data appears to be corrupted. Starting with a fresh workspace.',
-          parseError
-        );
-        storageData = getDefaultData();
-        saveToLocalStorage();
-        return storageData;
-      }
+    return await adapter.getUsage();
+  } catch (error) {
+    return { used: 0, total: 0, percentage: 0 };
+  }
+}
 
-      // Validate and repair data
-      const { valid, repaired, data } = validateAndRepairData(parsed);
-      storageData = data;
+/**
+ * Export all data as JSON string for backup
+ * While a passphrase lock is on the backup is encrypted with the same passphrase.
+ * @param {Object} options - { encrypted: boolean } to override the default,
+ *   { includePrivate: false } to leave out answers marked private
+ * @returns {Promise<string>} JSON string of all data
+ */
+export async function exportData({ encrypted = !!encryptionKey, includePrivate = true } = {}) {
+  let exported = storageData;
+  if (!includePrivate) {
+    exported = { ...storageData, years: {} };
+    Object.keys(storageData.years).forEach(yearId => {
+      exported.years[yearId] = withoutPrivateAnswers(storageData.years[yearId]);
+    });
+  }
 
-      if (repaired) {
-        // Save repaired data
-        saveToLocalStorage();
-      }
-    } else {
-      storageData = getDefaultData();
-      saveToLocalStorage();
-    }
-  } catch (error) {
-    reportStorageError('unknown', 'An unexpected error occurred while loading your data.', error);
-    storageData = getDefaultData();
+  if (encrypted && encryptionKey) {
+    return JSON.stringify(await encryptData(encryptionKey, exported), null, 2);
   }
 
-  return storageData;
+  // A plain backup mustn't look locked
+  const { encryption, ...data } = exported;
+  return JSON.stringify(data, null, 2);
 }
 
 /**
- * Save current data to localStorage
- * @returns {boolean} True if save succeeded
+ * Check if a backup file is locked with a passphrase
+ * @param {string} jsonString - Backup file contents
+ * @returns {boolean} True if the backup needs decryptBackup() first
  */
-function saveToLocalStorage() {
-  if (!isLocalStorageAvailable()) {
+export function isEncryptedBackup(jsonString) {
+  try {
+    return !!JSON.parse(jsonString)?.encryption;
+  } catch (error) {
     return false;
   }
+}
+
+/**
+ * Decrypt a passphrase-locked backup
+ * @param {string} jsonString - Encrypted backup file contents
+ * @param {string} passphrase - Passphrase the backup was made with
+ * @returns {Promise<string|null>} Plain backup JSON, or null if the passphrase is wrong
+ */
+export async function decryptBackup(jsonString, passphrase) {
+  if (!isCryptoAvailable()) return null;
 
   try {
-    const dataString = JSON.stringify(storageData);
-    localStorage.setItem(STORAGE_KEY, dataString);
-    return true;
+    const stored = JSON.parse(jsonString);
+    const key = await getKeyForPassphrase(stored.encryption, passphrase);
+    if (!key) return null;
+
+    const { encryption, ...data } = await decryptData(key, stored);
+    return JSON.stringify(data);
   } catch (error) {
-    // Check if it's a quota exceeded error
-    if (error.name === 'QuotaExceededError' ||
-        error.code === 22 ||
-        error.code === 1014 ||
-        (error.name === 'NS_ERROR_DOM_QUOTA_REACHED')) {
-      reportStorageError(
-        'quota',
-        'Storage is full. Please export your data and clear old entries to continue saving.',
-        error
-      );
-    } else {
-      reportStorageError(
-        'save',
-        'Failed to save your progress. Please try again or export your data.',
-        error
-      );
+    return null;
+  }
+}
+
+/**
+ * Check if a passphrase lock is on
+ * @returns {boolean} True if answers are stored encrypted
+ */
+export function isEncryptionEnabled() {
+  return !!encryptionKey;
+}
+
+/**
+ * Check a passphrase against the current lock
+ * @param {string} passphrase - Passphrase to check
+ * @returns {Promise<boolean>} True if it unlocks the data
+ */
+export async function verifyPassphrase(passphrase) {
+  if (!storageData?.encryption) return false;
+  return !!(await getKeyForPassphrase(storageData.encryption, passphrase));
+}
+
+/**
+ * Turn on the passphrase lock, change the passphrase, or turn the lock off
+ * Everything is rewritten in the new form.
+ * @param {string|null} passphrase - New passphrase, or null to store plain JSON again
+ * @returns {Promise<boolean>} True if the data was saved
+ */
+export async function setPassphrase(passphrase) {
+  if (passphrase) {
+    const salt = generateSalt();
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    storageData.encryption = {
+      salt,
+      iterations: PBKDF2_ITERATIONS,
+      check: await encryptJson(key, PASSPHRASE_CHECK)
+    };
+    encryptionKey = key;
+
+    // The pre-upgrade snapshot is plain JSON
+    try {
+      localStorage.removeItem(SNAPSHOT_KEY);
+    } catch (error) {
+      // Nothing to remove
     }
-    return false;
+  } else {
+    delete storageData.encryption;
+    encryptionKey = null;
   }
+
+  encodedData = null;
+  pendingChanges.all = true;
+  return saveToStorage();
 }
 
 /**
- * Get the current storage usage in bytes
- * @returns {Object} { used: number, total: number, percentage: number }
+ * Encrypt a value with the passphrase key, if the lock is on
+ * For data kept outside the main store (e.g. answer history).
+ * @param {*} value - JSON-compatible value
+ * @returns {Promise<*>} Encrypted payload, or the value itself without a lock
+ */
+export async function sealValue(value) {
+  return encryptionKey ? encryptJson(encryptionKey, value) : value;
+}
+
+/**
+ * Reverse sealValue()
+ * @param {*} stored - Stored value or encrypted payload
+ * @returns {Promise<*>} The original value
+ * @throws {Error} If the value is encrypted and can't be decrypted
+ */
+export async function openValue(stored) {
+  if (!isEncryptedPayload(stored)) return stored;
+  if (!encryptionKey) throw new Error('Value is encrypted and no passphrase is unlocked');
+  return decryptJson(encryptionKey, stored);
+}
+
+/**
+ * Parse a backup file and check it looks like YearCompass data
+ * @param {string} jsonString - JSON data to parse
+ * @returns {Object} { data: Object|null, message: string }
  */
-export function getStorageUsage() {
+function parseBackup(jsonString) {
+  let data;
   try {
-    const dataString = localStorage.getItem(STORAGE_KEY) || '';
-    const used = new Blob([dataString]).size;
-    // Most browsers have ~5MB limit, but we'll estimate conservatively
-    const total = 5 * 1024 * 1024; // 5MB
-    return {
-      used,
-      total,
-      percentage: Math.round((used / total) * 100)
-    };
+    data = JSON.parse(jsonString);
   } catch (error) {
-    return { used: 0, total: 5 * 1024 * 1024, percentage: 0 };
+    return { data: null, message: t('import.notJson') };
+  }
+
+  if (!data || typeof data !== 'object' || !data.years || typeof data.years !== 'object') {
+    return { data: null, message: t('import.invalid') };
   }
+
+  if (data.encryption) {
+    return { data: null, message: t('import.locked') };
+  }
+
+  return { data, message: '' };
 }
 
 /**
- * Export all data as JSON string for backup
- * @returns {string} JSON string of all data
+ * Summarize a backup file without importing it
+ * @param {string} jsonString - JSON data to inspect
+ * @returns {Object} { success: boolean, message: string, years: Array }
+ *   (each year is { id, displayName, pack, sections, exists })
  */
-export function exportData() {
-  return JSON.stringify(storageData, null, 2);
+export function previewImport(jsonString) {
+  const { data, message } = parseBackup(jsonString);
+  if (!data) {
+    return { success: false, message, years: [] };
+  }
+
+  const years = Object.keys(data.years).sort().map(yearId => {
+    const year = data.years[yearId] || {};
+    const sections = Object.keys(year.sections || {}).filter(sectionId => {
+      const answers = year.sections[sectionId]?.answers || {};
+      return Object.values(answers).some(value =>
+        value && typeof value === 'string' && value.trim().length > 0
+      );
+    });
+
+    return {
+      id: yearId,
+      displayName: year.displayName || yearId.replace('-', ' → '),
+      pack: year.pack,
+      locale: year.locale,
+      sections,
+      exists: !!storageData?.years[yearId]
+    };
+  });
+
+  return { success: true, message: '', years };
 }
 
 /**
  * Import data from JSON string
  * @param {string} jsonString - JSON data to import
- * @returns {Object} { success: boolean, message: string }
+ * @param {string} mode - 'replace' to overwrite everything, 'merge' to replace only the years in the file
+ * @returns {Promise<Object>} { success: boolean, message: string }
  */
-export function importData(jsonString) {
-  try {
-    const data = JSON.parse(jsonString);
-    const { valid, data: validatedData } = validateAndRepairData(data);
+export async function importData(jsonString, mode = 'replace') {
+  const { data, message } = parseBackup(jsonString);
+  if (!data) {
+    return { success: false, message };
+  }
 
-    if (!valid) {
-      return { success: false, message: 'The imported data is not valid YearCompass data.' };
-    }
+  const migration = migrateData(data);
+  if (!migration.success) {
+    return {
+      success: false,
+      message: getDataVersion(data) > DATA_VERSION
+        ? t('import.newerVersion')
+        : t('import.upgradeFailed')
+    };
+  }
 
-    storageData = validatedData;
-    const saved = saveToLocalStorage();
+  const { valid, data: validatedData } = validateAndRepairData(migration.data);
+
+  if (!valid) {
+    return { success: false, message: t('import.invalid') };
+  }
 
-    if (!saved) {
-      return { success: false, message: 'Could not save imported data. Storage may be full.' };
+  if (mode === 'merge' && storageData) {
+    // Keep local settings and years that aren't in the backup
+    storageData = {
+      ...storageData,
+      currentYear: storageData.currentYear || validatedData.currentYear,
+      years: { ...storageData.years, ...validatedData.years }
+    };
+
+    // The backup's years need the packs they were made with
+    if (validatedData.packs) {
+      storageData.packs = { ...validatedData.packs, ...storageData.packs };
+    }
+  } else {
+    // The passphrase lock belongs to this device, not the backup
+    const encryption = storageData?.encryption;
+    storageData = validatedData;
+    if (encryption) {
+      storageData.encryption = encryption;
     }
+  }
 
-    return { success: true, message: 'Data imported successfully.' };
-  } catch (error) {
-    return { success: false, message: 'The file is not valid JSON data.' };
+  pendingChanges.all = true;
+  const saved = await saveToStorage();
+
+  if (!saved) {
+    return { success: false, message: t('import.saveFailed') };
   }
+
+  return { success: true, message: t('import.done') };
 }
 
 /**
@@ -313,16 +1247,20 @@ export function getAllYears() {
 export function setCurrentYear(yearId) {
   if (storageData.years[yearId]) {
     storageData.currentYear = yearId;
-    saveToLocalStorage();
+    markChanged();
+    saveToStorage();
+    emit('year-switched', { yearId });
   }
 }
 
 /**
  * Create a new year entry
  * @param {string} yearId - Year ID (e.g., "2024-2025")
+ * @param {Object} pack - Question pack { id, version } (defaults to the official booklet)
+ * @param {string} locale - Language the year's questions are shown in
  * @returns {Object} The new year data
  */
-export function createNewYear(yearId) {
+export function createNewYear(yearId, pack = DEFAULT_PACK, locale = DEFAULT_LOCALE) {
   const now = new Date().toISOString();
   const displayName = yearId.replace('-', ' → ');
 
@@ -332,11 +1270,16 @@ export function createNewYear(yearId) {
     createdAt: now,
     lastModified: now,
     currentSection: 'intro',
+    pack: { id: pack.id, version: pack.version },
+    locale,
     sections: {}
   };
 
   storageData.currentYear = yearId;
-  saveToLocalStorage();
+  markChanged();
+  markChanged(yearId);
+  saveToStorage();
+  emit('year-switched', { yearId });
 
   return storageData.years[yearId];
 }
@@ -351,6 +1294,21 @@ export function loadYear(yearId) {
   return storageData.years[yearId] || null;
 }
 
+/**
+ * Load the year that came before a given year
+ * @param {string} yearId - Year ID (e.g., "2024-2025")
+ * @returns {Object|null} The closest earlier year's data, or null if none
+ */
+export function getPreviousYear(yearId) {
+  if (!storageData) return null;
+
+  const earlier = Object.keys(storageData.years)
+    .filter(id => id < yearId)
+    .sort();
+
+  return earlier.length > 0 ? storageData.years[earlier[earlier.length - 1]] : null;
+}
+
 /**
  * Save a year's data
  * @param {string} yearId - Year ID
@@ -359,7 +1317,240 @@ export function loadYear(yearId) {
 export function saveYear(yearId, data) {
   data.lastModified = new Date().toISOString();
   storageData.years[yearId] = data;
-  saveToLocalStorage();
+  markChanged(yearId);
+  Object.keys(data.sections || {}).forEach(sectionId => markChanged(yearId, sectionId));
+  saveToStorage();
+}
+
+/**
+ * Check if a year is locked (read-only)
+ * @param {string} yearId - Year ID
+ * @returns {boolean} True if answers for this year cannot be changed
+ */
+export function isYearLocked(yearId) {
+  return storageData?.years[yearId]?.locked === true;
+}
+
+/**
+ * Lock or unlock a year for editing
+ * @param {string} yearId - Year ID
+ * @param {boolean} locked - Whether the year should be read-only
+ */
+export function setYearLocked(yearId, locked) {
+  const year = storageData.years[yearId];
+  if (!year) return;
+
+  year.locked = locked;
+  markChanged(yearId);
+  saveToStorage();
+}
+
+/**
+ * Get a year's life area settings
+ * @param {string} yearId - Year ID
+ * @returns {Object} { labels: Object, hidden: Array, custom: Array }
+ */
+export function getLifeAreaConfig(yearId) {
+  const config = storageData?.years[yearId]?.lifeAreas || {};
+  return {
+    labels: { ...config.labels },
+    hidden: [...(config.hidden || [])],
+    custom: [...(config.custom || [])]
+  };
+}
+
+/**
+ * Save a year's life area settings
+ * @param {string} yearId - Year ID
+ * @param {Object} config - { labels: Object, hidden: Array, custom: Array }
+ * @returns {boolean} True if saved (false for missing or locked years)
+ */
+export function saveLifeAreaConfig(yearId, config) {
+  const year = storageData.years[yearId];
+  if (!year || year.locked) return false;
+
+  year.lifeAreas = config;
+  year.lastModified = new Date().toISOString();
+  markChanged(yearId);
+  debouncedSave();
+  return true;
+}
+
+/**
+ * Get which sections and answers of a year are marked private
+ * @param {string} yearId - Year ID
+ * @returns {Object} { sections: Array<sectionId>, fields: { sectionId: Array<fieldId> } }
+ */
+export function getPrivacy(yearId) {
+  const privacy = storageData?.years[yearId]?.privacy || {};
+  const fields = {};
+  Object.entries(privacy.fields || {}).forEach(([sectionId, fieldIds]) => {
+    fields[sectionId] = [...fieldIds];
+  });
+  return { sections: [...(privacy.sections || [])], fields };
+}
+
+/**
+ * Check if a year has anything marked private
+ * @param {string} yearId - Year ID
+ * @returns {boolean} True if at least one section or answer is private
+ */
+export function hasPrivateItems(yearId) {
+  const privacy = getPrivacy(yearId);
+  return privacy.sections.length > 0 || Object.keys(privacy.fields).length > 0;
+}
+
+/**
+ * Mark a whole section as private, or public again
+ * Works on locked years too: it changes who sees the answers, not the answers.
+ * @param {string} yearId - Year ID
+ * @param {string} sectionId - Section ID
+ * @param {boolean} isPrivate - Whether the section should be private
+ */
+export function setSectionPrivate(yearId, sectionId, isPrivate) {
+  const year = storageData.years[yearId];
+  if (!year) return;
+
+  const privacy = getPrivacy(yearId);
+  privacy.sections = privacy.sections.filter(id => id !== sectionId);
+  if (isPrivate) {
+    privacy.sections.push(sectionId);
+  }
+
+  year.privacy = privacy;
+  markChanged(yearId);
+  saveToStorage();
+}
+
+/**
+ * Mark answers as private, or public again
+ * @param {string} yearId - Year ID
+ * @param {string} sectionId - Section ID
+ * @param {Array<string>} fieldIds - Fields to change (e.g. a life area's rating and notes)
+ * @param {boolean} isPrivate - Whether the fields should be private
+ */
+export function setFieldsPrivate(yearId, sectionId, fieldIds, isPrivate) {
+  const year = storageData.years[yearId];
+  if (!year) return;
+
+  const privacy = getPrivacy(yearId);
+  const remaining = (privacy.fields[sectionId] || []).filter(id => !fieldIds.includes(id));
+  privacy.fields[sectionId] = isPrivate ? [...remaining, ...fieldIds] : remaining;
+  if (privacy.fields[sectionId].length === 0) {
+    delete privacy.fields[sectionId];
+  }
+
+  year.privacy = privacy;
+  markChanged(yearId);
+  saveToStorage();
+}
+
+/**
+ * Copy a year without its private answers, for printing and sharing
+ * @param {Object} year - Year data
+ * @returns {Object} Copy with private sections and answers removed
+ */
+export function withoutPrivateAnswers(year) {
+  const copy = clone(year);
+  const privacy = year.privacy || {};
+
+  (privacy.sections || []).forEach(sectionId => {
+    delete copy.sections[sectionId];
+  });
+
+  Object.entries(privacy.fields || {}).forEach(([sectionId, fieldIds]) => {
+    const answers = copy.sections[sectionId]?.answers;
+    if (answers) {
+      fieldIds.forEach(fieldId => delete answers[fieldId]);
+    }
+  });
+
+  // Check-in notes say as much as the goal they're about
+  const goalsPrivate = (privacy.sections || []).includes('life-areas-future');
+  const privateGoals = privacy.fields?.['life-areas-future'] || [];
+  (copy.checkIns || []).forEach(entry => {
+    Object.keys(entry.notes).forEach(areaId => {
+      if (goalsPrivate || privateGoals.includes(`${areaId}-goal`)) {
+        delete entry.notes[areaId];
+      }
+    });
+  });
+
+  return copy;
+}
+
+/**
+ * Get a year's check-in reminder schedule
+ * @param {string} yearId - Year ID
+ * @returns {Object} { frequency: 'off'|'monthly'|'quarterly', dates: Array<'YYYY-MM-DD'> }
+ */
+export function getCheckInSchedule(yearId) {
+  const schedule = storageData?.years[yearId]?.checkInSchedule;
+  return schedule
+    ? { frequency: schedule.frequency, dates: [...schedule.dates] }
+    : { frequency: 'off', dates: [] };
+}
+
+/**
+ * Save a year's check-in reminder schedule
+ * Allowed on locked years: check-ins don't change the year's answers.
+ * @param {string} yearId - Year ID
+ * @param {Object} schedule - { frequency, dates }, or frequency 'off' to remove it
+ */
+export function saveCheckInSchedule(yearId, schedule) {
+  const year = storageData.years[yearId];
+  if (!year) return;
+
+  if (schedule.frequency === 'off') {
+    delete year.checkInSchedule;
+  } else {
+    year.checkInSchedule = { frequency: schedule.frequency, dates: [...schedule.dates] };
+  }
+  markChanged(yearId);
+  saveToStorage();
+}
+
+/**
+ * Get a year's check-ins, oldest first
+ * @param {string} yearId - Year ID
+ * @returns {Array<Object>} Copies of [{ id, date: 'YYYY-MM-DD', ratings: { areaId: number }, notes: { areaId: string } }]
+ */
+export function getCheckIns(yearId) {
+  const entries = storageData?.years[yearId]?.checkIns || [];
+  return clone(entries).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Add a check-in to a year, or replace the one with the same ID
+ * Allowed on locked years: check-ins don't change the year's answers.
+ * @param {string} yearId - Year ID
+ * @param {Object} entry - { id, date, ratings, notes }
+ */
+export function saveCheckIn(yearId, entry) {
+  const year = storageData.years[yearId];
+  if (!year) return;
+
+  year.checkIns = (year.checkIns || []).filter(existing => existing.id !== entry.id);
+  year.checkIns.push(clone(entry));
+  markChanged(yearId);
+  saveToStorage();
+}
+
+/**
+ * Remove a check-in from a year
+ * @param {string} yearId - Year ID
+ * @param {string} checkInId - Check-in ID
+ */
+export function deleteCheckIn(yearId, checkInId) {
+  const year = storageData.years[yearId];
+  if (!year?.checkIns) return;
+
+  year.checkIns = year.checkIns.filter(entry => entry.id !== checkInId);
+  if (year.checkIns.length === 0) {
+    delete year.checkIns;
+  }
+  markChanged(yearId);
+  saveToStorage();
 }
 
 /**
@@ -368,10 +1559,16 @@ export function saveYear(yearId, data) {
  * @param {string} sectionId - Section ID
  * @param {string} fieldId - Field ID
  * @param {*} value - Value to save
+ * @returns {boolean} True if the answer was accepted (false for missing or locked years)
  */
 export function saveAnswer(yearId, sectionId, fieldId, value) {
   const year = storageData.years[yearId];
-  if (!year) return;
+  if (!year) return false;
+
+  if (year.locked) {
+    console.warn(`Refusing to save ${fieldId}: year ${yearId} is locked`);
+    return false;
+  }
 
   if (!year.sections[sectionId]) {
     year.sections[sectionId] = { completed: false, answers: {} };
@@ -379,9 +1576,47 @@ export function saveAnswer(yearId, sectionId, fieldId, value) {
 
   year.sections[sectionId].answers[fieldId] = value;
   year.lastModified = new Date().toISOString();
+  markChanged(yearId);
+  markChanged(yearId, sectionId);
+  emit('answer-changed', { yearId, sectionId, fieldId, value });
 
   // Debounced save
   debouncedSave();
+  return true;
+}
+
+/**
+ * Get the question packs added from files
+ * @returns {Array} Packs as stored
+ */
+export function getCustomPacks() {
+  return Object.values(storageData?.packs || {});
+}
+
+/**
+ * Keep a question pack added from a file
+ * @param {Object} pack - Checked pack (see js/packs.js)
+ */
+export function saveCustomPack(pack) {
+  storageData.packs = { ...storageData.packs, [`${pack.id}@${pack.version}`]: clone(pack) };
+  markChanged();
+  saveToStorage();
+}
+
+/**
+ * Remove a question pack added from a file
+ * @param {string} id - Pack ID
+ * @param {number} version - Pack version
+ */
+export function deleteCustomPack(id, version) {
+  if (!storageData.packs) return;
+
+  delete storageData.packs[`${id}@${version}`];
+  if (Object.keys(storageData.packs).length === 0) {
+    delete storageData.packs;
+  }
+  markChanged();
+  saveToStorage();
 }
 
 /**
@@ -398,7 +1633,8 @@ export function getSettings() {
  */
 export function saveSettings(settings) {
   storageData.settings = { ...storageData.settings, ...settings };
-  saveToLocalStorage();
+  markChanged();
+  saveToStorage();
 }
 
 /**
@@ -419,6 +1655,7 @@ export function saveCurrentSection(sectionId) {
   if (year) {
     year.currentSection = sectionId;
     year.lastModified = new Date().toISOString();
+    markChanged(year.id);
     debouncedSave();
   }
 }
@@ -445,7 +1682,28 @@ function debouncedSave() {
     clearTimeout(saveTimeout);
   }
   saveTimeout = setTimeout(() => {
-    saveToLocalStorage();
+    saveToStorage();
     saveTimeout = null;
   }, 300);
 }
+
+/**
+ * Write pending changes now instead of after the debounce (e.g. to retry a failed save)
+ * @returns {Promise<boolean>} True if the write succeeded
+ */
+export function saveNow() {
+  if (saveTimeout) {
+    clearTimeout(saveTimeout);
+    saveTimeout = null;
+  }
+  return saveToStorage();
+}
+
+/**
+ * Check if any change hasn't been written yet
+ * True from an edit until its write succeeds, so also after a failed write.
+ * @returns {boolean} True if closing the page now could lose changes
+ */
+export function hasPendingChanges() {
+  return !!saveTimeout || writing || hasChanges(pendingChanges);
+}
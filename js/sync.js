@@ -0,0 +1,288 @@
+/**
+ * Sync Module
+ * Reflects edits made in other tabs and asks about conflicting answers,
+ * check-ins and life areas
+ */
+
+import {
+  setExternalChangeCallback, getCurrentYear, getCurrentSection, getSettings, saveAnswer, loadYear,
+  saveCheckIn, deleteCheckIn, getLifeAreaConfig, saveLifeAreaConfig
+} from './storage.js';
+import { describeField, lifeAreas, resolveLifeAreas } from '../data/questions.js';
+import { renderSection } from './render.js';
+import { updateProgress, updateSidebarIndicators, announceToScreenReader } from './navigation.js';
+import { populateYearSelector } from './year.js';
+import { applySettings } from './settings.js';
+import { togglePreview } from './markdown.js';
+import { openModal } from './modal.js';
+import { getYearSections } from './packs.js';
+import { t, formatDate, getYearLocale, getLifeAreaLabels, getAnswerLabels } from './i18n.js';
+
+// Conflicts waiting for a decision, keyed by year/section/field or year/type/ID
+const pendingConflicts = new Map();
+let conflictDialog = null;
+
+/**
+ * Initialize cross-tab sync handling
+ */
+export function initSync() {
+  setExternalChangeCallback(handleExternalChange);
+}
+
+/**
+ * Update the UI after another tab's changes were merged in
+ * @param {Object} result - Merge result from mergeData()
+ */
+function handleExternalChange({ updated, conflicts, changedYears }) {
+  const yearData = getCurrentYear();
+
+  applySettings(getSettings());
+  populateYearSelector();
+
+  if (yearData && changedYears.includes(yearData.id)) {
+    // Locks or life areas changed: re-render rather than patch the section
+    renderSection(getCurrentSection());
+  } else {
+    updated
+      .filter(change => change.yearId === yearData?.id)
+      .forEach(applyFieldValue);
+  }
+
+  updateProgress();
+  updateSidebarIndicators();
+
+  if (updated.length > 0) {
+    announceToScreenReader(t('sync.updated'));
+  }
+
+  if (conflicts.length > 0) {
+    conflicts.forEach(conflict => {
+      const key = conflict.type === 'answer'
+        ? `${conflict.yearId}/${conflict.sectionId}/${conflict.fieldId}`
+        : `${conflict.yearId}/${conflict.type}/${conflict.id}`;
+      pendingConflicts.set(key, conflict);
+    });
+    showConflictDialog();
+  }
+}
+
+/**
+ * Put a changed answer into the rendered section, if it's on screen
+ * @param {Object} change - { sectionId, fieldId, value }
+ */
+function applyFieldValue({ sectionId, fieldId, value }) {
+  const sectionEl = document.querySelector(`#main-content .section[data-section-id="${sectionId}"]`);
+  if (!sectionEl) return;
+
+  sectionEl.querySelectorAll(`[data-field-id="${fieldId}"]`).forEach(input => {
+    if (input.type === 'radio') {
+      input.checked = input.value === value;
+      return;
+    }
+
+    input.value = value;
+
+    if (input.type === 'range') {
+      const display = input.parentElement.querySelector('.rating-value');
+      if (display) display.textContent = value;
+      input.setAttribute('aria-valuetext', t('areas.ratingValue', { value }, getYearLocale(getCurrentYear())));
+    }
+
+    // Refresh the rendered markdown if the field is showing its preview
+    const preview = input.closest('.markdown-wrapper')?.querySelector('.markdown-preview');
+    if (preview && preview.style.display !== 'none') {
+      togglePreview(input, true);
+    }
+  });
+}
+
+/**
+ * Show (or refresh) the dialog listing conflicting answers
+ */
+function showConflictDialog() {
+  if (!conflictDialog) {
+    const { dialog, body } = openModal({ title: t('sync.title'), className: 'conflict-modal' });
+    conflictDialog = { dialog, body };
+
+    // Closing without choosing keeps this tab's values, which are already saved
+    dialog.addEventListener('close', () => {
+      pendingConflicts.clear();
+      conflictDialog = null;
+    });
+  }
+
+  renderConflicts(conflictDialog.body);
+}
+
+/**
+ * Render the list of pending conflicts
+ * @param {HTMLElement} body - Dialog body
+ */
+function renderConflicts(body) {
+  body.innerHTML = `
+    <p class="conflict-help">${t('sync.help')}</p>
+    <ul class="conflict-list"></ul>
+  `;
+
+  const list = body.querySelector('.conflict-list');
+
+  pendingConflicts.forEach((conflict, key) => {
+    const locale = getYearLocale(loadYear(conflict.yearId));
+    const { sectionTitle, label, mine, theirs } = describeConflict(conflict, locale);
+
+    const item = document.createElement('li');
+    item.className = 'conflict-item';
+    item.innerHTML = `
+      <p class="conflict-field" lang="${locale}"><strong></strong> <span></span></p>
+      <div class="conflict-versions">
+        <div class="conflict-version">
+          <span class="conflict-version-label">${t('sync.thisTab')}</span>
+          <pre class="conflict-value conflict-mine"></pre>
+          <button type="button" class="btn btn-secondary" data-choice="mine">${t('sync.keepMine')}</button>
+        </div>
+        <div class="conflict-version">
+          <span class="conflict-version-label">${t('sync.otherTab')}</span>
+          <pre class="conflict-value conflict-theirs"></pre>
+          <button type="button" class="btn btn-secondary" data-choice="theirs">${t('sync.useTheirs')}</button>
+        </div>
+      </div>
+    `;
+    item.querySelector('.conflict-field strong').textContent = sectionTitle;
+    item.querySelector('.conflict-field span').textContent = label;
+    item.querySelector('.conflict-mine').textContent = mine || t('sync.empty');
+    item.querySelector('.conflict-theirs').textContent = theirs || t('sync.empty');
+
+    item.querySelectorAll('button[data-choice]').forEach(button => {
+      button.addEventListener('click', () => {
+        resolveConflict(conflict, button.dataset.choice);
+        pendingConflicts.delete(key);
+
+        if (pendingConflicts.size === 0) {
+          conflictDialog.dialog.close();
+        } else {
+          renderConflicts(body);
+        }
+      });
+    });
+
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Describe a conflict for the dialog
+ * @param {Object} conflict - Conflict from mergeData()
+ * @param {string} locale - The year's language
+ * @returns {Object} { sectionTitle, label, mine, theirs } as text
+ */
+function describeConflict(conflict, locale) {
+  const { yearId, type, id } = conflict;
+  const labels = getLifeAreaLabels(locale);
+
+  if (type === 'check-in') {
+    const areas = resolveLifeAreas({ ...getLifeAreaConfig(yearId), hidden: [] }, labels);
+    const date = (conflict.mine || conflict.theirs).date;
+    return {
+      sectionTitle: t('app.checkIn'),
+      label: formatDate(new Date(`${date}T00:00`), { year: 'numeric', month: 'long', day: 'numeric' }),
+      mine: describeCheckIn(conflict.mine, areas),
+      theirs: describeCheckIn(conflict.theirs, areas)
+    };
+  }
+
+  if (type === 'area-label') {
+    const name = labels[id] || lifeAreas.find(area => area.id === id)?.label || id;
+    return { sectionTitle: t('sync.areaName'), label: name, mine: conflict.mine ?? name, theirs: conflict.theirs ?? name };
+  }
+
+  if (type === 'custom-area') {
+    return {
+      sectionTitle: t('sync.addedArea'),
+      label: (conflict.mine || conflict.theirs).label,
+      mine: conflict.mine?.label ?? t('sync.removed'),
+      theirs: conflict.theirs?.label ?? t('sync.removed')
+    };
+  }
+
+  return {
+    ...describeField(
+      conflict.sectionId,
+      conflict.fieldId,
+      getCurrentYear()?.id === yearId ? getCurrentYear().lifeAreas : {},
+      getYearSections(loadYear(yearId)),
+      labels,
+      getAnswerLabels(locale)
+    ),
+    mine: conflict.mine,
+    theirs: conflict.theirs
+  };
+}
+
+/**
+ * Summarize one side of a check-in conflict
+ * @param {Object|undefined} entry - Check-in, or undefined if that side deleted it
+ * @param {Array} areas - The year's life areas
+ * @returns {string} Counts, then the notes by area
+ */
+function describeCheckIn(entry, areas) {
+  if (!entry) return t('sync.removed');
+
+  const ratings = Object.keys(entry.ratings || {}).length;
+  const notes = Object.entries(entry.notes || {}).filter(([, note]) => note?.trim());
+  return [
+    `${t('checkIn.ratingCount', { count: ratings })}, ${t('checkIn.noteCount', { count: notes.length })}`,
+    ...notes.map(([areaId, note]) => `${areas.find(area => area.id === areaId)?.label || areaId}: ${note}`)
+  ].join('\n');
+}
+
+/**
+ * Apply the user's choice for a conflict
+ * @param {Object} conflict - Conflict from mergeData()
+ * @param {string} choice - 'mine' or 'theirs'
+ */
+function resolveConflict(conflict, choice) {
+  const { yearId, type, id } = conflict;
+  const value = choice === 'theirs' ? conflict.theirs : conflict.mine;
+
+  // Saving either way writes the decision so the other tab picks it up
+  if (type === 'answer') {
+    saveAnswer(yearId, conflict.sectionId, conflict.fieldId, value);
+
+    if (yearId === getCurrentYear()?.id) {
+      applyFieldValue({ ...conflict, value });
+      updateProgress();
+      updateSidebarIndicators();
+    }
+    return;
+  }
+
+  if (type === 'check-in') {
+    if (value) {
+      saveCheckIn(yearId, value);
+    } else {
+      deleteCheckIn(yearId, id);
+    }
+  } else {
+    const config = getLifeAreaConfig(yearId);
+    if (type === 'area-label') {
+      if (value === undefined) {
+        delete config.labels[id];
+      } else {
+        config.labels[id] = value;
+      }
+    } else {
+      const index = config.custom.findIndex(area => area.id === id);
+      config.custom = config.custom.filter(area => area.id !== id);
+      if (value) {
+        config.custom.splice(index === -1 ? config.custom.length : index, 0, value);
+      }
+    }
+    saveLifeAreaConfig(yearId, config);
+  }
+
+  if (yearId === getCurrentYear()?.id) {
+    renderSection(getCurrentSection());
+    updateProgress();
+    updateSidebarIndicators();
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Text Export Module
+ * Writes a year's answers as a Markdown or plain-text document
+ *
+ * The Markdown layout is also what the Markdown importer reads back:
+ *   # YearCompass <year>
+ *   ## <part title>
+ *   ### <section title>
+ *   #### <field prompt, triplet prompt or life area>
+ *   ##### <goal or actions prompt, under a life area>
+ * Answers follow their heading as written (they are Markdown already).
+ * Documents are written in the year's language, which the importer expects.
+ */
+
+import { goalStatuses, resolveLifeAreas } from '../data/questions.js';
+import { withoutPrivateAnswers } from './storage.js';
+import { getYearPack, getPartName } from './packs.js';
+import { t, getYearLocale, getLifeAreaLabels, localizeGoalStatuses } from './i18n.js';
+
+/**
+ * Get the title of a part as written in documents and the printout
+ * @param {Object} pack - Year's question pack
+ * @param {number} part - Part number
+ * @param {string} locale - Year's language
+ * @returns {string|null} e.g. "Part One: The Past Year", or null for the introduction
+ */
+export function getPartTitle(pack, part, locale) {
+  return part === 1 || part === 2
+    ? t(`document.part${part}`, { name: getPartName(pack, part, locale) }, locale)
+    : null;
+}
+
+/**
+ * Get the prompts written above a life area's goal and actions
+ * @param {string} locale - Year's language
+ * @returns {Object} { goal, actions }
+ */
+export function getGoalPrompts(locale) {
+  return {
+    goal: t('goals.goal', {}, locale),
+    actions: t('goals.actions', {}, locale)
+  };
+}
+
+/**
+ * Write a year as Markdown
+ * @param {Object} yearData - Year to write
+ * @param {Object} options - { includePrivate: boolean }
+ * @returns {string} Markdown document
+ */
+export function yearToMarkdown(yearData, options = {}) {
+  const lines = [`# YearCompass ${yearData.displayName || yearData.id}`];
+
+  collectBlocks(yearData, options).forEach(block => {
+    switch (block.type) {
+      case 'part':
+        lines.push('', `## ${block.title}`);
+        break;
+      case 'section':
+        lines.push('', `### ${block.title}`);
+        break;
+      case 'heading':
+        lines.push('', `${'#'.repeat(block.level)} ${block.title}`);
+        break;
+      case 'answer':
+        lines.push('', `${'#'.repeat(block.level)} ${block.prompt}`, '', block.value.trim());
+        break;
+      case 'list':
+        lines.push('', `#### ${block.prompt}`, '');
+        block.items.forEach(item => lines.push(`${item.number}. ${item.value.trim().replace(/\n+/g, ' ')}`));
+        break;
+      case 'table':
+        lines.push('', `| ${block.columns.join(' | ')} |`, `| ${block.columns.map(() => '---').join(' | ')} |`);
+        block.rows.forEach(row => lines.push(`| ${row.map(toTableCell).join(' | ')} |`));
+        break;
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write a year as plain text
+ * @param {Object} yearData - Year to write
+ * @param {Object} options - { includePrivate: boolean }
+ * @returns {string} Text document
+ */
+export function yearToPlainText(yearData, options = {}) {
+  const title = `YearCompass ${yearData.displayName || yearData.id}`;
+  const lines = [title, '='.repeat(title.length)];
+
+  collectBlocks(yearData, options).forEach(block => {
+    switch (block.type) {
+      case 'part':
+        lines.push('', '', block.title.toUpperCase());
+        break;
+      case 'section':
+        lines.push('', block.title, '-'.repeat(block.title.length));
+        break;
+      case 'heading':
+        lines.push('', `[${block.title}]`);
+        break;
+      case 'answer':
+        lines.push('', block.prompt, block.value.trim());
+        break;
+      case 'list':
+        lines.push('', block.prompt);
+        block.items.forEach(item => lines.push(`  ${item.number}. ${item.value.trim().replace(/\n+/g, ' ')}`));
+        break;
+      case 'table':
+        block.rows.forEach(([label, ...cells]) => {
+          lines.push('', label);
+          cells.forEach((cell, index) => {
+            if (cell.trim()) {
+              lines.push(`  ${block.columns[index + 1]}: ${cell.trim().replace(/\n/g, '\n    ')}`);
+            }
+          });
+        });
+        break;
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Walk the sections in order and list what to write
+ * Follows the printout: info sections and sections without answers are left
+ * out, and a part title comes before the first section written in each part.
+ * @param {Object} yearData - Year to write
+ * @param {Object} options - { includePrivate: boolean }
+ * @returns {Array} Blocks of { type, ... }
+ */
+function collectBlocks(yearData, { includePrivate = false } = {}) {
+  const year = includePrivate ? yearData : withoutPrivateAnswers(yearData);
+  const blocks = [];
+  let currentPart = null;
+  const pack = getYearPack(year);
+  const locale = getYearLocale(year);
+
+  pack.sections.forEach(section => {
+    if (section.type === 'info') return;
+
+    const answers = year.sections[section.id]?.answers || {};
+    const sectionBlocks = collectSectionBlocks(section, answers, year);
+    if (sectionBlocks.length === 0) return;
+
+    if (section.part !== currentPart && getPartTitle(pack, section.part, locale)) {
+      currentPart = section.part;
+      blocks.push({ type: 'part', title: getPartTitle(pack, section.part, locale) });
+    }
+
+    blocks.push({ type: 'section', title: section.title }, ...sectionBlocks);
+  });
+
+  return blocks;
+}
+
+/**
+ * List the blocks for one section's answers
+ * @param {Object} section - Section definition
+ * @param {Object} answers - Section answers
+ * @param {Object} year - Year the answers belong to
+ * @returns {Array} Blocks (empty if nothing was answered)
+ */
+function collectSectionBlocks(section, answers, year) {
+  const blocks = [];
+  const locale = getYearLocale(year);
+  const areas = resolveLifeAreas(year.lifeAreas, getLifeAreaLabels(locale));
+
+  switch (section.type) {
+    case 'life-areas': {
+      const rows = [];
+      let hasStatus = false;
+
+      const statuses = localizeGoalStatuses(goalStatuses, locale);
+
+      areas.forEach(area => {
+        const rating = answers[`${area.id}-rating`];
+        const notes = answers[`${area.id}-notes`];
+        const status = statuses.find(s => s.id === answers[`${area.id}-goal-status`]);
+        if (!hasText(rating) && !hasText(notes) && !status) return;
+
+        hasStatus = hasStatus || !!status;
+        rows.push([area.label, hasText(rating) ? `${rating}/10` : '', hasText(notes) ? String(notes) : '', status?.label || '']);
+      });
+
+      if (rows.length > 0) {
+        const columns = ['document.area', 'document.rating', 'document.notes'].map(key => t(key, {}, locale));
+        if (hasStatus) {
+          columns.push(t('document.outcomeColumn', {}, locale));
+        }
+        blocks.push({ type: 'table', columns, rows: rows.map(row => row.slice(0, columns.length)) });
+      }
+      break;
+    }
+
+    case 'life-areas-goals': {
+      const prompts = getGoalPrompts(locale);
+
+      areas.forEach(area => {
+        const goal = answers[`${area.id}-goal`];
+        const actions = answers[`${area.id}-actions`];
+        if (!hasText(goal) && !hasText(actions)) return;
+
+        blocks.push({ type: 'heading', level: 4, title: area.label });
+        if (hasText(goal)) {
+          blocks.push({ type: 'answer', level: 5, prompt: prompts.goal, value: String(goal) });
+        }
+        if (hasText(actions)) {
+          blocks.push({ type: 'answer', level: 5, prompt: prompts.actions, value: String(actions) });
+        }
+      });
+      break;
+    }
+
+    case 'triplets':
+      section.triplets.forEach(triplet => {
+        const items = [1, 2, 3]
+          .map(number => ({ number, value: String(answers[`${triplet.id}-${number}`] ?? '') }))
+          .filter(item => hasText(item.value));
+
+        if (items.length > 0) {
+          blocks.push({ type: 'list', prompt: triplet.prompt, items });
+        }
+      });
+      break;
+
+    default:
+      (section.fields || []).forEach(field => {
+        const value = answers[field.id];
+        if (hasText(value)) {
+          blocks.push({ type: 'answer', level: 4, prompt: field.prompt || field.id, value: String(value) });
+        }
+      });
+  }
+
+  return blocks;
+}
+
+/**
+ * Check if an answer has any text
+ */
+function hasText(value) {
+  return value !== undefined && value !== null && String(value).trim().length > 0;
+}
+
+/**
+ * Fit a value into one Markdown table cell
+ */
+function toTableCell(value) {
+  return value.trim().replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+}
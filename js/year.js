@@ -8,10 +8,13 @@ import {
   getCurrentYear,
   setCurrentYear,
   createNewYear,
-  loadYear
+  loadYear,
+  isYearLocked,
+  setYearLocked
 } from './storage.js';
-import { initNavigation } from './navigation.js';
-import { renderSection } from './render.js';
+import { openModal } from './modal.js';
+import { getPacks } from './packs.js';
+import { t, getLocale, getLocales, localizePack } from './i18n.js';
 
 /**
  * Get the suggested year ID based on current date
@@ -52,9 +55,12 @@ export function initYearSelector() {
   if (years.length === 0) {
     // First-time user - create suggested year
     const suggestedYear = getSuggestedYearId();
-    createNewYear(suggestedYear);
+    createNewYear(suggestedYear, undefined, getLocale());
   }
 
+  // Past years open read-only until the user unlocks them
+  applyDefaultLocks();
+
   // Populate the selector
   populateYearSelector();
 
@@ -92,7 +98,7 @@ export function populateYearSelector() {
   // Add "New Year" option
   const newYearOption = document.createElement('option');
   newYearOption.value = '__new__';
-  newYearOption.textContent = '+ Start New Year';
+  newYearOption.textContent = t('year.startNew');
   selector.appendChild(newYearOption);
 }
 
@@ -119,22 +125,16 @@ function handleYearChange(event) {
 
 /**
  * Switch to a different year
+ * Navigation re-renders on storage's year-switched event.
  * @param {string} yearId - Year ID to switch to
  */
 export function switchToYear(yearId) {
-  setCurrentYear(yearId);
-
-  // Re-render the navigation and current section
   const yearData = loadYear(yearId);
-  if (yearData) {
-    const section = yearData.currentSection || 'intro';
+  if (!yearData) return;
 
-    // Update URL hash
-    window.location.hash = section;
-
-    // Re-initialize navigation to update sidebar indicators
-    initNavigation();
-  }
+  // Open the year where it was left
+  window.location.hash = yearData.currentSection || 'intro';
+  setCurrentYear(yearId);
 }
 
 /**
@@ -156,22 +156,75 @@ function showNewYearDialog() {
       newYearId = `${start + 1}-${start + 2}`;
     }
 
-    if (confirm(`Create a new YearCompass for ${formatYearDisplay(newYearId)}?`)) {
-      createAndSwitchToYear(newYearId);
-    }
+    showStartYearDialog(newYearId);
   } else {
-    if (confirm(`Start your ${formatYearDisplay(suggestedYear)} YearCompass?`)) {
-      createAndSwitchToYear(suggestedYear);
-    }
+    showStartYearDialog(suggestedYear);
   }
 }
 
+/**
+ * Ask which question pack and language to start a year with
+ * @param {string} yearId - Year ID to create
+ * @param {Function} onStart - Called after the year is created (optional)
+ */
+function showStartYearDialog(yearId, onStart = null) {
+  const { body, close } = openModal({ title: t('year.startTitle'), className: 'start-year-modal' });
+  const packs = getPacks().map(pack => localizePack(pack, getLocale()));
+
+  body.innerHTML = `
+    <p>${t('year.startWith', { year: '<strong></strong>' })}</p>
+    <fieldset class="settings-group pack-choice">
+      <legend class="sr-only">${t('year.pack')}</legend>
+    </fieldset>
+    <label class="start-year-language">${t('year.language')} <select name="locale"></select></label>
+    <div class="banner-actions">
+      <button type="button" class="btn btn-primary" data-action="start">${t('year.start')}</button>
+      <button type="button" class="btn btn-secondary" data-action="cancel">${t('common.cancel')}</button>
+    </div>
+  `;
+  body.querySelector('strong').textContent = formatYearDisplay(yearId);
+
+  // The year's questions stay in this language, whatever the app is set to later
+  const localeSelect = body.querySelector('select[name="locale"]');
+  getLocales().forEach(({ code, name }) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = name;
+    option.selected = code === getLocale();
+    localeSelect.appendChild(option);
+  });
+
+  const choices = body.querySelector('.pack-choice');
+  packs.forEach((pack, index) => {
+    const label = document.createElement('label');
+    label.innerHTML = `
+      <input type="radio" name="pack" value="${index}" ${index === 0 ? 'checked' : ''}>
+      <span><span class="pack-title"></span><span class="pack-description"></span></span>
+    `;
+    label.querySelector('.pack-title').textContent = pack.title;
+    label.querySelector('.pack-description').textContent = pack.description || '';
+    choices.appendChild(label);
+  });
+
+  body.querySelector('[data-action="cancel"]').addEventListener('click', close);
+  body.querySelector('[data-action="start"]').addEventListener('click', () => {
+    const pack = packs[Number(body.querySelector('input[name="pack"]:checked').value)];
+    close();
+    createAndSwitchToYear(yearId, pack, localeSelect.value);
+    onStart?.();
+  });
+}
+
 /**
  * Create a new year and switch to it
  * @param {string} yearId - Year ID to create
+ * @param {Object} pack - Question pack to create it with
+ * @param {string} locale - Language to write it in
  */
-function createAndSwitchToYear(yearId) {
-  createNewYear(yearId);
+function createAndSwitchToYear(yearId, pack, locale) {
+  // Navigation opens the new year at its intro on year-switched
+  window.location.hash = 'intro';
+  createNewYear(yearId, pack, locale);
   populateYearSelector();
 
   // Select the new year in the dropdown
@@ -179,10 +232,6 @@ function createAndSwitchToYear(yearId) {
   if (selector) {
     selector.value = yearId;
   }
-
-  // Navigate to intro of new year
-  window.location.hash = 'intro';
-  initNavigation();
 }
 
 /**
@@ -195,6 +244,63 @@ export function isCurrentYearCompass(yearId) {
   return yearId === suggestedYear;
 }
 
+/**
+ * Check if a year's compass period is over
+ * @param {string} yearId - Year ID to check
+ * @returns {boolean} True if the year starts before the current suggested year
+ */
+export function isPastYear(yearId) {
+  const [start] = yearId.split('-').map(Number);
+  const [suggestedStart] = getSuggestedYearId().split('-').map(Number);
+  return start < suggestedStart;
+}
+
+/**
+ * Lock past years that have never been locked or unlocked
+ * The user's choice is stored per year, so an unlocked year stays unlocked.
+ */
+function applyDefaultLocks() {
+  getAllYears().forEach(yearId => {
+    const yearData = loadYear(yearId);
+    if (yearData && yearData.locked === undefined && isPastYear(yearId)) {
+      setYearLocked(yearId, true);
+    }
+  });
+}
+
+/**
+ * Create the banner shown above sections of a past year
+ * @param {string} yearId - Year ID being viewed
+ * @param {Function} onToggle - Called after locking or unlocking, to re-render the section
+ * @returns {HTMLElement|null} Banner element, or null for current years
+ */
+export function createPastYearBanner(yearId, onToggle) {
+  if (!isPastYear(yearId)) return null;
+
+  const locked = isYearLocked(yearId);
+
+  const banner = document.createElement('div');
+  banner.className = `past-year-banner${locked ? '' : ' unlocked'}`;
+  banner.setAttribute('role', 'note');
+  banner.lang = getLocale();
+  banner.innerHTML = locked
+    ? `
+      <p>${t('year.pastLocked')}</p>
+      <button class="btn btn-secondary" type="button">${t('year.editThisYear')}</button>
+    `
+    : `
+      <p>${t('year.pastUnlocked')}</p>
+      <button class="btn btn-link" type="button">${t('year.lockAgain')}</button>
+    `;
+
+  banner.querySelector('button').addEventListener('click', () => {
+    setYearLocked(yearId, !locked);
+    onToggle();
+  });
+
+  return banner;
+}
+
 /**
  * Show a prompt for new year if appropriate
  * Called after January 1st to suggest starting new year
@@ -230,10 +336,10 @@ function showNewYearBanner(yearId) {
   const banner = document.createElement('div');
   banner.className = 'new-year-banner';
   banner.innerHTML = `
-    <p>Ready to start your ${formatYearDisplay(yearId)} YearCompass?</p>
+    <p>${t('year.readyToStart', { year: formatYearDisplay(yearId) })}</p>
     <div class="banner-actions">
-      <button class="btn btn-primary" id="start-new-year">Let's Begin</button>
-      <button class="btn btn-secondary" id="dismiss-new-year">Not Yet</button>
+      <button class="btn btn-primary" id="start-new-year">${t('year.letsBegin')}</button>
+      <button class="btn btn-secondary" id="dismiss-new-year">${t('year.notYet')}</button>
     </div>
   `;
 
@@ -245,8 +351,7 @@ function showNewYearBanner(yearId) {
 
   // Set up button handlers
   document.getElementById('start-new-year')?.addEventListener('click', () => {
-    createAndSwitchToYear(yearId);
-    banner.remove();
+    showStartYearDialog(yearId, () => banner.remove());
   });
 
   document.getElementById('dismiss-new-year')?.addEventListener('click', () => {
@@ -0,0 +1,237 @@
+/**
+ * Service Worker
+ * Keeps a copy of the whole app so it launches and works without a network
+ *
+ * Every file the app needs is cached on install. Requests are answered from
+ * the cache first and refreshed from the network in the background, so a new
+ * version shows up on the next launch. Add new files to APP_FILES, and bump
+ * CACHE_VERSION when files are removed or renamed so old copies are dropped.
+ *
+ * It also shows check-in reminders while the app is closed, from the dates the
+ * app sends it (see js/check-ins.js), where Periodic Background Sync exists.
+ */
+
+const CACHE_VERSION = 1;
+const CACHE_NAME = `yearcompass-v${CACHE_VERSION}`;
+
+// Check-in dates from the app, kept apart from the versioned app cache
+const REMINDER_CACHE = 'yearcompass-reminders';
+const REMINDER_KEY = 'check-in-reminders.json';
+
+const APP_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'css/variables.css',
+  'css/fonts.css',
+  'css/styles.css',
+  'css/print.css',
+  'data/locales/de.js',
+  'data/locales/en.js',
+  'data/packs.js',
+  'data/questions.js',
+  'lib/marked.min.js',
+  'js/app.js',
+  'js/backup.js',
+  'js/check-ins.js',
+  'js/crypto.js',
+  'js/dashboard.js',
+  'js/events.js',
+  'js/history.js',
+  'js/i18n.js',
+  'js/idb.js',
+  'js/life-areas.js',
+  'js/lock.js',
+  'js/markdown-import.js',
+  'js/markdown.js',
+  'js/merge.js',
+  'js/migrations.js',
+  'js/modal.js',
+  'js/navigation.js',
+  'js/offline.js',
+  'js/packs.js',
+  'js/pdf-writer.js',
+  'js/pdf.js',
+  'js/privacy.js',
+  'js/render.js',
+  'js/save-indicator.js',
+  'js/search.js',
+  'js/settings.js',
+  'js/storage-adapters.js',
+  'js/storage.js',
+  'js/sync.js',
+  'js/text-export.js',
+  'js/year.js',
+  'fonts/lora-latin-400-normal.woff2',
+  'fonts/lora-latin-400-italic.woff2',
+  'fonts/lora-latin-500-normal.woff2',
+  'fonts/lora-latin-600-normal.woff2',
+  'fonts/lora-latin-ext-400-normal.woff2',
+  'fonts/lora-latin-ext-400-italic.woff2',
+  'fonts/lora-latin-ext-500-normal.woff2',
+  'fonts/lora-latin-ext-600-normal.woff2',
+  'fonts/source-sans-pro-latin-400-normal.woff2',
+  'fonts/source-sans-pro-latin-600-normal.woff2',
+  'fonts/source-sans-pro-latin-ext-400-normal.woff2',
+  'fonts/source-sans-pro-latin-ext-600-normal.woff2',
+  'icons/icon.svg',
+  'icons/icon-maskable.svg'
+];
+
+self.addEventListener('install', (event) => {
+  // All or nothing: a half-cached app wouldn't start offline
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('yearcompass-') && key !== CACHE_NAME && key !== REMINDER_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  // Any page load gets the app shell; sections are picked by the app itself
+  const cacheKey = request.mode === 'navigate' ? 'index.html' : request;
+  event.respondWith(respondFromCache(event, request, cacheKey));
+});
+
+/**
+ * Answer from the cache and refresh the cached copy from the network
+ * @param {FetchEvent} event - Fetch event (kept alive until the refresh is done)
+ * @param {Request} request - Request to answer
+ * @param {Request|string} cacheKey - Cache entry to answer with
+ * @returns {Promise<Response>} Cached response, or the network's if nothing is cached
+ */
+async function respondFromCache(event, request, cacheKey) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(cacheKey, { ignoreSearch: true });
+
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok && response.type === 'basic') {
+        return cache.put(cacheKey, response.clone()).then(() => response);
+      }
+      return response;
+    });
+
+  if (cached) {
+    // Offline is the expected case, not an error
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+
+  return refresh;
+}
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'check-in-reminders') {
+    event.waitUntil(updateReminders(event.data.reminders));
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'check-in') {
+    event.waitUntil(notifyDueCheckIns());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(openCheckIn(event.notification.data?.yearId));
+});
+
+/**
+ * Read the stored reminders
+ * @returns {Promise<Object>} { reminders: Array, notified: Array<string> }
+ */
+async function readReminders() {
+  const cache = await caches.open(REMINDER_CACHE);
+  const response = await cache.match(REMINDER_KEY);
+  return response ? response.json() : { reminders: [], notified: [] };
+}
+
+/**
+ * Store reminders
+ * @param {Object} state - { reminders, notified }
+ */
+async function writeReminders(state) {
+  const cache = await caches.open(REMINDER_CACHE);
+  await cache.put(REMINDER_KEY, new Response(JSON.stringify(state), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+/**
+ * Replace the reminders with the app's latest, keeping track of what was shown
+ * @param {Array} reminders - [{ yearId, displayName, dates, lastCheckIn, title, body }]
+ */
+async function updateReminders(reminders) {
+  const { notified } = await readReminders();
+  await writeReminders({ reminders, notified });
+}
+
+/**
+ * Show a notification for each check-in that's due and hasn't been shown
+ * Same rule as getDueDate() in js/check-ins.js: the latest passed date of the
+ * current calendar year, until a check-in is saved on or after it.
+ */
+async function notifyDueCheckIns() {
+  const state = await readReminders();
+  const now = new Date();
+  const today = [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0')
+  ].join('-');
+
+  for (const reminder of state.reminders) {
+    const passed = reminder.dates.filter(date => date <= today && date.slice(0, 4) === today.slice(0, 4));
+    const due = passed[passed.length - 1];
+    const key = `${reminder.yearId}/${due}`;
+    if (!due || (reminder.lastCheckIn && reminder.lastCheckIn >= due) || state.notified.includes(key)) {
+      continue;
+    }
+
+    // Reminders stored by an older version have no text in the app's language
+    await self.registration.showNotification(reminder.title || 'Time for a YearCompass check-in', {
+      body: reminder.body || `See how your ${reminder.displayName} goals are going.`,
+      icon: 'icons/icon.svg',
+      tag: key,
+      data: { yearId: reminder.yearId }
+    });
+    state.notified.push(key);
+  }
+
+  await writeReminders(state);
+}
+
+/**
+ * Open the Check-in view in an open tab, or launch the app with it
+ * @param {string} yearId - Year to check in on
+ */
+async function openCheckIn(yearId) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const client = windows.find(w => new URL(w.url).origin === self.location.origin);
+
+  if (client) {
+    await client.focus();
+    client.postMessage({ type: 'open-check-in', yearId });
+  } else {
+    await self.clients.openWindow(`./?check-in=${encodeURIComponent(yearId || '')}`);
+  }
+}
@@ -0,0 +1,52 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { on, emit } from '../js/events.js';
+
+describe('events', () => {
+  it('passes the detail to every subscriber', () => {
+    const first = mock.fn();
+    const second = mock.fn();
+    on('answer-changed', first);
+    on('answer-changed', second);
+
+    emit('answer-changed', { fieldId: 'wisest-decision' });
+
+    assert.deepEqual(first.mock.calls[0].arguments, [{ fieldId: 'wisest-decision' }]);
+    assert.equal(second.mock.callCount(), 1);
+  });
+
+  it('only calls subscribers of that event', () => {
+    const listener = mock.fn();
+    on('saved', listener);
+
+    emit('save-failed', { error: null });
+
+    assert.equal(listener.mock.callCount(), 0);
+  });
+
+  it('stops calling a listener once unsubscribed', () => {
+    const listener = mock.fn();
+    const off = on('year-switched', listener);
+
+    emit('year-switched', { yearId: '2024-2025' });
+    off();
+    emit('year-switched', { yearId: '2025-2026' });
+
+    assert.equal(listener.mock.callCount(), 1);
+  });
+
+  it('keeps calling listeners after one throws', () => {
+    const error = mock.method(console, 'error', () => {});
+    const after = mock.fn();
+    on('saved', () => {
+      throw new Error('broken view');
+    });
+    on('saved', after);
+
+    emit('saved');
+
+    assert.equal(after.mock.callCount(), 1);
+    assert.equal(error.mock.callCount(), 1);
+    error.mock.restore();
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Test DOM
+ * Loads index.html into jsdom and exposes the browser globals the app's
+ * modules use, so they can be imported and run under `node --test`.
+ *
+ * Import this before any app module. Each test file runs in its own
+ * process, so every file starts with a fresh page and empty storage.
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const root = new URL('../../', import.meta.url);
+
+// The app's own scripts are imported by the tests instead
+const html = readFileSync(new URL('index.html', root), 'utf8')
+  .replace(/<script[\s\S]*?<\/script>/g, '');
+
+const dom = new JSDOM(html, {
+  url: 'http://localhost/',
+  pretendToBeVisual: true,
+  runScripts: 'outside-only'
+});
+
+export const window = dom.window;
+
+const GLOBALS = [
+  'document', 'localStorage', 'location', 'history', 'navigator',
+  'HTMLElement', 'Node', 'Event', 'CustomEvent', 'KeyboardEvent', 'StorageEvent',
+  'DOMParser', 'FileReader', 'MutationObserver', 'getComputedStyle', 'requestAnimationFrame'
+];
+
+globalThis.window = window;
+GLOBALS.forEach(name => {
+  // Some (e.g. navigator) are getters on Node's global
+  Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+});
+
+// jsdom has no layout or <dialog> behavior
+window.HTMLElement.prototype.scrollIntoView = function () {};
+window.HTMLDialogElement.prototype.showModal ??= function () { this.open = true; };
+window.HTMLDialogElement.prototype.close ??= function () {
+  this.open = false;
+  this.dispatchEvent(new window.Event('close'));
+};
+
+globalThis.confirm = window.confirm = () => true;
+globalThis.alert = window.alert = () => {};
+
+// marked is loaded as a plain script in the app
+window.eval(readFileSync(new URL('lib/marked.min.js', root), 'utf8'));
+globalThis.marked = window.marked;
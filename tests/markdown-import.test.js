@@ -0,0 +1,44 @@
+import './helpers/dom.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initStorage, createNewYear, saveAnswer, loadYear } from '../js/storage.js';
+import { yearToMarkdown } from '../js/text-export.js';
+import { planMarkdownImport } from '../js/markdown-import.js';
+
+const YEAR = '2030-2031';
+
+/**
+ * Plan importing a document and list the planned answers by field
+ * @param {string} text - Markdown document
+ * @returns {Object} Values by field ID
+ */
+function plannedValues(text) {
+  return Object.fromEntries(planMarkdownImport(text, YEAR).answers.map(a => [a.fieldId, a.value]));
+}
+
+describe('life areas table', () => {
+  let markdown;
+
+  before(async () => {
+    await initStorage();
+    createNewYear(YEAR);
+    saveAnswer(YEAR, 'life-areas-past', 'family-rating', '7');
+    saveAnswer(YEAR, 'life-areas-past', 'family-goal-status', 'partly');
+    markdown = yearToMarkdown(loadYear(YEAR));
+  });
+
+  it('heads the goal status column as the outcome', () => {
+    assert.match(markdown, /\| Area \| Rating \| Notes \| Outcome \|/);
+    assert.match(markdown, /\| Family \| 7\/10 \| {2}\| Partly achieved \|/);
+  });
+
+  it('reads the outcome back', () => {
+    assert.equal(plannedValues(markdown)['family-goal-status'], 'partly');
+  });
+
+  it('still reads documents exported with the old column name', () => {
+    const old = markdown.replace('| Outcome |', '| Last year\'s goal |');
+
+    assert.equal(plannedValues(old)['family-goal-status'], 'partly');
+  });
+});
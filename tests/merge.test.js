@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeData } from '../js/merge.js';
+
+const YEAR = '2024-2025';
+
+/**
+ * Data holding one year
+ * @param {Object} fields - Year fields besides its sections
+ * @returns {Object} Data
+ */
+function withYear(fields = {}) {
+  return { version: 3, settings: {}, years: { [YEAR]: { id: YEAR, sections: {}, ...fields } } };
+}
+
+/**
+ * A check-in entry
+ * @param {number} month - Month of the check-in, also used for its ID
+ * @param {string} note - Note on the family area
+ * @returns {Object} Check-in
+ */
+function checkIn(month, note) {
+  return { id: `check-in-${month}`, date: `2025-0${month}-01`, ratings: { family: 7 }, notes: { family: note } };
+}
+
+describe('mergeData', () => {
+  it('keeps check-ins added in either tab', () => {
+    const base = withYear({ checkIns: [checkIn(1, 'Fine')] });
+    const mine = withYear({ checkIns: [checkIn(1, 'Fine'), checkIn(2, 'Mine')] });
+    const theirs = withYear({ checkIns: [checkIn(1, 'Fine'), checkIn(3, 'Theirs')] });
+
+    const result = mergeData(base, mine, theirs);
+
+    assert.deepEqual(result.data.years[YEAR].checkIns.map(entry => entry.id), ['check-in-1', 'check-in-2', 'check-in-3']);
+    assert.deepEqual(result.conflicts, []);
+    assert.equal(result.ahead, true);
+    assert.deepEqual(result.changedYears, [YEAR]);
+  });
+
+  it('takes private flags and life areas changed in the other tab next to this tab\'s', () => {
+    const base = withYear({
+      privacy: { sections: [], fields: {} },
+      lifeAreas: { labels: {}, hidden: [], custom: [] }
+    });
+    const mine = withYear({
+      privacy: { sections: ['forgiveness'], fields: {} },
+      lifeAreas: { labels: { family: 'Kin' }, hidden: [], custom: [] }
+    });
+    const theirs = withYear({
+      privacy: { sections: [], fields: { 'year-in-review': ['wisest-decision'] } },
+      lifeAreas: { labels: {}, hidden: ['career'], custom: [{ id: 'custom-1', label: 'Volunteering' }] }
+    });
+
+    const year = mergeData(base, mine, theirs).data.years[YEAR];
+
+    assert.deepEqual(year.privacy, { sections: ['forgiveness'], fields: { 'year-in-review': ['wisest-decision'] } });
+    assert.deepEqual(year.lifeAreas, {
+      labels: { family: 'Kin' },
+      hidden: ['career'],
+      custom: [{ id: 'custom-1', label: 'Volunteering' }]
+    });
+  });
+
+  it('drops a check-in only the other tab deleted', () => {
+    const base = withYear({ checkIns: [checkIn(1, 'Fine'), checkIn(2, 'Later')] });
+    const theirs = withYear({ checkIns: [checkIn(2, 'Later')] });
+
+    const result = mergeData(base, base, theirs);
+
+    assert.deepEqual(result.data.years[YEAR].checkIns.map(entry => entry.id), ['check-in-2']);
+  });
+
+  it('asks about check-ins and life areas changed differently in both tabs', () => {
+    const base = withYear({
+      checkIns: [checkIn(1, 'Fine')],
+      lifeAreas: { labels: {}, hidden: [], custom: [{ id: 'custom-1', label: 'Volunteering' }] }
+    });
+    const mine = withYear({
+      checkIns: [checkIn(1, 'Better')],
+      lifeAreas: { labels: { family: 'Kin' }, hidden: [], custom: [{ id: 'custom-1', label: 'Charity' }] }
+    });
+    const theirs = withYear({
+      checkIns: [checkIn(1, 'Worse')],
+      lifeAreas: { labels: { family: 'Clan' }, hidden: [], custom: [] }
+    });
+
+    const result = mergeData(base, mine, theirs);
+
+    assert.deepEqual(result.conflicts, [
+      { type: 'check-in', yearId: YEAR, id: 'check-in-1', mine: checkIn(1, 'Better'), theirs: checkIn(1, 'Worse') },
+      { type: 'area-label', yearId: YEAR, id: 'family', mine: 'Kin', theirs: 'Clan' },
+      { type: 'custom-area', yearId: YEAR, id: 'custom-1', mine: { id: 'custom-1', label: 'Charity' }, theirs: undefined }
+    ]);
+    // This tab's versions stay until the user picks
+    assert.deepEqual(result.data.years[YEAR].checkIns, [checkIn(1, 'Better')]);
+    assert.equal(result.data.years[YEAR].lifeAreas.labels.family, 'Kin');
+  });
+});
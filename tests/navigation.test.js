@@ -0,0 +1,147 @@
+import './helpers/dom.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initStorage, createNewYear, saveAnswer, saveLifeAreaConfig } from '../js/storage.js';
+import { installPack } from '../js/packs.js';
+import { updateProgress } from '../js/navigation.js';
+import { lifeAreas } from '../data/questions.js';
+
+let yearCount = 0;
+
+/**
+ * Start a year with a pack made of the given sections
+ * @param {Array} sections - Pack sections (an intro is added first)
+ * @returns {string} The new year's ID, now the current year
+ */
+function startYearWith(sections) {
+  yearCount++;
+  const pack = {
+    id: `progress-${yearCount}`,
+    version: 1,
+    title: `Progress ${yearCount}`,
+    sections: [{ id: 'intro', part: 0, title: 'Welcome', type: 'info', content: 'Hello' }, ...sections]
+  };
+  const result = installPack(JSON.stringify(pack));
+  assert.ok(result.success, result.message);
+
+  const yearId = `${2030 + yearCount}-${2031 + yearCount}`;
+  createNewYear(yearId, pack);
+  return yearId;
+}
+
+/**
+ * Keep only the first few built-in life areas
+ * @param {string} yearId - Year ID
+ * @param {number} count - Areas to keep
+ */
+function keepLifeAreas(yearId, count) {
+  saveLifeAreaConfig(yearId, { hidden: lifeAreas.slice(count).map(area => area.id) });
+}
+
+/**
+ * Read the progress shown in the header
+ * @returns {Object} { text, value, width }
+ */
+function shownProgress() {
+  updateProgress();
+  return {
+    text: document.querySelector('.progress-text').textContent,
+    value: document.querySelector('.progress-bar').getAttribute('aria-valuenow'),
+    width: document.querySelector('.progress-fill').style.width
+  };
+}
+
+describe('updateProgress', () => {
+  before(async () => {
+    await initStorage();
+  });
+
+  it('shows 0% without a year', () => {
+    assert.deepEqual(shownProgress(), { text: '0% complete', value: '0', width: '0%' });
+  });
+
+  it('shows 0% when there is nothing to answer', () => {
+    startYearWith([{ id: 'more', part: 1, title: 'More', type: 'info', content: 'Just reading' }]);
+
+    assert.equal(shownProgress().text, '0% complete');
+  });
+
+  it('counts each question of a question section', () => {
+    const yearId = startYearWith([{
+      id: 'review',
+      part: 1,
+      title: 'Review',
+      fields: ['one', 'two', 'three', 'four'].map(id => ({ id, type: 'textarea', prompt: id }))
+    }]);
+
+    saveAnswer(yearId, 'review', 'one', 'Written');
+    saveAnswer(yearId, 'review', 'two', '   ');
+
+    assert.deepEqual(shownProgress(), { text: '25% complete', value: '25', width: '25%' });
+  });
+
+  it('counts three answers per triplet', () => {
+    const yearId = startYearWith([{
+      id: 'threes',
+      part: 2,
+      title: 'Threes',
+      type: 'triplets',
+      triplets: [{ id: 'try', prompt: 'Three things to try' }, { id: 'keep', prompt: 'Three things to keep' }]
+    }]);
+
+    saveAnswer(yearId, 'threes', 'try-1', 'Pottery');
+    saveAnswer(yearId, 'threes', 'try-2', 'Running');
+    saveAnswer(yearId, 'threes', 'keep-3', 'Sundays');
+
+    assert.equal(shownProgress().text, '50% complete');
+  });
+
+  it('counts a life area as done once it has notes, not just a rating', () => {
+    const yearId = startYearWith([{ id: 'areas', part: 1, title: 'Areas', type: 'life-areas' }]);
+    keepLifeAreas(yearId, 4);
+
+    saveAnswer(yearId, 'areas', 'family-rating', '8');
+    saveAnswer(yearId, 'areas', `${lifeAreas[0].id}-notes`, 'Read more');
+
+    assert.equal(shownProgress().text, '25% complete');
+  });
+
+  it('counts the goal and actions of each life area', () => {
+    const yearId = startYearWith([{ id: 'goals', part: 2, title: 'Goals', type: 'life-areas-goals' }]);
+    keepLifeAreas(yearId, 4);
+    const [first, second] = lifeAreas;
+
+    saveAnswer(yearId, 'goals', `${first.id}-goal`, 'Learn Spanish');
+    saveAnswer(yearId, 'goals', `${first.id}-actions`, 'Weekly class');
+    saveAnswer(yearId, 'goals', `${second.id}-goal`, 'New job');
+
+    assert.equal(shownProgress().text, '38% complete');
+  });
+
+  it('includes the year\'s own life areas', () => {
+    const yearId = startYearWith([{ id: 'goals', part: 2, title: 'Goals', type: 'life-areas-goals' }]);
+    saveLifeAreaConfig(yearId, {
+      hidden: lifeAreas.map(area => area.id),
+      custom: [{ id: 'custom-travel', label: 'Travel' }]
+    });
+
+    saveAnswer(yearId, 'goals', 'custom-travel-goal', 'See Lisbon');
+
+    assert.equal(shownProgress().text, '50% complete');
+  });
+
+  it('adds up every section of the pack', () => {
+    const yearId = startYearWith([
+      { id: 'review', part: 1, title: 'Review', fields: [{ id: 'best', type: 'text', prompt: 'Best moment' }] },
+      { id: 'threes', part: 2, title: 'Threes', type: 'triplets', triplets: [{ id: 'try', prompt: 'Three things to try' }] },
+      { id: 'areas', part: 1, title: 'Areas', type: 'life-areas' }
+    ]);
+    keepLifeAreas(yearId, 1);
+
+    saveAnswer(yearId, 'review', 'best', 'The wedding');
+    saveAnswer(yearId, 'threes', 'try-1', 'Pottery');
+
+    // 2 of 1 question + 3 triplet answers + 2 for the one life area
+    assert.equal(shownProgress().text, '33% complete');
+  });
+});
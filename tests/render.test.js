@@ -0,0 +1,267 @@
+import './helpers/dom.js';
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initStorage, createNewYear, saveAnswer, setCurrentYear, saveSettings } from '../js/storage.js';
+import { renderSection, revealField } from '../js/render.js';
+import { lifeAreas, magicalTriplets, sections } from '../data/questions.js';
+
+const LAST_YEAR = '2030-2031';
+const THIS_YEAR = '2031-2032';
+
+/**
+ * Render a section of the current year
+ * @param {string} sectionId - Section ID
+ * @returns {HTMLElement} The rendered section
+ */
+function render(sectionId) {
+  renderSection(sectionId);
+  return document.querySelector('#main-content .section');
+}
+
+describe('renderSection', () => {
+  before(async () => {
+    await initStorage();
+
+    createNewYear(LAST_YEAR);
+    saveAnswer(LAST_YEAR, 'life-areas-future', 'family-goal', 'Visit **Grandma** monthly');
+
+    createNewYear(THIS_YEAR);
+    saveAnswer(THIS_YEAR, 'year-in-review', 'wisest-decision', 'Moving <home>');
+    saveAnswer(THIS_YEAR, 'accomplishments-challenges', 'accomplishment-1', 'Ran a "half" marathon');
+    saveAnswer(THIS_YEAR, 'life-areas-past', 'career-rating', '8');
+    saveAnswer(THIS_YEAR, 'life-areas-past', 'career-notes', 'New team');
+    saveAnswer(THIS_YEAR, 'life-areas-past', 'family-goal-status', 'partly');
+    saveAnswer(THIS_YEAR, 'life-areas-future', 'home-goal', 'Paint the hall');
+    saveAnswer(THIS_YEAR, 'magical-triplets', 'places-2', 'Lisbon');
+    setCurrentYear(THIS_YEAR);
+  });
+
+  it('renders the section header and its part', () => {
+    const section = render('year-in-review');
+    const definition = sections.find(s => s.id === 'year-in-review');
+
+    assert.equal(section.dataset.sectionId, 'year-in-review');
+    assert.equal(section.dataset.part, '1');
+    assert.equal(section.lang, 'en');
+    assert.equal(section.querySelector('.section-title').textContent, definition.title);
+    assert.equal(section.querySelector('.section-description').textContent, definition.description);
+  });
+
+  describe('info sections', () => {
+    it('show their content without any inputs', () => {
+      const section = render('intro');
+
+      assert.ok(section.querySelector('.section-content').innerHTML.includes('<p>'));
+      assert.equal(section.querySelectorAll('input, textarea').length, 0);
+      assert.equal(section.querySelector('.skip-btn'), null);
+    });
+
+    it('offer a skip button when skippable', () => {
+      const section = render('preparation');
+      const skip = section.querySelector('.skip-btn');
+
+      assert.equal(skip.textContent, 'Skip this step');
+      assert.equal(skip.getAttribute('aria-label'), 'Skip Preparation');
+    });
+  });
+
+  describe('question sections', () => {
+    it('render a textarea per question with its saved answer', () => {
+      const section = render('year-in-review');
+      const textareas = [...section.querySelectorAll('textarea[data-field-id]')];
+      const fields = sections.find(s => s.id === 'year-in-review').fields;
+
+      assert.deepEqual(textareas.map(t => t.id), fields.map(f => f.id));
+      assert.equal(textareas[0].value, 'Moving <home>');
+      assert.equal(textareas[0].getAttribute('aria-label'), fields[0].prompt);
+      assert.equal(textareas[0].dataset.markdown, 'true');
+    });
+
+    it('render text inputs with the answer as their value', () => {
+      const section = render('accomplishments-challenges');
+      const input = section.querySelector('#accomplishment-1');
+
+      assert.equal(input.type, 'text');
+      assert.equal(input.value, 'Ran a "half" marathon');
+      assert.equal(section.querySelectorAll('input[type="text"][data-field-id]').length, 6);
+    });
+  });
+
+  describe('life areas sections', () => {
+    it('render a rating and notes for each life area', () => {
+      const section = render('life-areas-past');
+      const areas = [...section.querySelectorAll('.life-area')];
+
+      assert.equal(areas.length, lifeAreas.length);
+      assert.deepEqual(areas.map(area => area.querySelector('h4').textContent), lifeAreas.map(area => area.label));
+
+      const career = section.querySelector('#career-rating');
+      assert.equal(career.type, 'range');
+      assert.equal(career.value, '8');
+      assert.equal(career.getAttribute('aria-valuetext'), '8 out of 10');
+      assert.equal(section.querySelector('#career-notes').value, 'New team');
+    });
+
+    it('default unrated areas to 5', () => {
+      const section = render('life-areas-past');
+
+      assert.equal(section.querySelector('#finances-rating').value, '5');
+      assert.equal(section.querySelector('#finances-notes').value, '');
+    });
+
+    it('show last year\'s goal with its outcome', () => {
+      const section = render('life-areas-past');
+      const family = section.querySelector('#family-rating').closest('.life-area');
+      const goal = family.querySelector('.previous-goal');
+
+      assert.ok(goal.querySelector('.previous-goal-text').innerHTML.includes('<strong>Grandma</strong>'));
+      assert.equal(goal.querySelector('input[value="partly"]').checked, true);
+      assert.equal(section.querySelectorAll('.previous-goal').length, 1);
+    });
+  });
+
+  describe('life areas goals sections', () => {
+    it('render a goal and actions for each life area', () => {
+      const section = render('life-areas-future');
+      const areas = [...section.querySelectorAll('.life-area-goal')];
+
+      assert.equal(areas.length, lifeAreas.length);
+      assert.equal(section.querySelectorAll('textarea[data-field-id$="-goal"]').length, lifeAreas.length);
+      assert.equal(section.querySelectorAll('textarea[data-field-id$="-actions"]').length, lifeAreas.length);
+      assert.equal(section.querySelector('#home-goal').value, 'Paint the hall');
+      assert.equal(section.querySelector('#home-actions').value, '');
+    });
+  });
+
+  describe('triplets sections', () => {
+    it('render three inputs for each triplet', () => {
+      const section = render('magical-triplets');
+      const groups = [...section.querySelectorAll('.triplet-group')];
+
+      assert.deepEqual(groups.map(group => group.querySelector('h4').textContent), magicalTriplets.map(t => t.prompt));
+      groups.forEach(group => assert.equal(group.querySelectorAll('input[type="text"]').length, 3));
+
+      const place = section.querySelector('#places-2');
+      assert.equal(place.value, 'Lisbon');
+      assert.equal(place.getAttribute('aria-label'), 'Three places I will visit - item 2');
+    });
+  });
+
+  it('renders every section of the booklet', () => {
+    sections.forEach(({ id }) => {
+      assert.equal(render(id).dataset.sectionId, id);
+    });
+  });
+
+  it('leaves the page alone for an unknown section', () => {
+    const error = mock.method(console, 'error', () => {});
+    render('intro');
+
+    renderSection('no-such-section');
+
+    assert.equal(document.querySelector('#main-content .section').dataset.sectionId, 'intro');
+    assert.equal(error.mock.callCount(), 1);
+    error.mock.restore();
+  });
+});
+
+describe('focus mode', () => {
+  /**
+   * Press Ctrl+Enter (with Shift to go back) in the rendered section
+   * @param {boolean} back - Whether to hold Shift
+   */
+  function press(back = false) {
+    document.querySelector('#main-content .section').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', ctrlKey: true, shiftKey: back, bubbles: true }));
+  }
+
+  /**
+   * Describe what focus mode shows
+   * @returns {Object} { sectionId, visible (field IDs of the shown field), position }
+   */
+  function shown() {
+    const section = document.querySelector('#main-content .section');
+    const field = section.querySelector(':scope > .field:not([hidden])');
+    return {
+      sectionId: section.dataset.sectionId,
+      visible: [...field.querySelectorAll('[data-field-id]')].map(input => input.dataset.fieldId),
+      position: section.querySelector('.focus-position').textContent
+    };
+  }
+
+  before(() => {
+    saveSettings({ focusMode: 'on' });
+  });
+
+  after(() => {
+    saveSettings({ focusMode: 'off' });
+  });
+
+  it('shows one field at a time with its position', () => {
+    const section = render('year-in-review');
+    const fields = section.querySelectorAll(':scope > .field');
+
+    assert.ok(section.classList.contains('focus-mode'));
+    assert.equal([...fields].filter(field => !field.hidden).length, 1);
+    assert.deepEqual(shown(), { sectionId: 'year-in-review', visible: ['wisest-decision'], position: `1 of ${fields.length}` });
+  });
+
+  it('moves between fields with Ctrl+Enter and Ctrl+Shift+Enter', () => {
+    render('year-in-review');
+
+    press();
+    assert.equal(shown().position, '2 of 6');
+    assert.equal(document.activeElement, document.querySelector(`#${shown().visible[0]}`));
+
+    press(true);
+    assert.equal(shown().position, '1 of 6');
+  });
+
+  it('keeps its place when the section is rendered again', () => {
+    render('year-in-review');
+    press();
+    press();
+
+    assert.equal(render('year-in-review').querySelector('.focus-position').textContent, '3 of 6');
+  });
+
+  it('steps through a life area at a time', () => {
+    render('life-areas-future');
+
+    assert.deepEqual(shown().visible, [`${lifeAreas[0].id}-goal`, `${lifeAreas[0].id}-actions`]);
+    assert.equal(shown().position, `1 of ${lifeAreas.length}`);
+  });
+
+  it('goes on to the next section after the last field, and back to its last field', () => {
+    const next = sections[sections.findIndex(s => s.id === 'magical-triplets') + 1].id;
+    render('magical-triplets');
+    magicalTriplets.slice(1).forEach(() => press());
+    assert.equal(shown().position, `${magicalTriplets.length} of ${magicalTriplets.length}`);
+
+    press();
+    assert.equal(document.querySelector('#main-content .section').dataset.sectionId, next);
+
+    press(true);
+    assert.deepEqual(shown(), {
+      sectionId: 'magical-triplets',
+      visible: [1, 2, 3].map(i => `${magicalTriplets.at(-1).id}-${i}`),
+      position: `${magicalTriplets.length} of ${magicalTriplets.length}`
+    });
+  });
+
+  it('shows the field a search result points to', () => {
+    render('year-in-review');
+
+    revealField('biggest-lesson');
+
+    assert.deepEqual(shown().visible, ['biggest-lesson']);
+  });
+
+  it('shows every field when turned off', () => {
+    saveSettings({ focusMode: 'off' });
+    const section = render('year-in-review');
+    saveSettings({ focusMode: 'on' });
+
+    assert.equal(section.querySelectorAll(':scope > .field[hidden]').length, 0);
+    assert.equal(section.querySelector('.focus-bar'), null);
+  });
+});
@@ -0,0 +1,133 @@
+import { window } from './helpers/dom.js';
+import { describe, it, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initStorage, createNewYear, saveAnswer, saveNow } from '../js/storage.js';
+import { initSaveIndicator } from '../js/save-indicator.js';
+import { on } from '../js/events.js';
+
+const YEAR = '2024-2025';
+
+const status = () => document.getElementById('save-status');
+const retry = () => document.getElementById('save-retry');
+
+/**
+ * Wait for the next time an event is emitted
+ * @param {string} event - Event name
+ * @returns {Promise<Object>} The event's detail
+ */
+function next(event) {
+  return new Promise(resolve => {
+    const off = on(event, detail => {
+      off();
+      resolve(detail);
+    });
+  });
+}
+
+/**
+ * Make every write to localStorage fail until restored
+ * @returns {Object} The mocked setItem
+ */
+function failWrites() {
+  mock.method(console, 'error', () => {});
+  return mock.method(window.Storage.prototype, 'setItem', () => {
+    throw new window.DOMException('Storage is full', 'QuotaExceededError');
+  });
+}
+
+/**
+ * Fire beforeunload the way the browser does when the page is closed
+ * @returns {boolean} True if the page asked the user to stay
+ */
+function closePage() {
+  const event = new window.Event('beforeunload', { cancelable: true });
+  window.dispatchEvent(event);
+  return event.defaultPrevented;
+}
+
+describe('save indicator', () => {
+  before(async () => {
+    // The timestamp refresh would keep the test process alive
+    mock.timers.enable({ apis: ['setInterval'] });
+
+    await initStorage();
+    createNewYear(YEAR);
+    await saveNow();
+    initSaveIndicator();
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    await saveNow();
+  });
+
+  it('shows unsaved changes until the write lands', async () => {
+    const shown = [];
+    const off = on('saving', () => shown.push(status().textContent));
+    const saved = next('saved');
+
+    saveAnswer(YEAR, 'year-in-review', 'biggest-lesson', 'Ask for help');
+    assert.equal(status().textContent, 'Unsaved changes');
+    assert.ok(status().classList.contains('unsaved'));
+
+    await saved;
+    off();
+    assert.deepEqual(shown, ['Saving...']);
+    assert.equal(status().textContent, 'Saved');
+    assert.equal(retry().hidden, true);
+  });
+
+  it('keeps showing unsaved changes made while a write ran', async () => {
+    const saved = next('saved');
+    next('saving').then(() => saveAnswer(YEAR, 'year-in-review', 'biggest-risk', 'Moving'));
+
+    saveAnswer(YEAR, 'year-in-review', 'biggest-lesson', 'Rest more');
+    await saved;
+
+    assert.equal(status().textContent, 'Unsaved changes');
+  });
+
+  it('offers a retry when a write fails', async () => {
+    const setItem = failWrites();
+    const failed = next('save-failed');
+
+    saveAnswer(YEAR, 'year-in-review', 'biggest-surprise', 'Twins');
+    await failed;
+
+    assert.equal(status().textContent, 'Save failed –');
+    assert.ok(status().classList.contains('failed'));
+    assert.equal(retry().hidden, false);
+
+    setItem.mock.restore();
+    const saved = next('saved');
+    retry().click();
+    await saved;
+
+    assert.equal(status().textContent, 'Saved');
+    assert.equal(retry().hidden, true);
+    assert.equal(JSON.parse(localStorage.getItem('yearcompass_data')).years[YEAR]
+      .sections['year-in-review'].answers['biggest-surprise'], 'Twins');
+  });
+
+  it('asks before closing the page while a write is pending', async () => {
+    assert.equal(closePage(), false);
+
+    saveAnswer(YEAR, 'year-in-review', 'biggest-lesson', 'Say no');
+    const saved = next('saved');
+    assert.equal(closePage(), true);
+
+    // Closing starts the write without waiting for the debounce
+    await saved;
+    assert.equal(closePage(), false);
+  });
+
+  it('asks before closing the page after a failed write', async () => {
+    failWrites();
+    const failed = next('save-failed');
+
+    saveAnswer(YEAR, 'year-in-review', 'biggest-lesson', 'Sleep');
+    await failed;
+
+    assert.equal(closePage(), true);
+  });
+});
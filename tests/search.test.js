@@ -0,0 +1,68 @@
+import './helpers/dom.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initStorage, createNewYear, saveAnswer, setCurrentYear, getCurrentYear } from '../js/storage.js';
+import { initSearch, searchAnswers } from '../js/search.js';
+
+const LAST_YEAR = '2030-2031';
+const THIS_YEAR = '2031-2032';
+const GERMAN_YEAR = '2032-2033';
+
+/**
+ * Type a query into the search panel
+ * @param {string} query - Search text
+ * @returns {HTMLElement} The open search panel
+ */
+function search(query) {
+  document.getElementById('open-search').click();
+  const panel = document.querySelector('dialog[open]');
+  const input = panel.querySelector('input');
+  input.value = query;
+  input.dispatchEvent(new Event('input'));
+  return panel;
+}
+
+describe('search', () => {
+  before(async () => {
+    await initStorage();
+
+    createNewYear(LAST_YEAR);
+    saveAnswer(LAST_YEAR, 'year-in-review', 'biggest-lesson', 'Slow down and breathe');
+
+    createNewYear(THIS_YEAR);
+    saveAnswer(THIS_YEAR, 'year-in-review', 'wisest-decision', 'Breathe before answering');
+    setCurrentYear(THIS_YEAR);
+
+    initSearch();
+  });
+
+  it('finds answers in every year', () => {
+    const matches = searchAnswers('breathe');
+
+    assert.deepEqual(matches.map(m => [m.yearId, m.fieldId]).sort(), [
+      [LAST_YEAR, 'biggest-lesson'],
+      [THIS_YEAR, 'wisest-decision']
+    ]);
+  });
+
+  it('names life area answers the way their year does', () => {
+    createNewYear(GERMAN_YEAR, undefined, 'de');
+    saveAnswer(GERMAN_YEAR, 'life-areas-past', 'family-notes', 'Mehr Zeit zusammen');
+
+    const [match] = searchAnswers('zusammen');
+
+    assert.equal(match.label, 'Familie - Notizen');
+  });
+
+  it('leaves the cursor in the answer a result opens', async () => {
+    const panel = search('slow');
+    panel.querySelector('.search-result').click();
+
+    // navigateToSection() would move the focus to the title after 100ms
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    assert.equal(getCurrentYear().id, LAST_YEAR);
+    assert.equal(document.querySelector('#main-content .section').dataset.sectionId, 'year-in-review');
+    assert.equal(document.activeElement.dataset.fieldId, 'biggest-lesson');
+  });
+});
@@ -0,0 +1,47 @@
+import './helpers/dom.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { initStorage, createNewYear, saveAnswer, getSettings } from '../js/storage.js';
+import { initNavigation } from '../js/navigation.js';
+import { initSettings } from '../js/settings.js';
+
+/**
+ * Pick an option in the open settings panel
+ * @param {string} name - Setting key
+ * @param {string} value - Option value
+ */
+function choose(name, value) {
+  const input = document.querySelector(`dialog[open] input[name="${name}"][value="${value}"]`);
+  input.checked = true;
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+describe('settings', () => {
+  before(async () => {
+    await initStorage();
+    createNewYear('2030-2031');
+    saveAnswer('2030-2031', 'year-in-review', 'wisest-decision', 'Moving');
+
+    initSettings();
+    initNavigation();
+    document.getElementById('open-settings').click();
+  });
+
+  after(() => {
+    choose('locale', 'en');
+  });
+
+  it('switches the app to a newly picked language', () => {
+    choose('locale', 'de');
+
+    assert.equal(getSettings().locale, 'de');
+    assert.equal(document.getElementById('open-settings').textContent, 'Einstellungen');
+    assert.match(document.querySelector('.progress-text').textContent, /erledigt/);
+  });
+
+  it('renders the sidebar again in the new language', () => {
+    const check = document.querySelector('#sidebar-nav [data-section-id="year-in-review"] .nav-item-check');
+
+    assert.equal(check.getAttribute('aria-label'), 'Begonnen');
+  });
+});
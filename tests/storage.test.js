@@ -0,0 +1,596 @@
+import { window } from './helpers/dom.js';
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  initStorage, validateAndRepairData, importData, exportData, getAllYears, loadYear, setStorageErrorCallback,
+  createNewYear, setCurrentYear, saveAnswer, setYearLocked, saveNow, hasPendingChanges, getCustomPacks,
+  setPassphrase, setUnlockCallback, restoreMigrationSnapshot
+} from '../js/storage.js';
+import { getYearSections } from '../js/packs.js';
+import { migrations, CURRENT_VERSION } from '../js/migrations.js';
+import { on } from '../js/events.js';
+import { setLocale } from '../js/i18n.js';
+
+/**
+ * A small pack as installPack() would store it
+ * @returns {Object} Pack
+ */
+function retroPack() {
+  return {
+    id: 'retro',
+    version: 1,
+    title: 'Retro',
+    sections: [{ id: 'wins', part: 1, title: 'Wins', fields: [{ id: 'best', type: 'text', prompt: 'Best moment' }] }]
+  };
+}
+
+/**
+ * A year as the app writes it
+ * @param {string} id - Year ID
+ * @returns {Object} Year data
+ */
+function validYear(id) {
+  return {
+    id,
+    displayName: id.replace('-', ' → '),
+    createdAt: '2024-12-01T00:00:00.000Z',
+    lastModified: '2024-12-15T14:30:00.000Z',
+    currentSection: 'intro',
+    pack: { id: 'yearcompass', version: 1 },
+    locale: 'en',
+    sections: {
+      'year-in-review': { completed: false, answers: { 'wisest-decision': 'Moving' } }
+    }
+  };
+}
+
+/**
+ * Data as the app writes it
+ * @returns {Object} Stored data
+ */
+function validData() {
+  return {
+    version: CURRENT_VERSION,
+    currentYear: '2024-2025',
+    settings: { theme: 'light', fontSize: 'medium', markdownPreview: 'onBlur' },
+    years: { '2024-2025': validYear('2024-2025') }
+  };
+}
+
+describe('validateAndRepairData', () => {
+  let errors;
+
+  beforeEach(() => {
+    errors = [];
+    setStorageErrorCallback(error => errors.push(error.type));
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('leaves valid data untouched', () => {
+    const data = validData();
+    const result = validateAndRepairData(data);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.repaired, false);
+    assert.deepEqual(result.data, validData());
+  });
+
+  it('starts fresh when the data is not an object', () => {
+    for (const data of [null, 'years', 42]) {
+      const result = validateAndRepairData(data);
+
+      assert.equal(result.valid, false);
+      assert.deepEqual(result.data.years, {});
+      assert.equal(result.data.version, CURRENT_VERSION);
+    }
+    assert.deepEqual(errors, ['corrupt', 'corrupt', 'corrupt']);
+  });
+
+  it('adds a missing version, settings and years', () => {
+    const result = validateAndRepairData({});
+
+    assert.equal(result.valid, true);
+    assert.equal(result.repaired, true);
+    assert.equal(result.data.version, CURRENT_VERSION);
+    assert.equal(result.data.settings.theme, 'light');
+    assert.deepEqual(result.data.years, {});
+  });
+
+  it('drops added packs that are not an object', () => {
+    const data = { ...validData(), packs: 'team-retro' };
+    const result = validateAndRepairData(data);
+
+    assert.equal(result.repaired, true);
+    assert.equal('packs' in result.data, false);
+  });
+
+  it('drops added packs that fail the pack checks', () => {
+    const data = {
+      ...validData(),
+      packs: {
+        'retro@1': retroPack(),
+        'evil@1': { ...retroPack(), id: 'evil', title: '<img src=x onerror=alert(1)>' },
+        'broken@1': null,
+        'other@2': retroPack()
+      }
+    };
+
+    const result = validateAndRepairData(data);
+
+    assert.equal(result.repaired, true);
+    assert.deepEqual(Object.keys(result.data.packs), ['retro@1']);
+  });
+
+  it('points the current year at an existing year', () => {
+    const data = validData();
+    data.years['2025-2026'] = validYear('2025-2026');
+    data.currentYear = '2019-2020';
+
+    const result = validateAndRepairData(data);
+
+    assert.equal(result.repaired, true);
+    assert.equal(result.data.currentYear, '2025-2026');
+  });
+
+  it('removes years that are not objects', () => {
+    const data = validData();
+    data.years['2023-2024'] = null;
+    data.years['2022-2023'] = 'lost';
+
+    const result = validateAndRepairData(data);
+
+    assert.equal(result.repaired, true);
+    assert.deepEqual(Object.keys(result.data.years), ['2024-2025']);
+  });
+
+  it('fills in missing year properties', () => {
+    const data = validData();
+    data.years['2023-2024'] = { sections: 'broken' };
+
+    const year = validateAndRepairData(data).data.years['2023-2024'];
+
+    assert.equal(year.id, '2023-2024');
+    assert.equal(year.displayName, '2023 → 2024');
+    assert.ok(year.createdAt);
+    assert.equal(year.lastModified, year.createdAt);
+    assert.deepEqual(year.sections, {});
+    assert.deepEqual(year.pack, { id: 'yearcompass', version: 1 });
+    assert.equal(year.locale, 'en');
+  });
+
+  it('replaces a broken pack reference with the full booklet', () => {
+    const data = validData();
+    data.years['2024-2025'].pack = { id: 'quarterly', version: '1' };
+
+    const result = validateAndRepairData(data);
+
+    assert.equal(result.repaired, true);
+    assert.deepEqual(result.data.years['2024-2025'].pack, { id: 'yearcompass', version: 1 });
+  });
+
+  it('drops broken privacy flags and check-in schedules', () => {
+    const data = validData();
+    data.years['2024-2025'].privacy = { sections: 'secret-wish' };
+    data.years['2024-2025'].checkInSchedule = { frequency: 'quarterly' };
+
+    const year = validateAndRepairData(data).data.years['2024-2025'];
+
+    assert.equal('privacy' in year, false);
+    assert.equal('checkInSchedule' in year, false);
+  });
+
+  it('keeps only well-formed check-ins', () => {
+    const data = validData();
+    const checkIn = { id: 'check-in-1', date: '2025-04-01', notes: { family: 'Good' } };
+    data.years['2024-2025'].checkIns = [checkIn, { id: 'check-in-2', date: '2025-07-01' }, null];
+
+    const result = validateAndRepairData(data);
+
+    assert.equal(result.repaired, true);
+    assert.deepEqual(result.data.years['2024-2025'].checkIns, [checkIn]);
+  });
+
+  it('drops check-ins that are not a list', () => {
+    const data = validData();
+    data.years['2024-2025'].checkIns = { id: 'check-in-1' };
+
+    const year = validateAndRepairData(data).data.years['2024-2025'];
+
+    assert.equal('checkIns' in year, false);
+  });
+
+  it('keeps only well-formed life area settings', () => {
+    const data = validData();
+    data.years['2024-2025'].lifeAreas = {
+      labels: { family: 'Kin', career: 7 },
+      hidden: 'career',
+      custom: [{ id: 'custom-1', label: 'Volunteering' }, { id: 'custom-2' }, null]
+    };
+    data.years['2023-2024'] = { ...validYear('2023-2024'), lifeAreas: 'family' };
+
+    const result = validateAndRepairData(data);
+
+    assert.equal(result.repaired, true);
+    assert.deepEqual(result.data.years['2024-2025'].lifeAreas, {
+      labels: { family: 'Kin' },
+      custom: [{ id: 'custom-1', label: 'Volunteering' }]
+    });
+    assert.equal('lifeAreas' in result.data.years['2023-2024'], false);
+  });
+
+  it('repairs sections and answers that are not objects', () => {
+    const data = validData();
+    data.years['2024-2025'].sections.highlights = 'lost';
+    data.years['2024-2025'].sections.forgiveness = { completed: true };
+
+    const result = validateAndRepairData(data);
+    const sections = result.data.years['2024-2025'].sections;
+
+    assert.equal(result.repaired, true);
+    assert.deepEqual(sections.highlights, { completed: false, answers: {} });
+    assert.deepEqual(sections.forgiveness, { completed: true, answers: {} });
+    assert.deepEqual(sections['year-in-review'].answers, { 'wisest-decision': 'Moving' });
+  });
+});
+
+describe('importData', () => {
+  before(async () => {
+    await initStorage();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('imports a valid backup', async () => {
+    const result = await importData(JSON.stringify(validData()));
+
+    assert.deepEqual(result, { success: true, message: 'Data imported successfully.' });
+    assert.deepEqual(getAllYears(), ['2024-2025']);
+    assert.equal(loadYear('2024-2025').sections['year-in-review'].answers['wisest-decision'], 'Moving');
+  });
+
+  it('leaves out packs from a backup that fail the pack checks', async () => {
+    mock.method(console, 'warn', () => {});
+    const backup = {
+      ...validData(),
+      packs: {
+        'evil@1': { ...retroPack(), id: 'evil', sections: [{ ...retroPack().sections[0], title: '<img src=x onerror=alert(1)>' }] },
+        'broken@1': null
+      }
+    };
+    backup.years['2024-2025'].pack = { id: 'evil', version: 1 };
+
+    for (const mode of ['merge', 'replace']) {
+      const result = await importData(JSON.stringify(backup), mode);
+
+      assert.equal(result.success, true, mode);
+      assert.deepEqual(getCustomPacks(), [], mode);
+      // The year falls back to the full booklet
+      assert.equal(getYearSections(loadYear('2024-2025'))[0].id, 'intro', mode);
+    }
+  });
+
+  it('refuses a file that is not JSON', async () => {
+    const result = await importData('{"years": ');
+
+    assert.deepEqual(result, { success: false, message: 'The file is not valid JSON data.' });
+  });
+
+  it('explains a refused file in the app language', async () => {
+    setLocale('de');
+    const result = await importData('{"years": ');
+    setLocale('en');
+
+    assert.deepEqual(result, { success: false, message: 'Die Datei enthält kein gültiges JSON.' });
+  });
+
+  it('refuses JSON without years', async () => {
+    for (const json of ['null', '[]', '{"version": 2}', '{"years": "2024-2025"}']) {
+      const result = await importData(json);
+
+      assert.deepEqual(result, { success: false, message: 'The imported data is not valid YearCompass data.' }, json);
+    }
+  });
+
+  it('refuses a backup locked with a passphrase', async () => {
+    const data = { ...validData(), encryption: { salt: 'c2FsdA==', iterations: 600000, check: {} } };
+    const result = await importData(JSON.stringify(data));
+
+    assert.deepEqual(result, { success: false, message: 'This backup is locked with a passphrase.' });
+  });
+
+  it('refuses a backup from a newer version', async () => {
+    const data = { ...validData(), version: CURRENT_VERSION + 1 };
+    const result = await importData(JSON.stringify(data));
+
+    assert.deepEqual(result, { success: false, message: 'This backup was made with a newer version of YearCompass.' });
+  });
+
+  it('refuses a backup that fails to upgrade', async () => {
+    mock.method(migrations[0], 'migrate', () => {
+      throw new Error('broken step');
+    });
+    mock.method(console, 'error', () => {});
+
+    const result = await importData(JSON.stringify({ ...validData(), version: 1 }));
+
+    assert.deepEqual(result, { success: false, message: 'This backup could not be upgraded to the current format.' });
+  });
+
+  it('reports a backup that cannot be saved', async () => {
+    mock.method(window.Storage.prototype, 'setItem', () => {
+      throw new window.DOMException('Storage is full', 'QuotaExceededError');
+    });
+    mock.method(console, 'error', () => {});
+
+    const result = await importData(JSON.stringify(validData()));
+
+    assert.deepEqual(result, { success: false, message: 'Could not save imported data. Storage may be full.' });
+  });
+
+  it('leaves stored data alone when a backup is refused', async () => {
+    await importData(JSON.stringify(validData()));
+    const before = await exportData();
+
+    await importData('not json');
+    await importData(JSON.stringify({ ...validData(), version: CURRENT_VERSION + 1 }));
+
+    assert.equal(await exportData(), before);
+  });
+});
+
+describe('storage events', () => {
+  const unsubscribe = [];
+
+  /**
+   * Wait for the next time an event is emitted
+   * @param {string} event - Event name
+   * @returns {Promise<Object>} The event's detail
+   */
+  function next(event) {
+    return new Promise(resolve => {
+      const off = on(event, detail => {
+        off();
+        resolve(detail);
+      });
+    });
+  }
+
+  /**
+   * Record every detail of an event until the test ends
+   * @param {string} event - Event name
+   * @returns {Array} Details, in order
+   */
+  function record(event) {
+    const details = [];
+    unsubscribe.push(on(event, detail => details.push(detail)));
+    return details;
+  }
+
+  before(async () => {
+    await initStorage();
+    createNewYear('2024-2025');
+  });
+
+  afterEach(() => {
+    unsubscribe.splice(0).forEach(off => off());
+    mock.restoreAll();
+  });
+
+  it('announces an edited answer, then its write', async () => {
+    const changed = record('answer-changed');
+    const saved = next('saved');
+
+    saveAnswer('2024-2025', 'year-in-review', 'biggest-lesson', 'Ask for help');
+
+    assert.deepEqual(changed, [{
+      yearId: '2024-2025', sectionId: 'year-in-review', fieldId: 'biggest-lesson', value: 'Ask for help'
+    }]);
+    await saved;
+    assert.equal(JSON.parse(localStorage.getItem('yearcompass_data')).years['2024-2025']
+      .sections['year-in-review'].answers['biggest-lesson'], 'Ask for help');
+  });
+
+  it('reports a failed write, and saves the edit with the next write', async () => {
+    mock.method(console, 'error', () => {});
+    const setItem = mock.method(window.Storage.prototype, 'setItem', () => {
+      throw new window.DOMException('Storage is full', 'QuotaExceededError');
+    });
+    const failed = next('save-failed');
+
+    saveAnswer('2024-2025', 'year-in-review', 'biggest-risk', 'Quitting');
+
+    assert.equal((await failed).error.name, 'QuotaExceededError');
+
+    setItem.mock.restore();
+    const saved = next('saved');
+    saveAnswer('2024-2025', 'year-in-review', 'biggest-surprise', 'Twins');
+    await saved;
+
+    const answers = JSON.parse(localStorage.getItem('yearcompass_data')).years['2024-2025']
+      .sections['year-in-review'].answers;
+    assert.equal(answers['biggest-risk'], 'Quitting');
+    assert.equal(answers['biggest-surprise'], 'Twins');
+  });
+
+  it('keeps changes pending from the edit until their write lands', async () => {
+    await saveNow();
+    assert.equal(hasPendingChanges(), false);
+
+    const saving = record('saving');
+    const saved = next('saved');
+    saveAnswer('2024-2025', 'year-in-review', 'biggest-lesson', 'Rest more');
+
+    assert.equal(hasPendingChanges(), true);
+    await saved;
+    assert.equal(saving.length, 1);
+    assert.equal(hasPendingChanges(), false);
+  });
+
+  it('writes at once when asked, and keeps a failed write pending', async () => {
+    mock.method(console, 'error', () => {});
+    const setItem = mock.method(window.Storage.prototype, 'setItem', () => {
+      throw new window.DOMException('Storage is full', 'QuotaExceededError');
+    });
+
+    saveAnswer('2024-2025', 'year-in-review', 'biggest-risk', 'Moving abroad');
+    assert.equal(await saveNow(), false);
+    assert.equal(hasPendingChanges(), true);
+
+    setItem.mock.restore();
+    assert.equal(await saveNow(), true);
+    assert.equal(hasPendingChanges(), false);
+    assert.equal(JSON.parse(localStorage.getItem('yearcompass_data')).years['2024-2025']
+      .sections['year-in-review'].answers['biggest-risk'], 'Moving abroad');
+  });
+
+  it('stays quiet about answers a locked year refuses', () => {
+    mock.method(console, 'warn', () => {});
+    const changed = record('answer-changed');
+    createNewYear('2023-2024');
+    setYearLocked('2023-2024', true);
+
+    assert.equal(saveAnswer('2023-2024', 'year-in-review', 'biggest-lesson', 'Nope'), false);
+    assert.deepEqual(changed, []);
+  });
+
+  it('announces year switches', () => {
+    const switched = record('year-switched');
+
+    createNewYear('2025-2026');
+    setCurrentYear('2024-2025');
+    setCurrentYear('1999-2000');
+
+    assert.deepEqual(switched, [{ yearId: '2025-2026' }, { yearId: '2024-2025' }]);
+  });
+});
+
+describe('unlocking', () => {
+  it('reports damaged data instead of getting stuck', async () => {
+    localStorage.clear();
+    await initStorage();
+    createNewYear('2024-2025');
+    await setPassphrase('correct horse');
+
+    // A year record cut short, as a half-finished write leaves it
+    const stored = JSON.parse(localStorage.getItem('yearcompass_data'));
+    stored.years['2024-2025'].encrypted.data = stored.years['2024-2025'].encrypted.data.slice(0, 12);
+    localStorage.setItem('yearcompass_data', JSON.stringify(stored));
+
+    mock.method(console, 'error', () => {});
+    const requested = new Promise(resolve => setUnlockCallback(resolve));
+    const loading = initStorage();
+    const request = await requested;
+
+    assert.deepEqual(await request.unlock('correct horse'), {
+      success: false,
+      message: 'That\'s the right passphrase, but your saved answers couldn\'t be opened. They may be damaged. Reload the page to try again.'
+    });
+
+    request.erase();
+    await loading;
+    mock.restoreAll();
+  });
+});
+
+describe('upgrading stored data', () => {
+  let errors;
+
+  /**
+   * Store data as the first version of the app wrote it
+   * @returns {Object} Stored data
+   */
+  function storeFirstVersion() {
+    const year = validYear('2024-2025');
+    delete year.pack;
+    delete year.locale;
+    const old = { ...validData(), version: 1, years: { '2024-2025': year } };
+    localStorage.clear();
+    localStorage.setItem('yearcompass_data', JSON.stringify(old));
+    return old;
+  }
+
+  /**
+   * Data as it's stored now
+   * @returns {Object} Stored data
+   */
+  function stored() {
+    return JSON.parse(localStorage.getItem('yearcompass_data'));
+  }
+
+  beforeEach(() => {
+    errors = [];
+    setStorageErrorCallback(error => errors.push(error.type));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps the original data when a step fails', async () => {
+    const old = storeFirstVersion();
+    mock.method(migrations[0], 'migrate', () => {
+      throw new Error('broken step');
+    });
+    mock.method(console, 'error', () => {});
+
+    await initStorage();
+
+    assert.deepEqual(errors, ['migration']);
+    assert.deepEqual(stored(), old);
+    assert.equal(loadYear('2024-2025').sections['year-in-review'].answers['wisest-decision'], 'Moving');
+  });
+
+  it('restores the copy from before the upgrade and leaves it until the next build', async () => {
+    const old = storeFirstVersion();
+    await initStorage();
+    assert.equal(stored().version, CURRENT_VERSION);
+
+    const result = await restoreMigrationSnapshot();
+
+    assert.deepEqual(result, { success: true, message: 'The copy from before the upgrade was restored.' });
+    assert.deepEqual(stored(), old);
+
+    await initStorage();
+    saveAnswer('2024-2025', 'year-in-review', 'biggest-lesson', 'Patience');
+    await saveNow();
+
+    assert.equal(stored().version, 1);
+    assert.equal(stored().years['2024-2025'].sections['year-in-review'].answers['biggest-lesson'], 'Patience');
+    assert.deepEqual(errors, []);
+  });
+
+  it('upgrades a restored copy again in a build with a newer data version', async () => {
+    storeFirstVersion();
+    localStorage.setItem('yearcompass_rollback', String(CURRENT_VERSION - 1));
+
+    await initStorage();
+
+    assert.equal(stored().version, CURRENT_VERSION);
+  });
+});
+
+describe('data from a newer version', () => {
+  it('is reported and never written back', async () => {
+    const newer = { ...validData(), version: CURRENT_VERSION + 1 };
+    localStorage.clear();
+    localStorage.setItem('yearcompass_data', JSON.stringify(newer));
+    const errors = [];
+    setStorageErrorCallback(error => errors.push(error.type));
+    mock.method(console, 'error', () => {});
+
+    await initStorage();
+    saveAnswer('2024-2025', 'year-in-review', 'biggest-lesson', 'Patience');
+
+    assert.equal(await saveNow(), false);
+    assert.deepEqual(errors, ['version']);
+    assert.deepEqual(JSON.parse(localStorage.getItem('yearcompass_data')), newer);
+    mock.restoreAll();
+  });
+});
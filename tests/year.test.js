@@ -0,0 +1,63 @@
+import './helpers/dom.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSuggestedYearId, formatYearDisplay } from '../js/year.js';
+
+/**
+ * Run with the clock set to a local date and time
+ * @param {Date} now - Date to pretend it is
+ */
+function setNow(now) {
+  mock.timers.enable({ apis: ['Date'], now });
+}
+
+describe('getSuggestedYearId', () => {
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('suggests last year → this year from January to March', () => {
+    for (const month of [0, 1, 2]) {
+      setNow(new Date(2025, month, 15));
+      assert.equal(getSuggestedYearId(), '2024-2025', `month ${month + 1}`);
+      mock.timers.reset();
+    }
+  });
+
+  it('suggests this year → next year from April to December', () => {
+    for (const month of [3, 6, 9, 11]) {
+      setNow(new Date(2025, month, 15));
+      assert.equal(getSuggestedYearId(), '2025-2026', `month ${month + 1}`);
+      mock.timers.reset();
+    }
+  });
+
+  it('keeps the same suggestion across midnight on New Year\'s Eve', () => {
+    setNow(new Date(2024, 11, 31, 23, 59, 59));
+    assert.equal(getSuggestedYearId(), '2024-2025');
+    mock.timers.reset();
+
+    setNow(new Date(2025, 0, 1, 0, 0, 0));
+    assert.equal(getSuggestedYearId(), '2024-2025');
+  });
+
+  it('moves on to the next year at midnight on April 1', () => {
+    setNow(new Date(2025, 2, 31, 23, 59, 59));
+    assert.equal(getSuggestedYearId(), '2024-2025');
+    mock.timers.reset();
+
+    setNow(new Date(2025, 3, 1, 0, 0, 0));
+    assert.equal(getSuggestedYearId(), '2025-2026');
+  });
+
+  it('handles the last day of February in a leap year', () => {
+    setNow(new Date(2024, 1, 29, 12));
+    assert.equal(getSuggestedYearId(), '2023-2024');
+  });
+});
+
+describe('formatYearDisplay', () => {
+  it('shows the year range with an arrow', () => {
+    assert.equal(formatYearDisplay('2024-2025'), '2024 → 2025');
+  });
+});